@@ -49,13 +49,18 @@ const path = require("path");                // Módulo nativo de Node para ruta
 // - Da robustez a la seguridad general.
 //
 // En este caso configuramos:
-// Máximo 4 requests por IP cada 60 minutos a cualquier ruta que empiece con /auth.
+// Máximo 4 requests por IP cada 60 minutos a /auth/register (cada request envía un SMS).
+// Máximo 20 requests por IP cada 15 minutos a /auth/verify.
 // Implementado con express-rate-limit.
+//
+// /auth/verify tiene un límite más amplio porque cada código ya se bloquea solo
+// después de varios intentos fallidos (ver utils/otp.js). Así un usuario legítimo
+// que se equivoca al tipear no queda bloqueado una hora entera.
 ///////////////////////////////////////////////////////////////////////////////////////
 
 const rateLimit = require("express-rate-limit");    // Importamos la librería express-rate-limit
 
-// Configuramos el limitador para rutas /auth
+// Configuramos el limitador para /auth/register
 const authLimiter = rateLimit({
     windowMs: 60 * 60 * 1000,  // Ventana de tiempo → 60 minutos expresados en milisegundos
     max: 4,                    // Máximo 4 requests permitidos por IP en esa ventana de tiempo
@@ -67,13 +72,26 @@ const authLimiter = rateLimit({
     legacyHeaders: false       // No devuelve cabeceras obsoletas (X-RateLimit-...)
 });
 
+// Configuramos el limitador para /auth/verify
+const verifyLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,  // Ventana de tiempo → 15 minutos
+    max: 20,                   // Máximo 20 intentos de verificación por IP en esa ventana
+    message: {
+        success: false,
+        message: "Has superado el límite de intentos de verificación. Intentá nuevamente más tarde."
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+// Cargamos variables de entorno desde /api/.env si está en desarrollo local.
+// Lo hacemos antes de importar las rutas, porque algunas leen la configuración al cargarse.
+dotenv.config({ path: path.join(__dirname, ".env") });
+
 // Importamos librerías para autenticación
 const authRoutes = require("./routes/auth");              // Rutas de autenticación
 const authMiddleware = require("./middlewares/authMiddleware"); // Middleware para proteger rutas privadas
 
-// Cargamos variables de entorno desde /api/.env si está en desarrollo local
-dotenv.config({ path: path.join(__dirname, ".env") });
-
 // Importamos conexión a la base de datos y rutas
 const connectDB = require("./db");
 const serviceRoutes = require("./routes/services");
@@ -88,7 +106,7 @@ connectDB();
 // Aplicamos middlewares globales
 app.use(helmet());          // Seguridad HTTP
 app.use(compression());     // Comprimir respuestas
-app.use(cors());            // Permitir CORS
+app.use(cors({ exposedHeaders: ["Link"] })); // Permitir CORS (y que los navegadores lean el header Link de la paginación)
 app.use(morgan("dev"));     // Logs de peticiones
 app.use(express.json());    // Parsear JSON en requests
 
@@ -100,10 +118,10 @@ app.use("/clic", clickRoutes);   // https://app-servicios-backend.onrender.com/c
 // Aplicar Rate Limiting a /auth
 //
 // Esto significa:
-// Antes de entrar a cualquiera de las rutas /auth (por ejemplo /auth/register o /auth/verify),
-// se aplicará el rate limiter configurado.
+// Antes de entrar a /auth/register o /auth/verify se aplicará el rate limiter
+// correspondiente.
 //
-// Si un cliente supera las 4 peticiones en 60 minutos, recibirá:
+// Si un cliente supera las 4 peticiones a /auth/register en 60 minutos, recibirá:
 // HTTP 429 Too Many Requests
 // {
 //   success: false,
@@ -114,7 +132,8 @@ app.use("/clic", clickRoutes);   // https://app-servicios-backend.onrender.com/c
 //
 ///////////////////////////////////////////////////////////////////////////////////////
 
-app.use("/auth", authLimiter);
+app.use("/auth/register", authLimiter);
+app.use("/auth/verify", verifyLimiter);
 
 ///////////////////////////////////////////////////////////////////////////////////////
 // FIN AGREGADO NUEVO → Aplicar Rate Limiting a /auth
@@ -142,14 +161,23 @@ app.use("/auth", authRoutes);    // https://app-servicios-backend.onrender.com/a
 //
 // Todas las rutas:
 // - Solo pueden ser accedidas por prestadores autenticados.
-// - Permiten leer, modificar o borrar el propio perfil.
+// - Permiten leer, modificar o borrar los propios servicios (un prestador puede tener varios).
 // - Protegidas por JWT.
-// - Usan el teléfono extraído del token JWT.
+// - Usan el usuario extraído del token JWT (dueño del servicio).
 //
 // Endpoints creados:
 // GET    /profile
-// PUT    /profile
-// DELETE /profile
+// PUT    /profile/cuenta         (tipo de perfil, nombre para mostrar y preferencias)
+// PUT    /profile                (si el prestador tiene un solo servicio)
+// DELETE /profile                (si el prestador tiene un solo servicio)
+// GET    /profile/servicios
+// GET    /profile/servicios/:id
+// PUT    /profile/servicios/:id
+// DELETE /profile/servicios/:id
+// PUT, DELETE /profile/servicios/:id/logo
+// POST   /profile/servicios/:id/galeria
+// PUT    /profile/servicios/:id/galeria/orden
+// DELETE /profile/servicios/:id/galeria/:imagenId
 //
 // Ejemplo de request:
 // GET /profile
@@ -160,6 +188,183 @@ app.use("/auth", authRoutes);    // https://app-servicios-backend.onrender.com/a
 const profileRoutes = require("./routes/profile");
 app.use("/profile", profileRoutes);
 
+///////////////////////////////////////////////////////////////////////////////////////
+// Archivos subidos (logo y galería de los servicios)
+//
+// Qué hace:
+// Con el almacenamiento local (ALMACENAMIENTO=local, por defecto) el propio backend
+// sirve las fotos en /archivos. Con S3 se sirven desde el bucket (o su CDN) y esta
+// ruta no existe. Ver utils/almacenamiento.js.
+//
+// Los nombres de archivo nunca se reutilizan, así que se cachean por un año.
+// Cross-Origin-Resource-Policy: helmet lo pone en "same-origin" y la app web, que
+// está en otro dominio, no podría mostrar las fotos.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const almacenamiento = require("./utils/almacenamiento");
+if (almacenamiento.directorioLocal) {
+    app.use("/archivos", express.static(almacenamiento.directorioLocal, {
+        immutable: true,
+        maxAge: "1y",
+        index: false,
+        setHeaders: res => res.set("Cross-Origin-Resource-Policy", "cross-origin")
+    }));
+}
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Rutas del catálogo de localidades
+//
+// Qué hace:
+// Integra el archivo /routes/localidades.js
+//
+// Endpoints creados:
+// GET  /localidades?q=          → búsqueda por nombre (pública)
+// GET  /localidades/:slug       → detalle con localidades vecinas (pública)
+// POST /localidades             → alta de localidad (admin)
+// PUT  /localidades/:slug/vecinos → define las vecinas (admin)
+///////////////////////////////////////////////////////////////////////////////////////
+
+const localidadesRoutes = require("./routes/localidades");
+app.use("/localidades", localidadesRoutes);
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Rutas del catálogo de categorías
+//
+// Qué hace:
+// Integra el archivo /routes/categorias.js
+//
+// Endpoints creados:
+// GET  /categorias        → árbol de grupos y categorías activas (pública)
+// GET  /categorias/:slug  → detalle de una categoría o grupo (pública)
+// POST /categorias        → alta de categoría o grupo (admin)
+// PUT  /categorias/:slug  → renombrar, mover, activar/desactivar (admin)
+///////////////////////////////////////////////////////////////////////////////////////
+
+const categoriasRoutes = require("./routes/categorias");
+app.use("/categorias", categoriasRoutes);
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Rutas de favoritos
+//
+// Qué hace:
+// Integra /routes/favoritos.js: los servicios que cada usuario guarda (JWT).
+// Los de servicios borrados, suspendidos o en moderación no se muestran.
+//
+// Endpoints creados:
+// GET    /favoritos             → favoritos con su servicio (paginado)
+// GET    /favoritos/ids         → solo los IDs de los servicios
+// POST   /favoritos             → guardar un servicio
+// DELETE /favoritos/:servicioId → quitarlo
+///////////////////////////////////////////////////////////////////////////////////////
+
+const favoritosRoutes = require("./routes/favoritos");
+app.use("/favoritos", favoritosRoutes);
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Rutas de solicitudes de trabajo
+//
+// Qué hace:
+// Integra /routes/solicitudes.js: un cliente le pide un trabajo a un servicio y el
+// prestador lo acepta, lo rechaza o manda un presupuesto (JWT; solo las dos partes).
+//
+// Endpoints creados:
+// POST /solicitudes                 → pedir un trabajo (usuario verificado)
+// GET  /solicitudes                 → enviadas (rol=cliente) o recibidas (rol=prestador)
+// GET  /solicitudes/:id             → detalle con historial
+// POST /solicitudes/:id/presupuesto → cotizar (prestador)
+// POST /solicitudes/:id/aceptar     → aceptar (prestador, o cliente con presupuesto)
+// POST /solicitudes/:id/rechazar    → rechazar (prestador, o cliente con presupuesto)
+// POST /solicitudes/:id/cancelar    → retirarla (cliente)
+///////////////////////////////////////////////////////////////////////////////////////
+
+const solicitudesRoutes = require("./routes/solicitudes");
+app.use("/solicitudes", solicitudesRoutes);
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Rutas de mensajes
+//
+// Qué hace:
+// Integra /routes/conversaciones.js: conversaciones entre un cliente y un servicio,
+// con confirmación de lectura, no leídos, bloqueo y eventos en tiempo real (JWT).
+//
+// Endpoints creados:
+// GET    /conversaciones               → conversaciones del usuario (paginado)
+// POST   /conversaciones               → iniciar o retomar una con un servicio
+// GET    /conversaciones/no-leidos     → mensajes sin leer
+// GET    /conversaciones/eventos       → stream en tiempo real (Server-Sent Events)
+// GET    /conversaciones/:id           → detalle
+// GET    /conversaciones/:id/mensajes  → mensajes (paginado)
+// POST   /conversaciones/:id/mensajes  → enviar un mensaje
+// POST   /conversaciones/:id/leido     → marcar como leída
+// POST   /conversaciones/:id/bloqueo   → bloquear a la otra parte
+// DELETE /conversaciones/:id/bloqueo   → desbloquearla
+///////////////////////////////////////////////////////////////////////////////////////
+
+const conversacionesRoutes = require("./routes/conversaciones");
+app.use("/conversaciones", conversacionesRoutes);
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Rutas de reseñas
+//
+// Qué hace:
+// Integra /routes/resenas.js: las reseñas de cada servicio (/serv/:id/resenas) y las
+// acciones sobre una reseña (/resenas/:id).
+//
+// Endpoints creados:
+// GET    /serv/:id/resenas        → reseñas del servicio (pública)
+// POST   /serv/:id/resenas        → dejar una reseña (usuario verificado)
+// PUT    /resenas/:id             → editar la propia reseña
+// DELETE /resenas/:id             → borrarla (autor o moderator)
+// PUT    /resenas/:id/respuesta   → respuesta del dueño del servicio
+// DELETE /resenas/:id/respuesta   → borrar la respuesta (dueño o moderator)
+// POST   /resenas/:id/reportes    → reportar una reseña abusiva
+// GET    /resenas/reportadas      → reseñas reportadas (moderator)
+// POST   /resenas/:id/moderacion  → ocultar o mostrar (moderator)
+///////////////////////////////////////////////////////////////////////////////////////
+
+const resenasRoutes = require("./routes/resenas");
+app.use("/serv/:id/resenas", resenasRoutes.porServicio);
+app.use("/resenas", resenasRoutes);
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Rutas de moderación
+//
+// Qué hace:
+// Integra /routes/moderacion.js. Todas sus rutas requieren JWT y rol "moderator" (o "admin").
+//
+// Endpoints creados:
+// GET  /moderacion/servicios              → cola por estado (pendientes por defecto)
+// GET  /moderacion/servicios/:id          → detalle con historial de moderación
+// POST /moderacion/servicios/:id/decision → aprobar, rechazar o suspender
+// GET  /moderacion/reportes               → servicios con reportes sin revisar
+// POST /moderacion/servicios/:id/reportes/descartar → cerrar los reportes sin cambiar el estado
+// GET  /moderacion/resumen                → servicios por estado
+///////////////////////////////////////////////////////////////////////////////////////
+
+const moderacionRoutes = require("./routes/moderacion");
+app.use("/moderacion", moderacionRoutes);
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Rutas de administración
+//
+// Qué hace:
+// Integra /routes/admin.js. Todas sus rutas requieren JWT y rol "admin".
+//
+// Endpoints creados:
+// GET    /admin/usuarios
+// POST   /admin/usuarios/:id/roles
+// DELETE /admin/usuarios/:id/roles/:role
+// GET    /admin/otp/bloqueos
+// GET    /admin/otp/resumen
+// GET    /admin/cache
+// DELETE /admin/cache
+// POST   /admin/servicios/importar (CSV o NDJSON)
+// GET    /admin/servicios/exportar (CSV o NDJSON)
+///////////////////////////////////////////////////////////////////////////////////////
+
+const adminRoutes = require("./routes/admin");
+app.use("/admin", adminRoutes);
+
 
 app.get("/privado", authMiddleware, (req, res) => {
     res.json({
@@ -194,19 +399,109 @@ app.listen(PORT, () => {
 
 ///////////////////////////////////////////////////////////////////////////////////////
 // ENDPOINTS para Servicios:
-// GET /serv
-// POST /serv
+// GET /serv          (solo aprobados; filtros, ratingMin, cercanía con lat, lng, radioKm y sort=distancia; paginado con cursor)
+// GET /serv/search?q= (búsqueda por texto, sin tildes y con errores de tipeo)
+// GET /serv/facets   (cantidad de servicios por categoría, localidad, urgencias24hs y localidadesCercanas)
+// POST /serv         (usuario verificado; queda como dueño y pendiente de moderación)
 // GET /serv/:id
-// PUT /serv/:id
-// DELETE /serv/:id
+// PUT /serv/:id      (dueño, moderator o admin)
+// DELETE /serv/:id   (dueño, moderator o admin; soft delete)
+// POST /serv/:id/restaurar (dueño, moderator o admin; dentro del plazo de gracia)
+// POST /serv/:id/reportes  (usuario verificado)
+// GET /serv/:id/resenas
+// POST /serv/:id/resenas (usuario verificado; una por servicio)
+
+// ENDPOINTS de reseñas:
+// PUT, DELETE /resenas/:id          (autor; DELETE también moderator)
+// PUT, DELETE /resenas/:id/respuesta (dueño del servicio)
+// POST /resenas/:id/reportes
+// GET /resenas/reportadas           (moderator)
+// POST /resenas/:id/moderacion      (moderator)
+
+// ENDPOINTS del perfil del prestador (JWT):
+// GET /profile
+// PUT /profile/cuenta
+// GET /profile/servicios
+// GET, PUT, DELETE /profile/servicios/:id
+// PUT, DELETE /profile/servicios/:id/logo          (multipart, campo "imagen")
+// POST /profile/servicios/:id/galeria              (multipart, campo "imagenes")
+// PUT /profile/servicios/:id/galeria/orden
+// DELETE /profile/servicios/:id/galeria/:imagenId
+//
+// Archivos subidos (solo con ALMACENAMIENTO=local):
+// GET /archivos/servicios/:id/:archivo
+
+// ENDPOINTS de favoritos (JWT):
+// GET /favoritos     (paginado con cursor)
+// GET /favoritos/ids
+// POST /favoritos
+// DELETE /favoritos/:servicioId
+
+// ENDPOINTS de solicitudes de trabajo (JWT):
+// POST /solicitudes  (usuario verificado)
+// GET /solicitudes   (rol=cliente|prestador, estado; paginado con cursor)
+// GET /solicitudes/:id
+// POST /solicitudes/:id/presupuesto (prestador)
+// POST /solicitudes/:id/aceptar
+// POST /solicitudes/:id/rechazar
+// POST /solicitudes/:id/cancelar    (cliente)
+
+// ENDPOINTS de mensajes (JWT):
+// GET /conversaciones        (rol=cliente|prestador; paginado con cursor)
+// POST /conversaciones       (usuario verificado)
+// GET /conversaciones/no-leidos
+// GET /conversaciones/eventos (Server-Sent Events)
+// GET /conversaciones/:id
+// GET /conversaciones/:id/mensajes (paginado con cursor)
+// POST /conversaciones/:id/mensajes (usuario verificado)
+// POST /conversaciones/:id/leido
+// POST /conversaciones/:id/bloqueo
+// DELETE /conversaciones/:id/bloqueo
+
+// ENDPOINTS del catálogo de localidades:
+// GET /localidades
+// GET /localidades/:slug
+// POST /localidades               (admin)
+// PUT /localidades/:slug/vecinos  (admin)
+
+// ENDPOINTS del catálogo de categorías:
+// GET /categorias
+// GET /categorias/:slug
+// POST /categorias        (admin)
+// PUT /categorias/:slug   (admin)
 
 // ENDPOINTS para Clicks:
-// GET /clic
+// GET /clic          (paginado con cursor)
 // POST /clic
 
+// ENDPOINTS de moderación (moderator o admin):
+// GET /moderacion/servicios
+// GET /moderacion/servicios/:id
+// POST /moderacion/servicios/:id/decision
+// GET /moderacion/reportes
+// POST /moderacion/servicios/:id/reportes/descartar
+// GET /moderacion/resumen
+
 // ENDPOINTS para autenticación:
-// POST /auth/register → para solicitar el SMS de verificación
-// POST /auth/verify   → para verificar el código y recibir el JWT
+// POST /auth/register → para solicitar el SMS de verificación (y elegir el tipo de perfil al registrarse)
+// POST /auth/verify   → para verificar el código y recibir el JWT + refresh token
+// POST /auth/refresh  → para rotar el refresh token y recibir un JWT nuevo
+// POST /auth/logout   → para cerrar la sesión actual
+// POST /auth/logout-all → para cerrar todas las sesiones
+// GET  /auth/sessions → para listar las sesiones activas
+// DELETE /auth/sessions/:id → para cerrar una sesión puntual
+// DELETE /auth/cleanup → limpieza de códigos expirados (admin)
+//
+// ENDPOINTS de administración (admin):
+// GET /admin/usuarios
+// POST /admin/usuarios/:id/roles
+// DELETE /admin/usuarios/:id/roles/:role
+// GET /admin/otp/bloqueos
+// GET /admin/otp/resumen
+// GET /admin/cache
+// DELETE /admin/cache
+// POST /admin/servicios/importar (?simular=true, ?aprobar=true)
+// GET /admin/servicios/exportar  (?formato=csv|ndjson, ?estado=)
 //
 // Ruta privada de ejemplo:
 // GET /privado (protegida con JWT)
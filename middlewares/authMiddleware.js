@@ -3,8 +3,10 @@
 
 // Este archivo define un middleware llamado authMiddleware que:
 // Verifica si el request trae un token JWT válido.
+// Verifica que la sesión del token (sid) siga activa.
+// Carga los roles actuales del usuario desde la base (req.user.roles).
 // Decodifica el token y lo adjunta al objeto req.user.
-// Bloquea el acceso si el token falta o es inválido.
+// Bloquea el acceso si el token falta, es inválido o su sesión fue revocada.
 
 // Gracias a esto:
 // - Solo prestadores autenticados pueden acceder a rutas privadas.
@@ -17,6 +19,7 @@
 ///////////////////////////////////////////////////////////////////////////////////////
 
 const jwt = require("jsonwebtoken"); // Librería oficial de JSON Web Tokens
+const Session = require("../models/session"); // Sesiones activas por dispositivo
 
 ///////////////////////////////////////////////////////////////////////////////////////
 // Definimos el middleware authMiddleware
@@ -25,12 +28,12 @@ const jwt = require("jsonwebtoken"); // Librería oficial de JSON Web Tokens
 /**
  * Middleware que protege rutas privadas.
  *
- * Si el token JWT es válido:
+ * Si el token JWT es válido y su sesión sigue activa:
  *   - decodifica su contenido
  *   - lo coloca en req.user
  *   - permite que la ruta continúe
  *
- * Si el token es inválido o está ausente:
+ * Si el token es inválido, está ausente o su sesión fue revocada (logout):
  *   - devuelve error 401 (no autorizado)
  *
  * Se debe usar en rutas privadas así:
@@ -38,7 +41,7 @@ const jwt = require("jsonwebtoken"); // Librería oficial de JSON Web Tokens
  * app.get("/ruta-privada", authMiddleware, (req, res) => { ... });
  *
  */
-function authMiddleware(req, res, next) {
+async function authMiddleware(req, res, next) {
     try {
         // Extraemos el header Authorization
         // Esperamos un header así:
@@ -56,12 +59,31 @@ function authMiddleware(req, res, next) {
         // Verificamos y decodificamos el token con nuestra clave secreta
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+        // Verificamos que la sesión del token siga activa.
+        // Los tokens viejos sin sid (anteriores a las sesiones) ya no se aceptan.
+        // De paso traemos los roles del usuario, que pueden haber cambiado desde que se emitió el token.
+        const sesion = decoded.sid
+            ? await Session.findById(decoded.sid)
+                .select("user revocadaEn expiraEn")
+                .populate("user", "roles")
+            : null;
+
+        if (!sesion || sesion.revocadaEn || sesion.expiraEn < new Date()
+            || !sesion.user || sesion.user._id.toString() !== String(decoded.userId)) {
+            return res.status(401).json({ error: "La sesión fue cerrada. Iniciá sesión nuevamente." });
+        }
+
+        // Los roles salen de la base, nunca del token
+        decoded.roles = sesion.user.roles;
+
         // Guardamos los datos decodificados en req.user para usarlos en la ruta
         //
         // decoded contendrá:
         // {
         //   userId: "...",
         //   telefono: "+34123456789",
+        //   sid: "...",  // ID de la sesión
+        //   roles: ["user", ...], // roles actuales (cargados desde la base)
         //   iat: ...,    // fecha de emisión
         //   exp: ...     // fecha de expiración
         // }
@@ -71,8 +93,14 @@ function authMiddleware(req, res, next) {
         next();
 
     } catch (err) {
+        // Token mal formado, con firma inválida o vencido
+        if (err instanceof jwt.JsonWebTokenError) {
+            return res.status(401).json({ error: "Token inválido o expirado." });
+        }
+
+        // Cualquier otro error (p. ej. la base de datos) no es culpa del token
         console.error("Error en authMiddleware:", err);
-        return res.status(401).json({ error: "Token inválido o expirado." });
+        return res.status(500).json({ error: "Error interno del servidor." });
     }
 }
 
@@ -87,6 +115,7 @@ module.exports = authMiddleware;
 ///////////////////////////////////////////////////////////////////////////////////////
 // Gracias a este archivo:
 // Tenemos rutas privadas seguras.
+// Un logout invalida el token al instante, sin esperar a que expire.
 // Prestadores sin login no pueden acceder a datos sensibles.
 // req.user queda disponible con datos del token.
 // Nuestra app se mantiene protegida y profesional.
@@ -0,0 +1,46 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// ¿Qué hace este archivo requireRole.js?
+
+// Este archivo define un middleware llamado requireRole que:
+// Verifica que el usuario autenticado tenga al menos uno de los roles pedidos.
+// Bloquea el acceso con 403 si no los tiene.
+
+// Se usa SIEMPRE después de authMiddleware, que es quien carga req.user.roles
+// desde la base de datos.
+
+// El rol "admin" pasa cualquier control de roles.
+///////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Crea un middleware que exige alguno de los roles indicados.
+ *
+ * Se debe usar en rutas privadas así:
+ *
+ * router.delete("/cleanup", authMiddleware, requireRole("admin"), (req, res) => { ... });
+ * router.put("/:id", authMiddleware, requireRole("moderator"), (req, res) => { ... });
+ *
+ * @param {...string} roles - Roles permitidos (basta con tener uno)
+ * @returns {Function} - Middleware de Express
+ */
+function requireRole(...roles) {
+    return function (req, res, next) {
+        if (!req.user) {
+            // Si no pasó por authMiddleware, no sabemos quién es
+            return res.status(401).json({ error: "Acceso no autorizado. Token faltante." });
+        }
+
+        const rolesUsuario = req.user.roles || [];
+
+        if (rolesUsuario.includes("admin") || roles.some(role => rolesUsuario.includes(role))) {
+            return next();
+        }
+
+        return res.status(403).json({ error: "No tenés permisos para realizar esta acción." });
+    };
+}
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Exportamos el middleware para usarlo junto a authMiddleware
+///////////////////////////////////////////////////////////////////////////////////////
+
+module.exports = requireRole;
@@ -0,0 +1,82 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// ¿Qué hace este archivo requireServiceOwner.js?
+
+// Este archivo define un middleware llamado requireServiceOwner que:
+// Busca el servicio indicado en req.params.id.
+// Responde 400 si el ID no es válido y 404 si el servicio no existe.
+// Bloquea el acceso con 403 si el usuario no es el dueño del servicio.
+// Si todo está bien, deja el servicio cargado en req.servicio.
+
+// Los moderadores y admins pueden gestionar servicios de terceros.
+
+// Se usa SIEMPRE después de authMiddleware, que es quien carga req.user.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const Service = require("../models/service");
+
+// Roles que pueden gestionar cualquier servicio, aunque no sean los dueños
+const ROLES_GESTION = ["moderator", "admin"];
+
+/**
+ * Indica si un usuario puede editar o borrar un servicio.
+ *
+ * @param {object} user - Usuario del token (req.user)
+ * @param {object} servicio - Documento Service
+ * @returns {boolean}
+ */
+function puedeGestionar(user, servicio) {
+    const roles = user.roles || [];
+
+    if (ROLES_GESTION.some(role => roles.includes(role))) return true;
+
+    return Boolean(servicio.owner) && String(servicio.owner) === String(user.userId);
+}
+
+/**
+ * Crea el middleware que exige ser dueño del servicio (o moderador/admin).
+ *
+ * Se debe usar en rutas privadas así:
+ *
+ * router.put("/:id", authMiddleware, requireServiceOwner, (req, res) => { ... req.servicio ... });
+ *
+ * Para rutas que trabajan sobre servicios eliminados (p. ej. restaurar):
+ *
+ * router.post("/:id/restaurar", authMiddleware, requireServiceOwner.incluyendoEliminados, ...);
+ *
+ * @param {object} [opciones]
+ * @param {boolean} [opciones.incluirEliminados=false] - Buscar también servicios con soft delete
+ * @returns {Function} - Middleware de Express
+ */
+function crearMiddleware({ incluirEliminados = false } = {}) {
+    return async function requireServiceOwner(req, res, next) {
+        if (!req.user) {
+            // Si no pasó por authMiddleware, no sabemos quién es
+            return res.status(401).json({ error: "Acceso no autorizado. Token faltante." });
+        }
+
+        if (!/^[0-9a-fA-F]{24}$/.test(req.params.id)) {
+            return res.status(400).json({ error: "ID inválido" });
+        }
+
+        const servicio = await Service.findById(req.params.id).setOptions({ incluirEliminados });
+
+        if (!servicio) {
+            return res.status(404).json({ error: "Servicio no encontrado" });
+        }
+
+        if (!puedeGestionar(req.user, servicio)) {
+            return res.status(403).json({ error: "Solo el dueño del servicio puede modificarlo." });
+        }
+
+        req.servicio = servicio;
+        next();
+    };
+}
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Exportamos el middleware para usarlo junto a authMiddleware
+///////////////////////////////////////////////////////////////////////////////////////
+
+module.exports = crearMiddleware();
+module.exports.incluyendoEliminados = crearMiddleware({ incluirEliminados: true });
+module.exports.puedeGestionar = puedeGestionar;
@@ -0,0 +1,94 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// ¿Qué hace este archivo category.js?
+// Este archivo define el modelo de datos "Category": las categorías de servicios.
+//
+// Las categorías forman un árbol de dos niveles:
+// - Grupos (grupo: null): "Hogar", "Salud y cuidado", "Eventos", "Mascotas"...
+// - Categorías (grupo: slug del grupo): "Plomería", "Paseadores de perros"...
+// Un servicio siempre elige una categoría, nunca un grupo.
+//
+// Cada categoría tiene:
+// - nombre: lo que ve el usuario.
+// - slug: identificador estable ("peluqueria-canina-felina"), sin tildes.
+//   No cambia aunque se renombre la categoría: es lo que guardan los servicios.
+// - icono: nombre del ícono que muestra la app.
+// - activa: si se puede elegir al publicar. Las inactivas no se borran, para no
+//   dejar colgados a los servicios que ya la usan.
+// - orden: posición dentro de su grupo (o del listado de grupos).
+//
+// Con este modelo logramos:
+// - Una única fuente de categorías para el modelo Service, las rutas y la app.
+// - Agregar, renombrar o desactivar categorías sin redeploy (ver routes/categorias.js).
+///////////////////////////////////////////////////////////////////////////////////////
+
+const mongoose = require("mongoose");
+const { normalizarTexto, slugificar } = require("../utils/texto");
+
+const categorySchema = new mongoose.Schema({
+
+    // Nombre de la categoría tal como se muestra (e.g. "Plomería")
+    nombre: {
+        type: String,
+        required: true,
+        trim: true,
+        minlength: 2,
+        maxlength: 100
+    },
+
+    // Identificador único. Se calcula solo al crearla a partir del nombre.
+    slug: {
+        type: String,
+        unique: true,
+        index: true
+    },
+
+    // Nombre normalizado (sin tildes, en minúsculas) para aceptar "plomeria" como "Plomería"
+    nombreNormalizado: {
+        type: String,
+        index: true
+    },
+
+    // Slug del grupo al que pertenece. null si la categoría ES un grupo.
+    grupo: {
+        type: String,
+        default: null,
+        index: true
+    },
+
+    // Nombre del ícono (lo interpreta la app, e.g. "home", "pets")
+    icono: {
+        type: String,
+        trim: true,
+        maxlength: 50
+    },
+
+    // Si se puede elegir al publicar o editar un servicio
+    activa: {
+        type: Boolean,
+        default: true,
+        index: true
+    },
+
+    // Orden de aparición (menor primero)
+    orden: {
+        type: Number,
+        default: 0
+    }
+
+}, {
+    timestamps: true
+});
+
+// Antes de validar calculamos el slug y el nombre normalizado.
+// El slug se calcula una sola vez: los servicios lo guardan, así que no debe cambiar.
+categorySchema.pre("validate", function () {
+    if (!this.slug) this.slug = slugificar(this.nombre);
+    this.nombreNormalizado = normalizarTexto(this.nombre);
+});
+
+// Devuelve true si la categoría es un grupo (no se puede asignar a un servicio)
+categorySchema.methods.esGrupo = function () {
+    return !this.grupo;
+};
+
+module.exports = mongoose.model("Category", categorySchema);
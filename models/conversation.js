@@ -0,0 +1,117 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// ¿Qué hace este archivo conversation.js?
+// Este archivo define el modelo de datos "Conversation": el hilo de mensajes entre un
+// cliente y un servicio (ver routes/conversaciones.js). Los mensajes están en "Message".
+//
+// Hasta ahora el contacto salía de la app por teléfono o WhatsApp: no quedaba registro
+// y el prestador tenía que mostrarle su número a todo el mundo. Con los mensajes
+// ninguna de las dos partes ve el teléfono de la otra.
+//
+// Reglas:
+// - Una conversación por cliente y por servicio (índice único).
+// - Cada parte tiene su contador de no leídos y la fecha hasta la que leyó
+//   (leidoHasta): un mensaje está leído si es anterior a la lectura de la otra parte.
+// - Si una parte bloquea a la otra (User.bloqueados), nadie puede escribir en la
+//   conversación hasta que se desbloquee.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const mongoose = require("mongoose");
+
+const PARTES = ["cliente", "prestador"];
+
+// Un número y una fecha por parte
+const porParte = (tipo, valor) => ({
+    cliente: { type: tipo, default: valor },
+    prestador: { type: tipo, default: valor }
+});
+
+const conversationSchema = new mongoose.Schema({
+
+    // Cliente que inició la conversación
+    cliente: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+
+    // Servicio con el que habla
+    servicio: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Service",
+        required: true
+    },
+
+    // Nombre del servicio al iniciarla (para los listados, aunque después se renombre o se borre)
+    servicioNombre: {
+        type: String,
+        required: true
+    },
+
+    // Dueño del servicio (quien responde)
+    prestador: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+
+    // Vista previa del último mensaje, para el listado
+    ultimoMensaje: {
+        type: new mongoose.Schema({
+            texto: { type: String, maxlength: 140 },
+            parte: { type: String, enum: PARTES },
+            fecha: { type: Date }
+        }, { _id: false }),
+        default: undefined
+    },
+
+    // Fecha del último mensaje (o de la creación): ordena el listado
+    ultimaActividad: {
+        type: Date,
+        default: Date.now
+    },
+
+    // Mensajes sin leer de cada parte
+    noLeidos: porParte(Number, 0),
+
+    // Hasta cuándo leyó cada parte (confirmaciones de lectura)
+    leidoHasta: porParte(Date, null)
+
+}, {
+    timestamps: true
+});
+
+// Una conversación por cliente y por servicio
+conversationSchema.index({ cliente: 1, servicio: 1 }, { unique: true });
+
+// Listados de cada parte, de la más activa a la menos
+conversationSchema.index({ cliente: 1, ultimaActividad: -1 });
+conversationSchema.index({ prestador: 1, ultimaActividad: -1 });
+
+/**
+ * Indica qué parte de la conversación es un usuario.
+ *
+ * @param {string} usuarioId
+ * @returns {"cliente"|"prestador"|null}
+ */
+conversationSchema.methods.parteDe = function (usuarioId) {
+    if (String(this.cliente._id || this.cliente) === String(usuarioId)) return "cliente";
+    if (String(this.prestador._id || this.prestador) === String(usuarioId)) return "prestador";
+    return null;
+};
+
+/**
+ * Devuelve la otra parte.
+ *
+ * @param {"cliente"|"prestador"} parte
+ * @returns {"cliente"|"prestador"}
+ */
+function otraParte(parte) {
+    return parte === "cliente" ? "prestador" : "cliente";
+}
+
+const Conversation = mongoose.model("Conversation", conversationSchema);
+
+Conversation.PARTES = PARTES;
+Conversation.otraParte = otraParte;
+
+module.exports = Conversation;
@@ -0,0 +1,44 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// ¿Qué hace este archivo favorite.js?
+// Este archivo define el modelo de datos "Favorite": un servicio que un usuario guardó
+// en sus favoritos (ver routes/favoritos.js).
+//
+// Reglas:
+// - Un favorito por usuario y por servicio (índice único).
+// - Si el servicio se borra (soft delete), se suspende o vuelve a moderación, el
+//   favorito NO se borra: deja de aparecer en GET /favoritos y vuelve a aparecer si el
+//   servicio se restaura o se aprueba de nuevo.
+// - Cuando el servicio se borra definitivamente (DELETE /profile/cleanup), sus
+//   favoritos se borran con él.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const mongoose = require("mongoose");
+
+const favoriteSchema = new mongoose.Schema({
+
+    // Usuario que guardó el favorito
+    usuario: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+
+    // Servicio guardado
+    servicio: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Service",
+        required: true,
+        index: true
+    }
+
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Un favorito por usuario y por servicio
+favoriteSchema.index({ usuario: 1, servicio: 1 }, { unique: true });
+
+// Listado de favoritos de un usuario, del más nuevo al más viejo
+favoriteSchema.index({ usuario: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Favorite", favoriteSchema);
@@ -0,0 +1,211 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// ¿Qué hace este archivo jobRequest.js?
+// Este archivo define el modelo de datos "JobRequest": la solicitud de trabajo que un
+// cliente le manda a un prestador (a uno de sus servicios) describiendo lo que necesita,
+// y la respuesta del prestador (ver routes/solicitudes.js).
+//
+// Hasta ahora lo único que registrábamos era el Click en "WhatsApp" o "Teléfono";
+// con las solicitudes queda registrado qué se pidió, qué se cotizó y cómo terminó.
+//
+// Estados:
+// - pendiente → el cliente la envió y el prestador todavía no respondió.
+// - cotizada  → el prestador mandó un presupuesto (precio y validez). Puede mandar otro.
+// - aceptada  → el prestador la aceptó directamente, o el cliente aceptó el presupuesto.
+// - rechazada → el prestador la rechazó, o el cliente rechazó el presupuesto.
+// - cancelada → el cliente la retiró antes de que se cerrara.
+// - vencida   → el presupuesto venció sin que el cliente respondiera.
+//
+// Cada cambio de estado queda en "historial" (quién, cuándo y con qué nota), que ven
+// las dos partes.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const mongoose = require("mongoose");
+
+const ESTADOS = ["pendiente", "cotizada", "aceptada", "rechazada", "cancelada", "vencida"];
+
+// Estados en los que la solicitud sigue abierta (esperando una respuesta)
+const ESTADOS_ABIERTOS = ["pendiente", "cotizada"];
+
+// Transiciones permitidas: para cada estado DESTINO, quién puede llevarla ahí
+// y desde qué estados.
+// "vencida" no figura: la pone el sistema (JobRequest.vencerPresupuestos).
+const TRANSICIONES = {
+    cotizada: { prestador: ["pendiente", "cotizada"] },
+    aceptada: { prestador: ["pendiente"], cliente: ["cotizada"] },
+    rechazada: { prestador: ["pendiente", "cotizada"], cliente: ["cotizada"] },
+    cancelada: { cliente: ["pendiente", "cotizada"] }
+};
+
+// Presupuesto del prestador
+const presupuestoSchema = new mongoose.Schema({
+    precio: { type: Number, required: true, min: 0 },
+    moneda: { type: String, required: true, uppercase: true, match: /^[A-Z]{3}$/, default: "ARS" },
+    detalle: { type: String, trim: true, maxlength: 1000 },
+    validoHasta: { type: Date, required: true },
+    fecha: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Cambio de estado (historial)
+const cambioSchema = new mongoose.Schema({
+    estado: { type: String, enum: ESTADOS, required: true },
+    por: { type: String, enum: ["cliente", "prestador", "sistema"], required: true },
+    nota: { type: String, maxlength: 500 },
+    presupuesto: { type: presupuestoSchema, default: undefined }, // el que se envió en ese cambio
+    fecha: { type: Date, default: Date.now }
+}, { _id: false });
+
+const jobRequestSchema = new mongoose.Schema({
+
+    // Cliente que pide el trabajo
+    cliente: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+
+    // Servicio al que se le pide
+    servicio: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Service",
+        required: true,
+        index: true
+    },
+
+    // Nombre del servicio al momento de pedir (para los listados y avisos, aunque
+    // después se renombre o se borre)
+    servicioNombre: {
+        type: String,
+        required: true
+    },
+
+    // Dueño del servicio al momento de pedir (quien responde)
+    prestador: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+
+    // Categoría del trabajo (del catálogo; por defecto, la del servicio)
+    categoria: { type: String, required: true },
+    categoriaSlug: { type: String, required: true },
+
+    // Dónde es el trabajo (del catálogo de localidades)
+    localidad: { type: String, required: true },
+    localidadSlug: { type: String, required: true },
+
+    // Qué necesita el cliente
+    descripcion: {
+        type: String,
+        required: true,
+        trim: true,
+        minlength: 10,
+        maxlength: 2000
+    },
+
+    // Cuándo le gustaría que se haga (opcional)
+    fechaPreferida: {
+        type: Date,
+        default: null
+    },
+
+    estado: {
+        type: String,
+        enum: ESTADOS,
+        default: "pendiente"
+    },
+
+    // Último presupuesto enviado (los anteriores quedan en el historial)
+    presupuesto: {
+        type: presupuestoSchema,
+        default: undefined
+    },
+
+    historial: {
+        type: [cambioSchema],
+        default: () => [{ estado: "pendiente", por: "cliente" }]
+    }
+
+}, {
+    timestamps: true,
+    // Cada cambio de estado se lee, se controla y se guarda. Si las dos partes actúan a
+    // la vez (e.g. el cliente acepta mientras el prestador manda otro presupuesto),
+    // el segundo save() falla con VersionError en vez de pisar al primero.
+    optimisticConcurrency: true
+});
+
+// Listados de cada lado, de la más nueva a la más vieja (con o sin filtro de estado)
+jobRequestSchema.index({ cliente: 1, createdAt: -1 });
+jobRequestSchema.index({ prestador: 1, estado: 1, createdAt: -1 });
+
+// Vencimiento de presupuestos
+jobRequestSchema.index({ estado: 1, "presupuesto.validoHasta": 1 });
+
+/**
+ * Indica si la parte indicada puede llevar la solicitud al estado indicado (ver TRANSICIONES).
+ *
+ * @param {string} estado - Estado destino
+ * @param {"cliente"|"prestador"} parte
+ * @returns {boolean}
+ */
+jobRequestSchema.methods.puedePasarA = function (estado, parte) {
+    const permitidas = (TRANSICIONES[estado] || {})[parte] || [];
+    return permitidas.includes(this.estado);
+};
+
+/**
+ * Cambia el estado y lo anota en el historial. No guarda: lo guarda la ruta.
+ *
+ * @param {string} estado - Uno de ESTADOS
+ * @param {object} opciones
+ * @param {"cliente"|"prestador"|"sistema"} opciones.por - Quién hizo el cambio
+ * @param {string} [opciones.nota] - Texto libre para la otra parte
+ * @param {object} [opciones.presupuesto] - Presupuesto nuevo (solo al cotizar)
+ */
+jobRequestSchema.methods.cambiarEstado = function (estado, { por, nota, presupuesto } = {}) {
+    this.estado = estado;
+    if (presupuesto) this.presupuesto = presupuesto;
+    this.historial.push({ estado, por, nota, presupuesto });
+};
+
+/**
+ * Indica qué parte de la solicitud es un usuario.
+ *
+ * @param {string} usuarioId
+ * @returns {"cliente"|"prestador"|null}
+ */
+jobRequestSchema.methods.parteDe = function (usuarioId) {
+    if (String(this.cliente._id || this.cliente) === String(usuarioId)) return "cliente";
+    if (String(this.prestador._id || this.prestador) === String(usuarioId)) return "prestador";
+    return null;
+};
+
+const JobRequest = mongoose.model("JobRequest", jobRequestSchema);
+
+/**
+ * Pasa a "vencida" las solicitudes cotizadas cuyo presupuesto ya venció.
+ * Se llama antes de listar o de actuar sobre una solicitud: así el estado siempre está
+ * al día sin necesitar un proceso aparte.
+ *
+ * @param {object} [filtro={}] - Para limitarlo a las solicitudes de un usuario
+ * @returns {Promise<number>} - Cuántas vencieron
+ */
+JobRequest.vencerPresupuestos = async function (filtro = {}) {
+    const ahora = new Date();
+
+    const resultado = await JobRequest.updateMany(
+        { ...filtro, estado: "cotizada", "presupuesto.validoHasta": { $lt: ahora } },
+        {
+            $set: { estado: "vencida" },
+            $push: { historial: { estado: "vencida", por: "sistema", nota: "El presupuesto venció", fecha: ahora } },
+            // Nueva versión: un save() en curso sobre la solicitud ya no la puede pisar
+            $inc: { __v: 1 }
+        }
+    );
+
+    return resultado.modifiedCount;
+};
+
+JobRequest.ESTADOS = ESTADOS;
+JobRequest.ESTADOS_ABIERTOS = ESTADOS_ABIERTOS;
+
+module.exports = JobRequest;
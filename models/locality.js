@@ -0,0 +1,71 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// ¿Qué hace este archivo locality.js?
+// Este archivo define el modelo de datos "Locality": el catálogo de localidades
+// donde pueden trabajar los prestadores.
+//
+// Cada localidad tiene:
+// - nombre y provincia (lo que ve el usuario).
+// - slug: identificador único y legible ("san-lorenzo-santa-fe"), sin tildes.
+//   Es lo que guardan los servicios y lo que se usa en los filtros.
+// - vecinos: slugs de las localidades limítrofes. La relación es simétrica
+//   (si A es vecina de B, B es vecina de A).
+//
+// Con este modelo logramos:
+// - Que "localidad" deje de ser texto libre ("Rosario", "rosario", "Rosario, SF"...).
+// - Que un prestador declare qué otras localidades cubre.
+// - Que GET /serv?localidad=X encuentre también a quienes cubren X.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const mongoose = require("mongoose");
+const { normalizarTexto, slugificar } = require("../utils/texto");
+
+const localitySchema = new mongoose.Schema({
+
+    // Nombre de la localidad tal como se muestra (e.g. "San Lorenzo")
+    nombre: {
+        type: String,
+        required: true,
+        trim: true,
+        minlength: 2,
+        maxlength: 100
+    },
+
+    // Provincia (o región) a la que pertenece. Distingue localidades con el mismo nombre.
+    provincia: {
+        type: String,
+        required: true,
+        trim: true,
+        minlength: 2,
+        maxlength: 100
+    },
+
+    // Identificador único armado con nombre y provincia. Se calcula solo al crearla.
+    slug: {
+        type: String,
+        unique: true,
+        index: true
+    },
+
+    // Nombre normalizado (sin tildes, en minúsculas) para buscar por prefijo
+    nombreNormalizado: {
+        type: String,
+        index: true
+    },
+
+    // Slugs de las localidades limítrofes
+    vecinos: [{
+        type: String
+    }]
+
+}, {
+    timestamps: true
+});
+
+// Antes de validar calculamos el slug y el nombre normalizado.
+// El slug se calcula una sola vez: los servicios lo guardan, así que no debe cambiar.
+localitySchema.pre("validate", function () {
+    if (!this.slug) this.slug = slugificar(this.nombre, this.provincia);
+    this.nombreNormalizado = normalizarTexto(this.nombre);
+});
+
+module.exports = mongoose.model("Locality", localitySchema);
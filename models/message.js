@@ -0,0 +1,49 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// ¿Qué hace este archivo message.js?
+// Este archivo define el modelo de datos "Message": cada mensaje de una conversación
+// entre un cliente y un servicio (ver models/conversation.js).
+//
+// Si está leído no se guarda en cada mensaje: sale de comparar su fecha con
+// Conversation.leidoHasta de la otra parte (una sola escritura al leer, no una por mensaje).
+///////////////////////////////////////////////////////////////////////////////////////
+
+const mongoose = require("mongoose");
+
+const messageSchema = new mongoose.Schema({
+
+    // Conversación a la que pertenece
+    conversacion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Conversation",
+        required: true
+    },
+
+    // Usuario que lo escribió
+    autor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+
+    // Si lo escribió el cliente o el prestador
+    parte: {
+        type: String,
+        enum: ["cliente", "prestador"],
+        required: true
+    },
+
+    texto: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 2000
+    }
+
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Mensajes de una conversación, del más nuevo al más viejo
+messageSchema.index({ conversacion: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Message", messageSchema);
@@ -0,0 +1,90 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// ¿Qué hace este archivo otpRequest.js?
+// Este archivo define el modelo de datos "OtpRequest", que registra cada pedido de
+// código de verificación a /auth/register: tanto los que se enviaron como los que
+// se bloquearon.
+//
+// Nos permite:
+// - Aplicar una espera mínima entre códigos para el mismo número (cooldown).
+// - Aplicar topes diarios por número y por código de país.
+// - Que un admin vea los intentos bloqueados (posible fraude por SMS premium).
+//
+// Como es persistente, los límites se respetan aunque el atacante cambie de IP
+// o aunque el backend se reinicie.
+//
+// Los registros se borran solos a los 30 días (índice TTL).
+///////////////////////////////////////////////////////////////////////////////////////
+
+const mongoose = require("mongoose");
+
+// Motivos por los que se puede bloquear un pedido de código
+const MOTIVOS_BLOQUEO = [
+    "cooldown",             // pidió otro código antes de la espera mínima
+    "limite_numero",        // superó el tope diario para su número
+    "limite_prefijo",       // su código de país superó el tope diario
+    "prefijo_bloqueado",    // el número empieza con un prefijo bloqueado
+    "prefijo_no_permitido"  // hay lista de permitidos y el número no está en ella
+];
+
+const otpRequestSchema = new mongoose.Schema({
+
+    // Teléfono al que se pidió el código
+    telefono: {
+        type: String,
+        required: true
+    },
+
+    // Código de país del teléfono (p. ej. "+54"), para los topes por país
+    prefijo: {
+        type: String,
+        default: null
+    },
+
+    // IP desde la que se hizo el pedido
+    ip: {
+        type: String,
+        default: null
+    },
+
+    // "enviado" si se llegó a llamar a sendSMS, "bloqueado" si se frenó antes
+    estado: {
+        type: String,
+        required: true,
+        enum: ["enviado", "bloqueado"]
+    },
+
+    // Motivo del bloqueo (solo si estado = "bloqueado")
+    motivo: {
+        type: String,
+        enum: MOTIVOS_BLOQUEO,
+        default: null
+    },
+
+    // Turno de cooldown que reservó este envío: "<telefono>:<número de turno>".
+    // Es único, así que de varios pedidos simultáneos al mismo número solo uno
+    // puede quedarse con el turno (ver utils/otpGuard.js). null en los bloqueados.
+    turno: {
+        type: String,
+        default: null
+    },
+
+    // Fecha del pedido. Se borra automáticamente a los 30 días.
+    fecha: {
+        type: Date,
+        default: Date.now,
+        index: { expireAfterSeconds: 30 * 24 * 60 * 60 }
+    }
+
+});
+
+// Índices para contar rápido los envíos recientes por número, por país y los bloqueos
+otpRequestSchema.index({ telefono: 1, estado: 1, fecha: -1 });
+otpRequestSchema.index({ prefijo: 1, estado: 1, fecha: -1 });
+otpRequestSchema.index({ estado: 1, fecha: -1 });
+otpRequestSchema.index({ turno: 1 }, { unique: true, partialFilterExpression: { turno: { $type: "string" } } });
+
+const OtpRequest = mongoose.model("OtpRequest", otpRequestSchema);
+
+OtpRequest.MOTIVOS_BLOQUEO = MOTIVOS_BLOQUEO;
+
+module.exports = OtpRequest;
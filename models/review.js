@@ -0,0 +1,167 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// ¿Qué hace este archivo review.js?
+// Este archivo define el modelo de datos "Review": la reseña que un cliente deja
+// sobre un servicio (estrellas y comentario), más la respuesta del prestador.
+//
+// Reglas:
+// - Solo usuarios verificados pueden reseñar, y nunca su propio servicio.
+// - Una reseña por prestador y por usuario (índice único): un prestador puede tener
+//   varios servicios, y reseñar cada uno sería inflar (o hundir) su reputación. Si
+//   quiere cambiar de opinión, edita la suya. Los servicios sin dueño (cargados antes
+//   de existir owner) quedan con una reseña por servicio.
+// - Cualquier usuario verificado puede reportar una reseña abusiva (una vez cada uno).
+//   Un moderador decide si se oculta.
+//
+// El promedio de estrellas y la cantidad de reseñas se guardan en el servicio
+// (rating y cantidadResenas) con Review.recalcularRating(), para poder filtrar y
+// ordenar GET /serv sin recorrer las reseñas. Las reseñas ocultas no cuentan.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const mongoose = require("mongoose");
+
+// Motivos para reportar una reseña
+const MOTIVOS_REPORTE = ["ofensiva", "spam", "falsa", "datos_personales", "otro"];
+
+// Reporte de abuso de un usuario
+const reporteSchema = new mongoose.Schema({
+    usuario: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    motivo: { type: String, enum: MOTIVOS_REPORTE, required: true },
+    detalle: { type: String, maxlength: 500 },
+    fecha: { type: Date, default: Date.now }
+}, { _id: false });
+
+const reviewSchema = new mongoose.Schema({
+
+    // Servicio reseñado
+    servicio: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Service",
+        required: true
+    },
+
+    // Dueño del servicio al momento de reseñar (null si el servicio no tiene dueño).
+    // Las reseñas anteriores a este campo se completan con scripts/asignarPrestadorResenas.js.
+    prestador: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null
+    },
+
+    // Usuario que escribió la reseña
+    autor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+
+    // Calificación de 1 a 5 estrellas (enteras)
+    estrellas: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 5,
+        validate: {
+            validator: Number.isInteger,
+            message: "Las estrellas deben ser un número entero de 1 a 5"
+        }
+    },
+
+    // Comentario (opcional)
+    texto: {
+        type: String,
+        trim: true,
+        maxlength: 1000
+    },
+
+    // Respuesta del dueño del servicio (una sola; si responde de nuevo, se reemplaza)
+    respuesta: {
+        type: new mongoose.Schema({
+            texto: { type: String, required: true, trim: true, maxlength: 1000 },
+            fecha: { type: Date, default: Date.now }
+        }, { _id: false }),
+        default: undefined
+    },
+
+    // Reportes de abuso (uno por usuario). No se devuelven en las respuestas públicas.
+    reportes: {
+        type: [reporteSchema],
+        default: []
+    },
+
+    // Cantidad de reportes (para ordenar la cola de moderación)
+    cantidadReportes: {
+        type: Number,
+        default: 0,
+        index: true
+    },
+
+    // Oculta por un moderador: no se muestra ni cuenta para el promedio
+    oculta: {
+        type: Boolean,
+        default: false
+    },
+
+    // Reportes ya revisados: la reseña sale de la cola hasta que llegue un reporte nuevo
+    reportesRevisados: {
+        type: Boolean,
+        default: false
+    }
+
+}, {
+    timestamps: true,
+
+    // Los reportes son internos (solo los ven los moderadores)
+    toJSON: {
+        transform: (doc, ret) => {
+            delete ret.reportes;
+            delete ret.reportesRevisados;
+            return ret;
+        }
+    }
+});
+
+// Una reseña por servicio y por usuario, y una por prestador y por usuario
+// (solo si el servicio tiene dueño)
+reviewSchema.index({ servicio: 1, autor: 1 }, { unique: true });
+reviewSchema.index(
+    { prestador: 1, autor: 1 },
+    { unique: true, partialFilterExpression: { prestador: { $type: "objectId" } } }
+);
+
+// Listado de reseñas de un servicio, de la más nueva a la más vieja
+reviewSchema.index({ servicio: 1, oculta: 1, createdAt: -1 });
+
+const Review = mongoose.model("Review", reviewSchema);
+
+/**
+ * Recalcula el promedio de estrellas y la cantidad de reseñas visibles de un servicio
+ * y los guarda en el servicio. Llamar después de crear, editar, borrar u ocultar una reseña.
+ *
+ * @param {string|object} servicioId
+ * @returns {Promise<{ rating: number, cantidadResenas: number }>}
+ */
+Review.recalcularRating = async function (servicioId) {
+    // Se carga acá para no crear una dependencia circular entre modelos
+    const Service = mongoose.model("Service");
+    const id = new mongoose.Types.ObjectId(String(servicioId));
+
+    const [resumen] = await Review.aggregate([
+        { $match: { servicio: id, oculta: false } },
+        { $group: { _id: null, promedio: { $avg: "$estrellas" }, cantidad: { $sum: 1 } } }
+    ]);
+
+    const datos = {
+        rating: resumen ? Math.round(resumen.promedio * 100) / 100 : 0,
+        cantidadResenas: resumen ? resumen.cantidad : 0
+    };
+
+    // Sin tocar updatedAt: el servicio en sí no cambió
+    await Service.updateOne({ _id: id }, { $set: datos }, { timestamps: false });
+
+    return datos;
+};
+
+Review.MOTIVOS_REPORTE = MOTIVOS_REPORTE;
+
+module.exports = Review;
@@ -11,6 +11,129 @@
 
 // Importamos el módulo 'mongoose', que es la herramienta principal para definir esquemas y modelos con MongoDB
 const mongoose = require("mongoose");
+const { normalizarTelefono, esE164 } = require("../utils/phone");
+const { tokenizar } = require("../utils/texto");
+const { DIAS, ZONA_HORARIA_DEFECTO, esZonaHoraria, calcularFranjas } = require("../utils/horarios");
+const { urlPublica } = require("../utils/almacenamiento");
+
+// Caracteres permitidos en el nombre: letras (con tildes y ñ) y espacios.
+// Las rutas lo usan también en sus esquemas Joi, para responder 400 antes de guardar.
+const PATRON_NOMBRE = /^[A-Za-zÁÉÍÓÚáéíóúÑñ\s]+$/;
+
+// Punto geográfico en formato GeoJSON: { type: "Point", coordinates: [longitud, latitud] }
+// OJO: GeoJSON usa primero la longitud y después la latitud.
+const puntoSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ["Point"],
+        default: "Point",
+        required: true
+    },
+    coordinates: {
+        type: [Number],
+        required: true,
+        validate: {
+            validator: function (v) {
+                return v.length === 2 && v[0] >= -180 && v[0] <= 180 && v[1] >= -90 && v[1] <= 90;
+            },
+            message: "Las coordenadas deben ser [longitud, latitud] válidas"
+        }
+    }
+}, { _id: false });
+
+// Intervalo de atención dentro de un día, en hora local: { desde: "08:00", hasta: "13:00" }.
+// Si "hasta" es menor que "desde", el intervalo termina al día siguiente (turno noche).
+const intervaloSchema = new mongoose.Schema({
+    desde: { type: String, required: true, match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+    hasta: { type: String, required: true, match: /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/ }
+}, { _id: false });
+
+// Horarios de la semana: un array de intervalos por día ("lunes" ... "domingo")
+const diasSchema = new mongoose.Schema(
+    Object.fromEntries(DIAS.map(dia => [dia, { type: [intervaloSchema], default: undefined }])),
+    { _id: false }
+);
+
+// Franja en minutos de la semana (lunes 00:00 = 0). Se calcula sola a partir de los días.
+const franjaSchema = new mongoose.Schema({
+    desde: Number,
+    hasta: Number
+}, { _id: false });
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Moderación
+// - pendiente  → recién publicado (o editado por el dueño): todavía no es público.
+// - aprobado   → revisado por un moderador: es el ÚNICO estado que se ve en GET /serv.
+// - rechazado  → no se publica; el dueño puede corregirlo y vuelve a "pendiente".
+// - suspendido → estaba publicado y un moderador lo bajó; solo un moderador lo reactiva.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const ESTADOS_MODERACION = ["pendiente", "aprobado", "rechazado", "suspendido"];
+
+// Motivos de rechazo o suspensión (el moderador puede sumar un detalle en texto libre)
+const MOTIVOS_MODERACION = [
+    "contenido_inapropiado",
+    "datos_falsos",
+    "spam",
+    "categoria_incorrecta",
+    "duplicado",
+    "otro"
+];
+
+// Desde qué estados se puede llegar a cada uno
+const TRANSICIONES_MODERACION = {
+    pendiente: ["aprobado", "rechazado"],             // el dueño editó un campo moderado
+    aprobado: ["pendiente", "rechazado", "suspendido"],
+    rechazado: ["pendiente"],
+    suspendido: ["aprobado"]
+};
+
+// Campos públicos que, si los cambia el dueño, vuelven a pasar por moderación
+// (en las fotos, solo al subir una nueva: borrar u ordenar no hace falta revisarlo)
+const CAMPOS_MODERADOS = ["nombre", "tipoServicio", "categoria", "logo", "galeria"];
+
+// Cambio de estado de moderación (historial)
+const cambioModeracionSchema = new mongoose.Schema({
+    estado: { type: String, enum: ESTADOS_MODERACION, required: true },
+    motivo: { type: String, enum: MOTIVOS_MODERACION },
+    detalle: { type: String, maxlength: 500 },
+    por: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // null: cambio automático
+    fecha: { type: Date, default: Date.now }
+}, { _id: false });
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Reportes de abuso
+// Cualquier usuario verificado puede reportar un servicio publicado (una vez cada uno).
+// Los reportes esperan a un moderador (GET /moderacion/reportes), pero si un servicio
+// junta suficientes reportes sin revisar de usuarios distintos, se oculta solo: vuelve
+// a "pendiente" hasta que un moderador lo revise.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const MOTIVOS_REPORTE = ["datos_falsos", "estafa", "contenido_inapropiado", "spam", "duplicado", "otro"];
+
+// Motivos graves: con estos alcanza con menos reportes para ocultarlo
+const MOTIVOS_REPORTE_GRAVES = ["estafa", "contenido_inapropiado"];
+
+// Reportes sin revisar (de usuarios distintos) que ocultan el servicio
+const UMBRAL_REPORTES = Number(process.env.REPORTES_UMBRAL) || 5;
+const UMBRAL_REPORTES_GRAVES = Number(process.env.REPORTES_UMBRAL_GRAVES) || 3;
+
+// Reporte de abuso de un usuario
+const reporteSchema = new mongoose.Schema({
+    usuario: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    motivo: { type: String, enum: MOTIVOS_REPORTE, required: true },
+    detalle: { type: String, maxlength: 500 },
+    fecha: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Imagen subida por el prestador (logo o foto de la galería). "clave" identifica el archivo
+// en el almacenamiento (utils/almacenamiento.js); las respuestas traen su "url" en su lugar.
+const imagenSchema = new mongoose.Schema({
+    clave: { type: String, required: true },
+    tipo: { type: String, enum: ["image/jpeg", "image/png", "image/webp"], required: true },
+    tamanio: { type: Number, required: true }, // bytes
+    fecha: { type: Date, default: Date.now }
+});
 
 // Creamos un esquema que define la estructura de cada documento en la colección 'services'
 // Cada campo está validado para asegurar integridad y calidad de datos
@@ -28,207 +151,46 @@ const serviceSchema = new mongoose.Schema({
         validate: {
             // Permitimos solo letras (mayúsculas y minúsculas), acentos y espacios
             validator: function (v) {
-                return /^[A-Za-zÁÉÍÓÚáéíóúÑñ\s]+$/.test(v);
+                return PATRON_NOMBRE.test(v);
             },
             message: props => `${props.value} no es un nombre válido`
         }
     },
 
-    // Teléfono de contacto. Solo se aceptan números, con posible "+" al inicio (formato internacional)
+    // Usuario dueño del servicio (el prestador que lo publicó).
+    // Un mismo usuario puede tener varios servicios. Solo el dueño (o un moderador/admin)
+    // puede editarlo o borrarlo. Los servicios cargados antes de existir este campo se
+    // asignan con scripts/asignarDuenios.js.
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        index: true
+    },
+
+    // Teléfono de contacto. Se guarda normalizado a E.164 (ver utils/phone.js)
     telefono: {
         type: String,
         required: true,
+        set: v => normalizarTelefono(v) || v,
         validate: {
-            validator: function (v) {
-                return /^\+?\d{7,15}$/.test(v); // de 7 a 15 dígitos
-            },
+            validator: esE164,
             message: props => `${props.value} no es un número de teléfono válido`
         }
     },
 
-    // Categoría del servicio. Solo se aceptan los valores definidos en el "enum". Indexado para búsquedas.
+    // Categoría del servicio. Es el nombre tal como figura en el catálogo de categorías
+    // (models/category.js); las rutas lo validan contra ese catálogo. Indexado para búsquedas.
     categoria: {
         type: String,
         required: true,
-        enum: [
-
-            // =========================================================
-            // Categorías — Servicios para el hogar
-            // =========================================================
-            "Plomería",
-            "Electricidad",
-            "Herrería",
-            "Carpintería",
-            "Gas",
-            "Informática",
-            "Limpieza doméstica",
-            "Fumigación",
-            "Reparaciones generales",
-            "Climatización (aires, calefacción)",
-            "Colocación de pisos / revestimientos",
-            "Vidriería",
-            "Impermeabilización",
-            "Rejas y estructuras metálicas",
-            "Colocación de cortinas",
-            "Mantenimiento de piletas",
-            "Armado de muebles",
-            "Persianas y toldos",
-
-            // =========================================================
-            // Categorías — Servicios para el cuidado de la familia
-            // =========================================================
-            "Enfermería",
-            "Medicina a domicilio",
-            "Niñeras",
-            "Acompañante terapéutico",
-            "Psicólogos",
-            "Fonoaudiólogos",
-            "Maestras particulares",
-            "Kinesiología",
-            "Terapias alternativas",
-            "Psicopedagogía",
-            "Fisioterapia",
-            "Cuidadores de adultos mayores",
-            "Acompañamiento escolar",
-            "Logopedas",
-            "Musicoterapia",
-            "Asistencia escolar a domicilio",
-
-            // =========================================================
-            // Categorías — Lavadero y mantenimiento
-            // =========================================================
-            "Lavadero de ropa",
-            "Lavadero de coches",
-            "Tintorerías",
-            "Limpieza de alfombras y tapizados",
-            "Limpieza industrial / comercial",
-            "Lavado de sillones",
-            "Limpieza de cortinas",
-            "Servicios de planchado",
-            "Lavado de colchones",
-            "Limpieza post obra",
-            "Limpieza de piletas",
-            "Limpieza de vidrios en altura",
-            "Lavado de tapizados de autos",
-            "Limpieza de tanques de agua",
-
-            // =========================================================
-            // Categorías — Profesionales y técnicos
-            // =========================================================
-            "Abogados",
-            "Contadores",
-            "Traductores",
-            "Asesores impositivos",
-            "Ingenieros",
-            "Arquitectos",
-            "Desarrolladores de software",
-            "Diseñadores gráficos",
-            "Marketing digital",
-            "Reparadores de electrodomésticos",
-            "Técnicos electrónicos",
-            "Electricistas matriculados",
-            "Gestores administrativos",
-            "Técnicos en refrigeración",
-            "Técnicos de PC",
-            "Diseñadores industriales",
-            "Auditores",
-            "Consultores empresariales",
-            "Gestoría vehicular",
-            "Peritos",
-            "Agrimensores",
-            "Topógrafos",
-            "Fotógrafos profesionales",
-
-            // =========================================================
-            // Categorías — Eventos y entretenimiento
-            // =========================================================
-            "Fotografía y video de eventos",
-            "Música en vivo",
-            "Animadores infantiles",
-            "Catering",
-            "Decoradores",
-            "Alquiler de livings y mobiliario",
-            "Pastelería para eventos",
-            "Organización de fiestas",
-            "Sonido e iluminación",
-            "Magos / shows",
-            "Carpas y gazebos para eventos",
-            "Bartenders",
-            "Alquiler de vajilla",
-            "Wedding planners",
-            "Food trucks",
-            "Animación para adultos",
-            "Cotillón personalizado",
-            "Escenografía para eventos",
-
-            // =========================================================
-            // Categorías — Transporte y logística
-            // =========================================================
-            "Fletes",
-            "Mudanzas",
-            "Moto mensajería",
-            "Chofer particular",
-            "Transportes especiales",
-            "Delivery de productos voluminosos",
-            "Transporte de personas",
-            "Transporte de mascotas",
-            "Cargas refrigeradas",
-            "Transporte escolar",
-            "Courier internacional",
-            "Alquiler de camionetas",
-            "Chofer profesional para empresas",
-            "Distribución de correspondencia",
-            "Traslados corporativos",
-            "Camiones con hidrogrúa",
-
-            // =========================================================
-            // Categorías — Animales y mascotas
-            // =========================================================
-            "Paseadores de perros",
-            "Peluquería canina / felina",
-            "Adiestradores",
-            "Veterinarios a domicilio",
-            "Guarderías caninas",
-            "Venta de alimentos y accesorios",
-            "Educación canina",
-            "Etología animal",
-            "Adopciones responsables",
-            "Fotografía de mascotas",
-            "Hospedaje para mascotas",
-            "Terapias alternativas animales",
-            "Spa para mascotas",
-            "Adiestramiento felino",
-
-            // =========================================================
-            // Categorías — Estética
-            // =========================================================
-            "Peluquería hombre, mujer y niños",
-            "Barberías",
-            "Cosmetología",
-            "Manicura / Pedicura",
-            "Maquillaje profesional",
-            "Depilación",
-            "Masajes estéticos",
-            "Spa a domicilio",
-            "Estética corporal",
-            "Tratamientos faciales",
-            "Microblading",
-            "Diseño de cejas",
-            "Peinados para eventos",
-            "Uñas esculpidas",
-            "Extensiones de pestañas",
-            "Micropigmentación",
-            "Limpieza facial profunda",
-            "Bronceado sin sol",
-            "Diseño de sonrisa estética",
-
-            // =========================================================
-            // Categorías originales que ya teníamos
-            // =========================================================
-            "Pastelería",
-            "Huevos de Gallina"
-
-        ],
+        index: true
+    },
+
+    // Slug de la categoría en el catálogo (e.g. "plomeria"). Es el dato que usan los filtros,
+    // y no cambia si la categoría se renombra.
+    // Los servicios cargados antes del catálogo se completan con scripts/migrarCategorias.js.
+    categoriaSlug: {
+        type: String,
         index: true
     },
 
@@ -242,6 +204,7 @@ const serviceSchema = new mongoose.Schema({
     },
 
     // Localidad donde trabaja el prestador. Validamos tamaño mínimo y máximo. Indexado para búsquedas.
+    // Es el nombre tal como figura en el catálogo de localidades (models/locality.js).
     localidad: {
         type: String,
         required: true,
@@ -250,27 +213,57 @@ const serviceSchema = new mongoose.Schema({
         maxlength: 100
     },
 
-    // Hora en la que comienza a trabajar. Número entre 0 y 23.
-    horaDesde: {
-        type: Number,
-        required: true,
-        min: 0,
-        max: 23
+    // Slug de la localidad en el catálogo (e.g. "funes-santa-fe"). Es el dato que usan los filtros.
+    // Los servicios cargados antes del catálogo se completan con scripts/migrarLocalidades.js.
+    localidadSlug: {
+        type: String,
+        index: true
     },
 
-    // Hora en la que termina de trabajar. Número entre 0 y 23. Debe ser mayor que horaDesde.
-    horaHasta: {
+    // Slugs de las OTRAS localidades que cubre el prestador.
+    // GET /serv?localidad=X devuelve los servicios de X y los que tienen X en esta lista.
+    localidadesCobertura: {
+        type: [String],
+        index: true
+    },
+
+    // Ubicación del prestador (opcional). Permite buscar por distancia con GET /serv?lat=&lng=.
+    // Indexada con 2dsphere (ver más abajo).
+    ubicacion: {
+        type: puntoSchema,
+        default: undefined
+    },
+
+    // Radio de cobertura en km (opcional). Si está definido, el servicio solo aparece en las
+    // búsquedas por distancia de clientes que estén dentro de ese radio.
+    radioCoberturaKm: {
         type: Number,
-        required: true,
-        min: 0,
-        max: 23,
-        validate: {
-            // Validamos que la hora final sea mayor que la inicial
-            validator: function (v) {
-                return v > this.horaDesde;
+        min: 0.1,
+        max: 500
+    },
+
+    // Horarios de atención por día de la semana, en la zona horaria del prestador
+    // (ver utils/horarios.js). "franjas" se recalcula antes de cada guardado y es la
+    // que usan los filtros abiertoAhora, dia y hora; no se devuelve en las respuestas.
+    horarios: {
+        type: new mongoose.Schema({
+            zonaHoraria: {
+                type: String,
+                default: ZONA_HORARIA_DEFECTO,
+                validate: {
+                    validator: esZonaHoraria,
+                    message: props => `${props.value} no es una zona horaria válida`
+                }
             },
-            message: props => `horaHasta (${props.value}) debe ser mayor que horaDesde (${props.instance.horaDesde})`
-        }
+            dias: {
+                type: diasSchema,
+                required: true
+            },
+            franjas: {
+                type: [franjaSchema]
+            }
+        }, { _id: false }),
+        required: true
     },
 
     // Indica si ofrece servicios de urgencias 24hs. Valor booleano.
@@ -279,19 +272,421 @@ const serviceSchema = new mongoose.Schema({
         default: false
     },
 
-    // Indica si trabaja en localidades cercanas. Valor booleano.
+    // Indica si trabaja en localidades cercanas (true si localidadesCobertura tiene alguna).
     localidadesCercanas: {
         type: Boolean,
         default: false
     },
 
+    // Logo del prestador (opcional). Se sube con PUT /profile/servicios/:id/logo.
+    logo: {
+        type: imagenSchema,
+        default: undefined
+    },
+
+    // Fotos de trabajos realizados, en el orden en que se muestran (hasta IMAGENES_MAX_GALERIA).
+    // Se gestionan en /profile/servicios/:id/galeria.
+    galeria: {
+        type: [imagenSchema],
+        default: []
+    },
+
+    // Reputación: promedio de estrellas (0 si no tiene reseñas) y cantidad de reseñas
+    // visibles. Los calcula Review.recalcularRating() cada vez que cambia una reseña
+    // (models/review.js); no se editan a mano. Los usan el filtro ratingMin y sort=-rating.
+    rating: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 5,
+        index: true
+    },
+
+    cantidadResenas: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    // Índice de búsqueda (GET /serv/search): palabras normalizadas (sin tildes, en minúsculas)
+    // de cada campo buscable, más la lista "tokens" con todas juntas (indexada).
+    // Se recalcula solo antes de cada guardado; no se devuelve en las respuestas.
+    busqueda: {
+        type: new mongoose.Schema({
+            nombre: [String],
+            tipoServicio: [String],
+            categoria: [String],
+            localidad: [String],
+            tokens: { type: [String], index: true }
+        }, { _id: false }),
+        select: false
+    },
+
+    // Estado de moderación (ver ESTADOS_MODERACION). Solo los "aprobado" son públicos.
+    // Los servicios publicados antes de la moderación se aprueban con scripts/migrarModeracion.js.
+    estadoModeracion: {
+        type: String,
+        enum: ESTADOS_MODERACION,
+        default: "pendiente",
+        index: true
+    },
+
+    // Última decisión: motivo y detalle (para mostrarle al dueño por qué se rechazó o
+    // suspendió), quién la tomó y desde cuándo está en el estado actual.
+    moderacion: {
+        type: new mongoose.Schema({
+            motivo: { type: String, enum: MOTIVOS_MODERACION },
+            detalle: { type: String, maxlength: 500 },
+            por: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+            fecha: { type: Date, default: Date.now }
+        }, { _id: false }),
+        default: () => ({})
+    },
+
+    // Todos los cambios de estado, del más viejo al más nuevo. Es interno: solo lo ven
+    // los moderadores (GET /moderacion/servicios/:id).
+    historialModeracion: {
+        type: [cambioModeracionSchema],
+        default: () => [{ estado: "pendiente" }]
+    },
+
+    // Reportes de abuso (uno por usuario). Son internos: no se traen salvo que se pidan
+    // con .select("+reportes") (solo los ven los moderadores).
+    reportes: {
+        type: [reporteSchema],
+        default: [],
+        select: false
+    },
+
+    // Reportes que todavía no revisó un moderador (para la cola de GET /moderacion/reportes)
+    reportesPendientes: {
+        type: Number,
+        default: 0,
+        index: true
+    },
+
+    // Hasta cuándo están revisados los reportes: los anteriores ya no cuentan para el umbral
+    reportesRevisadosHasta: {
+        type: Date,
+        default: null
+    },
+
+    // Soft delete: el servicio no se borra de la base, solo se marca como eliminado.
+    // Las consultas lo ocultan automáticamente (ver middleware más abajo) y el dueño
+    // puede restaurarlo durante DIAS_GRACIA_BORRADO días.
+    deleted: {
+        type: Boolean,
+        default: false,
+        index: true
+    },
+
+    // Fecha en que se eliminó (se usa para el plazo de restauración y para el cleanup definitivo)
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+
+    // Usuario que lo eliminó (el dueño, un moderador o un admin)
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        default: null
+    },
+
 }, {
     // Agregamos timestamps automáticos: createdAt y updatedAt
-    timestamps: true
+    timestamps: true,
+
+    // El índice de búsqueda, el historial de moderación y los reportes son internos: no
+    // los mostramos en las respuestas de la API
+    toJSON: {
+        transform: (doc, ret) => {
+            delete ret.busqueda;
+            delete ret.historialModeracion;
+            delete ret.reportes;
+            delete ret.reportesPendientes;
+            delete ret.reportesRevisadosHasta;
+            if (ret.horarios) delete ret.horarios.franjas;
+            return agregarUrlsImagenes(ret);
+        }
+    }
+});
+
+/**
+ * Reemplaza la "clave" de cada imagen (logo y galería) por su URL pública.
+ * Lo usa toJSON, y las rutas que devuelven resultados de un aggregate (que no pasan por toJSON).
+ *
+ * @param {object} servicio - Objeto plano del servicio
+ * @returns {object} - El mismo objeto
+ */
+function agregarUrlsImagenes(servicio) {
+    const conUrl = ({ clave, ...imagen }) => ({ ...imagen, url: urlPublica(clave) });
+
+    if (servicio.logo && servicio.logo.clave) servicio.logo = conUrl(servicio.logo);
+    if (Array.isArray(servicio.galeria)) servicio.galeria = servicio.galeria.map(conUrl);
+
+    return servicio;
+}
+
+// Índice geoespacial para las búsquedas por distancia ($geoNear)
+serviceSchema.index({ ubicacion: "2dsphere" });
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Índice de búsqueda
+//
+// Antes de validar (y por lo tanto antes de cada save) recalculamos las palabras
+// normalizadas de los campos buscables. Así "Plomería" se encuentra buscando "plomeria".
+///////////////////////////////////////////////////////////////////////////////////////
+
+// Campos que se pueden buscar con GET /serv/search
+const CAMPOS_BUSQUEDA = ["nombre", "tipoServicio", "categoria", "localidad"];
+
+/**
+ * Arma el índice de búsqueda de un servicio.
+ *
+ * @param {object} servicio - Documento o datos del servicio
+ * @returns {object} - { nombre: [...], tipoServicio: [...], categoria: [...], localidad: [...], tokens: [...] }
+ */
+function construirIndiceBusqueda(servicio) {
+    const indice = {};
+
+    CAMPOS_BUSQUEDA.forEach(campo => {
+        indice[campo] = tokenizar(servicio[campo]);
+    });
+
+    indice.tokens = [...new Set(CAMPOS_BUSQUEDA.flatMap(campo => indice[campo]))];
+
+    return indice;
+}
+
+serviceSchema.pre("validate", function () {
+    this.busqueda = construirIndiceBusqueda(this);
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Franjas horarias
+//
+// Antes de validar pasamos los horarios por día a minutos de la semana, para que
+// "abierto el martes a las 10" se pueda resolver con una consulta simple.
+///////////////////////////////////////////////////////////////////////////////////////
+
+serviceSchema.index({ "horarios.zonaHoraria": 1 });
+serviceSchema.index({ "horarios.franjas.desde": 1, "horarios.franjas.hasta": 1 });
+
+serviceSchema.pre("validate", function () {
+    if (this.horarios && this.horarios.dias) {
+        this.horarios.franjas = calcularFranjas(this.horarios.dias.toObject());
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Soft delete
+//
+// Qué hace:
+// - Todas las consultas (find, findOne, countDocuments, aggregate, ...) ocultan los
+//   servicios eliminados, sin que cada ruta tenga que acordarse de filtrarlos.
+// - Para incluirlos hay que pedirlo explícitamente:
+//     Service.find(filtro).setOptions({ incluirEliminados: true })
+//     Service.aggregate(pipeline).option({ incluirEliminados: true })
+// - Si el filtro ya pregunta por "deleted" (p. ej. el cleanup), se respeta tal cual.
+//
+// Variables de entorno:
+// - SOFT_DELETE_GRACIA_DIAS → días para restaurar un servicio eliminado (por defecto 30).
+//   Pasado ese plazo, DELETE /profile/cleanup lo borra definitivamente.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const DIAS_GRACIA_BORRADO = Number(process.env.SOFT_DELETE_GRACIA_DIAS) || 30;
+
+function ocultarEliminados() {
+    const incluirEliminados = this.options.incluirEliminados;
+    // La opción es nuestra: la sacamos para que no viaje al driver de MongoDB
+    delete this.options.incluirEliminados;
+
+    if (incluirEliminados || Object.prototype.hasOwnProperty.call(this.getFilter(), "deleted")) return;
+
+    this.where({ deleted: { $ne: true } });
+}
+
+serviceSchema.pre(
+    ["find", "findOne", "findOneAndUpdate", "findOneAndDelete", "countDocuments", "distinct"],
+    ocultarEliminados
+);
+
+serviceSchema.pre("aggregate", function () {
+    const incluirEliminados = this.options.incluirEliminados;
+    delete this.options.incluirEliminados;
+
+    if (incluirEliminados) return;
+
+    // $geoNear tiene que ser la primera etapa: en ese caso filtramos justo después
+    const pipeline = this.pipeline();
+    const posicion = pipeline.length && pipeline[0].$geoNear ? 1 : 0;
+
+    pipeline.splice(posicion, 0, { $match: { deleted: { $ne: true } } });
 });
 
-// Exportamos el modelo llamado 'Service' para que pueda ser usado en toda la app
-module.exports = mongoose.model("Service", serviceSchema);
+/**
+ * Marca el servicio como eliminado (soft delete) y lo guarda.
+ *
+ * @param {string} userId - Usuario que lo elimina
+ * @returns {Promise<object>} - El servicio guardado
+ */
+serviceSchema.methods.eliminar = function (userId) {
+    this.deleted = true;
+    this.deletedAt = new Date();
+    this.deletedBy = userId;
+
+    return this.save();
+};
+
+/**
+ * Devuelve hasta cuándo se puede restaurar el servicio eliminado.
+ *
+ * @returns {Date|null} - null si el servicio no está eliminado
+ */
+serviceSchema.methods.restaurableHasta = function () {
+    if (!this.deleted || !this.deletedAt) return null;
+
+    return new Date(this.deletedAt.getTime() + DIAS_GRACIA_BORRADO * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Indica si el servicio eliminado todavía se puede restaurar.
+ *
+ * @returns {boolean}
+ */
+serviceSchema.methods.puedeRestaurarse = function () {
+    const limite = this.restaurableHasta();
+
+    return Boolean(limite) && Date.now() <= limite.getTime();
+};
+
+/**
+ * Quita la marca de eliminado y lo guarda.
+ *
+ * @returns {Promise<object>} - El servicio guardado
+ */
+serviceSchema.methods.restaurar = function () {
+    this.deleted = false;
+    this.deletedAt = null;
+    this.deletedBy = null;
+
+    return this.save();
+};
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Moderación
+//
+// La cola de moderación (GET /moderacion/servicios) lista por estado, de lo que lleva
+// más tiempo esperando a lo más nuevo.
+///////////////////////////////////////////////////////////////////////////////////////
+
+serviceSchema.index({ estadoModeracion: 1, "moderacion.fecha": 1 });
+
+/**
+ * Indica si el servicio puede pasar al estado indicado (ver TRANSICIONES_MODERACION).
+ *
+ * @param {string} estado
+ * @returns {boolean}
+ */
+serviceSchema.methods.puedePasarA = function (estado) {
+    return (TRANSICIONES_MODERACION[estado] || []).includes(this.estadoModeracion || "pendiente");
+};
+
+/**
+ * Cambia el estado de moderación y lo anota en el historial. No guarda: lo guarda la ruta.
+ *
+ * @param {string} estado - Uno de ESTADOS_MODERACION
+ * @param {object} [opciones]
+ * @param {string} [opciones.motivo] - Uno de MOTIVOS_MODERACION
+ * @param {string} [opciones.detalle] - Texto libre para el dueño
+ * @param {string} [opciones.por] - Moderador (null si es un cambio automático)
+ */
+serviceSchema.methods.cambiarEstadoModeracion = function (estado, { motivo, detalle, por = null } = {}) {
+    const cambio = { estado, motivo, detalle, por, fecha: new Date() };
+
+    this.estadoModeracion = estado;
+    this.moderacion = { motivo, detalle, por, fecha: cambio.fecha };
+    this.historialModeracion.push(cambio);
+};
+
+/**
+ * Si el dueño cambió algún campo moderado (CAMPOS_MODERADOS) de un servicio aprobado
+ * o rechazado, lo vuelve a "pendiente" para que un moderador revise el cambio.
+ * Llamar después de asignar los cambios y antes de guardar.
+ *
+ * @returns {boolean} - true si volvió a pendiente
+ */
+serviceSchema.methods.revisarCambiosDelDuenio = function () {
+    const cambioModerado = CAMPOS_MODERADOS.some(campo => this.isModified(campo));
+
+    if (!cambioModerado || !["aprobado", "rechazado"].includes(this.estadoModeracion)) return false;
+
+    this.cambiarEstadoModeracion("pendiente", { detalle: "Editado por el dueño" });
+    return true;
+};
+
+/**
+ * Reportes que todavía no revisó un moderador. Requiere haber traído los reportes
+ * (.select("+reportes")).
+ *
+ * @returns {object[]}
+ */
+serviceSchema.methods.reportesSinRevisar = function () {
+    const desde = this.reportesRevisadosHasta;
+    return (this.reportes || []).filter(reporte => !desde || reporte.fecha > desde);
+};
+
+/**
+ * Indica si el servicio juntó suficientes reportes sin revisar para ocultarse solo
+ * (UMBRAL_REPORTES en total, o UMBRAL_REPORTES_GRAVES con motivos graves).
+ * Requiere haber traído los reportes (.select("+reportes")).
+ *
+ * @returns {boolean}
+ */
+serviceSchema.methods.superaUmbralReportes = function () {
+    const sinRevisar = this.reportesSinRevisar();
+    const graves = sinRevisar.filter(reporte => MOTIVOS_REPORTE_GRAVES.includes(reporte.motivo));
+
+    return sinRevisar.length >= UMBRAL_REPORTES || graves.length >= UMBRAL_REPORTES_GRAVES;
+};
+
+/**
+ * Da por revisados los reportes recibidos hasta ahora: el servicio sale de la cola de
+ * reportes hasta que llegue uno nuevo. No guarda: lo guarda la ruta.
+ */
+serviceSchema.methods.marcarReportesRevisados = function () {
+    this.reportesPendientes = 0;
+    this.reportesRevisadosHasta = new Date();
+};
+
+// Creamos el modelo llamado 'Service' para que pueda ser usado en toda la app
+const Service = mongoose.model("Service", serviceSchema);
+
+Service.DIAS_GRACIA_BORRADO = DIAS_GRACIA_BORRADO;
+Service.PATRON_NOMBRE = PATRON_NOMBRE;
+Service.CAMPOS_BUSQUEDA = CAMPOS_BUSQUEDA;
+Service.construirIndiceBusqueda = construirIndiceBusqueda;
+Service.ESTADOS_MODERACION = ESTADOS_MODERACION;
+Service.MOTIVOS_MODERACION = MOTIVOS_MODERACION;
+Service.CAMPOS_MODERADOS = CAMPOS_MODERADOS;
+Service.MOTIVOS_REPORTE = MOTIVOS_REPORTE;
+Service.MOTIVOS_REPORTE_GRAVES = MOTIVOS_REPORTE_GRAVES;
+Service.UMBRAL_REPORTES = UMBRAL_REPORTES;
+Service.UMBRAL_REPORTES_GRAVES = UMBRAL_REPORTES_GRAVES;
+Service.agregarUrlsImagenes = agregarUrlsImagenes;
+
+/**
+ * Claves de todos los archivos de un servicio (para borrarlos del almacenamiento).
+ *
+ * @param {object} servicio - Documento u objeto plano
+ * @returns {string[]}
+ */
+Service.clavesImagenes = function (servicio) {
+    return [servicio.logo, ...(servicio.galeria || [])].filter(Boolean).map(imagen => imagen.clave);
+};
+
+module.exports = Service;
 
 
 ///////////////////////////////////////////////////////////////////////////////////////
@@ -308,16 +703,23 @@ module.exports = mongoose.model("Service", serviceSchema);
 // Validaciones avanzadas con Mongoose:
 // Formato de nombre (solo letras y espacios)
 // Teléfono con formato internacional (+ opcional)
-// URL válida de imagen (fotoUrl)
-// Lógica de horarios (horaHasta debe ser mayor que horaDesde)
+// Logo y galería de fotos subidas por el prestador (con su URL pública)
+// Horarios semanales por día, con turnos noche y zona horaria propia
+
+// Estructura horaria:
+// Intervalos "HH:MM" por día de la semana, en la zona horaria del prestador
+// Pasados a minutos de la semana para los filtros "abierto ahora" y "abierto el día X a la hora Y"
+
+// Reputación:
+// Promedio de estrellas y cantidad de reseñas, recalculados con cada reseña
 
-// Estructura horaria dividida:
-// horaDesde y horaHasta como números enteros (0 a 23)
-// Preparado para futuros filtros de disponibilidad por hora
+// Moderación:
+// Estado (pendiente, aprobado, rechazado, suspendido) con motivo e historial
+// Solo los servicios aprobados son públicos
 
 // Control de categorías:
-// Campo categoria con lista enum fija
-// Solo se aceptan valores válidos definidos por la app
+// Campo categoria validado contra el catálogo de categorías (models/category.js)
+// Solo se aceptan categorías activas, nunca un grupo
 
 // Validaciones de longitud:
 // Mínimos y máximos en nombre, tipoServicio y localidad
@@ -0,0 +1,99 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// ¿Qué hace este archivo session.js?
+// Este archivo define el modelo de datos "Session", que representa cada dispositivo
+// en el que un usuario inició sesión.
+//
+// Cada vez que un usuario verifica su teléfono en /auth/verify se crea una sesión:
+// - El access token (JWT de corta duración) lleva el ID de la sesión (sid).
+// - El refresh token permite pedir access tokens nuevos sin volver a pedir un SMS.
+// - El refresh token ROTA en cada uso: el anterior deja de servir.
+//
+// Gracias a este modelo podemos:
+// - Cerrar sesión en un dispositivo (/auth/logout) o en todos (/auth/logout-all).
+// - Listar dónde está logueado un usuario (/auth/sessions).
+// - Rechazar access tokens de sesiones revocadas (ver authMiddleware).
+//
+// IMPORTANTE:
+// - Nunca guardamos el refresh token en texto plano, solo su hash SHA-256.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const mongoose = require("mongoose"); // Importamos mongoose para definir el esquema.
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Definimos el esquema de la Session
+///////////////////////////////////////////////////////////////////////////////////////
+
+const sessionSchema = new mongoose.Schema({
+
+    // Usuario dueño de la sesión.
+    // Indexado para listar o revocar rápido todas las sesiones de un usuario.
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+        index: true
+    },
+
+    // Hash SHA-256 del refresh token vigente de esta sesión.
+    // Cambia en cada /auth/refresh (rotación).
+    refreshTokenHash: {
+        type: String,
+        required: true
+    },
+
+    // Nombre del dispositivo informado por la app (p. ej. "iPhone de Ana"). Opcional.
+    dispositivo: {
+        type: String,
+        maxlength: 100,
+        default: null
+    },
+
+    // User-Agent del cliente al iniciar sesión.
+    userAgent: {
+        type: String,
+        maxlength: 500,
+        default: null
+    },
+
+    // IP desde la que se inició sesión.
+    ip: {
+        type: String,
+        default: null
+    },
+
+    // Última vez que se usó el refresh token de esta sesión.
+    ultimoUso: {
+        type: Date,
+        default: Date.now
+    },
+
+    // Fecha de expiración del refresh token.
+    // MongoDB borra automáticamente las sesiones vencidas (índice TTL).
+    expiraEn: {
+        type: Date,
+        required: true,
+        index: { expireAfterSeconds: 0 }
+    },
+
+    // Fecha en la que se revocó la sesión (logout). null mientras esté activa.
+    revocadaEn: {
+        type: Date,
+        default: null
+    },
+
+    // Motivo de la revocación: "logout", "logout-all" o "reuso" (refresh token reutilizado).
+    motivoRevocacion: {
+        type: String,
+        default: null
+    }
+
+}, {
+    // timestamps genera automáticamente createdAt (inicio de sesión) y updatedAt.
+    timestamps: true
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Exportamos el modelo llamado "Session" para que pueda ser usado en todo el backend.
+///////////////////////////////////////////////////////////////////////////////////////
+
+module.exports = mongoose.model("Session", sessionSchema);
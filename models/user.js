@@ -1,18 +1,21 @@
 ///////////////////////////////////////////////////////////////////////////////////////
 // ¿Qué hace este archivo user.js?
-// Este archivo define el modelo de datos "User", que representa a cada prestador de
-// servicios como un usuario autenticado en la aplicación.
+// Este archivo define el modelo de datos "User", que representa a cada usuario
+// autenticado en la aplicación: prestadores de servicios y clientes que los buscan.
 
 // Su propósito es:
 // - Registrar a los prestadores con su número de teléfono.
-// - Manejar la lógica de verificación por SMS (código y expiración).
+// - Manejar la lógica de verificación por SMS (código hasheado, expiración e intentos).
 // - Guardar el estado de verificación (true o false).
 // - Permitir autenticación segura vía JWT una vez verificado.
 
 // Con este modelo logramos:
 // Seguridad: solo prestadores legítimos pueden acceder a funciones privadas.
 // Integridad: los datos del prestador quedan bien validados.
-// Escalabilidad: está preparado para futuros campos (p. ej. email, permisos).
+// Escalabilidad: está preparado para futuros campos (p. ej. email).
+// Permisos: cada usuario tiene roles (user, provider, moderator, admin).
+// Perfil: cada usuario indica si es cliente, prestador o ambos (tipoPerfil), y puede
+// tener un nombre para mostrar y preferencias de búsqueda.
 // Mantenibilidad: cualquier desarrollador puede entender el modelo y trabajar sobre él.
 
 // IMPORTANTE:
@@ -21,6 +24,29 @@
 ///////////////////////////////////////////////////////////////////////////////////////
 
 const mongoose = require("mongoose"); // Importamos mongoose para definir el esquema.
+const { normalizarTelefono, esE164 } = require("../utils/phone"); // Formato único de teléfonos
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Roles disponibles
+// - user      → cualquier usuario verificado (rol base, no se puede quitar).
+// - provider  → prestador con al menos un servicio publicado.
+// - moderator → puede editar o borrar servicios de terceros y aprobarlos, rechazarlos o suspenderlos.
+// - admin     → acceso total, incluidas las tareas de mantenimiento y la gestión de roles.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const ROLES = ["user", "provider", "moderator", "admin"];
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Tipos de perfil
+// - cliente   → busca servicios (y guarda favoritos). Es el tipo por defecto.
+// - prestador → publica servicios.
+// - ambos     → las dos cosas. Un cliente que publica un servicio pasa a "ambos".
+//
+// A diferencia de los roles, el tipo de perfil lo elige el usuario: sirve para que la
+// app le muestre la pantalla que corresponde, no para dar permisos.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const TIPOS_PERFIL = ["cliente", "prestador", "ambos"];
 
 ///////////////////////////////////////////////////////////////////////////////////////
 // Definimos el esquema del User
@@ -30,7 +56,8 @@ const userSchema = new mongoose.Schema({
 
     // Teléfono del prestador.
     // Es el campo CLAVE que identifica a cada prestador.
-    // Solo se permiten números (con posible "+" al inicio) para formatos internacionales.
+    // Se guarda siempre normalizado a E.164 (ver utils/phone.js): así el mismo número
+    // escrito de distintas formas no genera usuarios duplicados.
     // Debe ser único para que no existan duplicados.
     // Indexado para búsquedas rápidas.
     telefono: {
@@ -38,21 +65,20 @@ const userSchema = new mongoose.Schema({
         required: true,
         unique: true,
         index: true,
+        // Si el número no se puede normalizar lo dejamos tal cual para que falle el validador
+        set: v => normalizarTelefono(v) || v,
         validate: {
-            validator: function (v) {
-                // Validamos que sea un teléfono internacional válido (7 a 15 dígitos).
-                return /^\+?\d{7,15}$/.test(v);
-            },
+            validator: esE164,
             message: props => `${props.value} no es un número de teléfono válido.`
         }
     },
 
-    // Código de verificación enviado por SMS.
+    // Hash (HMAC-SHA256) del código de verificación enviado por SMS.
     // Se genera automáticamente en el backend cuando el prestador se registra o
-    // solicita login.
-    // Nunca debería ser expuesto públicamente.
-    // Se elimina (null) una vez que el usuario verifica su teléfono correctamente.
-    codigoVerificacion: {
+    // solicita login (ver utils/otp.js).
+    // Nunca guardamos el código en texto plano.
+    // Se elimina (null) una vez que el usuario verifica su teléfono o el código se bloquea.
+    codigoHash: {
         type: String,
         default: null
     },
@@ -65,6 +91,82 @@ const userSchema = new mongoose.Schema({
         default: null
     },
 
+    // Cantidad de intentos fallidos con el código vigente.
+    // Se reinicia cada vez que se envía un código nuevo.
+    intentosFallidos: {
+        type: Number,
+        default: 0
+    },
+
+    // Indica si el código vigente se bloqueó por superar el máximo de intentos.
+    // Un código bloqueado queda invalidado: hay que pedir uno nuevo en /auth/register.
+    codigoBloqueado: {
+        type: Boolean,
+        default: false
+    },
+
+    // Canal por el que el usuario prefiere recibir el código: "sms", "whatsapp" o "voz".
+    // Se actualiza con lo que pide en cada /auth/register.
+    canalPreferido: {
+        type: String,
+        enum: ["sms", "whatsapp", "voz"],
+        default: "sms"
+    },
+
+    // Datos del último envío de código, para que soporte pueda investigar problemas de entrega:
+    // - canalSolicitado → canal que pidió el usuario.
+    // - canalUsado      → canal por el que finalmente salió (null si falló todo).
+    // - fallback        → true si el canal pedido falló y se usó SMS.
+    // - proveedor / mensajeId → proveedor y ID del mensaje o llamada.
+    // - error           → último error de entrega (si hubo).
+    ultimoEnvio: {
+        canalSolicitado: { type: String, default: null },
+        canalUsado: { type: String, default: null },
+        fallback: { type: Boolean, default: false },
+        proveedor: { type: String, default: null },
+        mensajeId: { type: String, default: null },
+        error: { type: String, default: null },
+        fecha: { type: Date, default: null }
+    },
+
+    // Roles del usuario. Siempre incluye "user".
+    // Se consultan en cada request autenticado (ver authMiddleware), así que un
+    // cambio de roles tiene efecto inmediato sin esperar a que venza el JWT.
+    roles: {
+        type: [{ type: String, enum: ROLES }],
+        default: ["user"]
+    },
+
+    // Tipo de perfil elegido por el usuario (ver TIPOS_PERFIL arriba).
+    tipoPerfil: {
+        type: String,
+        enum: TIPOS_PERFIL,
+        default: "cliente"
+    },
+
+    // Nombre para mostrar (opcional), e.g. en las reseñas.
+    nombreVisible: {
+        type: String,
+        trim: true,
+        maxlength: 50,
+        default: null
+    },
+
+    // Preferencias de búsqueda: la app las usa como filtros por defecto en GET /serv.
+    // - localidad  → slug del catálogo de localidades.
+    // - categorias → slugs del catálogo de categorías que le interesan.
+    preferencias: {
+        localidad: { type: String, default: null },
+        categorias: { type: [String], default: [] }
+    },
+
+    // Usuarios bloqueados: no le pueden escribir (mensajes) ni mandarle solicitudes.
+    // Se bloquea desde una conversación (ver routes/conversaciones.js).
+    bloqueados: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+        default: []
+    },
+
     // Indica si el teléfono del prestador fue verificado correctamente.
     // Solo un prestador verificado podrá recibir JWT y acceder a rutas privadas.
     // Hasta que sea true, no puede loguearse ni operar.
@@ -85,12 +187,36 @@ const userSchema = new mongoose.Schema({
 // Este modelo es la piedra fundamental de la autenticación de prestadores vía SMS.
 ///////////////////////////////////////////////////////////////////////////////////////
 
-module.exports = mongoose.model("User", userSchema);
+const User = mongoose.model("User", userSchema);
+
+// Exponemos la lista de roles para validaciones (Joi) y middlewares
+User.ROLES = ROLES;
+User.TIPOS_PERFIL = TIPOS_PERFIL;
+
+/**
+ * Indica si alguno de los dos usuarios bloqueó al otro.
+ *
+ * @param {string|object} usuarioA
+ * @param {string|object} usuarioB
+ * @returns {Promise<boolean>}
+ */
+User.hayBloqueo = async function (usuarioA, usuarioB) {
+    const bloqueo = await User.exists({
+        $or: [
+            { _id: usuarioA, bloqueados: usuarioB },
+            { _id: usuarioB, bloqueados: usuarioA }
+        ]
+    });
+
+    return Boolean(bloqueo);
+};
+
+module.exports = User;
 
 ///////////////////////////////////////////////////////////////////////////////////////
 // Resultado:
 // Garantizamos que solo números válidos de teléfono se registran en la app.
-// Mantenemos la seguridad de los códigos de verificación (no quedan expuestos).
+// Mantenemos la seguridad de los códigos de verificación (se guardan hasheados).
 // Podemos saber si un prestador está o no verificado.
 // Construimos una base robusta para JWT y autenticación segura.
 
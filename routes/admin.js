@@ -0,0 +1,629 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// routes/admin.js
+//
+// Qué hace este archivo:
+// Implementa las rutas de administración. Por ahora:
+// - Listar usuarios y sus roles (GET /admin/usuarios)
+// - Otorgar un rol a un usuario (POST /admin/usuarios/:id/roles)
+// - Quitar un rol a un usuario (DELETE /admin/usuarios/:id/roles/:role)
+// - Ver pedidos de código bloqueados por los controles anti-fraude (GET /admin/otp/bloqueos)
+// - Ver un resumen de bloqueos de las últimas 24 horas (GET /admin/otp/resumen)
+// - Ver el estado del cache (GET /admin/cache) y vaciarlo (DELETE /admin/cache)
+// - Importar servicios en masa desde CSV o NDJSON (POST /admin/servicios/importar)
+// - Exportar el directorio de servicios en CSV o NDJSON (GET /admin/servicios/exportar)
+//
+// Todas las rutas requieren JWT y rol "admin".
+//
+// Cómo se crea el primer admin:
+// Los teléfonos listados en la variable ADMIN_TELEFONOS (separados por coma)
+// reciben el rol "admin" automáticamente al verificarse en /auth/verify.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const express = require("express");
+const router = express.Router();
+const Joi = require("joi");
+
+// Importamos los modelos
+const User = require("../models/user");
+const OtpRequest = require("../models/otpRequest");
+const Service = require("../models/service");
+
+// Importamos nuestros middlewares de autenticación y roles
+const authMiddleware = require("../middlewares/authMiddleware");
+const requireRole = require("../middlewares/requireRole");
+
+// Importamos el logger profesional (Winston)
+const logger = require("../utils/logger");
+
+// Importamos la normalización de teléfonos a E.164
+const { normalizarTelefono } = require("../utils/phone");
+
+// Importamos el cache (para sus estadísticas, y para invalidar /serv después de importar)
+const cache = require("../utils/cache");
+
+// Importamos las reglas de un servicio nuevo (las mismas de POST /serv) y los catálogos
+const { schemaPost } = require("./services");
+const { prepararCategoria } = require("../utils/categorias");
+const { prepararLocalidades } = require("../utils/localidades");
+
+// Importamos la lectura y escritura de servicios en CSV / NDJSON
+const importacion = require("../utils/importacionServicios");
+
+// Todas las rutas de este archivo son solo para administradores
+router.use(authMiddleware, requireRole("admin"));
+
+///////////////////////////////////////////////////////////////////////////////////////
+// GET /admin/usuarios
+//
+// Qué hace:
+// - Lista usuarios con sus roles, del más nuevo al más viejo.
+// - Incluye el último envío de código (canal usado, fallback, error) para soporte.
+// - Permite filtrar por rol (?role=moderator) y limitar resultados (?limit=50).
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.get("/usuarios", async (req, res) => {
+    try {
+        const schema = Joi.object({
+            role: Joi.string().valid(...User.ROLES),
+            limit: Joi.number().min(1).max(200)
+        });
+
+        const { error } = schema.validate(req.query);
+        if (error) return res.status(400).json({ error: error.details[0].message });
+
+        const filtro = {};
+        if (req.query.role) filtro.roles = req.query.role;
+
+        const usuarios = await User.find(filtro)
+            .select("telefono roles verificado canalPreferido ultimoEnvio createdAt")
+            .sort({ createdAt: -1 })
+            .limit(Number(req.query.limit) || 50);
+
+        return res.json(usuarios);
+
+    } catch (err) {
+        logger.error(`Error en GET /admin/usuarios: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// POST /admin/usuarios/:id/roles
+//
+// Qué hace:
+// - Otorga un rol al usuario indicado.
+//
+// Ejemplo:
+// POST /admin/usuarios/663c5c6e35f8adcb9ff5d92b/roles
+// Body:
+//    { "role": "moderator" }
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.post("/usuarios/:id/roles", async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({ error: "ID inválido" });
+        }
+
+        const schema = Joi.object({
+            role: Joi.string().valid(...User.ROLES).required()
+        });
+
+        const { error } = schema.validate(req.body);
+        if (error) return res.status(400).json({ error: error.details[0].message });
+
+        const user = await User.findByIdAndUpdate(
+            id,
+            { $addToSet: { roles: req.body.role } },
+            { new: true }
+        ).select("telefono roles");
+
+        if (!user) return res.status(404).json({ error: "Usuario no encontrado." });
+
+        logger.info(`Rol "${req.body.role}" otorgado a ${user.telefono} por ${req.user.telefono}`);
+
+        return res.json({ mensaje: "Rol otorgado correctamente.", usuario: user });
+
+    } catch (err) {
+        logger.error(`Error en POST /admin/usuarios/:id/roles: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// DELETE /admin/usuarios/:id/roles/:role
+//
+// Qué hace:
+// - Quita un rol al usuario indicado.
+// - El rol base "user" no se puede quitar.
+// - Un admin no puede quitarse su propio rol "admin" (para no quedar sin administradores).
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.delete("/usuarios/:id/roles/:role", async (req, res) => {
+    try {
+        const { id, role } = req.params;
+
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({ error: "ID inválido" });
+        }
+
+        if (!User.ROLES.includes(role)) {
+            return res.status(400).json({ error: "Rol inválido." });
+        }
+
+        if (role === "user") {
+            return res.status(400).json({ error: "El rol base \"user\" no se puede quitar." });
+        }
+
+        if (role === "admin" && id === String(req.user.userId)) {
+            return res.status(400).json({ error: "No podés quitarte tu propio rol de administrador." });
+        }
+
+        const user = await User.findByIdAndUpdate(
+            id,
+            { $pull: { roles: role } },
+            { new: true }
+        ).select("telefono roles");
+
+        if (!user) return res.status(404).json({ error: "Usuario no encontrado." });
+
+        logger.info(`Rol "${role}" quitado a ${user.telefono} por ${req.user.telefono}`);
+
+        return res.json({ mensaje: "Rol quitado correctamente.", usuario: user });
+
+    } catch (err) {
+        logger.error(`Error en DELETE /admin/usuarios/:id/roles: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// GET /admin/otp/bloqueos
+//
+// Qué hace:
+// - Lista los pedidos de código bloqueados, del más reciente al más viejo.
+// - Filtros opcionales: motivo, telefono, prefijo (p. ej. +882) y limit.
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.get("/otp/bloqueos", async (req, res) => {
+    try {
+        const schema = Joi.object({
+            motivo: Joi.string().valid(...OtpRequest.MOTIVOS_BLOQUEO),
+            // El "+" llega como espacio si no viene codificado (%2B): por eso el trim y el "+" opcional
+            telefono: Joi.string().trim().pattern(/^\+?\d{7,15}$/),
+            prefijo: Joi.string().trim().pattern(/^\+?\d{1,3}$/),
+            limit: Joi.number().min(1).max(500)
+        });
+
+        const { error, value } = schema.validate(req.query);
+        if (error) return res.status(400).json({ error: error.details[0].message });
+
+        const conMas = v => (v.startsWith("+") ? v : `+${v}`);
+
+        const filtro = { estado: "bloqueado" };
+        if (value.motivo) filtro.motivo = value.motivo;
+        // Normalizamos a E.164, igual que al guardar el pedido
+        if (value.telefono) filtro.telefono = normalizarTelefono(conMas(value.telefono)) || conMas(value.telefono);
+        if (value.prefijo) filtro.prefijo = conMas(value.prefijo);
+
+        const bloqueos = await OtpRequest.find(filtro)
+            .sort({ fecha: -1 })
+            .limit(Number(req.query.limit) || 100);
+
+        return res.json(bloqueos);
+
+    } catch (err) {
+        logger.error(`Error en GET /admin/otp/bloqueos: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// GET /admin/otp/resumen
+//
+// Qué hace:
+// - Resume las últimas 24 horas: códigos enviados, bloqueos por motivo y los
+//   prefijos y números con más bloqueos (útil para detectar ataques).
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.get("/otp/resumen", async (req, res) => {
+    try {
+        const desde = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+        const [resumen] = await OtpRequest.aggregate([
+            { $match: { fecha: { $gt: desde } } },
+            {
+                $facet: {
+                    porEstado: [{ $group: { _id: "$estado", total: { $sum: 1 } } }],
+                    bloqueosPorMotivo: [
+                        { $match: { estado: "bloqueado" } },
+                        { $group: { _id: "$motivo", total: { $sum: 1 } } },
+                        { $sort: { total: -1 } }
+                    ],
+                    prefijosMasBloqueados: [
+                        { $match: { estado: "bloqueado" } },
+                        { $group: { _id: "$prefijo", total: { $sum: 1 } } },
+                        { $sort: { total: -1 } },
+                        { $limit: 10 }
+                    ],
+                    numerosMasBloqueados: [
+                        { $match: { estado: "bloqueado" } },
+                        { $group: { _id: "$telefono", total: { $sum: 1 } } },
+                        { $sort: { total: -1 } },
+                        { $limit: 10 }
+                    ]
+                }
+            }
+        ]);
+
+        return res.json({ desde, ...resumen });
+
+    } catch (err) {
+        logger.error(`Error en GET /admin/otp/resumen: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// GET /admin/cache
+//
+// Qué hace:
+// - Devuelve el backend en uso (memoria o redis) y las estadísticas de ESTE proceso
+//   desde que arrancó: aciertos, fallos, tasa de aciertos, invalidaciones y errores.
+// - "entradas" es lo guardado en el backend (null si no responde).
+//
+// Ejemplo de respuesta:
+// { "backend": "redis", "ttlSegundos": 60, "aciertos": 820, "fallos": 95,
+//   "tasaAciertos": 0.896, "invalidaciones": 12, "entradas": 41, ... }
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.get("/cache", async (req, res) => {
+    try {
+        return res.json(await cache.obtenerEstadisticas());
+
+    } catch (err) {
+        logger.error(`Error en GET /admin/cache: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// DELETE /admin/cache
+//
+// Qué hace:
+// - Borra todo lo cacheado (útil después de editar datos directo en la base).
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.delete("/cache", async (req, res) => {
+    try {
+        await cache.vaciar();
+
+        logger.info(`Cache vaciado por ${req.user.telefono}`);
+
+        return res.json({ mensaje: "Cache vaciado." });
+
+    } catch (err) {
+        logger.error(`Error en DELETE /admin/cache: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Importación y exportación de servicios
+///////////////////////////////////////////////////////////////////////////////////////
+
+// Al importar, el teléfono es obligatorio: es la clave para saber si el servicio ya existe
+const schemaImportacion = schemaPost.fork(["telefono"], campo => campo.required());
+
+// Tamaño máximo del archivo a importar
+const MAX_ARCHIVO = "5mb";
+
+// Tipos de contenido de cada formato
+const TIPOS_CSV = ["text/csv"];
+const TIPOS_NDJSON = ["application/x-ndjson", "application/ndjson"];
+
+/**
+ * Valida una fila y busca si el servicio ya existe (por teléfono). No escribe nada.
+ *
+ * @param {object} datos - Datos de la fila (formato de POST /serv)
+ * @returns {Promise<{ errores: string[]|null, datos?: object, existente?: object|null }>}
+ */
+async function validarFila(datos) {
+    const { error, value } = schemaImportacion.validate(datos, { abortEarly: false });
+    if (error) return { errores: error.details.map(detalle => detalle.message) };
+
+    const categoria = await prepararCategoria(value);
+    if (categoria.error) return { errores: [categoria.error] };
+
+    // También los eliminados: si no, se crearía un segundo servicio al lado del
+    // eliminado, y al restaurarlo el teléfono quedaría repetido
+    const existentes = await Service.find({ telefono: value.telefono })
+        .setOptions({ incluirEliminados: true })
+        .limit(10);
+
+    const activos = existentes.filter(servicio => !servicio.deleted);
+    if (activos.length > 1) {
+        return { errores: [`Hay más de un servicio con el teléfono ${value.telefono}: editalos uno por uno desde /serv.`] };
+    }
+
+    if (activos.length === 0 && existentes.length > 0) {
+        return {
+            errores: [`El servicio con el teléfono ${value.telefono} está eliminado: restauralo (POST /serv/${existentes[0]._id}/restaurar) antes de importarlo.`]
+        };
+    }
+
+    const existente = activos[0] || null;
+
+    const localidades = await prepararLocalidades(categoria.datos, existente || {});
+    if (localidades.error) return { errores: [localidades.error] };
+
+    return { errores: null, datos: localidades.datos, existente };
+}
+
+/**
+ * Arma (sin guardar) el servicio de una fila ya validada: el existente con los cambios
+ * aplicados, o uno nuevo a nombre del usuario con ese teléfono, si existe.
+ *
+ * @param {object} datos - Resultado de validarFila()
+ * @param {object|null} existente - Servicio con el mismo teléfono
+ * @param {object} opciones
+ * @param {boolean} opciones.aprobar - Publicar los servicios nuevos (o pendientes)
+ * @param {string} opciones.por - Admin que importa
+ * @returns {Promise<{ servicio: object, owner: object|null }>}
+ */
+async function armarServicio(datos, existente, { aprobar, por }) {
+    let servicio = existente;
+    let owner = null;
+
+    if (servicio) {
+        // Cambios de un admin: no vuelven a moderación (igual que en PUT /serv/:id)
+        Object.assign(servicio, datos);
+    } else {
+        const usuario = await User.findOne({ telefono: datos.telefono }).select("_id");
+        owner = usuario ? usuario._id : null;
+        servicio = new Service({ ...datos, owner, ubicacion: datos.ubicacion || undefined });
+    }
+
+    if (aprobar && servicio.estadoModeracion === "pendiente") {
+        servicio.cambiarEstadoModeracion("aprobado", { detalle: "Importación masiva", por });
+    }
+
+    return { servicio, owner };
+}
+
+/**
+ * Crea o actualiza el servicio de una fila ya validada (ver armarServicio()).
+ *
+ * @returns {Promise<object>} - El servicio guardado
+ */
+async function guardarFila(datos, existente, opciones) {
+    const { servicio, owner } = await armarServicio(datos, existente, opciones);
+
+    await servicio.save();
+
+    // Igual que POST /serv: quien tiene un servicio es prestador
+    if (owner) {
+        await User.updateOne({ _id: owner }, { $addToSet: { roles: "provider" } });
+        await User.updateOne({ _id: owner, tipoPerfil: "cliente" }, { $set: { tipoPerfil: "ambos" } });
+    }
+
+    return servicio;
+}
+
+///////////////////////////////////////////////////////////////////////////////////////
+// POST /admin/servicios/importar
+//
+// Qué hace:
+// - Carga servicios en masa desde un CSV o un NDJSON (un servicio por línea, con el
+//   mismo formato que el body de POST /serv). Columnas del CSV: ver
+//   utils/importacionServicios.js.
+// - Cada fila se valida igual que POST /serv (Joi, catálogo de categorías y de
+//   localidades), con el teléfono obligatorio.
+// - Upsert por teléfono: si ya hay un servicio con ese teléfono se actualiza; si no,
+//   se crea (a nombre del usuario con ese teléfono, si tiene cuenta). Si el servicio
+//   con ese teléfono está eliminado, la fila da error: hay que restaurarlo primero.
+// - Las filas con errores se saltean; las demás se guardan. Con ?simular=true no se
+//   guarda nada: solo se devuelve qué pasaría con cada fila (con las mismas
+//   validaciones, también las del modelo).
+// - Los servicios nuevos quedan "pendiente" de moderación; con ?aprobar=true se
+//   publican directamente (también los existentes que estaban pendientes).
+// - El formato sale del Content-Type (text/csv o application/x-ndjson) o de ?formato=.
+//
+// Ejemplo:
+// POST /admin/servicios/importar?simular=true
+// Content-Type: text/csv
+//
+// nombre,telefono,categoria,tipoServicio,localidad,lunes,viernes,urgencias24hs,localidadesCercanas
+// Pedro López,+5493411234567,electricidad,Instalaciones eléctricas,funes,08:00-13:00|16:00-20:00,08:00-13:00,si,no
+//
+// Respuesta:
+// {
+//   "simulacion": true,
+//   "total": 1, "creados": 1, "actualizados": 0, "conErrores": 0,
+//   "filas": [{ "fila": 2, "accion": "crear", "telefono": "+5493411234567" }]
+// }
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.post("/servicios/importar", express.text({ type: [...TIPOS_CSV, ...TIPOS_NDJSON], limit: MAX_ARCHIVO }), async (req, res) => {
+    try {
+        const schema = Joi.object({
+            formato: Joi.string().valid(...importacion.FORMATOS),
+            simular: Joi.boolean().default(false),
+            aprobar: Joi.boolean().default(false)
+        });
+
+        const { error, value } = schema.validate(req.query);
+        if (error) return res.status(400).json({ error: error.details[0].message });
+
+        if (typeof req.body !== "string") {
+            return res.status(415).json({ error: "Mandá el archivo como text/csv o application/x-ndjson." });
+        }
+
+        const formato = value.formato || (req.is(TIPOS_CSV) ? "csv" : "ndjson");
+
+        const { filas, error: errorArchivo } = importacion.leerFilas(req.body, formato);
+        if (errorArchivo) return res.status(400).json({ error: errorArchivo });
+
+        const resultado = { simulacion: value.simular, formato, total: filas.length, creados: 0, actualizados: 0, conErrores: 0, filas: [] };
+        const telefonos = new Map(); // teléfono → primera fila donde aparece
+        const guardados = [];
+
+        // De a una fila: así dos filas nunca compiten por el mismo teléfono
+        for (const { fila, datos, error: errorFila } of filas) {
+            const validacion = errorFila ? { errores: [errorFila] } : await validarFila(datos);
+
+            if (!validacion.errores && telefonos.has(validacion.datos.telefono)) {
+                validacion.errores = [`El teléfono ${validacion.datos.telefono} ya aparece en la fila ${telefonos.get(validacion.datos.telefono)}.`];
+            }
+
+            if (validacion.errores) {
+                resultado.conErrores++;
+                resultado.filas.push({ fila, accion: "error", errores: validacion.errores });
+                continue;
+            }
+
+            const { datos: validos, existente } = validacion;
+            const accion = existente ? "actualizar" : "crear";
+            telefonos.set(validos.telefono, fila);
+
+            const opciones = { aprobar: value.aprobar, por: req.user.userId };
+
+            try {
+                let servicio;
+
+                if (value.simular) {
+                    // Se valida el mismo documento que se guardaría, pero no se guarda
+                    const armado = await armarServicio(validos, existente, opciones);
+                    await armado.servicio.validate();
+                    servicio = existente;
+                } else {
+                    servicio = await guardarFila(validos, existente, opciones);
+                    guardados.push(servicio._id);
+                }
+
+                resultado[existente ? "actualizados" : "creados"]++;
+                resultado.filas.push({ fila, accion, telefono: validos.telefono, servicio: servicio ? servicio._id : undefined });
+
+            } catch (err) {
+                // Validaciones del modelo (p. ej. zona horaria inválida)
+                if (err.name !== "ValidationError") throw err;
+                resultado.conErrores++;
+                resultado.filas.push({ fila, accion: "error", errores: [err.message] });
+            }
+        }
+
+        if (!value.simular && guardados.length > 0) {
+            await cache.invalidarServicio(...guardados);
+
+            logger.info(`Importación de ${resultado.total} servicios por ${req.user.telefono}: ${resultado.creados} creados, ${resultado.actualizados} actualizados, ${resultado.conErrores} con errores`);
+        }
+
+        return res.json(resultado);
+
+    } catch (err) {
+        logger.error(`Error en POST /admin/servicios/importar: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+/**
+ * Espera a que la respuesta pueda recibir más datos (o a que se cierre la conexión).
+ *
+ * @param {object} res - Response de Express
+ * @returns {Promise<void>}
+ */
+function esperarDrenado(res) {
+    return new Promise(resolve => {
+        const seguir = () => {
+            res.off("drain", seguir);
+            res.off("close", seguir);
+            resolve();
+        };
+
+        res.on("drain", seguir);
+        res.on("close", seguir);
+    });
+}
+
+///////////////////////////////////////////////////////////////////////////////////////
+// GET /admin/servicios/exportar
+//
+// Qué hace:
+// - Descarga el directorio de servicios en CSV (por defecto) o NDJSON, con las mismas
+//   columnas que acepta la importación (más _id, estado de moderación, rating y fechas,
+//   que la importación ignora): se puede editar y volver a importar.
+// - Por defecto solo los publicados; ?estado=pendiente (u otro) o ?estado=todos.
+// - Se envía a medida que se lee de la base (streaming): sirve para directorios grandes.
+//
+// Ejemplo:
+// GET /admin/servicios/exportar?formato=ndjson&estado=todos
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.get("/servicios/exportar", async (req, res) => {
+    let cursor = null;
+
+    try {
+        const schema = Joi.object({
+            formato: Joi.string().valid(...importacion.FORMATOS).default("csv"),
+            estado: Joi.string().valid(...Service.ESTADOS_MODERACION, "todos").default("aprobado")
+        });
+
+        const { error, value } = schema.validate(req.query);
+        if (error) return res.status(400).json({ error: error.details[0].message });
+
+        const filtro = value.estado === "todos" ? {} : { estadoModeracion: value.estado };
+        const esCsv = value.formato === "csv";
+        const fecha = new Date().toISOString().slice(0, 10);
+
+        res.set({
+            "Content-Type": esCsv ? "text/csv; charset=utf-8" : "application/x-ndjson; charset=utf-8",
+            "Content-Disposition": `attachment; filename="servicios-${fecha}.${value.formato}"`,
+            "Cache-Control": "no-store"
+        });
+
+        // Si el admin cancela la descarga, dejamos de leer
+        let cancelada = false;
+        req.on("close", () => {
+            cancelada = true;
+        });
+
+        // El BOM hace que Excel lea bien las tildes
+        if (esCsv) res.write(`\uFEFF${importacion.encabezadoCsv()}`);
+
+        cursor = Service.find(filtro).sort({ _id: 1 }).lean().cursor();
+        let cantidad = 0;
+
+        for await (const servicio of cursor) {
+            if (cancelada) break;
+
+            const linea = esCsv
+                ? importacion.servicioComoCsv(servicio)
+                : `${JSON.stringify(importacion.servicioComoObjeto(servicio))}\n`;
+
+            // Si el cliente lee más lento que la base, esperamos antes de seguir
+            if (!res.write(linea)) await esperarDrenado(res);
+            cantidad++;
+        }
+
+        await cursor.close();
+        res.end();
+
+        logger.info(`Exportación de ${cantidad} servicios (${value.formato}, ${value.estado}) por ${req.user.telefono}`);
+
+    } catch (err) {
+        logger.error(`Error en GET /admin/servicios/exportar: ${err.message}`);
+        if (cursor) cursor.close().catch(() => {});
+
+        // Si ya empezó la descarga no se puede responder con un error: se corta
+        if (res.headersSent) return res.destroy(err);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Exportamos el router para integrarlo en index.js
+///////////////////////////////////////////////////////////////////////////////////////
+
+module.exports = router;
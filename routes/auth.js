@@ -10,12 +10,15 @@
 // /auth/verify:
 // recibe teléfono + código
 // valida
-// devuelve JWT
+// crea una sesión y devuelve JWT + refresh token
+//
+// /auth/refresh, /auth/logout, /auth/logout-all y /auth/sessions:
+// manejan el ciclo de vida de las sesiones (una por dispositivo).
 //
 // Ventajas de este archivo:
 // - Seguridad: maneja el ciclo completo de autenticación.
 // - Claridad: cada ruta tiene una sola responsabilidad.
-// - Escalabilidad: fácilmente ampliable si en el futuro queremos password o refresh tokens.
+// - Escalabilidad: fácilmente ampliable si en el futuro queremos password.
 ///////////////////////////////////////////////////////////////////////////////////////
 
 ///////////////////////////////////////////////////////////////////////////////////////
@@ -25,39 +28,104 @@
 const express = require("express");  // Framework web
 const router = express.Router();     // Sistema de rutas de Express
 const Joi = require("joi");          // Validaciones de datos
-const jwt = require("jsonwebtoken"); // Para generar el token JWT
 
 // Importamos el modelo User (prestador)
 const User = require("../models/user");
 
-// Importamos nuestra función para enviar SMS vía Twilio
-const sendSMS = require("../utils/sendSMS");
+// Importamos el modelo Session (un documento por dispositivo logueado)
+const Session = require("../models/session");
+
+// Importamos nuestros middlewares de autenticación y roles
+const authMiddleware = require("../middlewares/authMiddleware");
+const requireRole = require("../middlewares/requireRole");
+
+// Importamos nuestra función para enviar el código por SMS, WhatsApp o voz (con fallback a SMS)
+const sendOTP = require("../utils/sendOTP");
 
 // Importamos logger profesional
 const logger = require("../utils/logger");
 
+// Importamos utilidades para generar, hashear y comparar códigos de verificación
+const otp = require("../utils/otp");
+
+// Importamos utilidades para emitir access tokens y refresh tokens
+const tokens = require("../utils/tokens");
+
+// Importamos los controles anti-fraude por número de teléfono (cooldown, topes, prefijos)
+const otpGuard = require("../utils/otpGuard");
+
+// Importamos la validación y normalización de teléfonos a E.164
+const { telefonoJoi, normalizarTelefono } = require("../utils/phone");
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Modo desarrollo
+//
+// Solo con NODE_ENV=development devolvemos el código de verificación en la respuesta
+// de /auth/register. En staging y producción el código viaja únicamente por SMS.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const MODO_DESARROLLO = process.env.NODE_ENV === "development";
+
 ///////////////////////////////////////////////////////////////////////////////////////
 // Validación estricta de teléfono
 //
 // Qué hace:
-// Creamos un esquema Joi reutilizable para validar que el teléfono:
-// - Empiece obligatoriamente con "+".
-// - Tenga de 8 a 15 dígitos.
-// Ejemplo válido: +34123456789
+// Usamos el esquema compartido de utils/phone.js, que valida Y normaliza el número
+// a formato E.164 (+ código de país + número, sin espacios ni guiones).
+// Ejemplo: "011 15 2233-4455" → "+5491122334455"
 //
 // Por qué es importante:
-// Aseguramos que se guarden solo números en formato internacional.
+// La misma persona siempre queda guardada con el mismo número, sin importar cómo lo escriba.
 // Evitamos errores y costos innecesarios en Twilio.
 // Protegemos la integridad de la base de datos.
 //
+// IMPORTANTE: después de validar hay que usar "value" (el número normalizado), no req.body.
 ///////////////////////////////////////////////////////////////////////////////////////
 
-const telefonoSchema = Joi.string()
-    .pattern(/^\+\d{8,15}$/)
-    .required()
-    .messages({
-        "string.pattern.base": "El número de teléfono debe comenzar con '+' y tener entre 8 y 15 dígitos."
+const telefonoSchema = telefonoJoi().required();
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Administradores iniciales
+//
+// ADMIN_TELEFONOS es una lista de teléfonos separada por coma.
+// Esos usuarios reciben el rol "admin" al verificar su código.
+///////////////////////////////////////////////////////////////////////////////////////
+
+function esTelefonoAdmin(telefono) {
+    return (process.env.ADMIN_TELEFONOS || "")
+        .split(",")
+        .map(t => normalizarTelefono(t))
+        .includes(telefono);
+}
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Respuesta para pedidos de código bloqueados por utils/otpGuard.js
+///////////////////////////////////////////////////////////////////////////////////////
+
+function responderBloqueoOtp(res, control) {
+    if (control.motivo === "prefijo_bloqueado" || control.motivo === "prefijo_no_permitido") {
+        return res.status(403).json({
+            error: "No podemos enviar códigos de verificación a ese número.",
+            codigoError: "OTP_PREFIJO_BLOQUEADO"
+        });
+    }
+
+    res.set("Retry-After", String(control.reintentarEn));
+
+    if (control.motivo === "cooldown") {
+        return res.status(429).json({
+            error: `Esperá ${control.reintentarEn} segundos antes de pedir otro código.`,
+            codigoError: "OTP_COOLDOWN",
+            reintentarEn: control.reintentarEn
+        });
+    }
+
+    return res.status(429).json({
+        error: "Se alcanzó el límite diario de códigos para este número. Intentá más tarde.",
+        codigoError: "OTP_LIMITE_DIARIO",
+        reintentarEn: control.reintentarEn
     });
+}
 
 ///////////////////////////////////////////////////////////////////////////////////////
 // POST /auth/register
@@ -65,17 +133,29 @@ const telefonoSchema = Joi.string()
 //
 // Qué hace:
 // - Recibe el teléfono del prestador.
+// - Verifica los controles anti-fraude del número (ver utils/otpGuard.js).
 // - Genera un código numérico aleatorio.
 // - Guarda ese código en la base con fecha de expiración.
-// - Envia el SMS con Twilio.
+// - Envia el código por el canal pedido (sms, whatsapp o voz) con el proveedor
+//   configurado. Si ese canal falla, reintenta por SMS (ver utils/sendOTP.js).
+// - Guarda en el usuario qué canal se usó finalmente.
 //
-// Si el usuario ya existe → actualiza el código.
+// Si el usuario ya existe → actualiza el código. No toca "verificado": pedir un código
+// para un número ajeno no puede dejar a su dueño sin verificar (el código pendiente
+// vive en codigoHash, aparte del estado de verificación).
 // Si no existe → crea uno nuevo.
 //
+// Errores de los controles anti-fraude (campo codigoError):
+// - 429 OTP_COOLDOWN          → pidió otro código muy rápido (header Retry-After).
+// - 429 OTP_LIMITE_DIARIO     → se superó el tope diario del número o del país (header Retry-After).
+// - 403 OTP_PREFIJO_BLOQUEADO → no enviamos códigos a ese prefijo.
+//
 // Ejemplo request:
 // POST /auth/register
 // {
-//   "telefono": "+34123456789"
+//   "telefono": "+34123456789",
+//   "canal": "whatsapp",   ← opcional: "sms" (por defecto), "whatsapp" o "voz"
+//   "tipoPerfil": "cliente" ← opcional, solo al registrarse: "cliente" (por defecto), "prestador" o "ambos"
 // }
 ///////////////////////////////////////////////////////////////////////////////////////
 
@@ -84,69 +164,111 @@ router.post("/register", async (req, res) => {
         // Definimos el esquema Joi para validar el teléfono
         const schema = Joi.object({
             // Usamos nuestro nuevo esquema
-            telefono: telefonoSchema
+            telefono: telefonoSchema,
+            canal: Joi.string().valid(...sendOTP.CANALES).default("sms"),
+            tipoPerfil: Joi.string().valid(...User.TIPOS_PERFIL)
         });
 
         // Validamos los datos recibidos
-        const { error } = schema.validate(req.body);
+        const { error, value } = schema.validate(req.body);
         if (error) {
             return res.status(400).json({ error: error.details[0].message });
         }
 
-        const { telefono } = req.body;
+        const { telefono, canal, tipoPerfil } = value;
+
+        // Controles anti-fraude: se aplican ANTES de crear el usuario y de enviar el SMS.
+        // Si pasan, el envío queda reservado (cuenta para el cooldown y los topes
+        // aunque lleguen varios pedidos a la vez).
+        const control = await otpGuard.reservarEnvio(telefono, req.ip);
+
+        if (!control.permitido) {
+            logger.warn(`Pedido de código bloqueado para ${telefono} (${control.motivo}) desde ${req.ip}`);
+            return responderBloqueoOtp(res, control);
+        }
 
         // Generamos un código aleatorio de 6 dígitos (ej: 426731)
-        const codigo = Math.floor(100000 + Math.random() * 900000).toString();
+        const codigo = otp.generarCodigo();
 
         // Definimos la expiración del código (10 minutos desde ahora)
-        const codigoExpira = new Date(Date.now() + 10 * 60 * 1000);
+        const codigoExpira = new Date(Date.now() + otp.MINUTOS_VALIDEZ * 60 * 1000);
 
         // Buscamos si el usuario ya existe
         let user = await User.findOne({ telefono });
 
         if (!user) {
             // Si NO existe → creamos un nuevo usuario
-            user = new User({
-                telefono,
-                codigoVerificacion: codigo,
-                codigoExpira,
-                verificado: false
-            });
-        } else {
-            // Si ya existe → actualizamos su código de verificación
-            user.codigoVerificacion = codigo;
-            user.codigoExpira = codigoExpira;
-            user.verificado = false;
+            // (el tipo de perfil solo se toma al registrarse; después se cambia en PUT /profile/cuenta)
+            user = new User({ telefono, verificado: false, tipoPerfil });
         }
 
+        // Guardamos solo el hash del código y reiniciamos el contador de intentos.
+        // Un código nuevo también levanta el bloqueo del código anterior.
+        user.codigoHash = otp.hashCodigo(telefono, codigo);
+        user.codigoExpira = codigoExpira;
+        user.intentosFallidos = 0;
+        user.codigoBloqueado = false;
+        user.canalPreferido = canal;
+
         // Guardamos el usuario en la base
         await user.save();
 
-        // Armamos el mensaje que vamos a enviar por SMS
-        const mensajeSMS = `Tu código de verificación en SERVIPRO es: ${codigo}`;
+        // Enviamos el código por el canal pedido (con fallback a SMS).
+        // El código nunca se loguea acá: el proveedor de consola ya lo muestra en desarrollo.
+        let envio;
+        try {
+            envio = await sendOTP(telefono, codigo, canal);
+        } catch (errEnvio) {
+            // Falló también el SMS: lo dejamos registrado en el usuario para soporte
+            await User.updateOne({ _id: user._id }, {
+                $set: {
+                    ultimoEnvio: {
+                        canalSolicitado: canal,
+                        canalUsado: null,
+                        fallback: canal !== "sms",
+                        error: errEnvio.cause ? errEnvio.cause.message : errEnvio.message,
+                        fecha: new Date()
+                    }
+                }
+            });
 
-        ///////////////////////////////////////////////////////////////////////////////////////
-        // COMIENZO DE BLOQUE COMENTADO → DESACTIVAMOS ENVÍO REAL DE SMS
-        //
-        // Qué hacemos:
-        // - Comentamos esta línea para que Twilio NO se ejecute en ambiente de desarrollo.
-        // - De esta manera podemos registrar usuarios sin límite y sin depender del Trial.
-        //
-        // await sendSMS(telefono, mensajeSMS);
-        //
-        // En su lugar, dejamos un logger para saber qué SMS **se hubiese enviado**.
-        ///////////////////////////////////////////////////////////////////////////////////////
+            logger.error(`No se pudo enviar el código a ${telefono}: ${errEnvio.message}`);
+            return res.status(502).json({
+                error: "No pudimos enviar el código de verificación. Intentá nuevamente.",
+                codigoError: "OTP_ENVIO_FALLIDO"
+            });
+        }
 
-        // logger.info(`(SIMULACIÓN) SMS a ${telefono}: ${mensajeSMS}`);
+        // Guardamos qué canal se usó finalmente
+        await User.updateOne({ _id: user._id }, {
+            $set: {
+                ultimoEnvio: {
+                    canalSolicitado: envio.canalSolicitado,
+                    canalUsado: envio.canalUsado,
+                    fallback: envio.fallback,
+                    proveedor: envio.proveedor,
+                    mensajeId: envio.mensajeId,
+                    error: envio.errorCanal,
+                    fecha: new Date()
+                }
+            }
+        });
 
-        // Usamos logger.info en lugar de console.log
-        logger.info(`(SIMULACIÓN) SMS a ${telefono}: ${mensajeSMS}`);
+        logger.info(`Código de verificación enviado a ${telefono} por ${envio.canalUsado}`);
 
-        // Respondemos al frontend
-        return res.json({
-            mensaje: "Código de verificación enviado (modo desarrollo, SMS simulado).",
-            codigo: codigo // Opcional → solo para pruebas, quitá esto en producción
-        });
+        // Respondemos al frontend indicando por qué canal salió el código.
+        // Solo en modo desarrollo devolvemos el código, para poder probar sin SMS reales.
+        const nombresCanal = { sms: "SMS", whatsapp: "WhatsApp", voz: "llamada" };
+        const respuesta = {
+            mensaje: `Código de verificación enviado por ${nombresCanal[envio.canalUsado]}.`,
+            canal: envio.canalUsado,
+            fallback: envio.fallback
+        };
+        if (MODO_DESARROLLO) {
+            respuesta.codigo = codigo;
+        }
+
+        return res.json(respuesta);
 
     } catch (err) {
         // Usamos logger.error en lugar de console.error
@@ -162,18 +284,27 @@ router.post("/register", async (req, res) => {
 // Qué hace:
 // - Recibe teléfono y código.
 // - Busca el usuario en base de datos.
-// - Verifica si el código coincide y no está vencido.
+// - Verifica que el código no esté bloqueado ni vencido.
+// - Descuenta un intento y compara el código en tiempo constante.
+// - Si se supera el máximo de intentos, invalida el código (hay que pedir otro).
 // - Si está todo bien:
 //    - Marca el usuario como verificado.
 //    - Borra el código.
-//    - Genera un token JWT para autenticarlo.
+//    - Crea una sesión para el dispositivo.
+//    - Genera un token JWT (corta duración) y un refresh token.
 //
 // Ejemplo request:
 // POST /auth/verify
 // {
 //   "telefono": "+34123456789",
-//   "codigo": "426731"
+//   "codigo": "426731",
+//   "dispositivo": "Android de Ana"   ← opcional
 // }
+//
+// Errores posibles (campo codigoError, para que la app pueda reaccionar):
+// - 423 OTP_BLOQUEADO  → se superó el máximo de intentos; pedir un código nuevo.
+// - 400 OTP_EXPIRADO   → el código venció o ya fue usado; pedir un código nuevo.
+// - 400 OTP_INCORRECTO → el código no coincide; incluye intentosRestantes.
 ///////////////////////////////////////////////////////////////////////////////////////
 
 router.post("/verify", async (req, res) => {
@@ -182,66 +313,131 @@ router.post("/verify", async (req, res) => {
         const schema = Joi.object({
             // Usamos nuestro nuevo esquema
             telefono: telefonoSchema,
-            codigo: Joi.string().length(6).required()
+            codigo: Joi.string().length(6).required(),
+            dispositivo: Joi.string().max(100)
         });
 
         // Validamos los datos recibidos
-        const { error } = schema.validate(req.body);
+        const { error, value } = schema.validate(req.body);
         if (error) {
             return res.status(400).json({ error: error.details[0].message });
         }
 
-        const { telefono, codigo } = req.body;
+        const { telefono, codigo, dispositivo } = value;
 
         // Buscamos el usuario por teléfono
-        const user = await User.findOne({ telefono });
+        let user = await User.findOne({ telefono });
 
         if (!user) {
             return res.status(404).json({ error: "Usuario no encontrado." });
         }
 
-        // Verificamos si el código coincide
-        if (user.codigoVerificacion !== codigo) {
-            return res.status(400).json({ error: "Código incorrecto." });
+        // Verificamos si el código está bloqueado por demasiados intentos
+        if (user.codigoBloqueado) {
+            return res.status(423).json({
+                error: "El código fue bloqueado por demasiados intentos. Solicitá uno nuevo.",
+                codigoError: "OTP_BLOQUEADO"
+            });
+        }
+
+        // Verificamos si hay un código vigente y si está vencido
+        if (!user.codigoHash || !user.codigoExpira || user.codigoExpira < new Date()) {
+            return res.status(400).json({
+                error: "El código ha expirado. Solicitá uno nuevo.",
+                codigoError: "OTP_EXPIRADO"
+            });
+        }
+
+        // Descontamos un intento ANTES de comparar, de forma atómica.
+        // Así, aunque lleguen muchos intentos en paralelo, nunca se prueban
+        // más de MAX_INTENTOS códigos contra el mismo hash.
+        user = await User.findOneAndUpdate(
+            {
+                _id: user._id,
+                codigoHash: user.codigoHash,
+                codigoBloqueado: false,
+                intentosFallidos: { $lt: otp.MAX_INTENTOS }
+            },
+            { $inc: { intentosFallidos: 1 } },
+            { new: true }
+        );
+
+        if (!user) {
+            // Otro request agotó los intentos (o se emitió un código nuevo) mientras tanto
+            return res.status(423).json({
+                error: "El código fue bloqueado por demasiados intentos. Solicitá uno nuevo.",
+                codigoError: "OTP_BLOQUEADO"
+            });
         }
 
-        // Verificamos si el código está vencido
-        if (user.codigoExpira < new Date()) {
-            return res.status(400).json({ error: "El código ha expirado." });
+        // Comparamos el código en tiempo constante
+        if (!otp.compararCodigo(user.codigoHash, telefono, codigo)) {
+            const intentosRestantes = otp.MAX_INTENTOS - user.intentosFallidos;
+
+            if (intentosRestantes <= 0) {
+                // Se agotaron los intentos → invalidamos el código
+                await User.updateOne(
+                    { _id: user._id, codigoHash: user.codigoHash },
+                    { $set: { codigoBloqueado: true, codigoHash: null, codigoExpira: null } }
+                );
+
+                logger.warn(`Código bloqueado por intentos fallidos para ${telefono}`);
+
+                return res.status(423).json({
+                    error: "El código fue bloqueado por demasiados intentos. Solicitá uno nuevo.",
+                    codigoError: "OTP_BLOQUEADO"
+                });
+            }
+
+            return res.status(400).json({
+                error: "Código incorrecto.",
+                codigoError: "OTP_INCORRECTO",
+                intentosRestantes
+            });
         }
 
         // Marcamos el usuario como verificado
         user.verificado = true;
 
         // Borramos el código para que no pueda usarse de nuevo
-        user.codigoVerificacion = null;
+        user.codigoHash = null;
         user.codigoExpira = null;
+        user.intentosFallidos = 0;
+
+        // Si el teléfono figura en ADMIN_TELEFONOS, le otorgamos el rol admin.
+        // Es la forma de crear el primer administrador sin tocar la base a mano.
+        if (esTelefonoAdmin(telefono) && !user.roles.includes("admin")) {
+            user.roles.push("admin");
+            logger.info(`Rol admin otorgado a ${telefono} por ADMIN_TELEFONOS`);
+        }
 
         await user.save();
 
-        // Creamos el payload para el JWT
-        const payload = {
-            userId: user._id,
-            telefono: user.telefono,
-            verificado: user.verificado,
-            role: "user"
-        };
+        // Creamos la sesión del dispositivo con su refresh token
+        const sesion = new Session({
+            user: user._id,
+            dispositivo: dispositivo || null,
+            // Recortado al máximo del modelo: si no, un User-Agent largo haría fallar
+            // el save() con el código ya consumido
+            userAgent: (req.get("user-agent") || "").slice(0, 500) || null,
+            ip: req.ip,
+            expiraEn: tokens.calcularExpiracionRefresh()
+        });
 
-        const jwtExpiresIn = process.env.JWT_EXPIRES_IN || "7d";
+        const { refreshToken, refreshTokenHash } = tokens.generarRefreshToken(sesion._id.toString());
+        sesion.refreshTokenHash = refreshTokenHash;
+        await sesion.save();
 
-        const token = jwt.sign(
-            payload,
-            process.env.JWT_SECRET,
-            { expiresIn: jwtExpiresIn }
-        );
+        const token = tokens.firmarAccessToken(user, sesion._id.toString());
 
         // Usamos logger.info en lugar de console.log
-        logger.info(`Usuario ${telefono} verificado y JWT emitido.`);
+        logger.info(`Usuario ${telefono} verificado y JWT emitido (sesión ${sesion._id}).`);
 
-        // Respondemos al frontend con el token
+        // Respondemos al frontend con los tokens
         return res.json({
             mensaje: "Teléfono verificado correctamente.",
-            token
+            token,
+            refreshToken
         });
 
     } catch (err) {
@@ -252,315 +448,219 @@ router.post("/verify", async (req, res) => {
 });
 
 ///////////////////////////////////////////////////////////////////////////////////////
-// DELETE /auth/cleanup
+// POST /auth/refresh
 //
 // Qué hace:
-// Endpoint para limpieza de la base de datos.
-//
-// - Busca usuarios cuyo código de verificación ya venció.
-// - Borra los campos:
-//    - codigoVerificacion
-//    - codigoExpira
-// - Devuelve cuántos usuarios fueron limpiados.
-//
-// Por qué es importante:
-// Mantiene la base de datos limpia y liviana.
-// Elimina datos innecesarios y caducos.
-// Buenas prácticas de mantenimiento.
+// - Recibe el refresh token de la sesión.
+// - Si es válido, emite un access token nuevo y ROTA el refresh token
+//   (el anterior deja de servir).
+// - Si alguien presenta un refresh token ya rotado, asumimos que fue robado y
+//   revocamos la sesión completa (codigoError REFRESH_REUTILIZADO).
 //
 // Ejemplo request:
-// DELETE /auth/cleanup
+// POST /auth/refresh
+// {
+//   "refreshToken": "<sid>.<secreto>"
+// }
 ///////////////////////////////////////////////////////////////////////////////////////
 
-router.delete("/cleanup", async (req, res) => {
+router.post("/refresh", async (req, res) => {
     try {
-        const result = await User.updateMany(
-            { codigoExpira: { $lt: new Date() } },
-            {
-                $unset: {
-                    codigoVerificacion: "",
-                    codigoExpira: ""
-                }
-            }
-        );
+        const schema = Joi.object({
+            refreshToken: Joi.string().max(200).required()
+        });
 
-        // Usamos logger.info en lugar de console.log
-        logger.info(`Cleanup ejecutado. Usuarios modificados: ${result.modifiedCount}`);
+        const { error } = schema.validate(req.body);
+        if (error) {
+            return res.status(400).json({ error: error.details[0].message });
+        }
 
-        return res.json({
-            success: true,
-            message: `Códigos expirados eliminados.`,
-            usuariosLimpiados: result.modifiedCount
-        });
+        const datos = tokens.leerRefreshToken(req.body.refreshToken);
+        if (!datos) {
+            return res.status(401).json({ error: "Refresh token inválido.", codigoError: "REFRESH_INVALIDO" });
+        }
 
-    } catch (err) {
-        // Usamos logger.error en lugar de console.error
-        logger.error(`Error en /auth/cleanup: ${err.message}`);
-        return res.status(500).json({ error: "Error interno al limpiar códigos expirados." });
-    }
-});
+        const sesion = await Session.findById(datos.sesionId);
 
-///////////////////////////////////////////////////////////////////////////////////////
-// Exportamos el router para que pueda integrarse en index.js
-///////////////////////////////////////////////////////////////////////////////////////
+        if (!sesion || sesion.revocadaEn || sesion.expiraEn < new Date()) {
+            return res.status(401).json({ error: "La sesión expiró o fue cerrada.", codigoError: "SESION_INVALIDA" });
+        }
 
-module.exports = router;
+        // Revisamos el usuario ANTES de rotar: si lo rechazamos después, el refresh
+        // token ya habría cambiado y el dispositivo quedaría deslogueado
+        const user = await User.findById(sesion.user);
+        if (!user || !user.verificado) {
+            return res.status(401).json({ error: "Usuario no verificado.", codigoError: "SESION_INVALIDA" });
+        }
 
-///////////////////////////////////////////////////////////////////////////////////////
-// Gracias a este archivo:
-// Tenemos flujo completo de registro y login solo con SMS.
-// Los prestadores están protegidos con JWT.
-// Todo el proceso está validado y es seguro.
-// Estamos listos para proteger rutas privadas en el backend.
-// Limpieza automática de códigos expirados,
-// manteniendo nuestra base de datos optimizada y ordenada.
-// Validación estricta del teléfono en formato internacional.
-// JWT incluye más datos para el frontend.
-// Logs profesionales con Winston,
-// para máxima trazabilidad y mantenimiento.
-///////////////////////////////////////////////////////////////////////////////////////
+        // Generamos el refresh token nuevo y lo guardamos SOLO si la sesión sigue
+        // teniendo el hash que nos presentaron (operación atómica).
+        const nuevo = tokens.generarRefreshToken(sesion._id.toString());
 
-// ESTO DE ACA ABAJO ES LO QUE ESTABA ANTES CON EL BLOQUE DE TWILIO 100% FUNCIONAL,
-// LO DEJO COMENTADO ACA ABAJO POR SI CUANDO QUIERA VOLVER A TRABAJAR CON TWILIO ME APARECE ALGUN PROBLEMA
+        const rotada = await Session.findOneAndUpdate(
+            { _id: sesion._id, refreshTokenHash: datos.hash, revocadaEn: null },
+            { $set: { refreshTokenHash: nuevo.refreshTokenHash, ultimoUso: new Date() } },
+            { new: true }
+        );
 
-/*
-///////////////////////////////////////////////////////////////////////////////////////
-// ¿Qué hace este archivo auth.js?
-// Es la pieza fundamental para nuestro login solo con SMS
-//
-// /auth/register:
-// recibe teléfono
-// genera código
-// envía SMS
-//
-// /auth/verify:
-// recibe teléfono + código
-// valida
-// devuelve JWT
-//
-// Ventajas de este archivo:
-// - Seguridad: maneja el ciclo completo de autenticación.
-// - Claridad: cada ruta tiene una sola responsabilidad.
-// - Escalabilidad: fácilmente ampliable si en el futuro queremos password o refresh tokens.
-///////////////////////////////////////////////////////////////////////////////////////
+        if (!rotada) {
+            // El token ya había sido usado → posible robo: revocamos la sesión entera
+            await Session.updateOne(
+                { _id: sesion._id, revocadaEn: null },
+                { $set: { revocadaEn: new Date(), motivoRevocacion: "reuso" } }
+            );
 
-///////////////////////////////////////////////////////////////////////////////////////
-// Importamos las librerías y módulos necesarios
-///////////////////////////////////////////////////////////////////////////////////////
+            logger.warn(`Refresh token reutilizado en la sesión ${sesion._id}. Sesión revocada.`);
 
-const express = require("express");  // Framework web
-const router = express.Router();     // Sistema de rutas de Express
-const Joi = require("joi");          // Validaciones de datos
-const jwt = require("jsonwebtoken"); // Para generar el token JWT
+            return res.status(401).json({
+                error: "Refresh token reutilizado. La sesión fue cerrada por seguridad.",
+                codigoError: "REFRESH_REUTILIZADO"
+            });
+        }
 
-// Importamos el modelo User (prestador)
-const User = require("../models/user");
+        const token = tokens.firmarAccessToken(user, sesion._id.toString());
 
-// Importamos nuestra función para enviar SMS vía Twilio
-const sendSMS = require("../utils/sendSMS");
+        return res.json({
+            token,
+            refreshToken: nuevo.refreshToken
+        });
 
-// Importamos logger profesional
-const logger = require("../utils/logger");
+    } catch (err) {
+        logger.error(`Error en /auth/refresh: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
 
 ///////////////////////////////////////////////////////////////////////////////////////
-// Validación estricta de teléfono
+// POST /auth/logout
 //
 // Qué hace:
-// Creamos un esquema Joi reutilizable para validar que el teléfono:
-// - Empiece obligatoriamente con "+".
-// - Tenga de 8 a 15 dígitos.
-// Ejemplo válido: +34123456789
-//
-// Por qué es importante:
-// Aseguramos que se guarden solo números en formato internacional.
-// Evitamos errores y costos innecesarios en Twilio.
-// Protegemos la integridad de la base de datos.
+// - Revoca la sesión del access token enviado.
+// - A partir de ahí, ni ese access token ni su refresh token sirven más.
 //
+// Ejemplo:
+// POST /auth/logout
+// Headers:
+//    Authorization: Bearer <token>
 ///////////////////////////////////////////////////////////////////////////////////////
 
-const telefonoSchema = Joi.string()
-    .pattern(/^\+\d{8,15}$/)
-    .required()
-    .messages({
-        "string.pattern.base": "El número de teléfono debe comenzar con '+' y tener entre 8 y 15 dígitos."
-    });
+router.post("/logout", authMiddleware, async (req, res) => {
+    try {
+        await Session.updateOne(
+            { _id: req.user.sid, revocadaEn: null },
+            { $set: { revocadaEn: new Date(), motivoRevocacion: "logout" } }
+        );
+
+        logger.info(`Logout de ${req.user.telefono} (sesión ${req.user.sid})`);
+
+        return res.json({ mensaje: "Sesión cerrada correctamente." });
+
+    } catch (err) {
+        logger.error(`Error en /auth/logout: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
 
 ///////////////////////////////////////////////////////////////////////////////////////
-// POST /auth/register
-// Endpoint que inicia el proceso de registro o login vía SMS.
+// POST /auth/logout-all
 //
 // Qué hace:
-// - Recibe el teléfono del prestador.
-// - Genera un código numérico aleatorio.
-// - Guarda ese código en la base con fecha de expiración.
-// - Envia el SMS con Twilio.
+// - Revoca TODAS las sesiones activas del usuario (incluida la actual).
+// - Útil si el usuario perdió el teléfono o sospecha de un acceso indebido.
 //
-// Si el usuario ya existe → actualiza el código.
-// Si no existe → crea uno nuevo.
-//
-// Ejemplo request:
-// POST /auth/register
-// {
-//   "telefono": "+34123456789"
-// }
+// Ejemplo:
+// POST /auth/logout-all
+// Headers:
+//    Authorization: Bearer <token>
 ///////////////////////////////////////////////////////////////////////////////////////
 
-router.post("/register", async (req, res) => {
+router.post("/logout-all", authMiddleware, async (req, res) => {
     try {
-        // Definimos el esquema Joi para validar el teléfono
-        const schema = Joi.object({
-            // Usamos nuestro nuevo esquema
-            telefono: telefonoSchema
-        });
-
-        // Validamos los datos recibidos
-        const { error } = schema.validate(req.body);
-        if (error) {
-            return res.status(400).json({ error: error.details[0].message });
-        }
-
-        const { telefono } = req.body;
-
-        // Generamos un código aleatorio de 6 dígitos (ej: 426731)
-        const codigo = Math.floor(100000 + Math.random() * 900000).toString();
-
-        // Definimos la expiración del código (10 minutos desde ahora)
-        const codigoExpira = new Date(Date.now() + 10 * 60 * 1000);
-
-        // Buscamos si el usuario ya existe
-        let user = await User.findOne({ telefono });
-
-        if (!user) {
-            // Si NO existe → creamos un nuevo usuario
-            user = new User({
-                telefono,
-                codigoVerificacion: codigo,
-                codigoExpira,
-                verificado: false
-            });
-        } else {
-            // Si ya existe → actualizamos su código de verificación
-            user.codigoVerificacion = codigo;
-            user.codigoExpira = codigoExpira;
-            user.verificado = false;
-        }
-
-        // Guardamos el usuario en la base
-        await user.save();
-
-        // Armamos el mensaje que vamos a enviar por SMS
-        const mensajeSMS = `Tu código de verificación en SERVIPRO es: ${codigo}`;
-
-        // Enviamos el SMS real con Twilio
-        await sendSMS(telefono, mensajeSMS);
+        const result = await Session.updateMany(
+            { user: req.user.userId, revocadaEn: null },
+            { $set: { revocadaEn: new Date(), motivoRevocacion: "logout-all" } }
+        );
 
-        // Usamos logger.info en lugar de console.log
-        logger.info(`Código enviado a ${telefono}: ${codigo}`);
+        logger.info(`Logout global de ${req.user.telefono}. Sesiones cerradas: ${result.modifiedCount}`);
 
-        // Respondemos al frontend
         return res.json({
-            mensaje: "Código de verificación enviado por SMS."
+            mensaje: "Se cerraron todas las sesiones.",
+            sesionesCerradas: result.modifiedCount
         });
 
     } catch (err) {
-        // Usamos logger.error en lugar de console.error
-        logger.error(`Error en /auth/register: ${err.message}`);
+        logger.error(`Error en /auth/logout-all: ${err.message}`);
         return res.status(500).json({ error: "Error interno del servidor." });
     }
 });
 
 ///////////////////////////////////////////////////////////////////////////////////////
-// POST /auth/verify
-// Endpoint que verifica el código ingresado por el prestador.
+// GET /auth/sessions
 //
 // Qué hace:
-// - Recibe teléfono y código.
-// - Busca el usuario en base de datos.
-// - Verifica si el código coincide y no está vencido.
-// - Si está todo bien:
-//    - Marca el usuario como verificado.
-//    - Borra el código.
-//    - Genera un token JWT para autenticarlo.
+// - Lista las sesiones activas del usuario (una por dispositivo).
+// - Marca con actual: true la sesión desde la que se hace el request.
 //
-// Ejemplo request:
-// POST /auth/verify
-// {
-//   "telefono": "+34123456789",
-//   "codigo": "426731"
-// }
+// Ejemplo:
+// GET /auth/sessions
+// Headers:
+//    Authorization: Bearer <token>
 ///////////////////////////////////////////////////////////////////////////////////////
 
-router.post("/verify", async (req, res) => {
+router.get("/sessions", authMiddleware, async (req, res) => {
     try {
-        // Definimos el esquema Joi para validar el input
-        const schema = Joi.object({
-            // Usamos nuestro nuevo esquema
-            telefono: telefonoSchema,
-            codigo: Joi.string().length(6).required()
-        });
-
-        // Validamos los datos recibidos
-        const { error } = schema.validate(req.body);
-        if (error) {
-            return res.status(400).json({ error: error.details[0].message });
-        }
-
-        const { telefono, codigo } = req.body;
+        const sesiones = await Session.find({
+            user: req.user.userId,
+            revocadaEn: null,
+            expiraEn: { $gt: new Date() }
+        }).sort({ ultimoUso: -1 });
+
+        return res.json(sesiones.map(sesion => ({
+            id: sesion._id,
+            dispositivo: sesion.dispositivo,
+            userAgent: sesion.userAgent,
+            ip: sesion.ip,
+            creadaEn: sesion.createdAt,
+            ultimoUso: sesion.ultimoUso,
+            expiraEn: sesion.expiraEn,
+            actual: sesion._id.toString() === req.user.sid
+        })));
 
-        // Buscamos el usuario por teléfono
-        const user = await User.findOne({ telefono });
+    } catch (err) {
+        logger.error(`Error en GET /auth/sessions: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
 
-        if (!user) {
-            return res.status(404).json({ error: "Usuario no encontrado." });
-        }
+///////////////////////////////////////////////////////////////////////////////////////
+// DELETE /auth/sessions/:id
+//
+// Qué hace:
+// - Cierra una sesión puntual del usuario (p. ej. "cerrar sesión en mi tablet").
+// - Solo se pueden cerrar sesiones propias.
+///////////////////////////////////////////////////////////////////////////////////////
 
-        // Verificamos si el código coincide
-        if (user.codigoVerificacion !== codigo) {
-            return res.status(400).json({ error: "Código incorrecto." });
-        }
+router.delete("/sessions/:id", authMiddleware, async (req, res) => {
+    try {
+        const { id } = req.params;
 
-        // Verificamos si el código está vencido
-        if (user.codigoExpira < new Date()) {
-            return res.status(400).json({ error: "El código ha expirado." });
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({ error: "ID inválido" });
         }
 
-        // Marcamos el usuario como verificado
-        user.verificado = true;
-
-        // Borramos el código para que no pueda usarse de nuevo
-        user.codigoVerificacion = null;
-        user.codigoExpira = null;
-
-        await user.save();
-
-        // Creamos el payload para el JWT
-        const payload = {
-            userId: user._id,
-            telefono: user.telefono,
-            verificado: user.verificado,
-            role: "user"
-        };
-
-        const jwtExpiresIn = process.env.JWT_EXPIRES_IN || "7d";
-
-        const token = jwt.sign(
-            payload,
-            process.env.JWT_SECRET,
-            { expiresIn: jwtExpiresIn }
+        const result = await Session.updateOne(
+            { _id: id, user: req.user.userId, revocadaEn: null },
+            { $set: { revocadaEn: new Date(), motivoRevocacion: "logout" } }
         );
 
-        // Usamos logger.info en lugar de console.log
-        logger.info(`Usuario ${telefono} verificado y JWT emitido.`);
+        if (result.matchedCount === 0) {
+            return res.status(404).json({ error: "Sesión no encontrada." });
+        }
 
-        // Respondemos al frontend con el token
-        return res.json({
-            mensaje: "Teléfono verificado correctamente.",
-            token
-        });
+        return res.json({ mensaje: "Sesión cerrada correctamente." });
 
     } catch (err) {
-        // Usamos logger.error en lugar de console.error
-        logger.error(`Error en /auth/verify: ${err.message}`);
+        logger.error(`Error en DELETE /auth/sessions/:id: ${err.message}`);
         return res.status(500).json({ error: "Error interno del servidor." });
     }
 });
@@ -573,8 +673,9 @@ router.post("/verify", async (req, res) => {
 //
 // - Busca usuarios cuyo código de verificación ya venció.
 // - Borra los campos:
-//    - codigoVerificacion
+//    - codigoHash
 //    - codigoExpira
+// - Reinicia el contador de intentos fallidos.
 // - Devuelve cuántos usuarios fueron limpiados.
 //
 // Por qué es importante:
@@ -582,18 +683,25 @@ router.post("/verify", async (req, res) => {
 // Elimina datos innecesarios y caducos.
 // Buenas prácticas de mantenimiento.
 //
+// Solo puede ejecutarlo un admin.
+//
 // Ejemplo request:
 // DELETE /auth/cleanup
+// Headers:
+//    Authorization: Bearer <token>
 ///////////////////////////////////////////////////////////////////////////////////////
 
-router.delete("/cleanup", async (req, res) => {
+router.delete("/cleanup", authMiddleware, requireRole("admin"), async (req, res) => {
     try {
         const result = await User.updateMany(
             { codigoExpira: { $lt: new Date() } },
             {
                 $unset: {
-                    codigoVerificacion: "",
+                    codigoHash: "",
                     codigoExpira: ""
+                },
+                $set: {
+                    intentosFallidos: 0
                 }
             }
         );
@@ -624,7 +732,9 @@ module.exports = router;
 // Gracias a este archivo:
 // Tenemos flujo completo de registro y login solo con SMS.
 // Los prestadores están protegidos con JWT.
+// Cada dispositivo tiene su sesión, con refresh tokens rotativos y logout real.
 // Todo el proceso está validado y es seguro.
+// Los códigos se guardan hasheados y se bloquean tras varios intentos fallidos.
 // Estamos listos para proteger rutas privadas en el backend.
 // Limpieza automática de códigos expirados,
 // manteniendo nuestra base de datos optimizada y ordenada.
@@ -633,4 +743,3 @@ module.exports = router;
 // Logs profesionales con Winston,
 // para máxima trazabilidad y mantenimiento.
 ///////////////////////////////////////////////////////////////////////////////////////
-*/
\ No newline at end of file
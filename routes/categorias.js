@@ -0,0 +1,266 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// routes/categorias.js
+//
+// Qué hace este archivo:
+// Expone el catálogo de categorías de servicios (models/category.js):
+// - GET  /categorias        → árbol de grupos y categorías activas (público)
+// - GET  /categorias/:slug  → detalle de una categoría o grupo (público)
+// - POST /categorias        → alta de un grupo o una categoría (admin)
+// - PUT  /categorias/:slug  → renombrar, cambiar ícono, orden, grupo o activarla/desactivarla (admin)
+//
+// No hay DELETE: una categoría que ya no se usa se desactiva (activa: false).
+// Así los servicios que la tenían no quedan con una categoría inexistente.
+//
+// Después de cada cambio se invalida el catálogo cacheado (utils/categorias.js), que
+// es el que usan las validaciones y los filtros de servicios, junto con los listados
+// de /serv que lo muestran.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const express = require("express");
+const router = express.Router();
+const Joi = require("joi");
+
+// Importamos los modelos
+const Category = require("../models/category");
+const Service = require("../models/service");
+
+// Importamos nuestros middlewares de autenticación y roles
+const authMiddleware = require("../middlewares/authMiddleware");
+const requireRole = require("../middlewares/requireRole");
+
+// Importamos el logger profesional (Winston)
+const logger = require("../utils/logger");
+
+// Importamos el acceso cacheado al catálogo
+const { obtenerCategorias, invalidarCategorias, armarArbol } = require("../utils/categorias");
+
+// Importamos el cache (para invalidar el detalle de los servicios renombrados)
+const cache = require("../utils/cache");
+
+// Campos que devolvemos de cada categoría
+const CAMPOS_PUBLICOS = "nombre slug grupo icono activa orden";
+
+/**
+ * Controla que el grupo indicado exista y sea un grupo (no una categoría).
+ *
+ * @param {string} slug - Slug del grupo
+ * @returns {Promise<string|null>} - Mensaje de error, o null si es válido
+ */
+async function validarGrupo(slug) {
+    const grupo = await Category.findOne({ slug }).lean();
+
+    if (!grupo) return `El grupo "${slug}" no existe.`;
+    if (grupo.grupo) return `"${grupo.nombre}" es una categoría, no un grupo.`;
+
+    return null;
+}
+
+/**
+ * Actualiza el nombre de la categoría en los servicios que la usan
+ * (y su índice de búsqueda, para que se encuentren por el nombre nuevo).
+ *
+ * @param {object} categoria - Categoría ya renombrada
+ * @returns {Promise<number>} - Cantidad de servicios actualizados
+ */
+async function renombrarEnServicios(categoria) {
+    const cursor = Service.find({ categoriaSlug: categoria.slug })
+        .setOptions({ incluirEliminados: true })
+        .select(Service.CAMPOS_BUSQUEDA.join(" "))
+        .lean()
+        .cursor();
+
+    const ids = [];
+
+    for await (const servicio of cursor) {
+        servicio.categoria = categoria.nombre;
+
+        // Escribimos directo en la colección: solo cambian la categoría y su índice de búsqueda
+        await Service.collection.updateOne(
+            { _id: servicio._id },
+            { $set: { categoria: categoria.nombre, busqueda: Service.construirIndiceBusqueda(servicio) } }
+        );
+        ids.push(servicio._id);
+    }
+
+    if (ids.length) await cache.invalidarServicio(...ids);
+
+    return ids.length;
+}
+
+///////////////////////////////////////////////////////////////////////////////////////
+// GET /categorias
+//
+// Qué hace:
+// - Devuelve los grupos activos, cada uno con sus categorías activas, en orden.
+//
+// Ejemplo de respuesta:
+// [
+//   { "nombre": "Hogar", "slug": "hogar", "icono": "home",
+//     "categorias": [{ "nombre": "Plomería", "slug": "plomeria", "icono": null }, ...] },
+//   ...
+// ]
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.get("/", async (req, res) => {
+    try {
+        const categorias = await obtenerCategorias();
+        return res.json(armarArbol(categorias));
+
+    } catch (err) {
+        logger.error(`Error en GET /categorias: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// GET /categorias/:slug
+//
+// Qué hace:
+// - Devuelve la categoría (aunque esté inactiva). Si es un grupo, incluye sus categorías.
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.get("/:slug", async (req, res) => {
+    try {
+        const categoria = await Category.findOne({ slug: req.params.slug }).select(CAMPOS_PUBLICOS).lean();
+
+        if (!categoria) {
+            return res.status(404).json({ error: "Categoría no encontrada." });
+        }
+
+        if (!categoria.grupo) {
+            categoria.categorias = await Category.find({ grupo: categoria.slug })
+                .select(CAMPOS_PUBLICOS)
+                .sort({ orden: 1, nombreNormalizado: 1 });
+        }
+
+        return res.json(categoria);
+
+    } catch (err) {
+        logger.error(`Error en GET /categorias/:slug: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// POST /categorias (admin)
+//
+// Qué hace:
+// - Da de alta una categoría dentro de un grupo, o un grupo nuevo (sin "grupo").
+// - El slug se arma solo con el nombre y no cambia aunque después se renombre.
+//
+// Ejemplo:
+// POST /categorias
+// Body:
+//    { "nombre": "Cerrajería", "grupo": "hogar", "icono": "key" }
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.post("/", authMiddleware, requireRole("admin"), async (req, res) => {
+    try {
+        const schema = Joi.object({
+            nombre: Joi.string().trim().min(2).max(100).required(),
+            grupo: Joi.string().max(100).allow(null).default(null),
+            icono: Joi.string().trim().max(50),
+            activa: Joi.boolean(),
+            orden: Joi.number().integer()
+        });
+
+        const { error, value } = schema.validate(req.body);
+        if (error) return res.status(400).json({ error: error.details[0].message });
+
+        if (value.grupo) {
+            const errorGrupo = await validarGrupo(value.grupo);
+            if (errorGrupo) return res.status(400).json({ error: errorGrupo });
+        }
+
+        const categoria = new Category(value);
+        await categoria.validate();
+
+        if (await Category.exists({ slug: categoria.slug })) {
+            return res.status(409).json({ error: `Ya existe la categoría "${categoria.slug}".` });
+        }
+
+        await categoria.save();
+        await invalidarCategorias();
+
+        logger.info(`Categoría ${categoria.slug} creada por ${req.user.telefono}`);
+
+        return res.status(201).json(categoria);
+
+    } catch (err) {
+        logger.error(`Error en POST /categorias: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// PUT /categorias/:slug (admin)
+//
+// Qué hace:
+// - Modifica nombre, ícono, orden, grupo o si está activa.
+// - Si se renombra, también se actualiza el nombre en los servicios que la usan.
+// - Desactivar un grupo deja sin elegir todas sus categorías (los servicios que ya
+//   las tienen no cambian).
+//
+// Ejemplo:
+// PUT /categorias/huevos-de-gallina
+// Body:
+//    { "activa": false }
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.put("/:slug", authMiddleware, requireRole("admin"), async (req, res) => {
+    try {
+        const schema = Joi.object({
+            nombre: Joi.string().trim().min(2).max(100),
+            grupo: Joi.string().max(100),
+            icono: Joi.string().trim().max(50).allow(null),
+            activa: Joi.boolean(),
+            orden: Joi.number().integer()
+        }).min(1);
+
+        const { error, value } = schema.validate(req.body);
+        if (error) return res.status(400).json({ error: error.details[0].message });
+
+        const categoria = await Category.findOne({ slug: req.params.slug });
+        if (!categoria) {
+            return res.status(404).json({ error: "Categoría no encontrada." });
+        }
+
+        // Un grupo no puede pasar a ser categoría ni al revés: se mueve una categoría entre grupos
+        if (value.grupo !== undefined) {
+            if (categoria.esGrupo()) {
+                return res.status(400).json({ error: "Un grupo no puede pertenecer a otro grupo." });
+            }
+
+            const errorGrupo = await validarGrupo(value.grupo);
+            if (errorGrupo) return res.status(400).json({ error: errorGrupo });
+        }
+
+        const renombrada = value.nombre !== undefined && value.nombre !== categoria.nombre;
+
+        Object.assign(categoria, value);
+        await categoria.save();
+        await invalidarCategorias();
+
+        if (renombrada && !categoria.esGrupo()) {
+            const actualizados = await renombrarEnServicios(categoria);
+            logger.info(`Categoría ${categoria.slug} renombrada: ${actualizados} servicios actualizados`);
+        }
+
+        logger.info(`Categoría ${categoria.slug} actualizada por ${req.user.telefono}`);
+
+        return res.json(categoria);
+
+    } catch (err) {
+        if (err.name === "ValidationError") {
+            return res.status(400).json({ error: err.message });
+        }
+        logger.error(`Error en PUT /categorias/:slug: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Exportamos el router para integrarlo en index.js
+///////////////////////////////////////////////////////////////////////////////////////
+
+module.exports = router;
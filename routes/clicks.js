@@ -5,7 +5,7 @@
 //
 // Permite:
 // - Registrar un nuevo clic (POST /api/clicks)
-// - Consultar los clics hechos a un servicio (GET /api/clicks?serviceId=...)
+// - Consultar los clics hechos a un servicio (GET /api/clicks?serviceId=...), paginados
 //
 // Esto brinda estadísticas y control real al administrador sobre el tráfico generado 
 // por cada prestador de servicios.
@@ -16,6 +16,7 @@ const router = express.Router();               // Sistema de ruteo de Express
 const Joi = require("joi");                    // Biblioteca de validación de datos
 const Click = require("../models/click");      // Modelo de clics
 const mongoose = require("mongoose");          // Para validar IDs de Mongo
+const { paginacionSchema, prepararPaginacion, armarPagina, enviarPagina } = require("../utils/paginacion"); // Paginación por cursor
 
 ///////////////////////////////////////////////////////////////////////////////////////
 // POST /api/clicks - Registrar un clic
@@ -56,27 +57,44 @@ router.post("/", async (req, res) => {
 });
 
 ///////////////////////////////////////////////////////////////////////////////////////
-// GET /api/clicks?serviceId=... - Obtener todos los clics de un prestador
+// GET /api/clicks?serviceId=... - Obtener los clics de un prestador (paginados)
+//
+// Responde { data, total, nextCursor } y el header Link (ver utils/paginacion.js),
+// del clic más reciente al más antiguo. Para seguir: ?cursor=<nextCursor>.
 ///////////////////////////////////////////////////////////////////////////////////////
 
 router.get("/", async (req, res) => {
     try {
-        // Validamos que venga el parámetro serviceId (opcional por ahora)
-        const { serviceId } = req.query;
+        // serviceId es opcional; limit y cursor controlan la paginación
+        const schema = Joi.object({
+            serviceId: Joi.string(),
+            ...paginacionSchema
+        });
+
+        const { error, value } = schema.validate(req.query);
+        if (error) return res.status(400).json({ error: error.details[0].message });
 
         const filtro = {};
-        if (serviceId) {
+        if (value.serviceId) {
             // Validamos el formato de ObjectId
-            if (!mongoose.Types.ObjectId.isValid(serviceId)) {
+            if (!mongoose.Types.ObjectId.isValid(value.serviceId)) {
                 return res.status(400).json({ error: "serviceId inválido" });
             }
-            filtro.serviceId = serviceId;
+            filtro.serviceId = value.serviceId;
         }
 
-        // Buscamos los clics en la base de datos
-        const clicks = await Click.find(filtro).sort({ fecha: -1 }); // ordenados del más reciente
+        // Ordenados del más reciente
+        const paginacion = prepararPaginacion(value, { fecha: -1 });
+        if (paginacion.error) return res.status(400).json({ error: paginacion.error });
+
+        const consulta = paginacion.condicion ? { $and: [filtro, paginacion.condicion] } : filtro;
+
+        const [clicks, total] = await Promise.all([
+            Click.find(consulta).sort(paginacion.orden).limit(paginacion.limit + 1),
+            Click.countDocuments(filtro)
+        ]);
 
-        res.json(clicks);
+        enviarPagina(req, res, armarPagina(clicks, paginacion, total));
     } catch (err) {
         console.error("Error al obtener clics:", err);
         res.status(500).json({ error: "Error interno del servidor" });
@@ -0,0 +1,614 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// routes/conversaciones.js
+//
+// Qué hace este archivo:
+// Implementa los mensajes entre clientes y servicios dentro de la app
+// (ver models/conversation.js y models/message.js):
+// - GET    /conversaciones                → conversaciones del usuario, las más activas primero
+// - POST   /conversaciones                → inicia (o retoma) la conversación con un servicio
+// - GET    /conversaciones/no-leidos      → cuántos mensajes sin leer tiene en total
+// - GET    /conversaciones/eventos        → stream en tiempo real (Server-Sent Events)
+// - GET    /conversaciones/:id            → detalle de una conversación
+// - GET    /conversaciones/:id/mensajes   → mensajes, del más nuevo al más viejo
+// - POST   /conversaciones/:id/mensajes   → envía un mensaje
+// - POST   /conversaciones/:id/leido      → marca la conversación como leída
+// - POST   /conversaciones/:id/bloqueo    → bloquea a la otra parte
+// - DELETE /conversaciones/:id/bloqueo    → la desbloquea
+//
+// Todas las rutas requieren JWT. Cada conversación la ven solo sus dos partes: para
+// cualquier otro usuario no existe (404). Nunca se muestra el teléfono de la otra parte.
+//
+// Tiempo real:
+// Cada mensaje nuevo y cada lectura se publican (utils/tiempoReal.js) a las dos partes.
+// La app los recibe por GET /conversaciones/eventos; si la conexión se corta, vuelve a
+// pedir las conversaciones y los mensajes para ponerse al día.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const express = require("express");
+const router = express.Router();
+const Joi = require("joi");
+const mongoose = require("mongoose");
+const rateLimit = require("express-rate-limit");
+
+// Importamos los modelos
+const Conversation = require("../models/conversation");
+const Message = require("../models/message");
+const Service = require("../models/service");
+const User = require("../models/user");
+
+// Importamos nuestro middleware de autenticación
+const authMiddleware = require("../middlewares/authMiddleware");
+
+// Importamos el logger profesional (Winston)
+const logger = require("../utils/logger");
+
+// Importamos la paginación por cursor
+const { paginacionSchema, prepararPaginacion, armarPagina, enviarPagina } = require("../utils/paginacion");
+
+// Importamos el reparto de eventos en tiempo real
+const tiempoReal = require("../utils/tiempoReal");
+
+// Todas las rutas de este archivo son para usuarios logueados
+router.use(authMiddleware);
+
+// Conexiones de tiempo real abiertas a la vez por usuario (una por pestaña o dispositivo)
+const MAX_CONEXIONES = 5;
+
+// Cada cuánto se manda un comentario vacío para que proxies y balanceadores no corten el stream
+const LATIDO_MS = 25 * 1000;
+
+// Mensajes por usuario y por minuto (frena el spam)
+const mensajesLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: 30,
+    keyGenerator: req => String(req.user.userId),
+    message: { error: "Estás enviando demasiados mensajes. Esperá un momento." },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+/**
+ * Arma la respuesta de una conversación para una de sus partes.
+ *
+ * @param {object} conversacion - Documento Conversation (con cliente populado)
+ * @param {"cliente"|"prestador"} parte
+ * @param {boolean} bloqueadaPorMi - Si el usuario bloqueó a la otra parte
+ * @returns {object}
+ */
+function vistaPara(conversacion, parte, bloqueadaPorMi) {
+    const datos = conversacion.toJSON();
+
+    return {
+        _id: datos._id,
+        servicio: datos.servicio,
+        servicioNombre: datos.servicioNombre,
+        cliente: datos.cliente,
+        prestador: datos.prestador,
+        parte,
+        ultimoMensaje: datos.ultimoMensaje || null,
+        ultimaActividad: datos.ultimaActividad,
+        noLeidos: datos.noLeidos[parte],
+        leidoPorLaOtraParteHasta: datos.leidoHasta[Conversation.otraParte(parte)],
+        bloqueadaPorMi,
+        createdAt: datos.createdAt
+    };
+}
+
+/**
+ * IDs de los usuarios que bloqueó el usuario logueado (como texto).
+ *
+ * @returns {Promise<Set<string>>}
+ */
+async function bloqueadosPor(usuarioId) {
+    const usuario = await User.findById(usuarioId).select("bloqueados").lean();
+    return new Set((usuario ? usuario.bloqueados : []).map(String));
+}
+
+/**
+ * Busca una conversación del usuario logueado. Responde 400/404 si no corresponde.
+ *
+ * @returns {Promise<{ conversacion: object, parte: string }|null>} - null si ya se respondió con error
+ */
+async function buscarConversacion(req, res) {
+    if (!/^[0-9a-fA-F]{24}$/.test(req.params.id)) {
+        res.status(400).json({ error: "ID inválido" });
+        return null;
+    }
+
+    const conversacion = await Conversation.findById(req.params.id);
+    const parte = conversacion && conversacion.parteDe(req.user.userId);
+
+    // A un tercero no le confirmamos que la conversación existe
+    if (!parte) {
+        res.status(404).json({ error: "Conversación no encontrada" });
+        return null;
+    }
+
+    return { conversacion, parte };
+}
+
+/**
+ * Guarda un mensaje, actualiza la conversación (vista previa y no leídos de la otra
+ * parte) y lo publica en tiempo real a las dos partes.
+ *
+ * @param {object} conversacion
+ * @param {"cliente"|"prestador"} parte - Quién lo escribe
+ * @param {string} autor - ID del usuario
+ * @param {string} texto
+ * @returns {Promise<object>} - El mensaje guardado
+ */
+async function enviarMensaje(conversacion, parte, autor, texto) {
+    const mensaje = await Message.create({ conversacion: conversacion._id, autor, parte, texto });
+    const otra = Conversation.otraParte(parte);
+
+    await Conversation.updateOne({ _id: conversacion._id }, {
+        $set: {
+            ultimoMensaje: { texto: mensaje.texto.slice(0, 140), parte, fecha: mensaje.createdAt },
+            ultimaActividad: mensaje.createdAt
+        },
+        $inc: { [`noLeidos.${otra}`]: 1 }
+    });
+
+    await tiempoReal.publicar([conversacion.cliente, conversacion.prestador], "mensaje", {
+        conversacion: conversacion._id,
+        mensaje
+    });
+
+    return mensaje;
+}
+
+///////////////////////////////////////////////////////////////////////////////////////
+// GET /conversaciones
+//
+// Qué hace:
+// - Lista las conversaciones del usuario (como cliente y como prestador), de la que
+//   tuvo el último mensaje más reciente a la más vieja. Paginado por cursor.
+// - rol=cliente o rol=prestador (opcional) → solo las de ese lado.
+// - Cada una trae la vista previa del último mensaje y sus no leídos.
+//
+// Ejemplo:
+// GET /conversaciones?rol=prestador&limit=20
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.get("/", async (req, res) => {
+    try {
+        const schema = Joi.object({
+            rol: Joi.string().valid(...Conversation.PARTES),
+            ...paginacionSchema
+        });
+
+        const { error, value } = schema.validate(req.query);
+        if (error) return res.status(400).json({ error: error.details[0].message });
+
+        const paginacion = prepararPaginacion(value, { ultimaActividad: -1 });
+        if (paginacion.error) return res.status(400).json({ error: paginacion.error });
+
+        const partes = value.rol ? [value.rol] : Conversation.PARTES;
+        const filtro = { $or: partes.map(parte => ({ [parte]: req.user.userId })) };
+        const consulta = paginacion.condicion ? { $and: [filtro, paginacion.condicion] } : filtro;
+
+        const [documentos, total, bloqueados] = await Promise.all([
+            Conversation.find(consulta)
+                .sort(paginacion.orden)
+                .limit(paginacion.limit + 1)
+                .populate("cliente", "nombreVisible"),
+            Conversation.countDocuments(filtro),
+            bloqueadosPor(req.user.userId)
+        ]);
+
+        const pagina = armarPagina(documentos, paginacion, total);
+
+        return enviarPagina(req, res, {
+            ...pagina,
+            data: pagina.data.map(conversacion => {
+                const parte = conversacion.parteDe(req.user.userId);
+                const otro = conversacion[Conversation.otraParte(parte)];
+                return vistaPara(conversacion, parte, bloqueados.has(String(otro._id || otro)));
+            })
+        });
+
+    } catch (err) {
+        logger.error(`Error en GET /conversaciones: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// POST /conversaciones
+//
+// Qué hace:
+// - Inicia la conversación del usuario (como cliente) con un servicio publicado, o
+//   devuelve la que ya tenía (200). Si viene "texto", lo envía como primer mensaje.
+// - Solo usuarios verificados, nunca con un servicio propio.
+// - 403 si alguna de las dos partes bloqueó a la otra (con o sin "texto").
+//
+// Ejemplo:
+// POST /conversaciones
+// { "servicio": "64f1c0...", "texto": "Hola, ¿trabajan los sábados?" }
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.post("/", mensajesLimiter, async (req, res) => {
+    try {
+        if (!req.user.verificado) {
+            return res.status(403).json({ error: "Tenés que verificar tu teléfono para enviar mensajes." });
+        }
+
+        const schema = Joi.object({
+            servicio: Joi.string().hex().length(24).required(),
+            texto: Joi.string().trim().min(1).max(2000)
+        });
+
+        const { error, value } = schema.validate(req.body);
+        if (error) return res.status(400).json({ error: error.details[0].message });
+
+        const servicio = await Service.findOne({ _id: value.servicio, estadoModeracion: "aprobado" });
+        if (!servicio) return res.status(404).json({ error: "Servicio no encontrado" });
+
+        // Servicios cargados antes de existir owner: no hay cuenta que pueda responder
+        if (!servicio.owner) {
+            return res.status(409).json({ error: "Este prestador todavía no recibe mensajes: contactalo por teléfono." });
+        }
+
+        if (String(servicio.owner) === String(req.user.userId)) {
+            return res.status(403).json({ error: "No podés escribirle a tu propio servicio." });
+        }
+
+        if (await User.hayBloqueo(req.user.userId, servicio.owner)) {
+            return res.status(403).json({ error: "No podés enviar mensajes en esta conversación." });
+        }
+
+        const clave = { cliente: req.user.userId, servicio: servicio._id };
+
+        // upsert: si dos pedidos llegan a la vez, igual queda una sola conversación.
+        // El que pierde la carrera choca con el índice único: usa la que creó el otro.
+        let conversacion;
+        let nueva = false;
+
+        try {
+            const resultado = await Conversation.findOneAndUpdate(clave, {
+                $setOnInsert: { servicioNombre: servicio.nombre, prestador: servicio.owner }
+            }, { upsert: true, new: true, includeResultMetadata: true });
+
+            conversacion = resultado.value;
+            nueva = !resultado.lastErrorObject.updatedExisting;
+        } catch (err) {
+            if (err.code !== 11000) throw err;
+            conversacion = await Conversation.findOne(clave);
+        }
+
+        let mensaje = null;
+        if (value.texto) mensaje = await enviarMensaje(conversacion, "cliente", req.user.userId, value.texto);
+
+        if (nueva) logger.info(`Conversación ${conversacion._id} iniciada por ${req.user.telefono} con el servicio ${servicio._id}`);
+
+        const actualizada = await Conversation.findById(conversacion._id).populate("cliente", "nombreVisible");
+        const bloqueados = await bloqueadosPor(req.user.userId);
+
+        return res.status(nueva ? 201 : 200).json({
+            conversacion: vistaPara(actualizada, "cliente", bloqueados.has(String(servicio.owner))),
+            mensaje
+        });
+
+    } catch (err) {
+        logger.error(`Error en POST /conversaciones: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// GET /conversaciones/no-leidos
+//
+// Qué hace:
+// - Cuenta los mensajes sin leer del usuario (para el globito de la app), en total y
+//   separados según si es el cliente o el prestador de la conversación.
+//
+// Ejemplo de respuesta:
+// { "total": 5, "conversaciones": 2, "comoCliente": 1, "comoPrestador": 4 }
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.get("/no-leidos", async (req, res) => {
+    try {
+        const usuario = new mongoose.Types.ObjectId(String(req.user.userId));
+
+        const contar = parte => Conversation.aggregate([
+            { $match: { [parte]: usuario, [`noLeidos.${parte}`]: { $gt: 0 } } },
+            { $group: { _id: null, mensajes: { $sum: `$noLeidos.${parte}` }, conversaciones: { $sum: 1 } } }
+        ]);
+
+        const [[cliente], [prestador]] = await Promise.all([contar("cliente"), contar("prestador")]);
+
+        const comoCliente = cliente ? cliente.mensajes : 0;
+        const comoPrestador = prestador ? prestador.mensajes : 0;
+
+        return res.json({
+            total: comoCliente + comoPrestador,
+            conversaciones: (cliente ? cliente.conversaciones : 0) + (prestador ? prestador.conversaciones : 0),
+            comoCliente,
+            comoPrestador
+        });
+
+    } catch (err) {
+        logger.error(`Error en GET /conversaciones/no-leidos: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// GET /conversaciones/eventos
+//
+// Qué hace:
+// - Abre un stream de Server-Sent Events (text/event-stream) con los eventos del
+//   usuario en tiempo real:
+//     event: mensaje → { conversacion, mensaje }          (mensaje nuevo, propio o ajeno)
+//     event: leido   → { conversacion, parte, leidoHasta } (la otra parte leyó)
+// - Requiere el JWT en el header Authorization, como el resto de la API. En el
+//   navegador, EventSource no permite headers: usar fetch() leyendo el body como stream.
+// - Hasta MAX_CONEXIONES streams abiertos por usuario (429 si se supera).
+//
+// Ejemplo:
+// GET /conversaciones/eventos
+// Headers:
+//    Authorization: Bearer <token>
+//    Accept: text/event-stream
+///////////////////////////////////////////////////////////////////////////////////////
+
+// Streams abiertos por usuario (en esta instancia)
+const conexiones = new Map();
+
+router.get("/eventos", (req, res) => {
+    const usuario = String(req.user.userId);
+    const abiertas = conexiones.get(usuario) || 0;
+
+    if (abiertas >= MAX_CONEXIONES) {
+        return res.status(429).json({ error: `Podés tener hasta ${MAX_CONEXIONES} conexiones en tiempo real abiertas.` });
+    }
+
+    conexiones.set(usuario, abiertas + 1);
+
+    res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no" // nginx: no guardar el stream en buffer
+    });
+    res.flushHeaders();
+
+    // compression guarda lo escrito hasta juntar un bloque: hay que forzar el envío
+    const escribir = texto => {
+        res.write(texto);
+        if (res.flush) res.flush();
+    };
+
+    escribir("retry: 5000\n\n");
+
+    const desuscribir = tiempoReal.suscribir(usuario, (tipo, datos) => {
+        escribir(`event: ${tipo}\ndata: ${JSON.stringify(datos)}\n\n`);
+    });
+
+    const latido = setInterval(() => escribir(": latido\n\n"), LATIDO_MS);
+
+    req.on("close", () => {
+        clearInterval(latido);
+        desuscribir();
+
+        const restantes = (conexiones.get(usuario) || 1) - 1;
+        if (restantes > 0) conexiones.set(usuario, restantes);
+        else conexiones.delete(usuario);
+    });
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// GET /conversaciones/:id
+//
+// Qué hace:
+// - Devuelve la conversación para el usuario logueado: "parte" (cliente o prestador),
+//   sus no leídos, hasta cuándo leyó la otra parte y si él la bloqueó.
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.get("/:id", async (req, res) => {
+    try {
+        const encontrada = await buscarConversacion(req, res);
+        if (!encontrada) return;
+
+        const { conversacion, parte } = encontrada;
+        const otro = conversacion[Conversation.otraParte(parte)];
+
+        await conversacion.populate("cliente", "nombreVisible");
+        const bloqueados = await bloqueadosPor(req.user.userId);
+
+        return res.json(vistaPara(conversacion, parte, bloqueados.has(String(otro))));
+
+    } catch (err) {
+        logger.error(`Error en GET /conversaciones/:id: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// GET /conversaciones/:id/mensajes
+//
+// Qué hace:
+// - Devuelve los mensajes del más nuevo al más viejo, paginados por cursor (el scroll
+//   hacia arriba del chat pide la página siguiente).
+// - Cada mensaje trae "leido": si la otra parte ya lo leyó (solo tiene sentido en los
+//   mensajes propios; en los ajenos indica si los leyó el usuario).
+//
+// Ejemplo:
+// GET /conversaciones/66b0.../mensajes?limit=30
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.get("/:id/mensajes", async (req, res) => {
+    try {
+        const { error, value } = Joi.object(paginacionSchema).validate(req.query);
+        if (error) return res.status(400).json({ error: error.details[0].message });
+
+        const encontrada = await buscarConversacion(req, res);
+        if (!encontrada) return;
+
+        const { conversacion } = encontrada;
+
+        const paginacion = prepararPaginacion(value, { createdAt: -1 });
+        if (paginacion.error) return res.status(400).json({ error: paginacion.error });
+
+        const filtro = { conversacion: conversacion._id };
+        const consulta = paginacion.condicion ? { $and: [filtro, paginacion.condicion] } : filtro;
+
+        const [documentos, total] = await Promise.all([
+            Message.find(consulta).sort(paginacion.orden).limit(paginacion.limit + 1),
+            Message.countDocuments(filtro)
+        ]);
+
+        const pagina = armarPagina(documentos, paginacion, total);
+
+        // Un mensaje está leído si es anterior a la última lectura de quien lo recibe
+        const leido = mensaje => {
+            const lectura = conversacion.leidoHasta[Conversation.otraParte(mensaje.parte)];
+            return Boolean(lectura && mensaje.createdAt <= lectura);
+        };
+
+        return enviarPagina(req, res, {
+            ...pagina,
+            data: pagina.data.map(mensaje => ({ ...mensaje.toJSON(), leido: leido(mensaje) }))
+        });
+
+    } catch (err) {
+        logger.error(`Error en GET /conversaciones/:id/mensajes: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// POST /conversaciones/:id/mensajes
+//
+// Qué hace:
+// - Envía un mensaje (hasta 2000 caracteres). Se publica en tiempo real a las dos partes.
+// - Solo usuarios verificados (403 si no).
+// - 403 si alguna de las dos partes bloqueó a la otra.
+//
+// Ejemplo:
+// POST /conversaciones/66b0.../mensajes
+// { "texto": "Sí, los sábados de 9 a 13." }
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.post("/:id/mensajes", mensajesLimiter, async (req, res) => {
+    try {
+        if (!req.user.verificado) {
+            return res.status(403).json({ error: "Tenés que verificar tu teléfono para enviar mensajes." });
+        }
+
+        const schema = Joi.object({
+            texto: Joi.string().trim().min(1).max(2000).required()
+        });
+
+        const { error, value } = schema.validate(req.body);
+        if (error) return res.status(400).json({ error: error.details[0].message });
+
+        const encontrada = await buscarConversacion(req, res);
+        if (!encontrada) return;
+
+        const { conversacion, parte } = encontrada;
+
+        if (await User.hayBloqueo(conversacion.cliente, conversacion.prestador)) {
+            return res.status(403).json({ error: "No podés enviar mensajes en esta conversación." });
+        }
+
+        const mensaje = await enviarMensaje(conversacion, parte, req.user.userId, value.texto);
+
+        return res.status(201).json({ ...mensaje.toJSON(), leido: false });
+
+    } catch (err) {
+        logger.error(`Error en POST /conversaciones/:id/mensajes: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// POST /conversaciones/:id/leido
+//
+// Qué hace:
+// - Marca como leídos todos los mensajes recibidos hasta ahora: pone en 0 los no leídos
+//   del usuario y avisa en tiempo real a la otra parte (confirmación de lectura).
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.post("/:id/leido", async (req, res) => {
+    try {
+        const encontrada = await buscarConversacion(req, res);
+        if (!encontrada) return;
+
+        const { conversacion, parte } = encontrada;
+        const leidoHasta = new Date();
+
+        await Conversation.updateOne({ _id: conversacion._id }, {
+            $set: { [`noLeidos.${parte}`]: 0, [`leidoHasta.${parte}`]: leidoHasta }
+        });
+
+        await tiempoReal.publicar([conversacion.cliente, conversacion.prestador], "leido", {
+            conversacion: conversacion._id,
+            parte,
+            leidoHasta
+        });
+
+        return res.json({ mensaje: "Conversación leída.", leidoHasta });
+
+    } catch (err) {
+        logger.error(`Error en POST /conversaciones/:id/leido: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// POST /conversaciones/:id/bloqueo
+// DELETE /conversaciones/:id/bloqueo
+//
+// Qué hace:
+// - Bloquea (o desbloquea) a la otra parte de la conversación. Mientras esté
+//   bloqueada, nadie puede escribir en esta ni en otra conversación entre los dos, y
+//   el cliente bloqueado tampoco puede mandarle solicitudes de trabajo.
+// - La otra parte no recibe ningún aviso.
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.post("/:id/bloqueo", async (req, res) => {
+    try {
+        const encontrada = await buscarConversacion(req, res);
+        if (!encontrada) return;
+
+        const { conversacion, parte } = encontrada;
+        const otro = conversacion[Conversation.otraParte(parte)];
+
+        await User.updateOne({ _id: req.user.userId }, { $addToSet: { bloqueados: otro } });
+
+        logger.info(`Usuario ${otro} bloqueado por ${req.user.telefono} (conversación ${conversacion._id})`);
+
+        return res.json({ mensaje: "Usuario bloqueado.", bloqueadaPorMi: true });
+
+    } catch (err) {
+        logger.error(`Error en POST /conversaciones/:id/bloqueo: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+router.delete("/:id/bloqueo", async (req, res) => {
+    try {
+        const encontrada = await buscarConversacion(req, res);
+        if (!encontrada) return;
+
+        const { conversacion, parte } = encontrada;
+        const otro = conversacion[Conversation.otraParte(parte)];
+
+        await User.updateOne({ _id: req.user.userId }, { $pull: { bloqueados: otro } });
+
+        logger.info(`Usuario ${otro} desbloqueado por ${req.user.telefono} (conversación ${conversacion._id})`);
+
+        return res.json({ mensaje: "Usuario desbloqueado.", bloqueadaPorMi: false });
+
+    } catch (err) {
+        logger.error(`Error en DELETE /conversaciones/:id/bloqueo: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Exportamos el router para integrarlo en index.js
+///////////////////////////////////////////////////////////////////////////////////////
+
+module.exports = router;
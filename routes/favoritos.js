@@ -0,0 +1,241 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// routes/favoritos.js
+//
+// Qué hace este archivo:
+// Implementa los favoritos de cada usuario (ver models/favorite.js):
+// - GET    /favoritos             → sus servicios favoritos, del más nuevo al más viejo
+// - GET    /favoritos/ids         → solo los IDs (para marcar el corazón en los listados)
+// - POST   /favoritos             → guarda un servicio: { "servicio": "<id>" }
+// - DELETE /favoritos/:servicioId → lo quita
+//
+// Todas las rutas requieren JWT. Cualquier usuario puede tener favoritos, sea
+// cliente o prestador.
+//
+// Los favoritos de servicios borrados, suspendidos o en moderación no se borran:
+// simplemente no se muestran mientras el servicio no esté publicado.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const express = require("express");
+const router = express.Router();
+const Joi = require("joi");
+const mongoose = require("mongoose");
+
+// Importamos los modelos
+const Favorite = require("../models/favorite");
+const Service = require("../models/service");
+
+// Importamos nuestro middleware de autenticación
+const authMiddleware = require("../middlewares/authMiddleware");
+
+// Importamos el logger profesional (Winston)
+const logger = require("../utils/logger");
+
+// Importamos la paginación por cursor
+const { paginacionSchema, prepararPaginacion, armarPagina, enviarPagina } = require("../utils/paginacion");
+
+// Todas las rutas de este archivo son para usuarios logueados
+router.use(authMiddleware);
+
+// Máximo de favoritos por usuario (GET /favoritos/ids los devuelve todos juntos)
+const MAX_FAVORITOS = 500;
+
+/**
+ * Etapas de aggregate que le agregan a cada favorito su servicio, y descartan los
+ * favoritos cuyo servicio ya no está publicado (borrado, suspendido o en moderación).
+ *
+ * @returns {object[]}
+ */
+function etapasServicioPublicado() {
+    return [
+        {
+            $lookup: {
+                from: Service.collection.name,
+                localField: "servicio",
+                foreignField: "_id",
+                pipeline: [
+                    { $match: { estadoModeracion: "aprobado", deleted: { $ne: true } } },
+                    {
+                        $project: {
+                            busqueda: 0, "horarios.franjas": 0, historialModeracion: 0,
+                            reportes: 0, reportesPendientes: 0, reportesRevisadosHasta: 0
+                        }
+                    }
+                ],
+                as: "servicio"
+            }
+        },
+        { $unwind: "$servicio" }
+    ];
+}
+
+///////////////////////////////////////////////////////////////////////////////////////
+// GET /favoritos
+//
+// Qué hace:
+// - Devuelve los favoritos del usuario con su servicio, del guardado más recientemente
+//   al más viejo. Paginado por cursor (ver utils/paginacion.js).
+// - "total" cuenta solo los que se muestran; "noDisponibles", los que están guardados
+//   pero cuyo servicio hoy no está publicado (la app puede avisarlo).
+//
+// Ejemplo de respuesta:
+// {
+//   "data": [{ "_id": "...", "servicio": { "nombre": "Pedro López", ... }, "createdAt": "..." }],
+//   "total": 7,
+//   "noDisponibles": 1,
+//   "nextCursor": null
+// }
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.get("/", async (req, res) => {
+    try {
+        const { error, value } = Joi.object(paginacionSchema).validate(req.query);
+        if (error) return res.status(400).json({ error: error.details[0].message });
+
+        const paginacion = prepararPaginacion(value, { createdAt: -1 });
+        if (paginacion.error) return res.status(400).json({ error: paginacion.error });
+
+        // aggregate no convierte tipos: el ID del usuario tiene que ir como ObjectId
+        const filtro = { usuario: new mongoose.Types.ObjectId(String(req.user.userId)) };
+        const consulta = paginacion.condicion ? { $and: [filtro, paginacion.condicion] } : filtro;
+
+        const [documentos, [conteo], guardados] = await Promise.all([
+            Favorite.aggregate([
+                { $match: consulta },
+                { $sort: paginacion.orden },
+                ...etapasServicioPublicado(),
+                { $limit: paginacion.limit + 1 }
+            ]),
+            Favorite.aggregate([
+                { $match: filtro },
+                ...etapasServicioPublicado(),
+                { $count: "total" }
+            ]),
+            Favorite.countDocuments(filtro)
+        ]);
+
+        const total = conteo ? conteo.total : 0;
+        const pagina = armarPagina(documentos, paginacion, total);
+
+        pagina.data.forEach(favorito => Service.agregarUrlsImagenes(favorito.servicio));
+
+        return enviarPagina(req, res, { ...pagina, noDisponibles: guardados - total });
+
+    } catch (err) {
+        logger.error(`Error en GET /favoritos: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// GET /favoritos/ids
+//
+// Qué hace:
+// - Devuelve solo los IDs de los servicios favoritos (los publicados), para que la app
+//   marque cuáles de un listado de GET /serv ya están guardados.
+//
+// Ejemplo de respuesta:
+// { "ids": ["64f1c0...", "64f1c1..."] }
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.get("/ids", async (req, res) => {
+    try {
+        const guardados = await Favorite.find({ usuario: req.user.userId }).select("servicio").lean();
+
+        const publicados = await Service.find({
+            _id: { $in: guardados.map(favorito => favorito.servicio) },
+            estadoModeracion: "aprobado"
+        }).distinct("_id");
+
+        return res.json({ ids: publicados });
+
+    } catch (err) {
+        logger.error(`Error en GET /favoritos/ids: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// POST /favoritos
+//
+// Qué hace:
+// - Guarda un servicio en los favoritos del usuario.
+// - Solo servicios publicados (404 si no existe, está borrado o no está aprobado).
+// - Si ya estaba guardado responde 200 (no es un error); si es nuevo, 201.
+//
+// Ejemplo:
+// POST /favoritos
+// { "servicio": "64f1c0..." }
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.post("/", async (req, res) => {
+    try {
+        const schema = Joi.object({
+            servicio: Joi.string().hex().length(24).required()
+        });
+
+        const { error, value } = schema.validate(req.body);
+        if (error) return res.status(400).json({ error: error.details[0].message });
+
+        const publicado = await Service.exists({ _id: value.servicio, estadoModeracion: "aprobado" });
+        if (!publicado) return res.status(404).json({ error: "Servicio no encontrado" });
+
+        const clave = { usuario: req.user.userId, servicio: value.servicio };
+
+        const existente = await Favorite.findOne(clave);
+        if (existente) return res.json({ mensaje: "El servicio ya estaba en tus favoritos.", favorito: existente });
+
+        if (await Favorite.countDocuments({ usuario: req.user.userId }) >= MAX_FAVORITOS) {
+            return res.status(409).json({ error: `Podés guardar hasta ${MAX_FAVORITOS} favoritos. Quitá alguno para agregar otro.` });
+        }
+
+        let favorito;
+        try {
+            favorito = await Favorite.create(clave);
+        } catch (err) {
+            // Dos pedidos a la vez: el otro ya lo guardó
+            if (err.code !== 11000) throw err;
+            favorito = await Favorite.findOne(clave);
+            return res.json({ mensaje: "El servicio ya estaba en tus favoritos.", favorito });
+        }
+
+        return res.status(201).json({ mensaje: "Servicio agregado a favoritos.", favorito });
+
+    } catch (err) {
+        logger.error(`Error en POST /favoritos: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// DELETE /favoritos/:servicioId
+//
+// Qué hace:
+// - Quita un servicio de los favoritos del usuario. Funciona aunque el servicio ya no
+//   esté publicado (o ya no exista).
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.delete("/:servicioId", async (req, res) => {
+    try {
+        if (!/^[0-9a-fA-F]{24}$/.test(req.params.servicioId)) {
+            return res.status(400).json({ error: "ID inválido" });
+        }
+
+        const resultado = await Favorite.deleteOne({ usuario: req.user.userId, servicio: req.params.servicioId });
+
+        if (resultado.deletedCount === 0) {
+            return res.status(404).json({ error: "El servicio no está en tus favoritos." });
+        }
+
+        return res.json({ mensaje: "Servicio quitado de favoritos." });
+
+    } catch (err) {
+        logger.error(`Error en DELETE /favoritos/:servicioId: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Exportamos el router para integrarlo en index.js
+///////////////////////////////////////////////////////////////////////////////////////
+
+module.exports = router;
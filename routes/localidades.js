@@ -0,0 +1,251 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// routes/localidades.js
+//
+// Qué hace este archivo:
+// Expone el catálogo de localidades (models/locality.js):
+// - GET  /localidades               → búsqueda por nombre (para autocompletar)
+// - GET  /localidades/:slug         → detalle, con sus localidades vecinas
+// - POST /localidades               → alta de una localidad (admin)
+// - PUT  /localidades/:slug/vecinos → define las localidades vecinas (admin)
+//
+// Las consultas son públicas: la app las usa para que el prestador elija su
+// localidad y las que cubre, y para que el cliente filtre GET /serv?localidad=.
+//
+// La relación de vecinos es simétrica: si Funes es vecina de Roldán,
+// Roldán es vecina de Funes. Este archivo se encarga de mantenerla así.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const express = require("express");
+const router = express.Router();
+const Joi = require("joi");
+
+// Importamos el modelo del catálogo de localidades
+const Locality = require("../models/locality");
+
+// Importamos nuestros middlewares de autenticación y roles
+const authMiddleware = require("../middlewares/authMiddleware");
+const requireRole = require("../middlewares/requireRole");
+
+// Importamos el logger profesional (Winston)
+const logger = require("../utils/logger");
+
+// Importamos la normalización de textos (sin tildes) para buscar por nombre
+const { normalizarTexto, escaparRegex } = require("../utils/texto");
+
+// Campos que devolvemos de cada localidad
+const CAMPOS_PUBLICOS = "nombre provincia slug vecinos";
+
+/**
+ * Agrega y quita la localidad de la lista de vecinos de otras localidades,
+ * para que la relación quede simétrica.
+ *
+ * @param {string} slug - Localidad que cambió
+ * @param {string[]} agregados - Vecinos nuevos
+ * @param {string[]} quitados - Vecinos que dejó de tener
+ */
+async function sincronizarVecinos(slug, agregados, quitados) {
+    if (agregados.length) {
+        await Locality.updateMany({ slug: { $in: agregados } }, { $addToSet: { vecinos: slug } });
+    }
+    if (quitados.length) {
+        await Locality.updateMany({ slug: { $in: quitados } }, { $pull: { vecinos: slug } });
+    }
+}
+
+/**
+ * Controla que existan todas las localidades indicadas como vecinas.
+ *
+ * @returns {Promise<string[]>} - Slugs que no existen
+ */
+async function vecinosInexistentes(vecinos) {
+    const existentes = await Locality.find({ slug: { $in: vecinos } }).distinct("slug");
+    return vecinos.filter(slug => !existentes.includes(slug));
+}
+
+// Validación de la lista de vecinos (slugs, sin repetidos)
+const vecinosSchema = Joi.array().items(Joi.string().max(150)).max(100).unique();
+
+///////////////////////////////////////////////////////////////////////////////////////
+// GET /localidades
+//
+// Qué hace:
+// - Busca localidades cuyo nombre empieza con "q" (sin importar tildes ni mayúsculas).
+// - Filtro opcional por provincia.
+// - Sin "q" devuelve el catálogo ordenado por nombre (hasta "limit").
+//
+// Ejemplo:
+// GET /localidades?q=san%20lo&limit=5
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.get("/", async (req, res) => {
+    try {
+        const schema = Joi.object({
+            q: Joi.string().trim().max(100),
+            provincia: Joi.string().trim().max(100),
+            limit: Joi.number().min(1).max(500).default(20)
+        });
+
+        const { error, value } = schema.validate(req.query);
+        if (error) return res.status(400).json({ error: error.details[0].message });
+
+        const filtro = {};
+
+        if (value.q) {
+            filtro.nombreNormalizado = new RegExp(`^${escaparRegex(normalizarTexto(value.q))}`);
+        }
+
+        if (value.provincia) {
+            filtro.provincia = new RegExp(`^${escaparRegex(value.provincia)}$`, "i");
+        }
+
+        const localidades = await Locality.find(filtro)
+            .select(CAMPOS_PUBLICOS)
+            .sort({ nombreNormalizado: 1, provincia: 1 })
+            .limit(value.limit);
+
+        return res.json(localidades);
+
+    } catch (err) {
+        logger.error(`Error en GET /localidades: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// GET /localidades/:slug
+//
+// Qué hace:
+// - Devuelve la localidad con sus vecinas completas (nombre, provincia y slug).
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.get("/:slug", async (req, res) => {
+    try {
+        const localidad = await Locality.findOne({ slug: req.params.slug }).select(CAMPOS_PUBLICOS).lean();
+
+        if (!localidad) {
+            return res.status(404).json({ error: "Localidad no encontrada." });
+        }
+
+        localidad.vecinos = await Locality.find({ slug: { $in: localidad.vecinos } })
+            .select("nombre provincia slug")
+            .sort({ nombreNormalizado: 1 });
+
+        return res.json(localidad);
+
+    } catch (err) {
+        logger.error(`Error en GET /localidades/:slug: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// POST /localidades (admin)
+//
+// Qué hace:
+// - Da de alta una localidad. El slug se arma solo con nombre y provincia.
+// - Si se envían vecinos, también se agrega como vecina de cada una de ellas.
+//
+// Ejemplo:
+// POST /localidades
+// Body:
+//    { "nombre": "Funes", "provincia": "Santa Fe", "vecinos": ["rosario-santa-fe"] }
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.post("/", authMiddleware, requireRole("admin"), async (req, res) => {
+    try {
+        const schema = Joi.object({
+            nombre: Joi.string().trim().min(2).max(100).required(),
+            provincia: Joi.string().trim().min(2).max(100).required(),
+            vecinos: vecinosSchema.default([])
+        });
+
+        const { error, value } = schema.validate(req.body);
+        if (error) return res.status(400).json({ error: error.details[0].message });
+
+        const faltantes = await vecinosInexistentes(value.vecinos);
+        if (faltantes.length) {
+            return res.status(400).json({ error: `Estas localidades no existen: ${faltantes.join(", ")}.` });
+        }
+
+        const localidad = new Locality(value);
+        await localidad.validate();
+
+        if (await Locality.exists({ slug: localidad.slug })) {
+            return res.status(409).json({ error: `Ya existe la localidad "${localidad.slug}".` });
+        }
+
+        await localidad.save();
+        await sincronizarVecinos(localidad.slug, localidad.vecinos, []);
+
+        logger.info(`Localidad ${localidad.slug} creada por ${req.user.telefono}`);
+
+        return res.status(201).json(localidad);
+
+    } catch (err) {
+        logger.error(`Error en POST /localidades: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// PUT /localidades/:slug/vecinos (admin)
+//
+// Qué hace:
+// - Reemplaza la lista de vecinas de la localidad.
+// - Actualiza también la lista de las vecinas agregadas o quitadas (simetría).
+//
+// Nota: los servicios que ya cubren las vecinas anteriores no cambian; la lista
+// de vecinas solo se usa para proponer la cobertura al marcar localidadesCercanas.
+//
+// Ejemplo:
+// PUT /localidades/funes-santa-fe/vecinos
+// Body:
+//    { "vecinos": ["rosario-santa-fe", "roldan-santa-fe"] }
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.put("/:slug/vecinos", authMiddleware, requireRole("admin"), async (req, res) => {
+    try {
+        const schema = Joi.object({
+            vecinos: vecinosSchema.required()
+        });
+
+        const { error, value } = schema.validate(req.body);
+        if (error) return res.status(400).json({ error: error.details[0].message });
+
+        const localidad = await Locality.findOne({ slug: req.params.slug });
+        if (!localidad) {
+            return res.status(404).json({ error: "Localidad no encontrada." });
+        }
+
+        const vecinos = value.vecinos.filter(slug => slug !== localidad.slug);
+
+        const faltantes = await vecinosInexistentes(vecinos);
+        if (faltantes.length) {
+            return res.status(400).json({ error: `Estas localidades no existen: ${faltantes.join(", ")}.` });
+        }
+
+        const anteriores = localidad.vecinos;
+        localidad.vecinos = vecinos;
+        await localidad.save();
+
+        await sincronizarVecinos(
+            localidad.slug,
+            vecinos.filter(slug => !anteriores.includes(slug)),
+            anteriores.filter(slug => !vecinos.includes(slug))
+        );
+
+        logger.info(`Vecinas de ${localidad.slug} actualizadas por ${req.user.telefono}`);
+
+        return res.json(localidad);
+
+    } catch (err) {
+        logger.error(`Error en PUT /localidades/:slug/vecinos: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Exportamos el router para integrarlo en index.js
+///////////////////////////////////////////////////////////////////////////////////////
+
+module.exports = router;
@@ -0,0 +1,320 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// routes/moderacion.js
+//
+// Qué hace este archivo:
+// Implementa la cola de moderación de servicios (ver "Moderación" en models/service.js):
+// - GET  /moderacion/servicios              → cola por estado (por defecto los pendientes)
+// - GET  /moderacion/servicios/:id          → detalle con el historial de moderación
+// - POST /moderacion/servicios/:id/decision → aprobar, rechazar o suspender
+// - GET  /moderacion/reportes               → servicios con reportes de abuso sin revisar
+// - POST /moderacion/servicios/:id/reportes/descartar → dar los reportes por revisados sin cambiar el estado
+// - GET  /moderacion/resumen                → cuántos servicios hay en cada estado
+//
+// Todas las rutas requieren JWT y rol "moderator" (o "admin").
+//
+// Cada decisión se anota en el historial del servicio, invalida el cache de /serv
+// (para que aparezca o desaparezca de los listados de inmediato) y se le avisa al dueño.
+// Una decisión también da por revisados los reportes de abuso que tuviera el servicio.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const express = require("express");
+const router = express.Router();
+const Joi = require("joi");
+
+// Importamos el modelo Service
+const Service = require("../models/service");
+
+// Importamos nuestros middlewares de autenticación y roles
+const authMiddleware = require("../middlewares/authMiddleware");
+const requireRole = require("../middlewares/requireRole");
+
+// Importamos el logger profesional (Winston)
+const logger = require("../utils/logger");
+
+// Importamos la paginación por cursor
+const { paginacionSchema, prepararPaginacion, armarPagina, enviarPagina } = require("../utils/paginacion");
+
+// Importamos el cache (para invalidar /serv después de cada decisión)
+const cache = require("../utils/cache");
+
+// Importamos el aviso al dueño del servicio
+const { notificarModeracion } = require("../utils/notificaciones");
+
+// Todas las rutas de este archivo son para moderadores (y admins)
+router.use(authMiddleware, requireRole("moderator"));
+
+// Decisiones que puede tomar un moderador ("pendiente" solo se da sola, al editar)
+const DECISIONES = ["aprobado", "rechazado", "suspendido"];
+
+/**
+ * Busca un servicio por ID (sin los eliminados). Responde 400/404 si no corresponde.
+ *
+ * @returns {Promise<object|null>} - El servicio, o null si ya se respondió con error
+ */
+async function buscarServicio(req, res) {
+    if (!/^[0-9a-fA-F]{24}$/.test(req.params.id)) {
+        res.status(400).json({ error: "ID inválido" });
+        return null;
+    }
+
+    const servicio = await Service.findById(req.params.id).select("+reportes");
+
+    if (!servicio) {
+        res.status(404).json({ error: "Servicio no encontrado" });
+        return null;
+    }
+
+    return servicio;
+}
+
+///////////////////////////////////////////////////////////////////////////////////////
+// GET /moderacion/servicios
+//
+// Qué hace:
+// - Lista los servicios en un estado (por defecto "pendiente"), de los que llevan más
+//   tiempo esperando a los más nuevos. Paginado por cursor (ver utils/paginacion.js).
+// - Cada servicio trae el teléfono de su dueño.
+//
+// Ejemplo:
+// GET /moderacion/servicios?estado=pendiente&limit=20
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.get("/servicios", async (req, res) => {
+    try {
+        const schema = Joi.object({
+            estado: Joi.string().valid(...Service.ESTADOS_MODERACION).default("pendiente"),
+            ...paginacionSchema
+        });
+
+        const { error, value } = schema.validate(req.query);
+        if (error) return res.status(400).json({ error: error.details[0].message });
+
+        const paginacion = prepararPaginacion(value, { "moderacion.fecha": 1 });
+        if (paginacion.error) return res.status(400).json({ error: paginacion.error });
+
+        const filtro = { estadoModeracion: value.estado };
+        const consulta = paginacion.condicion ? { $and: [filtro, paginacion.condicion] } : filtro;
+
+        const [documentos, total] = await Promise.all([
+            Service.find(consulta)
+                .sort(paginacion.orden)
+                .limit(paginacion.limit + 1)
+                .populate("owner", "telefono"),
+            Service.countDocuments(filtro)
+        ]);
+
+        return enviarPagina(req, res, armarPagina(documentos, paginacion, total));
+
+    } catch (err) {
+        logger.error(`Error en GET /moderacion/servicios: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// GET /moderacion/servicios/:id
+//
+// Qué hace:
+// - Devuelve el servicio (en cualquier estado) con su historial de moderación y sus
+//   reportes de abuso (todos; "reportesPendientes" dice cuántos faltan revisar).
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.get("/servicios/:id", async (req, res) => {
+    try {
+        const servicio = await buscarServicio(req, res);
+        if (!servicio) return;
+
+        await servicio.populate("owner", "telefono");
+
+        return res.json({
+            ...servicio.toJSON(),
+            historialModeracion: servicio.historialModeracion,
+            reportes: servicio.reportes,
+            reportesPendientes: servicio.reportesPendientes
+        });
+
+    } catch (err) {
+        logger.error(`Error en GET /moderacion/servicios/:id: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// POST /moderacion/servicios/:id/decision
+//
+// Qué hace:
+// - Aprueba, rechaza o suspende el servicio.
+// - Rechazar y suspender requieren un motivo (Service.MOTIVOS_MODERACION); "detalle"
+//   es texto libre que se le muestra al dueño.
+// - Responde 409 si el servicio no puede pasar a ese estado (p. ej. suspender uno
+//   que todavía no fue aprobado).
+//
+// Ejemplo:
+// POST /moderacion/servicios/64f.../decision
+// { "estado": "rechazado", "motivo": "datos_falsos", "detalle": "El teléfono no corresponde al prestador." }
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.post("/servicios/:id/decision", async (req, res) => {
+    try {
+        const schema = Joi.object({
+            estado: Joi.string().valid(...DECISIONES).required(),
+            motivo: Joi.string().valid(...Service.MOTIVOS_MODERACION).when("estado", {
+                is: "aprobado",
+                then: Joi.forbidden(),
+                otherwise: Joi.required()
+            }),
+            detalle: Joi.string().trim().max(500)
+        });
+
+        const { error, value } = schema.validate(req.body);
+        if (error) return res.status(400).json({ error: error.details[0].message });
+
+        const servicio = await buscarServicio(req, res);
+        if (!servicio) return;
+
+        if (!servicio.puedePasarA(value.estado)) {
+            return res.status(409).json({
+                error: `Un servicio "${servicio.estadoModeracion}" no puede pasar a "${value.estado}".`
+            });
+        }
+
+        servicio.cambiarEstadoModeracion(value.estado, {
+            motivo: value.motivo,
+            detalle: value.detalle,
+            por: req.user.userId
+        });
+        servicio.marcarReportesRevisados();
+        await servicio.save();
+
+        // Aparece (o desaparece) de los listados de inmediato
+        await cache.invalidarServicio(servicio._id);
+
+        logger.info(`Servicio ${servicio._id} ${value.estado} por ${req.user.telefono}${value.motivo ? ` (${value.motivo})` : ""}`);
+
+        const notificado = await notificarModeracion(servicio);
+
+        return res.json({ mensaje: `Servicio ${value.estado}.`, notificado, servicio });
+
+    } catch (err) {
+        logger.error(`Error en POST /moderacion/servicios/:id/decision: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// GET /moderacion/reportes
+//
+// Qué hace:
+// - Cola de reportes: servicios con reportes de abuso sin revisar, del más reportado al
+//   menos, en cualquier estado (incluye los que se ocultaron solos y quedaron "pendiente").
+// - Cada servicio trae sus reportes sin revisar (quién, motivo, detalle y fecha) y el
+//   teléfono de su dueño.
+// - Se revisan tomando una decisión (POST /moderacion/servicios/:id/decision) o
+//   descartándolos (POST /moderacion/servicios/:id/reportes/descartar).
+//
+// Ejemplo:
+// GET /moderacion/reportes?limit=20
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.get("/reportes", async (req, res) => {
+    try {
+        const { error, value } = Joi.object(paginacionSchema).validate(req.query);
+        if (error) return res.status(400).json({ error: error.details[0].message });
+
+        const paginacion = prepararPaginacion(value, { reportesPendientes: -1 });
+        if (paginacion.error) return res.status(400).json({ error: paginacion.error });
+
+        const filtro = { reportesPendientes: { $gt: 0 } };
+        const consulta = paginacion.condicion ? { $and: [filtro, paginacion.condicion] } : filtro;
+
+        const [documentos, total] = await Promise.all([
+            Service.find(consulta)
+                .select("+reportes")
+                .sort(paginacion.orden)
+                .limit(paginacion.limit + 1)
+                .populate("owner", "telefono"),
+            Service.countDocuments(filtro)
+        ]);
+
+        const pagina = armarPagina(documentos, paginacion, total);
+        pagina.data = pagina.data.map(servicio => ({
+            ...servicio.toJSON(),
+            reportesPendientes: servicio.reportesPendientes,
+            reportes: servicio.reportesSinRevisar()
+        }));
+
+        return enviarPagina(req, res, pagina);
+
+    } catch (err) {
+        logger.error(`Error en GET /moderacion/reportes: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// POST /moderacion/servicios/:id/reportes/descartar
+//
+// Qué hace:
+// - Da por revisados los reportes del servicio sin cambiar su estado (los reportes no
+//   tenían fundamento). El servicio sale de la cola hasta que llegue un reporte nuevo.
+// - Si el servicio se había ocultado solo por los reportes, además hay que aprobarlo
+//   (POST /moderacion/servicios/:id/decision).
+// - 409 si no tiene reportes sin revisar.
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.post("/servicios/:id/reportes/descartar", async (req, res) => {
+    try {
+        const servicio = await buscarServicio(req, res);
+        if (!servicio) return;
+
+        if (!servicio.reportesPendientes) {
+            return res.status(409).json({ error: "El servicio no tiene reportes sin revisar." });
+        }
+
+        servicio.marcarReportesRevisados();
+        await servicio.save({ timestamps: false });
+
+        logger.info(`Reportes del servicio ${servicio._id} descartados por ${req.user.telefono}`);
+
+        return res.json({ mensaje: "Reportes descartados.", estadoModeracion: servicio.estadoModeracion });
+
+    } catch (err) {
+        logger.error(`Error en POST /moderacion/servicios/:id/reportes/descartar: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// GET /moderacion/resumen
+//
+// Qué hace:
+// - Cuenta los servicios en cada estado de moderación.
+//
+// Ejemplo de respuesta:
+// { "pendiente": 12, "aprobado": 340, "rechazado": 8, "suspendido": 2 }
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.get("/resumen", async (req, res) => {
+    try {
+        const grupos = await Service.aggregate([
+            { $group: { _id: "$estadoModeracion", total: { $sum: 1 } } }
+        ]);
+
+        const resumen = Object.fromEntries(Service.ESTADOS_MODERACION.map(estado => [estado, 0]));
+        grupos.forEach(g => {
+            if (g._id in resumen) resumen[g._id] = g.total;
+        });
+
+        return res.json(resumen);
+
+    } catch (err) {
+        logger.error(`Error en GET /moderacion/resumen: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Exportamos el router para integrarlo en index.js
+///////////////////////////////////////////////////////////////////////////////////////
+
+module.exports = router;
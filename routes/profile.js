@@ -2,13 +2,15 @@
 // routes/profile.js
 //
 // Qué hace este archivo:
-// Implementa las rutas para que el prestador logueado pueda:
-// - consultar su perfil (GET /profile)
-// - modificarlo (PUT /profile)
-// - borrarlo con soft delete (DELETE /profile)
+// Implementa las rutas para que el usuario logueado (cliente o prestador) pueda:
+// - consultar su perfil y sus servicios (GET /profile)
+// - elegir su tipo de perfil, su nombre para mostrar y sus preferencias (PUT /profile/cuenta)
+// - gestionar cada uno de sus servicios (/profile/servicios/:id)
+// - modificar o borrar con soft delete su servicio, si tiene uno solo (PUT y DELETE /profile)
+// - subir el logo y las fotos de la galería de cada servicio (/profile/servicios/:id/logo y /galeria)
 //
 // Todas las rutas están protegidas con JWT mediante authMiddleware.
-// Usamos el teléfono del token JWT para identificar al prestador.
+// Usamos el usuario del token JWT (campo owner del servicio) para identificar al prestador.
 //
 // Gracias a este archivo:
 // Cada prestador gestiona SOLO SU perfil.
@@ -23,202 +25,45 @@ const Joi = require("joi");
 // Importamos el modelo Service (perfil del prestador)
 const Service = require("../models/service");
 
-// Importamos nuestro middleware de autenticación
+// Importamos los modelos User (tipo de perfil y preferencias) y Favorite
+const User = require("../models/user");
+const Favorite = require("../models/favorite");
+
+// Importamos los modelos que se borran junto con el servicio en el cleanup
+const Click = require("../models/click");
+const Review = require("../models/review");
+const JobRequest = require("../models/jobRequest");
+const Conversation = require("../models/conversation");
+const Message = require("../models/message");
+
+// Importamos nuestros middlewares de autenticación y roles
 const authMiddleware = require("../middlewares/authMiddleware");
+const requireRole = require("../middlewares/requireRole");
 
 // Importamos el logger profesional (Winston)
 const logger = require("../utils/logger");
 
-///////////////////////////////////////////////////////////////////////////////////////
-// NUEVO:
-// Definimos el listado completo de categorías válidas.
-//
-// Esto asegura coherencia entre el modelo Service (Mongoose)
-// y las validaciones Joi del perfil.
-//
-// Nota profesional:
-// En el futuro sería ideal importar este array desde un archivo
-// único (p. ej. categoryGroups.js) para evitar duplicaciones.
-//
-///////////////////////////////////////////////////////////////////////////////////////
-
-const VALID_CATEGORIES = [
-    // =========================================================
-    // Servicios para el hogar
-    // =========================================================
-    "Plomería",
-    "Electricidad",
-    "Herrería",
-    "Carpintería",
-    "Gas",
-    "Informática",
-    "Limpieza doméstica",
-    "Fumigación",
-    "Reparaciones generales",
-    "Climatización (aires, calefacción)",
-    "Colocación de pisos / revestimientos",
-    "Vidriería",
-    "Impermeabilización",
-    "Rejas y estructuras metálicas",
-    "Colocación de cortinas",
-    "Mantenimiento de piletas",
-    "Armado de muebles",
-    "Persianas y toldos",
-
-    // =========================================================
-    // Servicios para el cuidado de la familia
-    // =========================================================
-    "Enfermería",
-    "Medicina a domicilio",
-    "Niñeras",
-    "Acompañante terapéutico",
-    "Psicólogos",
-    "Fonoaudiólogos",
-    "Maestras particulares",
-    "Kinesiología",
-    "Terapias alternativas",
-    "Psicopedagogía",
-    "Fisioterapia",
-    "Cuidadores de adultos mayores",
-    "Acompañamiento escolar",
-    "Logopedas",
-    "Musicoterapia",
-    "Asistencia escolar a domicilio",
-
-    // =========================================================
-    // Lavadero y mantenimiento
-    // =========================================================
-    "Lavadero de ropa",
-    "Lavadero de coches",
-    "Tintorerías",
-    "Limpieza de alfombras y tapizados",
-    "Limpieza industrial / comercial",
-    "Lavado de sillones",
-    "Limpieza de cortinas",
-    "Servicios de planchado",
-    "Lavado de colchones",
-    "Limpieza post obra",
-    "Limpieza de piletas",
-    "Limpieza de vidrios en altura",
-    "Lavado de tapizados de autos",
-    "Limpieza de tanques de agua",
-
-    // =========================================================
-    // Profesionales y técnicos
-    // =========================================================
-    "Abogados",
-    "Contadores",
-    "Traductores",
-    "Asesores impositivos",
-    "Ingenieros",
-    "Arquitectos",
-    "Desarrolladores de software",
-    "Diseñadores gráficos",
-    "Marketing digital",
-    "Reparadores de electrodomésticos",
-    "Técnicos electrónicos",
-    "Electricistas matriculados",
-    "Gestores administrativos",
-    "Técnicos en refrigeración",
-    "Técnicos de PC",
-    "Diseñadores industriales",
-    "Auditores",
-    "Consultores empresariales",
-    "Gestoría vehicular",
-    "Peritos",
-    "Agrimensores",
-    "Topógrafos",
-    "Fotógrafos profesionales",
-
-    // =========================================================
-    // Eventos y entretenimiento
-    // =========================================================
-    "Fotografía y video de eventos",
-    "Música en vivo",
-    "Animadores infantiles",
-    "Catering",
-    "Decoradores",
-    "Alquiler de livings y mobiliario",
-    "Pastelería para eventos",
-    "Organización de fiestas",
-    "Sonido e iluminación",
-    "Magos / shows",
-    "Carpas y gazebos para eventos",
-    "Bartenders",
-    "Alquiler de vajilla",
-    "Wedding planners",
-    "Food trucks",
-    "Animación para adultos",
-    "Cotillón personalizado",
-    "Escenografía para eventos",
-
-    // =========================================================
-    // Transporte y logística
-    // =========================================================
-    "Fletes",
-    "Mudanzas",
-    "Moto mensajería",
-    "Chofer particular",
-    "Transportes especiales",
-    "Delivery de productos voluminosos",
-    "Transporte de personas",
-    "Transporte de mascotas",
-    "Cargas refrigeradas",
-    "Transporte escolar",
-    "Courier internacional",
-    "Alquiler de camionetas",
-    "Chofer profesional para empresas",
-    "Distribución de correspondencia",
-    "Traslados corporativos",
-    "Camiones con hidrogrúa",
-
-    // =========================================================
-    // Animales y mascotas
-    // =========================================================
-    "Paseadores de perros",
-    "Peluquería canina / felina",
-    "Adiestradores",
-    "Veterinarios a domicilio",
-    "Guarderías caninas",
-    "Venta de alimentos y accesorios",
-    "Educación canina",
-    "Etología animal",
-    "Adopciones responsables",
-    "Fotografía de mascotas",
-    "Hospedaje para mascotas",
-    "Terapias alternativas animales",
-    "Spa para mascotas",
-    "Adiestramiento felino",
-
-    // =========================================================
-    // Estética
-    // =========================================================
-    "Peluquería hombre, mujer y niños",
-    "Barberías",
-    "Cosmetología",
-    "Manicura / Pedicura",
-    "Maquillaje profesional",
-    "Depilación",
-    "Masajes estéticos",
-    "Spa a domicilio",
-    "Estética corporal",
-    "Tratamientos faciales",
-    "Microblading",
-    "Diseño de cejas",
-    "Peinados para eventos",
-    "Uñas esculpidas",
-    "Extensiones de pestañas",
-    "Micropigmentación",
-    "Limpieza facial profunda",
-    "Bronceado sin sol",
-    "Diseño de sonrisa estética",
-
-    // =========================================================
-    // Categorías originales
-    // =========================================================
-    "Pastelería",
-    "Huevos de Gallina"
-];
+// Importamos la validación de ubicaciones ({ lat, lng } → GeoJSON)
+const { ubicacionJoi } = require("../utils/geo");
+
+// Importamos la resolución de localidades contra el catálogo
+const { prepararLocalidades, resolverLocalidad } = require("../utils/localidades");
+
+// Importamos la validación de categorías contra el catálogo
+const { prepararCategoria, obtenerCategorias, buscarCategoria } = require("../utils/categorias");
+
+// Importamos la validación de horarios semanales
+const { horariosJoi } = require("../utils/horarios");
+
+// Importamos el cache (para invalidar lo cacheado de /serv después de cada cambio)
+const cache = require("../utils/cache");
+
+// Importamos la recepción y limpieza de imágenes, y dónde se guardan
+const { MAX_GALERIA, ErrorImagen, procesarImagen, recibirImagenes } = require("../utils/imagenes");
+const almacenamiento = require("../utils/almacenamiento");
+
+// Para nombrar los archivos subidos (nombres únicos, imposibles de adivinar)
+const crypto = require("crypto");
 
 ///////////////////////////////////////////////////////////////////////////////////////
 // Definimos el esquema Joi para validar el update del perfil
@@ -226,58 +71,303 @@ const VALID_CATEGORIES = [
 // Importante:
 // → No permitimos modificar el teléfono porque es la clave de autenticación.
 //
-// NUEVO:
-// Ahora la validación de "categoria" se hace estricta usando .valid(...VALID_CATEGORIES).
-//
-// Esto impide que se graben categorías inexistentes.
+// La "categoria" se valida después contra el catálogo de categorías (prepararCategoria):
+// así no se graban categorías inexistentes, inactivas o grupos.
 //
 ///////////////////////////////////////////////////////////////////////////////////////
 
+// Mismas reglas que el modelo (models/service.js), para responder 400 con el detalle
 const profileUpdateSchema = Joi.object({
-    nombre: Joi.string().min(3).max(100),
-    categoria: Joi.string().valid(...VALID_CATEGORIES), // NUEVO: validación estricta
-    tipoServicio: Joi.string(),
-    localidad: Joi.string(),
-    horarios: Joi.string(),
+    nombre: Joi.string().min(3).max(100).pattern(Service.PATRON_NOMBRE)
+        .messages({ "string.pattern.base": "El nombre solo puede tener letras y espacios." }),
+    categoria: Joi.string().max(100), // slug o nombre del catálogo de categorías
+    tipoServicio: Joi.string().min(5).max(150),
+    localidad: Joi.string().min(2).max(100), // slug o nombre del catálogo de localidades
+    horarios: horariosJoi(), // reemplaza todos los horarios de la semana
     urgencias24hs: Joi.boolean(),
-    localidadesCercanas: Joi.array().items(Joi.string()),
+    localidadesCercanas: Joi.boolean(),
+    localidadesCobertura: Joi.array().items(Joi.string().max(150)).max(50), // slugs de localidades
+    ubicacion: ubicacionJoi(), // { lat, lng } → GeoJSON; null la borra
+    radioCoberturaKm: Joi.number().min(0.1).max(500).allow(null),
     descripcion: Joi.string().max(500),
     // cualquier otro campo que tengas en Service
 });
 
+///////////////////////////////////////////////////////////////////////////////////////
+// Búsqueda de los servicios del prestador logueado
+//
+// Un prestador puede tener varios servicios: los identificamos por el campo owner
+// (el usuario del JWT), no por el teléfono.
+// Los servicios marcados como deleted los oculta el propio modelo (ver models/service.js).
+///////////////////////////////////////////////////////////////////////////////////////
+
+function filtroPropios(req) {
+    return { owner: req.user.userId };
+}
+
+/**
+ * Busca el único servicio del prestador, para las rutas sin ID (PUT y DELETE /profile).
+ * Si tiene varios, responde 409 para que use /profile/servicios/:id.
+ *
+ * @returns {Promise<object|null>} - El servicio, o null si ya se respondió con error
+ */
+async function buscarServicioUnico(req, res) {
+    const servicios = await Service.find(filtroPropios(req)).limit(2);
+
+    if (servicios.length === 0) {
+        res.status(404).json({ error: "Perfil no encontrado." });
+        return null;
+    }
+
+    if (servicios.length > 1) {
+        res.status(409).json({
+            error: "Tenés varios servicios publicados. Usá /profile/servicios/:id para elegir cuál.",
+            codigoError: "VARIOS_SERVICIOS"
+        });
+        return null;
+    }
+
+    return servicios[0];
+}
+
+/**
+ * Busca un servicio del prestador por ID. Responde 404 si no existe o no es suyo.
+ *
+ * @returns {Promise<object|null>} - El servicio, o null si ya se respondió con error
+ */
+async function buscarServicioPropio(req, res) {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+        res.status(400).json({ error: "ID inválido" });
+        return null;
+    }
+
+    const service = await Service.findOne({ ...filtroPropios(req), _id: req.params.id });
+
+    if (!service) {
+        res.status(404).json({ error: "Servicio no encontrado." });
+        return null;
+    }
+
+    return service;
+}
+
+/**
+ * Valida el body y aplica los cambios al servicio.
+ *
+ * @returns {Promise<object|null>} - El servicio actualizado, o null si ya se respondió con error
+ */
+async function actualizarServicio(req, res, service) {
+    const { error, value } = profileUpdateSchema.validate(req.body, {
+        abortEarly: false
+    });
+
+    if (error) {
+        const errores = error.details.map(err => err.message);
+        res.status(400).json({ errores });
+        return null;
+    }
+
+    // La categoría tiene que estar activa en el catálogo de categorías
+    const categoria = await prepararCategoria(value);
+    if (categoria.error) {
+        res.status(400).json({ errores: [categoria.error] });
+        return null;
+    }
+
+    // La localidad y las localidades cubiertas tienen que existir en el catálogo
+    const localidades = await prepararLocalidades(categoria.datos, service);
+    if (localidades.error) {
+        res.status(400).json({ errores: [localidades.error] });
+        return null;
+    }
+
+    Object.keys(localidades.datos).forEach(key => {
+        service[key] = localidades.datos[key];
+    });
+
+    // Si cambió el nombre, el tipo o la categoría, vuelve a pasar por moderación
+    service.revisarCambiosDelDuenio();
+
+    try {
+        await service.save();
+    } catch (err) {
+        // Lo que Joi no controla y el modelo sí
+        if (err.name !== "ValidationError") throw err;
+
+        res.status(400).json({ errores: Object.values(err.errors).map(detalle => detalle.message) });
+        return null;
+    }
+
+    await cache.invalidarServicio(service._id);
+
+    logger.info(`Servicio ${service._id} actualizado por ${req.user.telefono}`);
+
+    return service;
+}
+
+/**
+ * Marca el servicio como eliminado (soft delete).
+ */
+async function borrarServicio(req, service) {
+    await service.eliminar(req.user.userId);
+    await cache.invalidarServicio(service._id);
+
+    logger.info(`Servicio ${service._id} soft deleted por ${req.user.telefono}`);
+}
+
 ///////////////////////////////////////////////////////////////////////////////////////
 // GET /profile
 //
 // Qué hace:
-// - Devuelve el perfil del prestador logueado.
-// - Busca el Service cuyo teléfono coincide con el del JWT.
-// - No devuelve perfiles marcados como deleted.
+// - Devuelve los datos del prestador logueado y TODOS sus servicios.
 //
 // Ejemplo:
 // GET /profile
 // Headers:
 //    Authorization: Bearer <token>
+//
+// Respuesta:
+// {
+//   "telefono": "+5491122334455",
+//   "roles": ["user", "provider"],
+//   "tipoPerfil": "prestador",
+//   "nombreVisible": "Pedro",
+//   "preferencias": { "localidad": "funes-santa-fe", "categorias": ["electricidad"] },
+//   "servicios": [ ... ]
+// }
 ///////////////////////////////////////////////////////////////////////////////////////
 
 router.get("/", authMiddleware, async (req, res) => {
     try {
-        const telefono = req.user.telefono;
+        const [cuenta, servicios] = await Promise.all([
+            User.findById(req.user.userId).select("tipoPerfil nombreVisible preferencias"),
+            Service.find(filtroPropios(req)).sort({ createdAt: 1 })
+        ]);
 
-        const service = await Service.findOne({
-            telefono,
-            deleted: false
+        if (!cuenta) return res.status(404).json({ error: "Usuario no encontrado." });
+
+        logger.info(`Perfil consultado: ${req.user.telefono}`);
+
+        return res.json({
+            telefono: req.user.telefono,
+            roles: req.user.roles,
+            tipoPerfil: cuenta.tipoPerfil,
+            nombreVisible: cuenta.nombreVisible,
+            preferencias: cuenta.preferencias,
+            servicios
         });
 
-        if (!service) {
-            return res.status(404).json({ error: "Perfil no encontrado." });
+    } catch (err) {
+        logger.error(`Error en GET /profile: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// PUT /profile/cuenta
+//
+// Qué hace:
+// - Modifica los datos de la cuenta (no los del servicio): tipo de perfil, nombre para
+//   mostrar y preferencias de búsqueda. Solo cambia los campos enviados.
+// - "nombreVisible": null lo borra. "preferencias.localidad": null también.
+// - La localidad y las categorías se validan contra los catálogos y se guardan como slugs.
+// - No se puede pasar a "cliente" con servicios publicados (409): primero hay que borrarlos.
+//
+// Ejemplo:
+// PUT /profile/cuenta
+// Body:
+//    { "tipoPerfil": "cliente", "nombreVisible": "Laura", "preferencias": { "localidad": "Funes", "categorias": ["plomeria"] } }
+///////////////////////////////////////////////////////////////////////////////////////
+
+const cuentaUpdateSchema = Joi.object({
+    tipoPerfil: Joi.string().valid(...User.TIPOS_PERFIL),
+    nombreVisible: Joi.string().trim().min(2).max(50).allow(null),
+    preferencias: Joi.object({
+        localidad: Joi.string().min(2).max(100).allow(null), // slug o nombre del catálogo
+        categorias: Joi.array().items(Joi.string().max(100)).max(20).unique() // slugs o nombres (también grupos)
+    })
+}).min(1);
+
+/**
+ * Resuelve las preferencias contra los catálogos de localidades y categorías.
+ *
+ * @param {object} preferencias - Valores validados por Joi (solo los enviados)
+ * @returns {Promise<{ datos: object|null, error: string|null }>} - Campos a guardar, con slugs
+ */
+async function prepararPreferencias(preferencias) {
+    const datos = {};
+
+    if (preferencias.localidad !== undefined) {
+        datos["preferencias.localidad"] = null;
+
+        if (preferencias.localidad !== null) {
+            const { localidad, error } = await resolverLocalidad(preferencias.localidad);
+            if (error) return { datos: null, error };
+            datos["preferencias.localidad"] = localidad.slug;
         }
+    }
 
-        logger.info(`Perfil consultado: ${telefono}`);
+    if (preferencias.categorias !== undefined) {
+        const catalogo = await obtenerCategorias();
+        const slugs = [];
 
-        return res.json(service);
+        for (const texto of preferencias.categorias) {
+            const categoria = buscarCategoria(catalogo, texto);
+            if (!categoria || !categoria.activa) {
+                return { datos: null, error: `La categoría "${texto}" no existe. Consultá GET /categorias.` };
+            }
+            if (!slugs.includes(categoria.slug)) slugs.push(categoria.slug);
+        }
+
+        datos["preferencias.categorias"] = slugs;
+    }
+
+    return { datos, error: null };
+}
+
+router.put("/cuenta", authMiddleware, async (req, res) => {
+    try {
+        const { error, value } = cuentaUpdateSchema.validate(req.body, { abortEarly: false });
+        if (error) return res.status(400).json({ errores: error.details.map(d => d.message) });
+
+        const cambios = {};
+
+        if (value.tipoPerfil !== undefined) {
+            if (value.tipoPerfil === "cliente" && await Service.exists(filtroPropios(req))) {
+                return res.status(409).json({
+                    error: "Tenés servicios publicados: para ser solo cliente primero tenés que borrarlos.",
+                    codigoError: "TIENE_SERVICIOS"
+                });
+            }
+            cambios.tipoPerfil = value.tipoPerfil;
+        }
+
+        if (value.nombreVisible !== undefined) cambios.nombreVisible = value.nombreVisible;
+
+        if (value.preferencias) {
+            const preferencias = await prepararPreferencias(value.preferencias);
+            if (preferencias.error) return res.status(400).json({ errores: [preferencias.error] });
+            Object.assign(cambios, preferencias.datos);
+        }
+
+        const cuenta = await User.findByIdAndUpdate(req.user.userId, { $set: cambios }, {
+            new: true,
+            runValidators: true
+        }).select("tipoPerfil nombreVisible preferencias");
+
+        if (!cuenta) return res.status(404).json({ error: "Usuario no encontrado." });
+
+        logger.info(`Cuenta actualizada por ${req.user.telefono}`);
+
+        return res.json({
+            mensaje: "Cuenta actualizada correctamente.",
+            tipoPerfil: cuenta.tipoPerfil,
+            nombreVisible: cuenta.nombreVisible,
+            preferencias: cuenta.preferencias
+        });
 
     } catch (err) {
-        logger.error(`Error en GET /profile: ${err.message}`);
+        logger.error(`Error en PUT /profile/cuenta: ${err.message}`);
         return res.status(500).json({ error: "Error interno del servidor." });
     }
 });
@@ -286,7 +376,8 @@ router.get("/", authMiddleware, async (req, res) => {
 // PUT /profile
 //
 // Qué hace:
-// - Permite modificar datos del perfil del prestador logueado.
+// - Modifica el servicio del prestador logueado, si tiene uno solo.
+// - Si tiene varios, responde 409: hay que usar PUT /profile/servicios/:id.
 // - No permite modificar el teléfono.
 // - Solo modifica campos enviados en el body.
 //
@@ -295,38 +386,15 @@ router.get("/", authMiddleware, async (req, res) => {
 // Headers:
 //    Authorization: Bearer <token>
 // Body:
-//    { nombre: "Nuevo Nombre", localidad: "Valencia" }
+//    { nombre: "Nuevo Nombre", localidad: "Funes" }
 ///////////////////////////////////////////////////////////////////////////////////////
 
 router.put("/", authMiddleware, async (req, res) => {
     try {
-        const { error, value } = profileUpdateSchema.validate(req.body, {
-            abortEarly: false
-        });
+        const service = await buscarServicioUnico(req, res);
+        if (!service) return;
 
-        if (error) {
-            const errores = error.details.map(err => err.message);
-            return res.status(400).json({ errores });
-        }
-
-        const telefono = req.user.telefono;
-
-        const service = await Service.findOne({
-            telefono,
-            deleted: false
-        });
-
-        if (!service) {
-            return res.status(404).json({ error: "Perfil no encontrado." });
-        }
-
-        Object.keys(value).forEach(key => {
-            service[key] = value[key];
-        });
-
-        await service.save();
-
-        logger.info(`Perfil actualizado: ${telefono}`);
+        if (!(await actualizarServicio(req, res, service))) return;
 
         return res.json({
             mensaje: "Perfil actualizado correctamente.",
@@ -343,7 +411,8 @@ router.put("/", authMiddleware, async (req, res) => {
 // DELETE /profile
 //
 // Qué hace:
-// - Implementa soft delete del perfil.
+// - Implementa soft delete del servicio del prestador, si tiene uno solo.
+// - Si tiene varios, responde 409: hay que usar DELETE /profile/servicios/:id.
 // - No borra el documento físicamente.
 // - Marca:
 //     deleted: true
@@ -357,30 +426,380 @@ router.put("/", authMiddleware, async (req, res) => {
 
 router.delete("/", authMiddleware, async (req, res) => {
     try {
-        const telefono = req.user.telefono;
+        const service = await buscarServicioUnico(req, res);
+        if (!service) return;
+
+        await borrarServicio(req, service);
 
-        const service = await Service.findOne({
-            telefono,
-            deleted: false
+        return res.json({
+            mensaje: "Perfil eliminado correctamente (soft delete)."
         });
 
-        if (!service) {
-            return res.status(404).json({ error: "Perfil no encontrado." });
+    } catch (err) {
+        logger.error(`Error en DELETE /profile: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// GET /profile/servicios
+//
+// Qué hace:
+// - Lista los servicios del prestador logueado (más viejos primero).
+// - Con ?eliminados=true lista en cambio los que borró y todavía puede restaurar
+//   (POST /serv/:id/restaurar), con la fecha límite en "restaurableHasta".
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.get("/servicios", authMiddleware, async (req, res) => {
+    try {
+        if (req.query.eliminados === "true") {
+            const desde = new Date(Date.now() - Service.DIAS_GRACIA_BORRADO * 24 * 60 * 60 * 1000);
+
+            const eliminados = await Service.find({
+                ...filtroPropios(req),
+                deleted: true,
+                deletedAt: { $gt: desde }
+            }).sort({ deletedAt: -1 });
+
+            return res.json(eliminados.map(service => ({
+                ...service.toObject(),
+                restaurableHasta: service.restaurableHasta()
+            })));
         }
 
-        service.deleted = true;
-        service.deletedAt = new Date();
+        const servicios = await Service.find(filtroPropios(req)).sort({ createdAt: 1 });
 
-        await service.save();
+        return res.json(servicios);
+
+    } catch (err) {
+        logger.error(`Error en GET /profile/servicios: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// GET /profile/servicios/:id
+//
+// Qué hace:
+// - Devuelve uno de los servicios del prestador logueado.
+// - Responde 404 si el servicio no existe o es de otro prestador.
+///////////////////////////////////////////////////////////////////////////////////////
 
-        logger.info(`Perfil soft deleted: ${telefono}`);
+router.get("/servicios/:id", authMiddleware, async (req, res) => {
+    try {
+        const service = await buscarServicioPropio(req, res);
+        if (!service) return;
+
+        return res.json(service);
+
+    } catch (err) {
+        logger.error(`Error en GET /profile/servicios/:id: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// PUT /profile/servicios/:id
+//
+// Qué hace:
+// - Modifica uno de los servicios del prestador logueado (mismas reglas que PUT /profile).
+//
+// Ejemplo:
+// PUT /profile/servicios/64f1c0...
+// Body:
+//    { localidad: "Rosario" }
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.put("/servicios/:id", authMiddleware, async (req, res) => {
+    try {
+        const service = await buscarServicioPropio(req, res);
+        if (!service) return;
+
+        if (!(await actualizarServicio(req, res, service))) return;
 
         return res.json({
-            mensaje: "Perfil eliminado correctamente (soft delete)."
+            mensaje: "Servicio actualizado correctamente.",
+            service
         });
 
     } catch (err) {
-        logger.error(`Error en DELETE /profile: ${err.message}`);
+        logger.error(`Error en PUT /profile/servicios/:id: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// DELETE /profile/servicios/:id
+//
+// Qué hace:
+// - Soft delete de uno de los servicios del prestador logueado.
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.delete("/servicios/:id", authMiddleware, async (req, res) => {
+    try {
+        const service = await buscarServicioPropio(req, res);
+        if (!service) return;
+
+        await borrarServicio(req, service);
+
+        return res.json({
+            mensaje: "Servicio eliminado correctamente (soft delete)."
+        });
+
+    } catch (err) {
+        logger.error(`Error en DELETE /profile/servicios/:id: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Imágenes del servicio (logo y galería)
+//
+// Se suben como multipart/form-data. Cada imagen:
+// - tiene que ser JPEG, PNG o WebP (se detecta por el contenido, no por la extensión),
+// - puede pesar hasta IMAGENES_MAX_MB (413 si la supera),
+// - se guarda sin metadatos (EXIF con GPS, etc.; ver utils/imagenes.js).
+//
+// Subir un logo o una foto nueva vuelve a pasar el servicio por moderación (si estaba
+// aprobado). Borrar u ordenar fotos, no.
+///////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Valida y guarda en el almacenamiento las imágenes recibidas.
+ * Si alguna es inválida no se guarda ninguna; si falla el guardado, se borran las que ya se guardaron.
+ *
+ * @param {object} service - Servicio dueño de las imágenes
+ * @param {object[]} archivos - req.files de multer
+ * @returns {Promise<object[]>} - Imágenes para el modelo: [{ clave, tipo, tamanio }]
+ * @throws {ErrorImagen} - Si alguna imagen es inválida
+ */
+async function guardarImagenes(service, archivos) {
+    const procesadas = archivos.map(archivo => {
+        try {
+            return procesarImagen(archivo.buffer);
+        } catch (err) {
+            if (err instanceof ErrorImagen) throw new ErrorImagen(`${archivo.originalname}: ${err.message}`);
+            throw err;
+        }
+    });
+
+    const guardadas = [];
+
+    try {
+        for (const imagen of procesadas) {
+            const clave = `servicios/${service._id}/${crypto.randomUUID()}.${imagen.extension}`;
+            await almacenamiento.guardar(clave, imagen.buffer, imagen.tipo);
+            guardadas.push({ clave, tipo: imagen.tipo, tamanio: imagen.buffer.length });
+        }
+    } catch (err) {
+        await almacenamiento.borrar(...guardadas.map(imagen => imagen.clave));
+        throw err;
+    }
+
+    return guardadas;
+}
+
+/**
+ * Guarda el servicio después de un cambio en sus imágenes e invalida el cache.
+ * Si no se puede guardar, borra los archivos nuevos (para no dejar huérfanos).
+ *
+ * @param {object} service
+ * @param {string[]} [clavesNuevas=[]] - Archivos subidos en este pedido
+ */
+async function guardarCambioImagenes(service, clavesNuevas = []) {
+    try {
+        await service.save();
+    } catch (err) {
+        await almacenamiento.borrar(...clavesNuevas);
+        throw err;
+    }
+
+    await cache.invalidarServicio(service._id);
+}
+
+///////////////////////////////////////////////////////////////////////////////////////
+// PUT /profile/servicios/:id/logo
+//
+// Qué hace:
+// - Sube (o reemplaza) el logo del servicio. Campo del formulario: "imagen".
+//
+// Ejemplo:
+// PUT /profile/servicios/64f1c0.../logo
+// Content-Type: multipart/form-data → imagen=@logo.png
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.put("/servicios/:id/logo", authMiddleware, recibirImagenes("imagen", 1), async (req, res) => {
+    try {
+        const service = await buscarServicioPropio(req, res);
+        if (!service) return;
+
+        const [logo] = await guardarImagenes(service, req.files);
+        const anterior = service.logo && service.logo.clave;
+
+        service.logo = logo;
+        service.revisarCambiosDelDuenio();
+        await guardarCambioImagenes(service, [logo.clave]);
+
+        await almacenamiento.borrar(anterior);
+
+        logger.info(`Logo del servicio ${service._id} actualizado por ${req.user.telefono}`);
+
+        return res.json({ mensaje: "Logo actualizado correctamente.", service });
+
+    } catch (err) {
+        if (err instanceof ErrorImagen) return res.status(400).json({ error: err.message });
+        logger.error(`Error en PUT /profile/servicios/:id/logo: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// DELETE /profile/servicios/:id/logo
+//
+// Qué hace:
+// - Borra el logo del servicio.
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.delete("/servicios/:id/logo", authMiddleware, async (req, res) => {
+    try {
+        const service = await buscarServicioPropio(req, res);
+        if (!service) return;
+
+        if (!service.logo) return res.status(404).json({ error: "El servicio no tiene logo." });
+
+        const anterior = service.logo.clave;
+
+        service.logo = undefined;
+        await guardarCambioImagenes(service);
+
+        await almacenamiento.borrar(anterior);
+
+        logger.info(`Logo del servicio ${service._id} borrado por ${req.user.telefono}`);
+
+        return res.json({ mensaje: "Logo eliminado correctamente.", service });
+
+    } catch (err) {
+        logger.error(`Error en DELETE /profile/servicios/:id/logo: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// POST /profile/servicios/:id/galeria
+//
+// Qué hace:
+// - Agrega una o más fotos al final de la galería. Campo del formulario: "imagenes"
+//   (repetido, una vez por foto).
+// - La galería tiene como máximo IMAGENES_MAX_GALERIA fotos (400 si se supera).
+//
+// Ejemplo:
+// POST /profile/servicios/64f1c0.../galeria
+// Content-Type: multipart/form-data → imagenes=@trabajo1.jpg, imagenes=@trabajo2.jpg
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.post("/servicios/:id/galeria", authMiddleware, recibirImagenes("imagenes", MAX_GALERIA), async (req, res) => {
+    try {
+        const service = await buscarServicioPropio(req, res);
+        if (!service) return;
+
+        const lugar = MAX_GALERIA - service.galeria.length;
+        if (req.files.length > lugar) {
+            return res.status(400).json({
+                error: `La galería admite hasta ${MAX_GALERIA} fotos: podés agregar ${Math.max(lugar, 0)} más.`
+            });
+        }
+
+        const nuevas = await guardarImagenes(service, req.files);
+
+        service.galeria.push(...nuevas);
+        service.revisarCambiosDelDuenio();
+        await guardarCambioImagenes(service, nuevas.map(imagen => imagen.clave));
+
+        logger.info(`${nuevas.length} foto(s) agregadas a la galería del servicio ${service._id} por ${req.user.telefono}`);
+
+        return res.status(201).json({ mensaje: "Fotos agregadas correctamente.", service });
+
+    } catch (err) {
+        if (err instanceof ErrorImagen) return res.status(400).json({ error: err.message });
+        logger.error(`Error en POST /profile/servicios/:id/galeria: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// PUT /profile/servicios/:id/galeria/orden
+//
+// Qué hace:
+// - Cambia el orden de la galería. Recibe los IDs de TODAS las fotos en el orden nuevo.
+//
+// Ejemplo:
+// PUT /profile/servicios/64f1c0.../galeria/orden
+// Body:
+//    { "orden": ["66a1...", "66a0...", "66a2..."] }
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.put("/servicios/:id/galeria/orden", authMiddleware, async (req, res) => {
+    try {
+        const schema = Joi.object({
+            orden: Joi.array().items(Joi.string().hex().length(24)).unique().required()
+        });
+
+        const { error, value } = schema.validate(req.body);
+        if (error) return res.status(400).json({ errores: [error.details[0].message] });
+
+        const service = await buscarServicioPropio(req, res);
+        if (!service) return;
+
+        const porId = new Map(service.galeria.map(imagen => [String(imagen._id), imagen]));
+        const completo = value.orden.length === porId.size && value.orden.every(id => porId.has(id));
+
+        if (!completo) {
+            return res.status(400).json({ errores: ["\"orden\" debe tener los IDs de todas las fotos de la galería, una vez cada uno."] });
+        }
+
+        service.galeria = value.orden.map(id => porId.get(id));
+        await guardarCambioImagenes(service);
+
+        logger.info(`Galería del servicio ${service._id} reordenada por ${req.user.telefono}`);
+
+        return res.json({ mensaje: "Galería ordenada correctamente.", service });
+
+    } catch (err) {
+        logger.error(`Error en PUT /profile/servicios/:id/galeria/orden: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// DELETE /profile/servicios/:id/galeria/:imagenId
+//
+// Qué hace:
+// - Borra una foto de la galería (y su archivo).
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.delete("/servicios/:id/galeria/:imagenId", authMiddleware, async (req, res) => {
+    try {
+        const service = await buscarServicioPropio(req, res);
+        if (!service) return;
+
+        const imagen = service.galeria.id(req.params.imagenId);
+        if (!imagen) return res.status(404).json({ error: "Foto no encontrada." });
+
+        const clave = imagen.clave;
+
+        service.galeria.pull(imagen._id);
+        await guardarCambioImagenes(service);
+
+        await almacenamiento.borrar(clave);
+
+        logger.info(`Foto ${req.params.imagenId} borrada de la galería del servicio ${service._id} por ${req.user.telefono}`);
+
+        return res.json({ mensaje: "Foto eliminada correctamente.", service });
+
+    } catch (err) {
+        // ID de foto mal formado
+        if (err.name === "CastError") return res.status(400).json({ error: "ID inválido" });
+        logger.error(`Error en DELETE /profile/servicios/:id/galeria/:imagenId: ${err.message}`);
         return res.status(500).json({ error: "Error interno del servidor." });
     }
 });
@@ -390,7 +809,10 @@ router.delete("/", authMiddleware, async (req, res) => {
 //
 // Qué hace:
 // - Borra PERMANENTEMENTE todos los perfiles soft deleted
-//   que llevan más de 30 días marcados como eliminados.
+//   cuyo plazo de restauración ya venció (SOFT_DELETE_GRACIA_DIAS, por defecto 30 días).
+// - Junto con cada servicio se borra todo lo que lo nombra: fotos, favoritos, clics,
+//   reseñas, solicitudes de trabajo y conversaciones (con sus mensajes). Así no quedan
+//   datos huérfanos ni conversaciones abiertas con un servicio que ya no existe.
 //
 // Por qué es importante:
 // Evita acumulación innecesaria de datos.
@@ -398,8 +820,7 @@ router.delete("/", authMiddleware, async (req, res) => {
 // Cumple buenas prácticas de privacidad (limpieza de datos).
 //
 // Consideraciones:
-// - Solo debería ejecutarlo un admin o un proceso de cron.
-// - En producción convendría protegerlo con permisos de admin.
+// - Solo puede ejecutarlo un admin (o un proceso de cron con token de admin).
 //
 // Ejemplo:
 // DELETE /profile/cleanup
@@ -407,14 +828,29 @@ router.delete("/", authMiddleware, async (req, res) => {
 //    Authorization: Bearer <token>
 ///////////////////////////////////////////////////////////////////////////////////////
 
-router.delete("/cleanup", authMiddleware, async (req, res) => {
+router.delete("/cleanup", authMiddleware, requireRole("admin"), async (req, res) => {
     try {
-        const fechaLimite = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+        const fechaLimite = new Date(Date.now() - Service.DIAS_GRACIA_BORRADO * 24 * 60 * 60 * 1000);
 
-        const result = await Service.deleteMany({
-            deleted: true,
-            deletedAt: { $lte: fechaLimite }
-        });
+        const vencidos = { deleted: true, deletedAt: { $lte: fechaLimite } };
+
+        const aBorrar = await Service.find(vencidos).select("logo galeria").lean();
+        const ids = aBorrar.map(servicio => servicio._id);
+
+        const result = await Service.deleteMany({ ...vencidos, _id: { $in: ids } });
+
+        // Lo que depende de cada servicio se borra con él
+        await almacenamiento.borrar(...aBorrar.flatMap(Service.clavesImagenes));
+        await Favorite.deleteMany({ servicio: { $in: ids } });
+        await Click.deleteMany({ serviceId: { $in: ids } });
+        await Review.deleteMany({ servicio: { $in: ids } });
+        await JobRequest.deleteMany({ servicio: { $in: ids } });
+
+        const conversaciones = await Conversation.find({ servicio: { $in: ids } }).distinct("_id");
+        await Message.deleteMany({ conversacion: { $in: conversaciones } });
+        await Conversation.deleteMany({ _id: { $in: conversaciones } });
+
+        if (result.deletedCount > 0) await cache.invalidarServicio();
 
         logger.info(`Cleanup definitivo ejecutado. Perfiles eliminados: ${result.deletedCount}`);
 
@@ -437,7 +873,7 @@ module.exports = router;
 
 ///////////////////////////////////////////////////////////////////////////////////////
 // Gracias a este archivo:
-// Los prestadores pueden consultar y modificar su propio perfil.
+// Los prestadores pueden consultar y modificar sus propios servicios (uno o varios).
 // Implementamos soft delete de forma segura.
 // Todas las rutas están protegidas por JWT.
 // Logs profesionales registran cada operación.
@@ -0,0 +1,493 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// routes/resenas.js
+//
+// Qué hace este archivo:
+// Implementa las reseñas de servicios (models/review.js). Tiene dos routers:
+//
+// Reseñas de un servicio (montado en /serv/:id/resenas):
+// - GET  /serv/:id/resenas → reseñas visibles del servicio, de la más nueva a la más vieja (público)
+// - POST /serv/:id/resenas → deja una reseña (usuario verificado, una por servicio)
+//
+// Reseñas sueltas (montado en /resenas):
+// - PUT    /resenas/:id            → el autor edita su reseña
+// - DELETE /resenas/:id            → el autor (o un moderador) la borra
+// - PUT    /resenas/:id/respuesta  → el dueño del servicio responde
+// - DELETE /resenas/:id/respuesta  → el dueño (o un moderador) borra la respuesta
+// - POST   /resenas/:id/reportes   → reportar una reseña abusiva (usuario verificado)
+// - GET    /resenas/reportadas     → cola de reseñas reportadas (moderator)
+// - POST   /resenas/:id/moderacion → ocultar o volver a mostrar una reseña (moderator)
+//
+// Cada cambio que afecta el promedio lo recalcula en el servicio (rating y
+// cantidadResenas) e invalida el cache de /serv.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const express = require("express");
+const router = express.Router();
+const Joi = require("joi");
+
+// mergeParams: para leer el :id del servicio de la ruta donde se monta
+const routerServicio = express.Router({ mergeParams: true });
+
+// Importamos los modelos
+const Review = require("../models/review");
+const Service = require("../models/service");
+
+// Importamos nuestros middlewares de autenticación y roles
+const authMiddleware = require("../middlewares/authMiddleware");
+const requireRole = require("../middlewares/requireRole");
+
+// Importamos el logger profesional (Winston)
+const logger = require("../utils/logger");
+
+// Importamos la paginación por cursor
+const { paginacionSchema, prepararPaginacion, armarPagina, enviarPagina } = require("../utils/paginacion");
+
+// Importamos el cache (para invalidar /serv cuando cambia el promedio)
+const cache = require("../utils/cache");
+
+// Roles que pueden borrar u ocultar reseñas de terceros
+const ROLES_MODERACION = ["moderator", "admin"];
+
+const ID_VALIDO = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Indica si el usuario es moderador o admin.
+ */
+function esModerador(user) {
+    return ROLES_MODERACION.some(role => (user.roles || []).includes(role));
+}
+
+/**
+ * Recalcula el promedio del servicio y saca del cache lo que lo muestra.
+ */
+async function actualizarRating(servicioId) {
+    await Review.recalcularRating(servicioId);
+    await cache.invalidarServicio(servicioId);
+}
+
+/**
+ * Busca una reseña por ID (req.params.id). Responde 400/404 si no corresponde.
+ *
+ * @returns {Promise<object|null>} - La reseña, o null si ya se respondió con error
+ */
+async function buscarResena(req, res) {
+    if (!ID_VALIDO.test(req.params.id)) {
+        res.status(400).json({ error: "ID inválido" });
+        return null;
+    }
+
+    const resena = await Review.findById(req.params.id);
+
+    if (!resena) {
+        res.status(404).json({ error: "Reseña no encontrada" });
+        return null;
+    }
+
+    return resena;
+}
+
+/**
+ * Busca un servicio aprobado (los demás no se pueden reseñar ni muestran reseñas).
+ *
+ * @returns {Promise<object|null>} - El servicio, o null si ya se respondió con error
+ */
+async function buscarServicioPublico(req, res) {
+    if (!ID_VALIDO.test(req.params.id)) {
+        res.status(400).json({ error: "ID inválido" });
+        return null;
+    }
+
+    const servicio = await Service.findOne({ _id: req.params.id, estadoModeracion: "aprobado" });
+
+    if (!servicio) {
+        res.status(404).json({ error: "Servicio no encontrado" });
+        return null;
+    }
+
+    return servicio;
+}
+
+///////////////////////////////////////////////////////////////////////////////////////
+// GET /serv/:id/resenas
+//
+// Qué hace:
+// - Devuelve las reseñas visibles del servicio, de la más nueva a la más vieja,
+//   paginadas por cursor (ver utils/paginacion.js).
+// - El promedio y la cantidad están en el servicio (rating y cantidadResenas).
+// - Cada reseña trae el nombre para mostrar de su autor:
+//   "autor": { "_id": "...", "nombreVisible": "Laura" } (null si no eligió uno).
+//
+// Ejemplo:
+// GET /serv/64f.../resenas?limit=10
+///////////////////////////////////////////////////////////////////////////////////////
+
+routerServicio.get("/", async (req, res) => {
+    try {
+        const { error, value } = Joi.object(paginacionSchema).validate(req.query);
+        if (error) return res.status(400).json({ error: error.details[0].message });
+
+        const servicio = await buscarServicioPublico(req, res);
+        if (!servicio) return;
+
+        const paginacion = prepararPaginacion(value, { createdAt: -1 });
+        if (paginacion.error) return res.status(400).json({ error: paginacion.error });
+
+        const filtro = { servicio: servicio._id, oculta: false };
+        const consulta = paginacion.condicion ? { $and: [filtro, paginacion.condicion] } : filtro;
+
+        const [documentos, total] = await Promise.all([
+            Review.find(consulta)
+                .sort(paginacion.orden)
+                .limit(paginacion.limit + 1)
+                // Solo el nombre para mostrar del autor (nunca su teléfono)
+                .populate("autor", "nombreVisible"),
+            Review.countDocuments(filtro)
+        ]);
+
+        return enviarPagina(req, res, armarPagina(documentos, paginacion, total));
+
+    } catch (err) {
+        logger.error(`Error en GET /serv/:id/resenas: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// POST /serv/:id/resenas
+//
+// Qué hace:
+// - Deja una reseña: { "estrellas": 4, "texto": "Llegó puntual y resolvió rápido." }
+// - Solo usuarios verificados, nunca sobre un servicio propio.
+// - Responde 409 si el usuario ya reseñó este servicio u otro del mismo prestador
+//   (tiene que editar la suya): una reseña por prestador.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const resenaSchema = {
+    estrellas: Joi.number().integer().min(1).max(5),
+    texto: Joi.string().trim().max(1000).allow("")
+};
+
+routerServicio.post("/", authMiddleware, async (req, res) => {
+    try {
+        if (!req.user.verificado) {
+            return res.status(403).json({ error: "Tenés que verificar tu teléfono para dejar una reseña." });
+        }
+
+        const schema = Joi.object({
+            ...resenaSchema,
+            estrellas: resenaSchema.estrellas.required()
+        });
+
+        const { error, value } = schema.validate(req.body);
+        if (error) return res.status(400).json({ error: error.details[0].message });
+
+        const servicio = await buscarServicioPublico(req, res);
+        if (!servicio) return;
+
+        if (servicio.owner && String(servicio.owner) === String(req.user.userId)) {
+            return res.status(403).json({ error: "No podés reseñar tu propio servicio." });
+        }
+
+        if (await Review.exists({ servicio: servicio._id, autor: req.user.userId })) {
+            return res.status(409).json({ error: "Ya reseñaste este servicio. Podés editar tu reseña." });
+        }
+
+        if (servicio.owner && await Review.exists({ prestador: servicio.owner, autor: req.user.userId })) {
+            return res.status(409).json({ error: "Ya reseñaste otro servicio de este prestador. Podés editar esa reseña." });
+        }
+
+        const resena = await Review.create({
+            servicio: servicio._id,
+            prestador: servicio.owner || null,
+            autor: req.user.userId,
+            estrellas: value.estrellas,
+            texto: value.texto || undefined
+        });
+
+        await actualizarRating(servicio._id);
+
+        logger.info(`Reseña ${resena._id} (${resena.estrellas} estrellas) creada por ${req.user.telefono} en el servicio ${servicio._id}`);
+
+        return res.status(201).json(resena);
+
+    } catch (err) {
+        // Dos pedidos simultáneos del mismo usuario: los índices únicos frenan el segundo
+        if (err.code === 11000) {
+            return res.status(409).json({ error: "Ya reseñaste este servicio o este prestador. Podés editar tu reseña." });
+        }
+        logger.error(`Error en POST /serv/:id/resenas: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// GET /resenas/reportadas
+//
+// Qué hace:
+// - Cola de moderación: reseñas con reportes sin revisar, de la más reportada a la menos.
+// - Cada reseña trae sus reportes (quién, motivo, detalle y fecha).
+//
+// IMPORTANTE: va antes de las rutas /:id para que "reportadas" no se tome como un ID.
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.get("/reportadas", authMiddleware, requireRole("moderator"), async (req, res) => {
+    try {
+        const { error, value } = Joi.object(paginacionSchema).validate(req.query);
+        if (error) return res.status(400).json({ error: error.details[0].message });
+
+        const paginacion = prepararPaginacion(value, { cantidadReportes: -1 });
+        if (paginacion.error) return res.status(400).json({ error: paginacion.error });
+
+        const filtro = { cantidadReportes: { $gt: 0 }, reportesRevisados: false };
+        const consulta = paginacion.condicion ? { $and: [filtro, paginacion.condicion] } : filtro;
+
+        const [documentos, total] = await Promise.all([
+            Review.find(consulta).sort(paginacion.orden).limit(paginacion.limit + 1),
+            Review.countDocuments(filtro)
+        ]);
+
+        const pagina = armarPagina(documentos, paginacion, total);
+        pagina.data = pagina.data.map(resena => ({ ...resena.toJSON(), reportes: resena.reportes }));
+
+        return enviarPagina(req, res, pagina);
+
+    } catch (err) {
+        logger.error(`Error en GET /resenas/reportadas: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// PUT /resenas/:id
+//
+// Qué hace:
+// - El autor cambia las estrellas y/o el texto de su reseña.
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.put("/:id", authMiddleware, async (req, res) => {
+    try {
+        const { error, value } = Joi.object(resenaSchema).min(1).validate(req.body);
+        if (error) return res.status(400).json({ error: error.details[0].message });
+
+        const resena = await buscarResena(req, res);
+        if (!resena) return;
+
+        if (String(resena.autor) !== String(req.user.userId)) {
+            return res.status(403).json({ error: "Solo el autor puede editar la reseña." });
+        }
+
+        if (value.estrellas !== undefined) resena.estrellas = value.estrellas;
+        if (value.texto !== undefined) resena.texto = value.texto || undefined;
+
+        await resena.save();
+        await actualizarRating(resena.servicio);
+
+        logger.info(`Reseña ${resena._id} editada por ${req.user.telefono}`);
+
+        return res.json(resena);
+
+    } catch (err) {
+        logger.error(`Error en PUT /resenas/:id: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// DELETE /resenas/:id
+//
+// Qué hace:
+// - Borra la reseña (el autor, o un moderador/admin).
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.delete("/:id", authMiddleware, async (req, res) => {
+    try {
+        const resena = await buscarResena(req, res);
+        if (!resena) return;
+
+        if (String(resena.autor) !== String(req.user.userId) && !esModerador(req.user)) {
+            return res.status(403).json({ error: "Solo el autor puede borrar la reseña." });
+        }
+
+        await resena.deleteOne();
+        await actualizarRating(resena.servicio);
+
+        logger.info(`Reseña ${resena._id} borrada por ${req.user.telefono}`);
+
+        return res.json({ mensaje: "Reseña eliminada con éxito" });
+
+    } catch (err) {
+        logger.error(`Error en DELETE /resenas/:id: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// PUT /resenas/:id/respuesta
+//
+// Qué hace:
+// - El dueño del servicio responde la reseña: { "texto": "¡Gracias por elegirnos!" }
+// - Si ya había respondido, la respuesta se reemplaza.
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.put("/:id/respuesta", authMiddleware, async (req, res) => {
+    try {
+        const schema = Joi.object({
+            texto: Joi.string().trim().min(1).max(1000).required()
+        });
+
+        const { error, value } = schema.validate(req.body);
+        if (error) return res.status(400).json({ error: error.details[0].message });
+
+        const resena = await buscarResena(req, res);
+        if (!resena) return;
+
+        const servicio = await Service.findById(resena.servicio).select("owner");
+
+        if (!servicio || !servicio.owner || String(servicio.owner) !== String(req.user.userId)) {
+            return res.status(403).json({ error: "Solo el dueño del servicio puede responder la reseña." });
+        }
+
+        resena.respuesta = { texto: value.texto, fecha: new Date() };
+        await resena.save();
+
+        logger.info(`Reseña ${resena._id} respondida por ${req.user.telefono}`);
+
+        return res.json(resena);
+
+    } catch (err) {
+        logger.error(`Error en PUT /resenas/:id/respuesta: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// DELETE /resenas/:id/respuesta
+//
+// Qué hace:
+// - Borra la respuesta del prestador (el dueño del servicio, o un moderador/admin).
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.delete("/:id/respuesta", authMiddleware, async (req, res) => {
+    try {
+        const resena = await buscarResena(req, res);
+        if (!resena) return;
+
+        const servicio = await Service.findById(resena.servicio).select("owner");
+        const esDuenio = servicio && servicio.owner && String(servicio.owner) === String(req.user.userId);
+
+        if (!esDuenio && !esModerador(req.user)) {
+            return res.status(403).json({ error: "Solo el dueño del servicio puede borrar la respuesta." });
+        }
+
+        if (!resena.respuesta) {
+            return res.status(404).json({ error: "La reseña no tiene respuesta." });
+        }
+
+        resena.respuesta = undefined;
+        await resena.save();
+
+        logger.info(`Respuesta de la reseña ${resena._id} borrada por ${req.user.telefono}`);
+
+        return res.json(resena);
+
+    } catch (err) {
+        logger.error(`Error en DELETE /resenas/:id/respuesta: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// POST /resenas/:id/reportes
+//
+// Qué hace:
+// - Reporta una reseña abusiva: { "motivo": "ofensiva", "detalle": "..." }
+// - Motivos: Review.MOTIVOS_REPORTE. Un reporte por usuario (409 si ya la reportó).
+// - La reseña entra (o vuelve) a la cola de GET /resenas/reportadas.
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.post("/:id/reportes", authMiddleware, async (req, res) => {
+    try {
+        if (!req.user.verificado) {
+            return res.status(403).json({ error: "Tenés que verificar tu teléfono para reportar una reseña." });
+        }
+
+        const schema = Joi.object({
+            motivo: Joi.string().valid(...Review.MOTIVOS_REPORTE).required(),
+            detalle: Joi.string().trim().max(500)
+        });
+
+        const { error, value } = schema.validate(req.body);
+        if (error) return res.status(400).json({ error: error.details[0].message });
+
+        const resena = await buscarResena(req, res);
+        if (!resena) return;
+
+        if (String(resena.autor) === String(req.user.userId)) {
+            return res.status(400).json({ error: "No podés reportar tu propia reseña." });
+        }
+
+        // Condición en la misma escritura: dos reportes simultáneos del mismo usuario no se duplican
+        const resultado = await Review.updateOne(
+            { _id: resena._id, "reportes.usuario": { $ne: req.user.userId } },
+            {
+                $push: { reportes: { usuario: req.user.userId, motivo: value.motivo, detalle: value.detalle } },
+                $inc: { cantidadReportes: 1 },
+                $set: { reportesRevisados: false }
+            }
+        );
+
+        if (resultado.modifiedCount === 0) {
+            return res.status(409).json({ error: "Ya reportaste esta reseña." });
+        }
+
+        logger.info(`Reseña ${resena._id} reportada por ${req.user.telefono} (${value.motivo})`);
+
+        return res.status(201).json({ mensaje: "Reporte recibido. Lo va a revisar un moderador." });
+
+    } catch (err) {
+        logger.error(`Error en POST /resenas/:id/reportes: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// POST /resenas/:id/moderacion
+//
+// Qué hace:
+// - Un moderador oculta la reseña ({ "oculta": true }) o la vuelve a mostrar ({ "oculta": false }).
+// - En los dos casos los reportes quedan revisados (sale de la cola).
+// - Las reseñas ocultas no se muestran ni cuentan para el promedio.
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.post("/:id/moderacion", authMiddleware, requireRole("moderator"), async (req, res) => {
+    try {
+        const { error, value } = Joi.object({ oculta: Joi.boolean().required() }).validate(req.body);
+        if (error) return res.status(400).json({ error: error.details[0].message });
+
+        const resena = await buscarResena(req, res);
+        if (!resena) return;
+
+        const cambioVisibilidad = resena.oculta !== value.oculta;
+
+        resena.oculta = value.oculta;
+        resena.reportesRevisados = true;
+        await resena.save();
+
+        if (cambioVisibilidad) await actualizarRating(resena.servicio);
+
+        logger.info(`Reseña ${resena._id} ${value.oculta ? "ocultada" : "visible"} por ${req.user.telefono}`);
+
+        return res.json(resena);
+
+    } catch (err) {
+        logger.error(`Error en POST /resenas/:id/moderacion: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Exportamos los routers para integrarlos en index.js
+///////////////////////////////////////////////////////////////////////////////////////
+
+module.exports = router;
+module.exports.porServicio = routerServicio;
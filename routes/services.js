@@ -9,277 +9,218 @@ const express = require("express"); // Framework web para Node.js
 const router = express.Router(); // Sistema de rutas de Express
 const Service = require("../models/service"); // Modelo de datos Service
 const Joi = require("joi"); // Biblioteca de validación de datos
-const NodeCache = require("node-cache"); // Biblioteca para cachear en memoria
-const cache = new NodeCache({ stdTTL: 60 }); // TTL: 60 segundos
+const authMiddleware = require("../middlewares/authMiddleware"); // Protección con JWT
+const requireServiceOwner = require("../middlewares/requireServiceOwner"); // Solo el dueño (o moderador/admin)
+const User = require("../models/user"); // Modelo de usuarios (para el rol provider)
+const logger = require("../utils/logger"); // Logger profesional (Winston)
+const { telefonoJoi } = require("../utils/phone"); // Validación y normalización de teléfonos (E.164)
+const { filtrosSchema, construirFiltro, ordenarPor } = require("../utils/serviceFilters"); // Filtros de GET /serv
+const { ubicacionJoi, geoFiltrosSchema, etapasDistancia } = require("../utils/geo"); // Búsqueda por distancia
+const { prepararLocalidades } = require("../utils/localidades"); // Catálogo de localidades
+const { buscarServicios } = require("../utils/busquedaServicios"); // Búsqueda de texto libre
+const { horariosJoi } = require("../utils/horarios"); // Horarios semanales
+const { contarFacetas } = require("../utils/facetas"); // Conteos para la pantalla de filtros
+const { paginacionSchema, prepararPaginacion, armarPagina, enviarPagina } = require("../utils/paginacion"); // Paginación por cursor
+const { prepararCategoria } = require("../utils/categorias"); // Validación de categorías contra el catálogo
+const cache = require("../utils/cache"); // Cache con invalidación por etiquetas
+const { notificarModeracion } = require("../utils/notificaciones"); // Avisos al dueño del servicio
 
 ///////////////////////////////////////////////////////////////////////////////////////
-// NUEVO:
-// Definimos el listado completo de categorías válidas.
-// Esto garantiza coherencia absoluta entre Joi y el enum del modelo Mongoose.
+// GET - Listado de servicios (paginado)
 //
-// Nota profesional:
-// Idealmente, en el futuro, esto debería importarse desde un archivo único
-// (p. ej. categoryGroups.js) para no duplicar listas de categorías en distintos lugares.
-// Por ahora, lo mantenemos aquí para integrarlo de forma sencilla y rápida.
+// Responde { data, total, nextCursor } y el header Link (ver utils/paginacion.js).
+// Para la página siguiente se repite la misma consulta con ?cursor=<nextCursor>.
+//
+// Ejemplo:
+// GET /serv?categoria=plomeria&limit=20&sort=nombre
+// GET /serv?categoria=plomeria&limit=20&sort=nombre&cursor=eyJjIjpbIm5vbWJyZSIs...
+// GET /serv?categoria=electricidad&ratingMin=4&sort=-rating   (mejor calificados primero)
 ///////////////////////////////////////////////////////////////////////////////////////
 
-const VALID_CATEGORIES = [
-    // =========================================================
-    // Servicios para el hogar
-    // =========================================================
-    "Plomería",
-    "Electricidad",
-    "Herrería",
-    "Carpintería",
-    "Gas",
-    "Informática",
-    "Limpieza doméstica",
-    "Fumigación",
-    "Reparaciones generales",
-    "Climatización (aires, calefacción)",
-    "Colocación de pisos / revestimientos",
-    "Vidriería",
-    "Impermeabilización",
-    "Rejas y estructuras metálicas",
-    "Colocación de cortinas",
-    "Mantenimiento de piletas",
-    "Armado de muebles",
-    "Persianas y toldos",
-
-    // =========================================================
-    // Servicios para el cuidado de la familia
-    // =========================================================
-    "Enfermería",
-    "Medicina a domicilio",
-    "Niñeras",
-    "Acompañante terapéutico",
-    "Psicólogos",
-    "Fonoaudiólogos",
-    "Maestras particulares",
-    "Kinesiología",
-    "Terapias alternativas",
-    "Psicopedagogía",
-    "Fisioterapia",
-    "Cuidadores de adultos mayores",
-    "Acompañamiento escolar",
-    "Logopedas",
-    "Musicoterapia",
-    "Asistencia escolar a domicilio",
-
-    // =========================================================
-    // Lavadero y mantenimiento
-    // =========================================================
-    "Lavadero de ropa",
-    "Lavadero de coches",
-    "Tintorerías",
-    "Limpieza de alfombras y tapizados",
-    "Limpieza industrial / comercial",
-    "Lavado de sillones",
-    "Limpieza de cortinas",
-    "Servicios de planchado",
-    "Lavado de colchones",
-    "Limpieza post obra",
-    "Limpieza de piletas",
-    "Limpieza de vidrios en altura",
-    "Lavado de tapizados de autos",
-    "Limpieza de tanques de agua",
-
-    // =========================================================
-    // Profesionales y técnicos
-    // =========================================================
-    "Abogados",
-    "Contadores",
-    "Traductores",
-    "Asesores impositivos",
-    "Ingenieros",
-    "Arquitectos",
-    "Desarrolladores de software",
-    "Diseñadores gráficos",
-    "Marketing digital",
-    "Reparadores de electrodomésticos",
-    "Técnicos electrónicos",
-    "Electricistas matriculados",
-    "Gestores administrativos",
-    "Técnicos en refrigeración",
-    "Técnicos de PC",
-    "Diseñadores industriales",
-    "Auditores",
-    "Consultores empresariales",
-    "Gestoría vehicular",
-    "Peritos",
-    "Agrimensores",
-    "Topógrafos",
-    "Fotógrafos profesionales",
-
-    // =========================================================
-    // Eventos y entretenimiento
-    // =========================================================
-    "Fotografía y video de eventos",
-    "Música en vivo",
-    "Animadores infantiles",
-    "Catering",
-    "Decoradores",
-    "Alquiler de livings y mobiliario",
-    "Pastelería para eventos",
-    "Organización de fiestas",
-    "Sonido e iluminación",
-    "Magos / shows",
-    "Carpas y gazebos para eventos",
-    "Bartenders",
-    "Alquiler de vajilla",
-    "Wedding planners",
-    "Food trucks",
-    "Animación para adultos",
-    "Cotillón personalizado",
-    "Escenografía para eventos",
-
-    // =========================================================
-    // Transporte y logística
-    // =========================================================
-    "Fletes",
-    "Mudanzas",
-    "Moto mensajería",
-    "Chofer particular",
-    "Transportes especiales",
-    "Delivery de productos voluminosos",
-    "Transporte de personas",
-    "Transporte de mascotas",
-    "Cargas refrigeradas",
-    "Transporte escolar",
-    "Courier internacional",
-    "Alquiler de camionetas",
-    "Chofer profesional para empresas",
-    "Distribución de correspondencia",
-    "Traslados corporativos",
-    "Camiones con hidrogrúa",
-
-    // =========================================================
-    // Animales y mascotas
-    // =========================================================
-    "Paseadores de perros",
-    "Peluquería canina / felina",
-    "Adiestradores",
-    "Veterinarios a domicilio",
-    "Guarderías caninas",
-    "Venta de alimentos y accesorios",
-    "Educación canina",
-    "Etología animal",
-    "Adopciones responsables",
-    "Fotografía de mascotas",
-    "Hospedaje para mascotas",
-    "Terapias alternativas animales",
-    "Spa para mascotas",
-    "Adiestramiento felino",
-
-    // =========================================================
-    // Estética
-    // =========================================================
-    "Peluquería hombre, mujer y niños",
-    "Barberías",
-    "Cosmetología",
-    "Manicura / Pedicura",
-    "Maquillaje profesional",
-    "Depilación",
-    "Masajes estéticos",
-    "Spa a domicilio",
-    "Estética corporal",
-    "Tratamientos faciales",
-    "Microblading",
-    "Diseño de cejas",
-    "Peinados para eventos",
-    "Uñas esculpidas",
-    "Extensiones de pestañas",
-    "Micropigmentación",
-    "Limpieza facial profunda",
-    "Bronceado sin sol",
-    "Diseño de sonrisa estética",
-
-    // =========================================================
-    // Categorías originales que ya existían
-    // =========================================================
-    "Pastelería",
-    "Huevos de Gallina"
-];
-
-///////////////////////////////////////////////////////////////////////////////////////
-// GET - Listado de todos los servicios
-///////////////////////////////////////////////////////////////////////////////////////
+// Campos por los que se puede ordenar. Tienen que existir en todos los servicios
+// para que el cursor funcione ("distancia" solo en búsquedas por cercanía).
+const CAMPOS_ORDEN = ["nombre", "categoria", "localidad", "createdAt", "updatedAt", "rating", "cantidadResenas", "distanciaMetros"];
 
 router.get("/", async (req, res) => {
     try {
-        // Validamos los parámetros de consulta para evitar datos basura
+        // Validamos los parámetros de consulta para evitar datos basura.
+        // Los filtros se comparten con /serv/search (ver utils/serviceFilters.js).
         const schema = Joi.object({
-            categoria: Joi.string(),
-            categorias: Joi.string(), // lista separada por coma
-            tipoServicio: Joi.string(),
-            tipoServicioLike: Joi.string(),
-            nombre: Joi.string(),
-            urgencias24hs: Joi.string().valid("true", "false"),
-            localidadesCercanas: Joi.string().valid("true", "false"),
-            localidad: Joi.string(), // nuevo filtro por localidad exacta
-            hora: Joi.number().min(0).max(23),
-            limit: Joi.number().min(1).max(100),
-            skip: Joi.number().min(0),
-            sort: Joi.string()
-        });
-
-        const { error } = schema.validate(req.query);
+            ...filtrosSchema,
+            ...geoFiltrosSchema,
+            ...paginacionSchema,
+            // Campos separados por coma, con "-" para orden descendente (e.g. "nombre,-createdAt")
+            sort: Joi.string().pattern(/^-?\w+(,-?\w+)*$/)
+        })
+            .and("lat", "lng")
+            .with("radioKm", ["lat", "lng"]);
+
+        const { error, value } = schema.validate(req.query);
         if (error) return res.status(400).json({ error: error.details[0].message });
 
-        const filtro = {};
+        const buscaPorDistancia = value.lat !== undefined;
 
-        if (req.query.categoria) filtro.categoria = req.query.categoria;
+        // Sin "sort": los más cercanos primero si se busca por cercanía, si no los más nuevos
+        const orden = value.sort
+            ? ordenarPor(value.sort, { distancia: "distanciaMetros" })
+            : buscaPorDistancia ? { distanciaMetros: 1 } : { createdAt: -1 };
 
-        if (req.query.categorias) {
-            const categoriasArray = req.query.categorias.split(",");
-            filtro.categoria = { $in: categoriasArray };
+        const campoInvalido = Object.keys(orden).find(campo => !CAMPOS_ORDEN.includes(campo));
+        if (campoInvalido) {
+            return res.status(400).json({ error: `No se puede ordenar por "${campoInvalido}".` });
         }
 
-        if (req.query.tipoServicio) filtro.tipoServicio = req.query.tipoServicio;
-
-        if (req.query.tipoServicioLike) {
-            filtro.tipoServicio = new RegExp(req.query.tipoServicioLike, "i");
+        if (orden.distanciaMetros && !buscaPorDistancia) {
+            return res.status(400).json({ error: "Para ordenar por distancia hay que enviar lat y lng." });
         }
 
-        if (req.query.nombre) filtro.nombre = new RegExp(req.query.nombre, "i");
-
-        if (req.query.urgencias24hs === "true") filtro.urgencias24hs = true;
-        if (req.query.urgencias24hs === "false") filtro.urgencias24hs = false;
+        const paginacion = prepararPaginacion(value, orden);
+        if (paginacion.error) return res.status(400).json({ error: paginacion.error });
+
+        // La clave sale de la query validada: las RegExp del filtro no se pueden serializar
+        const cacheKey = `serv:listado:${JSON.stringify(value)}`;
+
+        const pagina = await cache.recordar(cacheKey, { etiquetas: ["servicios"] }, async () => {
+            const filtro = await construirFiltro(value);
+
+            if (buscaPorDistancia) {
+                // Búsqueda por cercanía: $geoNear calcula "distanciaMetros" (para ordenar y
+                // para el cursor) y cada resultado trae su "distanciaKm"
+                const pipeline = etapasDistancia(value, filtro);
+
+                if (paginacion.condicion) pipeline.push({ $match: paginacion.condicion });
+                pipeline.push(
+                    { $sort: paginacion.orden },
+                    { $limit: paginacion.limit + 1 },
+                    {
+                        $project: {
+                            busqueda: 0, "horarios.franjas": 0, historialModeracion: 0,
+                            reportes: 0, reportesPendientes: 0, reportesRevisadosHasta: 0
+                        }
+                    }
+                );
+
+                const [documentos, conteo] = await Promise.all([
+                    Service.aggregate(pipeline),
+                    Service.aggregate([...etapasDistancia(value, filtro), { $count: "total" }])
+                ]);
+
+                const resultado = armarPagina(documentos, paginacion, conteo.length ? conteo[0].total : 0);
+                resultado.data.forEach(servicio => {
+                    delete servicio.distanciaMetros;
+                    Service.agregarUrlsImagenes(servicio); // el aggregate no pasa por toJSON
+                });
+                return resultado;
+            }
+
+            const consulta = paginacion.condicion ? { $and: [filtro, paginacion.condicion] } : filtro;
+
+            const [documentos, total] = await Promise.all([
+                Service.find(consulta).sort(paginacion.orden).limit(paginacion.limit + 1),
+                Service.countDocuments(filtro)
+            ]);
+
+            return armarPagina(documentos, paginacion, total);
+        });
 
-        if (req.query.localidadesCercanas === "true") filtro.localidadesCercanas = true;
-        if (req.query.localidadesCercanas === "false") filtro.localidadesCercanas = false;
+        enviarPagina(req, res, pagina);
+    } catch (err) {
+        console.error("Error al obtener servicios:", err);
+        res.status(500).json({ error: "Error interno del servidor" });
+    }
+});
 
-        if (req.query.localidad) filtro.localidad = req.query.localidad;
+///////////////////////////////////////////////////////////////////////////////////////
+// GET /serv/search - Búsqueda de texto libre
+//
+// Busca en nombre, tipo de servicio, categoría y localidad:
+// - sin importar tildes ni mayúsculas ("plomeria" encuentra "Plomería")
+// - por prefijo ("electri" encuentra "Electricidad" y "Electricistas")
+// - tolerando errores de tipeo ("gaz" encuentra "Gas")
+// Los resultados vienen ordenados por relevancia (campo "relevancia").
+// Acepta los mismos filtros que GET /serv, más limit y skip.
+//
+// Ejemplo:
+// GET /serv/search?q=plomero%20rosario&urgencias24hs=true
+//
+// IMPORTANTE: va antes de GET /:id para que "search" no se tome como un ID.
+///////////////////////////////////////////////////////////////////////////////////////
 
-        if (req.query.hora) {
-            filtro.horaDesde = { $lte: req.query.hora };
-            filtro.horaHasta = { $gt: req.query.hora };
-        }
+router.get("/search", async (req, res) => {
+    try {
+        const schema = Joi.object({
+            q: Joi.string().trim().min(2).max(100).required(),
+            ...filtrosSchema,
+            limit: Joi.number().min(1).max(100).default(20),
+            skip: Joi.number().min(0).default(0)
+        });
 
-        const cacheKey = JSON.stringify({ filtro, limit: req.query.limit, skip: req.query.skip, sort: req.query.sort });
-        const cacheResultado = cache.get(cacheKey);
-        if (cacheResultado) return res.json(cacheResultado);
+        const { error, value } = schema.validate(req.query);
+        if (error) return res.status(400).json({ error: error.details[0].message });
 
-        let query = Service.find(filtro);
+        const cacheKey = `serv:busqueda:${JSON.stringify(value)}`;
 
-        if (req.query.limit) query = query.limit(Number(req.query.limit));
-        if (req.query.skip) query = query.skip(Number(req.query.skip));
-        if (req.query.sort) {
-            const campos = req.query.sort.split(",").join(" ");
-            query = query.sort(campos);
-        }
+        const resultado = await cache.recordar(cacheKey, { etiquetas: ["servicios"] }, async () =>
+            buscarServicios(value.q, await construirFiltro(value), {
+                limit: value.limit,
+                skip: value.skip
+            })
+        );
 
-        const resultado = await query.exec();
-        cache.set(cacheKey, resultado);
         res.json(resultado);
     } catch (err) {
-        console.error("Error al obtener servicios:", err);
+        console.error("Error en la búsqueda de servicios:", err);
+        res.status(500).json({ error: "Error interno del servidor" });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// GET /serv/facets - Cantidad de servicios por cada valor de filtro
+//
+// Acepta los mismos filtros que GET /serv (incluida la cercanía) y devuelve cuántos
+// servicios hay por categoría, localidad, urgencias24hs y localidadesCercanas.
+// Cada faceta se cuenta sin su propio filtro (ver utils/facetas.js).
+//
+// Ejemplo:
+// GET /serv/facets?localidad=funes&urgencias24hs=true
+// → { total: 12, categoria: [{ valor: "gas", nombre: "Gas", cantidad: 5 }, ...], localidad: [...],
+//     urgencias24hs: { true: 12, false: 30 }, localidadesCercanas: { true: 7, false: 5 } }
+//
+// IMPORTANTE: va antes de GET /:id para que "facets" no se tome como un ID.
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.get("/facets", async (req, res) => {
+    try {
+        const schema = Joi.object({
+            ...filtrosSchema,
+            ...geoFiltrosSchema
+        })
+            .and("lat", "lng")
+            .with("radioKm", ["lat", "lng"]);
+
+        const { error, value } = schema.validate(req.query);
+        if (error) return res.status(400).json({ error: error.details[0].message });
+
+        const cacheKey = `serv:facetas:${JSON.stringify(value)}`;
+
+        const facetas = await cache.recordar(cacheKey, { etiquetas: ["servicios"] }, () => contarFacetas(value));
+
+        res.json(facetas);
+    } catch (err) {
+        console.error("Error al contar facetas de servicios:", err);
         res.status(500).json({ error: "Error interno del servidor" });
     }
 });
 
 ///////////////////////////////////////////////////////////////////////////////////////
 // GET - Obtener solo un servicio identificado por el ID
+//
+// Solo devuelve servicios aprobados por moderación: los demás responden 404 (el dueño
+// los ve en /profile/servicios).
+//
+// Se cachea con la etiqueta "servicio:<id>": cualquier cambio en el servicio la invalida.
+// Los "no encontrado" también se cachean (con la misma etiqueta), para no ir a la base
+// en cada pedido a un ID inexistente.
 ///////////////////////////////////////////////////////////////////////////////////////
 
 router.get("/:id", async (req, res) => {
@@ -290,7 +231,12 @@ router.get("/:id", async (req, res) => {
             return res.status(400).json({ error: "ID inválido" });
         }
 
-        const servicio = await Service.findById(id);
+        const servicio = await cache.recordar(
+            `serv:detalle:${id}`,
+            { etiquetas: [`servicio:${id}`] },
+            async () => (await Service.findOne({ _id: id, estadoModeracion: "aprobado" })) || false
+        );
+
         if (!servicio) {
             return res.status(404).json({ error: "Servicio no encontrado" });
         }
@@ -302,44 +248,91 @@ router.get("/:id", async (req, res) => {
     }
 });
 
+///////////////////////////////////////////////////////////////////////////////////////
+// Reglas Joi de un servicio nuevo. Las usan POST /serv y la importación masiva
+// (POST /admin/servicios/importar), por eso se exportan junto con el router.
+// La categoría y las localidades se validan contra los catálogos después de Joi.
+///////////////////////////////////////////////////////////////////////////////////////
+
+// Nombre del servicio: mismas reglas que el modelo
+const nombreJoi = () => Joi.string().min(3).max(100).pattern(Service.PATRON_NOMBRE)
+    .messages({ "string.pattern.base": "El nombre solo puede tener letras y espacios." });
+
+const schemaPost = Joi.object({
+    nombre: nombreJoi().required(),
+    telefono: telefonoJoi(),
+    categoria: Joi.string().max(100).required(), // slug o nombre del catálogo de categorías
+    tipoServicio: Joi.string().min(5).max(150).required(),
+    localidad: Joi.string().min(2).max(100).required(),
+    horarios: horariosJoi().required(),
+    urgencias24hs: Joi.boolean().required(),
+    localidadesCercanas: Joi.boolean().required(),
+    localidadesCobertura: Joi.array().items(Joi.string().max(150)).max(50),
+    ubicacion: ubicacionJoi(),
+    radioCoberturaKm: Joi.number().min(0.1).max(500),
+});
+
 ///////////////////////////////////////////////////////////////////////////////////////
 // POST - Crear un nuevo servicio
+//
+// Requiere un usuario verificado (JWT). El servicio queda a nombre de ese usuario
+// (campo owner) y el usuario recibe el rol "provider".
+// Un mismo usuario puede publicar varios servicios.
+//
+// El teléfono de contacto es opcional: si no se envía, se usa el del usuario.
+//
+// El servicio nuevo queda "pendiente" de moderación: no aparece en GET /serv hasta que
+// un moderador lo apruebe (ver routes/moderacion.js).
 ///////////////////////////////////////////////////////////////////////////////////////
 
-router.post("/", async (req, res) => {
+router.post("/", authMiddleware, async (req, res) => {
     try {
-        // NUEVO:
-        // Integramos validación estricta para "categoria".
-        const schemaPost = Joi.object({
-            nombre: Joi.string().min(3).max(100).required(),
-            telefono: Joi.string().pattern(/^\+?\d{7,15}$/).required(),
-            categoria: Joi.string().valid(...VALID_CATEGORIES).required(), // NUEVO
-            tipoServicio: Joi.string().min(5).max(150).required(),
-            localidad: Joi.string().min(2).max(100).required(),
-            horaDesde: Joi.number().min(0).max(23).required(),
-            horaHasta: Joi.number().min(0).max(23).greater(Joi.ref("horaDesde")).required(),
-            urgencias24hs: Joi.boolean().required(),
-            localidadesCercanas: Joi.boolean().required(),
-        });
+        if (!req.user.verificado) {
+            return res.status(403).json({ error: "Tenés que verificar tu teléfono para publicar un servicio." });
+        }
 
-        const { error } = schemaPost.validate(req.body);
+        // Usamos "value": trae el teléfono ya normalizado a E.164
+        const { error, value } = schemaPost.validate(req.body);
         if (error) return res.status(400).json({ error: error.details[0].message });
 
+        // La categoría tiene que estar activa en el catálogo de categorías
+        const categoria = await prepararCategoria(value);
+        if (categoria.error) return res.status(400).json({ error: categoria.error });
+
+        // La localidad y las localidades cubiertas tienen que existir en el catálogo
+        const localidades = await prepararLocalidades(value);
+        if (localidades.error) return res.status(400).json({ error: localidades.error });
+
         const nuevoServicio = new Service({
-            nombre: req.body.nombre,
-            telefono: req.body.telefono,
-            categoria: req.body.categoria,
-            tipoServicio: req.body.tipoServicio,
-            localidad: req.body.localidad,
-            horaDesde: req.body.horaDesde,
-            horaHasta: req.body.horaHasta,
-            urgencias24hs: req.body.urgencias24hs,
-            localidadesCercanas: req.body.localidadesCercanas,
+            owner: req.user.userId,
+            nombre: value.nombre,
+            telefono: value.telefono || req.user.telefono,
+            categoria: categoria.datos.categoria,
+            categoriaSlug: categoria.datos.categoriaSlug,
+            tipoServicio: value.tipoServicio,
+            localidad: localidades.datos.localidad,
+            localidadSlug: localidades.datos.localidadSlug,
+            localidadesCobertura: localidades.datos.localidadesCobertura,
+            horarios: value.horarios,
+            urgencias24hs: value.urgencias24hs,
+            localidadesCercanas: localidades.datos.localidadesCercanas,
+            ubicacion: value.ubicacion || undefined,
+            radioCoberturaKm: value.radioCoberturaKm,
         });
 
         const resultado = await nuevoServicio.save();
+
+        // Quien publica un servicio pasa a ser prestador (y un cliente, cliente y prestador)
+        await User.updateOne({ _id: req.user.userId }, { $addToSet: { roles: "provider" } });
+        await User.updateOne({ _id: req.user.userId, tipoPerfil: "cliente" }, { $set: { tipoPerfil: "ambos" } });
+
+        logger.info(`Servicio ${resultado._id} creado por ${req.user.telefono}`);
+
         res.status(201).json(resultado);
     } catch (err) {
+        if (err.name === "ValidationError") {
+            return res.status(400).json({ error: err.message });
+        }
         console.error("Error al crear servicio:", err);
         res.status(500).json({ error: "Error interno del servidor" });
     }
@@ -347,45 +340,83 @@ router.post("/", async (req, res) => {
 
 ///////////////////////////////////////////////////////////////////////////////////////
 // PUT - Actualizar un servicio existente
+// Solo el dueño del servicio, o un moderador/admin.
+//
+// Si el dueño cambia el nombre, el tipo de servicio o la categoría de un servicio
+// aprobado (o rechazado), vuelve a "pendiente" hasta que un moderador lo revise.
 ///////////////////////////////////////////////////////////////////////////////////////
 
-router.put("/:id", async (req, res) => {
+router.put("/:id", authMiddleware, requireServiceOwner, async (req, res) => {
     try {
         const schemaPut = Joi.object({
-            nombre: Joi.string().min(3).max(100),
-            telefono: Joi.string().pattern(/^\+?\d{7,15}$/),
-            categoria: Joi.string().valid(...VALID_CATEGORIES), // NUEVO
+            nombre: nombreJoi(),
+            telefono: telefonoJoi(),
+            categoria: Joi.string().max(100), // slug o nombre del catálogo de categorías
             tipoServicio: Joi.string().min(5).max(150),
             localidad: Joi.string().min(2).max(100),
-            horaDesde: Joi.number().min(0).max(23),
-            horaHasta: Joi.number().min(0).max(23).greater(Joi.ref("horaDesde")),
+            horarios: horariosJoi(), // reemplaza todos los horarios de la semana
             urgencias24hs: Joi.boolean(),
             localidadesCercanas: Joi.boolean(),
+            localidadesCobertura: Joi.array().items(Joi.string().max(150)).max(50),
+            ubicacion: ubicacionJoi(),
+            radioCoberturaKm: Joi.number().min(0.1).max(500).allow(null),
         });
 
-        const { error } = schemaPut.validate(req.body);
+        const { error, value } = schemaPut.validate(req.body);
         if (error) return res.status(400).json({ error: error.details[0].message });
 
-        const actualizado = await Service.findByIdAndUpdate(req.params.id, req.body, { new: true });
-        if (!actualizado) return res.status(404).json({ error: "Servicio no encontrado" });
+        const servicio = req.servicio;
+
+        const categoria = await prepararCategoria(value);
+        if (categoria.error) return res.status(400).json({ error: categoria.error });
+
+        const localidades = await prepararLocalidades(categoria.datos, servicio);
+        if (localidades.error) return res.status(400).json({ error: localidades.error });
+
+        // Guardamos con save() para que corran todas las validaciones del modelo
+        // (p. ej. que la zona horaria sea válida)
+        Object.assign(servicio, localidades.datos);
+
+        // Los cambios de un moderador no necesitan otra revisión
+        const esModerador = ["moderator", "admin"].some(role => (req.user.roles || []).includes(role));
+        if (!esModerador) servicio.revisarCambiosDelDuenio();
+
+        const actualizado = await servicio.save();
+        await cache.invalidarServicio(servicio._id);
+
+        logger.info(`Servicio ${servicio._id} actualizado por ${req.user.telefono}`);
 
         res.json(actualizado);
     } catch (err) {
+        if (err.name === "ValidationError") {
+            return res.status(400).json({ error: err.message });
+        }
         console.error("Error al actualizar servicio:", err);
         res.status(500).json({ error: "Error interno del servidor" });
     }
 });
 
 ///////////////////////////////////////////////////////////////////////////////////////
-// DELETE - Eliminar un servicio
+// DELETE - Eliminar un servicio (soft delete)
+// Solo el dueño del servicio, o un moderador/admin.
+//
+// El servicio deja de aparecer en todas las consultas, pero se puede restaurar
+// durante Service.DIAS_GRACIA_BORRADO días con POST /serv/:id/restaurar.
 ///////////////////////////////////////////////////////////////////////////////////////
 
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", authMiddleware, requireServiceOwner, async (req, res) => {
     try {
-        const eliminado = await Service.findByIdAndDelete(req.params.id);
-        if (!eliminado) return res.status(404).json({ error: "Servicio no encontrado" });
+        await req.servicio.eliminar(req.user.userId);
+
+        // Invalidamos el cache para que el servicio deje de aparecer en GET /serv de inmediato
+        await cache.invalidarServicio(req.servicio._id);
 
-        res.json({ mensaje: "Servicio eliminado con éxito" });
+        logger.info(`Servicio ${req.servicio._id} eliminado (soft delete) por ${req.user.telefono}`);
+
+        res.json({
+            mensaje: "Servicio eliminado con éxito",
+            restaurableHasta: req.servicio.restaurableHasta()
+        });
     } catch (err) {
         console.error("Error al eliminar servicio:", err);
         res.status(500).json({ error: "Error interno del servidor" });
@@ -393,7 +424,126 @@ router.delete("/:id", async (req, res) => {
 });
 
 ///////////////////////////////////////////////////////////////////////////////////////
-// Exportamos el router para usarlo en la app principal
+// POST - Restaurar un servicio eliminado
+// Solo el dueño del servicio, o un moderador/admin, y dentro del plazo de gracia.
+//
+// Respuestas de error:
+// - 409 → el servicio no está eliminado.
+// - 410 → venció el plazo para restaurarlo.
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.post("/:id/restaurar", authMiddleware, requireServiceOwner.incluyendoEliminados, async (req, res) => {
+    try {
+        const servicio = req.servicio;
+
+        if (!servicio.deleted) {
+            return res.status(409).json({ error: "El servicio no está eliminado." });
+        }
+
+        if (!servicio.puedeRestaurarse()) {
+            return res.status(410).json({
+                error: `Venció el plazo de ${Service.DIAS_GRACIA_BORRADO} días para restaurar este servicio.`
+            });
+        }
+
+        const restaurado = await servicio.restaurar();
+        await cache.invalidarServicio(servicio._id);
+
+        logger.info(`Servicio ${servicio._id} restaurado por ${req.user.telefono}`);
+
+        res.json({ mensaje: "Servicio restaurado con éxito", servicio: restaurado });
+    } catch (err) {
+        console.error("Error al restaurar servicio:", err);
+        res.status(500).json({ error: "Error interno del servidor" });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// POST - Reportar un servicio
+// Cualquier usuario verificado puede reportar un servicio publicado (falso, estafa,
+// contenido inapropiado...). Un reporte por usuario y por servicio (409 si ya lo reportó).
+//
+// Los reportes los revisa un moderador (GET /moderacion/reportes). Si el servicio junta
+// Service.UMBRAL_REPORTES reportes sin revisar (o Service.UMBRAL_REPORTES_GRAVES con
+// motivos graves), se oculta solo: vuelve a "pendiente" y se le avisa al dueño.
+//
+// Ejemplo:
+// POST /serv/64f.../reportes
+// { "motivo": "datos_falsos", "detalle": "El teléfono es de otra persona." }
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.post("/:id/reportes", authMiddleware, async (req, res) => {
+    try {
+        if (!req.user.verificado) {
+            return res.status(403).json({ error: "Tenés que verificar tu teléfono para reportar un servicio." });
+        }
+
+        const schema = Joi.object({
+            motivo: Joi.string().valid(...Service.MOTIVOS_REPORTE).required(),
+            detalle: Joi.string().trim().max(500)
+        });
+
+        const { error, value } = schema.validate(req.body);
+        if (error) return res.status(400).json({ error: error.details[0].message });
+
+        const { id } = req.params;
+
+        if (!id.match(/^[0-9a-fA-F]{24}$/)) {
+            return res.status(400).json({ error: "ID inválido" });
+        }
+
+        // Solo se reportan servicios publicados
+        const servicio = await Service.findOne({ _id: id, estadoModeracion: "aprobado" }).select("owner");
+        if (!servicio) {
+            return res.status(404).json({ error: "Servicio no encontrado" });
+        }
+
+        if (servicio.owner && String(servicio.owner) === String(req.user.userId)) {
+            return res.status(400).json({ error: "No podés reportar tu propio servicio." });
+        }
+
+        // Condición en la misma escritura: dos reportes simultáneos del mismo usuario no se duplican
+        const resultado = await Service.updateOne(
+            { _id: servicio._id, "reportes.usuario": { $ne: req.user.userId } },
+            {
+                $push: { reportes: { usuario: req.user.userId, motivo: value.motivo, detalle: value.detalle } },
+                $inc: { reportesPendientes: 1 }
+            },
+            { timestamps: false } // el servicio en sí no cambió
+        );
+
+        if (resultado.modifiedCount === 0) {
+            return res.status(409).json({ error: "Ya reportaste este servicio." });
+        }
+
+        logger.info(`Servicio ${servicio._id} reportado por ${req.user.telefono} (${value.motivo})`);
+
+        // ¿Llegó al umbral? Se oculta hasta que lo revise un moderador
+        const reportado = await Service.findById(servicio._id).select("+reportes");
+
+        if (reportado && reportado.estadoModeracion === "aprobado" && reportado.superaUmbralReportes()) {
+            const sinRevisar = reportado.reportesSinRevisar().length;
+
+            reportado.cambiarEstadoModeracion("pendiente", { detalle: `Oculto automáticamente por ${sinRevisar} reportes` });
+            await reportado.save();
+            await cache.invalidarServicio(reportado._id);
+
+            logger.warn(`Servicio ${reportado._id} oculto automáticamente por ${sinRevisar} reportes sin revisar`);
+
+            await notificarModeracion(reportado);
+        }
+
+        res.status(201).json({ mensaje: "Reporte recibido. Lo va a revisar un moderador." });
+    } catch (err) {
+        console.error("Error al reportar servicio:", err);
+        res.status(500).json({ error: "Error interno del servidor" });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Exportamos el router para usarlo en la app principal (y las reglas de un servicio
+// nuevo, para la importación masiva)
 ///////////////////////////////////////////////////////////////////////////////////////
 
 module.exports = router;
+module.exports.schemaPost = schemaPost;
@@ -0,0 +1,437 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// routes/solicitudes.js
+//
+// Qué hace este archivo:
+// Implementa las solicitudes de trabajo entre clientes y prestadores (ver models/jobRequest.js):
+// - POST /solicitudes                 → el cliente pide un trabajo a un servicio
+// - GET  /solicitudes                 → las solicitudes del usuario (enviadas o recibidas)
+// - GET  /solicitudes/:id             → detalle con el historial de estados
+// - POST /solicitudes/:id/presupuesto → el prestador cotiza (precio y validez)
+// - POST /solicitudes/:id/aceptar     → el prestador acepta, o el cliente acepta el presupuesto
+// - POST /solicitudes/:id/rechazar    → el prestador rechaza, o el cliente rechaza el presupuesto
+// - POST /solicitudes/:id/cancelar    → el cliente la retira
+//
+// Todas las rutas requieren JWT. Cada solicitud la ven solo sus dos partes: para
+// cualquier otro usuario no existe (404).
+//
+// En cada paso se le avisa por SMS a la otra parte (utils/notificaciones.js). Como cada
+// paso cuesta un SMS, las acciones tienen un límite por usuario y por minuto, y un
+// cliente puede mandarle pocas solicitudes por día al mismo prestador (si no, crear y
+// cancelar en bucle serían SMS ilimitados).
+// El teléfono del cliente solo se le muestra al prestador cuando la solicitud fue aceptada.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const express = require("express");
+const router = express.Router();
+const Joi = require("joi");
+const rateLimit = require("express-rate-limit");
+
+// Importamos los modelos
+const JobRequest = require("../models/jobRequest");
+const Service = require("../models/service");
+const User = require("../models/user");
+
+// Importamos nuestro middleware de autenticación
+const authMiddleware = require("../middlewares/authMiddleware");
+
+// Importamos el logger profesional (Winston)
+const logger = require("../utils/logger");
+
+// Importamos la paginación por cursor
+const { paginacionSchema, prepararPaginacion, armarPagina, enviarPagina } = require("../utils/paginacion");
+
+// Importamos la validación de categorías y localidades contra los catálogos
+const { resolverCategoria } = require("../utils/categorias");
+const { resolverLocalidad } = require("../utils/localidades");
+
+// Importamos el aviso a la otra parte
+const { notificarSolicitud } = require("../utils/notificaciones");
+
+// Todas las rutas de este archivo son para usuarios logueados
+router.use(authMiddleware);
+
+// Solicitudes abiertas (pendientes o cotizadas) que puede tener un cliente a la vez
+const MAX_ABIERTAS = 20;
+
+// Solicitudes que un cliente le puede mandar al mismo prestador en 24 horas
+// (cuentan también las canceladas)
+const MAX_DIARIAS_POR_PRESTADOR = 3;
+
+// Acciones (crear, cotizar, aceptar, rechazar, cancelar) por usuario y por minuto.
+// Cada una le manda un SMS a la otra parte.
+const accionesLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: 10,
+    keyGenerator: req => String(req.user.userId),
+    message: { error: "Estás haciendo demasiados cambios en tus solicitudes. Esperá un momento." },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+// Validez de un presupuesto, en días
+const VALIDEZ_DIAS_DEFECTO = 7;
+const VALIDEZ_DIAS_MAX = 60;
+
+/**
+ * Arma la respuesta de una solicitud para una de sus partes.
+ * El teléfono del cliente solo lo ve el prestador, y solo si la solicitud fue aceptada.
+ *
+ * @param {object} solicitud - Documento JobRequest (con cliente populado)
+ * @param {"cliente"|"prestador"} parte
+ * @returns {object}
+ */
+function vistaPara(solicitud, parte) {
+    const datos = solicitud.toJSON();
+
+    if (datos.cliente && datos.cliente.telefono && !(parte === "prestador" && datos.estado === "aceptada")) {
+        delete datos.cliente.telefono;
+    }
+
+    return { ...datos, parte };
+}
+
+/**
+ * Busca una solicitud del usuario logueado (como cliente o como prestador), con su
+ * estado al día (presupuesto vencido). Responde 400/404 si no corresponde.
+ *
+ * @returns {Promise<{ solicitud: object, parte: string }|null>} - null si ya se respondió con error
+ */
+async function buscarSolicitud(req, res) {
+    if (!/^[0-9a-fA-F]{24}$/.test(req.params.id)) {
+        res.status(400).json({ error: "ID inválido" });
+        return null;
+    }
+
+    await JobRequest.vencerPresupuestos({ _id: req.params.id });
+
+    const solicitud = await JobRequest.findById(req.params.id);
+    const parte = solicitud && solicitud.parteDe(req.user.userId);
+
+    // A un tercero no le confirmamos que la solicitud existe
+    if (!parte) {
+        res.status(404).json({ error: "Solicitud no encontrada" });
+        return null;
+    }
+
+    return { solicitud, parte };
+}
+
+///////////////////////////////////////////////////////////////////////////////////////
+// POST /solicitudes
+//
+// Qué hace:
+// - El cliente le pide un trabajo a un servicio publicado. Solo usuarios verificados,
+//   nunca a un servicio propio.
+// - "categoria" es opcional (por defecto, la del servicio); "localidad" es dónde hay
+//   que hacer el trabajo. Las dos se validan contra los catálogos.
+// - Una sola solicitud abierta por cliente y servicio (409 si ya tiene una).
+// - Hasta MAX_DIARIAS_POR_PRESTADOR solicitudes por día al mismo prestador (429).
+// - 403 si el prestador o el cliente bloqueó al otro.
+//
+// Ejemplo:
+// POST /solicitudes
+// {
+//   "servicio": "64f1c0...",
+//   "localidad": "Funes",
+//   "descripcion": "Se corta la luz cuando prendo el aire acondicionado.",
+//   "fechaPreferida": "2025-07-20"
+// }
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.post("/", accionesLimiter, async (req, res) => {
+    try {
+        if (!req.user.verificado) {
+            return res.status(403).json({ error: "Tenés que verificar tu teléfono para pedir un trabajo." });
+        }
+
+        const schema = Joi.object({
+            servicio: Joi.string().hex().length(24).required(),
+            categoria: Joi.string().max(100), // slug o nombre del catálogo
+            localidad: Joi.string().min(2).max(100).required(), // slug o nombre del catálogo
+            descripcion: Joi.string().trim().min(10).max(2000).required(),
+            fechaPreferida: Joi.date().iso().min("now")
+        });
+
+        const { error, value } = schema.validate(req.body);
+        if (error) return res.status(400).json({ error: error.details[0].message });
+
+        const servicio = await Service.findOne({ _id: value.servicio, estadoModeracion: "aprobado" });
+        if (!servicio) return res.status(404).json({ error: "Servicio no encontrado" });
+
+        // Servicios cargados antes de existir owner: no hay cuenta que pueda responder
+        if (!servicio.owner) {
+            return res.status(409).json({ error: "Este prestador todavía no recibe solicitudes: contactalo por teléfono." });
+        }
+
+        if (String(servicio.owner) === String(req.user.userId)) {
+            return res.status(403).json({ error: "No podés pedirle un trabajo a tu propio servicio." });
+        }
+
+        // Si alguno bloqueó al otro (ver routes/conversaciones.js), no se pueden pedir trabajos
+        if (await User.hayBloqueo(req.user.userId, servicio.owner)) {
+            return res.status(403).json({ error: "No podés pedirle un trabajo a este servicio." });
+        }
+
+        await JobRequest.vencerPresupuestos({ cliente: req.user.userId });
+
+        const abiertas = { cliente: req.user.userId, estado: { $in: JobRequest.ESTADOS_ABIERTOS } };
+
+        if (await JobRequest.exists({ ...abiertas, servicio: servicio._id })) {
+            return res.status(409).json({ error: "Ya tenés una solicitud abierta con este servicio." });
+        }
+
+        if (await JobRequest.countDocuments(abiertas) >= MAX_ABIERTAS) {
+            return res.status(409).json({ error: `Podés tener hasta ${MAX_ABIERTAS} solicitudes abiertas a la vez.` });
+        }
+
+        const enviadasHoy = await JobRequest.countDocuments({
+            cliente: req.user.userId,
+            prestador: servicio.owner,
+            createdAt: { $gt: new Date(Date.now() - 24 * 60 * 60 * 1000) }
+        });
+        if (enviadasHoy >= MAX_DIARIAS_POR_PRESTADOR) {
+            return res.status(429).json({
+                error: `Podés mandarle hasta ${MAX_DIARIAS_POR_PRESTADOR} solicitudes por día al mismo prestador.`
+            });
+        }
+
+        let categoria = { nombre: servicio.categoria, slug: servicio.categoriaSlug };
+        if (value.categoria !== undefined) {
+            const resultado = await resolverCategoria(value.categoria);
+            if (resultado.error) return res.status(400).json({ error: resultado.error });
+            categoria = resultado.categoria;
+        }
+
+        const { localidad, error: errorLocalidad } = await resolverLocalidad(value.localidad);
+        if (errorLocalidad) return res.status(400).json({ error: errorLocalidad });
+
+        const solicitud = await JobRequest.create({
+            cliente: req.user.userId,
+            servicio: servicio._id,
+            servicioNombre: servicio.nombre,
+            prestador: servicio.owner,
+            categoria: categoria.nombre,
+            categoriaSlug: categoria.slug,
+            localidad: localidad.nombre,
+            localidadSlug: localidad.slug,
+            descripcion: value.descripcion,
+            fechaPreferida: value.fechaPreferida
+        });
+
+        logger.info(`Solicitud ${solicitud._id} enviada por ${req.user.telefono} al servicio ${servicio._id}`);
+
+        const notificado = await notificarSolicitud(solicitud, solicitud.servicioNombre);
+
+        await solicitud.populate("cliente", "nombreVisible");
+
+        return res.status(201).json({ mensaje: "Solicitud enviada.", notificado, solicitud: vistaPara(solicitud, "cliente") });
+
+    } catch (err) {
+        logger.error(`Error en POST /solicitudes: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// GET /solicitudes
+//
+// Qué hace:
+// - Lista las solicitudes del usuario, de la más nueva a la más vieja, paginadas por cursor.
+// - rol=cliente (por defecto) → las que envió; rol=prestador → las que recibió.
+// - estado (opcional) → solo las de ese estado (e.g. las pendientes de responder).
+// - No trae el historial (está en GET /solicitudes/:id).
+//
+// Ejemplo:
+// GET /solicitudes?rol=prestador&estado=pendiente
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.get("/", async (req, res) => {
+    try {
+        const schema = Joi.object({
+            rol: Joi.string().valid("cliente", "prestador").default("cliente"),
+            estado: Joi.string().valid(...JobRequest.ESTADOS),
+            ...paginacionSchema
+        });
+
+        const { error, value } = schema.validate(req.query);
+        if (error) return res.status(400).json({ error: error.details[0].message });
+
+        const paginacion = prepararPaginacion(value, { createdAt: -1 });
+        if (paginacion.error) return res.status(400).json({ error: paginacion.error });
+
+        const propias = { [value.rol]: req.user.userId };
+        await JobRequest.vencerPresupuestos(propias);
+
+        const filtro = value.estado ? { ...propias, estado: value.estado } : propias;
+        const consulta = paginacion.condicion ? { $and: [filtro, paginacion.condicion] } : filtro;
+
+        const [documentos, total] = await Promise.all([
+            JobRequest.find(consulta)
+                .select("-historial")
+                .sort(paginacion.orden)
+                .limit(paginacion.limit + 1)
+                .populate("cliente", "nombreVisible telefono"),
+            JobRequest.countDocuments(filtro)
+        ]);
+
+        const pagina = armarPagina(documentos, paginacion, total);
+
+        return enviarPagina(req, res, {
+            ...pagina,
+            data: pagina.data.map(solicitud => vistaPara(solicitud, value.rol))
+        });
+
+    } catch (err) {
+        logger.error(`Error en GET /solicitudes: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// GET /solicitudes/:id
+//
+// Qué hace:
+// - Devuelve la solicitud con su historial de estados (y los presupuestos enviados).
+// - "parte" indica si el usuario es el "cliente" o el "prestador" de la solicitud.
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.get("/:id", async (req, res) => {
+    try {
+        const encontrada = await buscarSolicitud(req, res);
+        if (!encontrada) return;
+
+        const { solicitud, parte } = encontrada;
+        await solicitud.populate("cliente", "nombreVisible telefono");
+
+        return res.json(vistaPara(solicitud, parte));
+
+    } catch (err) {
+        logger.error(`Error en GET /solicitudes/:id: ${err.message}`);
+        return res.status(500).json({ error: "Error interno del servidor." });
+    }
+});
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Cambios de estado
+//
+// Todas las acciones siguen el mismo camino: se valida el body, se controla que la
+// parte pueda llevar la solicitud a ese estado (409 si no, e.g. aceptar un presupuesto
+// vencido), se anota en el historial y se avisa a la otra parte.
+// Si la otra parte cambió la solicitud mientras tanto (e.g. mandó otro presupuesto
+// justo cuando el cliente aceptaba), no se guarda nada y se responde 409.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const notaSchema = {
+    nota: Joi.string().trim().max(500) // mensaje opcional para la otra parte
+};
+
+/**
+ * Crea el handler de una acción sobre una solicitud.
+ *
+ * @param {string} estado - Estado al que lleva la acción
+ * @param {object} schema - Esquema Joi del body
+ * @param {function} [armarPresupuesto] - (value) => presupuesto, solo para cotizar
+ * @returns {function} - Handler de Express
+ */
+function cambiarEstado(estado, schema, armarPresupuesto) {
+    return async (req, res) => {
+        try {
+            const { error, value } = schema.validate(req.body || {});
+            if (error) return res.status(400).json({ error: error.details[0].message });
+
+            const encontrada = await buscarSolicitud(req, res);
+            if (!encontrada) return;
+
+            const { solicitud, parte } = encontrada;
+
+            if (!solicitud.puedePasarA(estado, parte)) {
+                return res.status(409).json({
+                    error: `Como ${parte} no podés pasar a "${estado}" una solicitud "${solicitud.estado}".`
+                });
+            }
+
+            solicitud.cambiarEstado(estado, {
+                por: parte,
+                nota: value.nota,
+                presupuesto: armarPresupuesto ? armarPresupuesto(value) : undefined
+            });
+            try {
+                await solicitud.save();
+            } catch (err) {
+                if (err.name !== "VersionError") throw err;
+
+                return res.status(409).json({
+                    error: "La solicitud cambió mientras tanto. Volvé a cargarla y revisá su estado."
+                });
+            }
+
+            logger.info(`Solicitud ${solicitud._id} ${estado} por el ${parte} (${req.user.telefono})`);
+
+            const notificado = await notificarSolicitud(solicitud, solicitud.servicioNombre);
+
+            await solicitud.populate("cliente", "nombreVisible telefono");
+
+            return res.json({ mensaje: `Solicitud ${estado}.`, notificado, solicitud: vistaPara(solicitud, parte) });
+
+        } catch (err) {
+            logger.error(`Error en POST /solicitudes/:id (${estado}): ${err.message}`);
+            return res.status(500).json({ error: "Error interno del servidor." });
+        }
+    };
+}
+
+///////////////////////////////////////////////////////////////////////////////////////
+// POST /solicitudes/:id/presupuesto
+//
+// Qué hace:
+// - El prestador cotiza: precio, moneda (por defecto ARS), detalle y validez en días
+//   (por defecto 7, máximo 60). Puede mandar un presupuesto nuevo mientras el cliente
+//   no responda; el anterior queda en el historial.
+// - Si el cliente no responde antes de que venza, la solicitud pasa a "vencida".
+//
+// Ejemplo:
+// POST /solicitudes/66a1.../presupuesto
+// { "precio": 45000, "detalle": "Incluye materiales.", "validezDias": 10 }
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.post("/:id/presupuesto", accionesLimiter, cambiarEstado(
+    "cotizada",
+    Joi.object({
+        precio: Joi.number().positive().precision(2).max(1e9).required(),
+        moneda: Joi.string().uppercase().length(3).pattern(/^[A-Z]+$/).default("ARS"),
+        detalle: Joi.string().trim().max(1000),
+        validezDias: Joi.number().integer().min(1).max(VALIDEZ_DIAS_MAX).default(VALIDEZ_DIAS_DEFECTO),
+        ...notaSchema
+    }),
+    value => ({
+        precio: value.precio,
+        moneda: value.moneda,
+        detalle: value.detalle,
+        validoHasta: new Date(Date.now() + value.validezDias * 24 * 60 * 60 * 1000)
+    })
+));
+
+///////////////////////////////////////////////////////////////////////////////////////
+// POST /solicitudes/:id/aceptar
+// POST /solicitudes/:id/rechazar
+// POST /solicitudes/:id/cancelar
+//
+// Qué hace:
+// - aceptar  → el prestador acepta una solicitud pendiente, o el cliente acepta el presupuesto.
+// - rechazar → el prestador rechaza (pendiente o cotizada), o el cliente rechaza el presupuesto.
+// - cancelar → el cliente retira su solicitud mientras sigue abierta.
+//
+// Ejemplo:
+// POST /solicitudes/66a1.../rechazar
+// { "nota": "Esa semana no tengo disponibilidad." }
+///////////////////////////////////////////////////////////////////////////////////////
+
+router.post("/:id/aceptar", accionesLimiter, cambiarEstado("aceptada", Joi.object(notaSchema)));
+router.post("/:id/rechazar", accionesLimiter, cambiarEstado("rechazada", Joi.object(notaSchema)));
+router.post("/:id/cancelar", accionesLimiter, cambiarEstado("cancelada", Joi.object(notaSchema)));
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Exportamos el router para integrarlo en index.js
+///////////////////////////////////////////////////////////////////////////////////////
+
+module.exports = router;
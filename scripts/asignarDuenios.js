@@ -0,0 +1,73 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// scripts/asignarDuenios.js
+//
+// Qué hace este script:
+// Asigna un dueño (campo owner) a los servicios cargados antes de que existiera
+// ese campo. El dueño es el usuario cuyo teléfono coincide con el del servicio.
+// Ese usuario además recibe el rol "provider".
+//
+// Por defecto NO modifica nada: solo muestra qué cambiaría (modo simulación).
+// Para aplicar los cambios hay que pasar --aplicar.
+//
+// Uso:
+//   npm run migrar:duenios              → simulación
+//   npm run migrar:duenios -- --aplicar → aplica los cambios
+//
+// Conviene correr antes "npm run migrar:telefonos" para que los teléfonos coincidan.
+// Los servicios sin un usuario con su teléfono se informan y quedan sin dueño:
+// solo un moderador o admin puede editarlos hasta que el prestador se registre
+// y se vuelva a correr el script.
+///////////////////////////////////////////////////////////////////////////////////////
+
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../db");
+const User = require("../models/user");
+const Service = require("../models/service");
+
+const APLICAR = process.argv.includes("--aplicar");
+
+async function main() {
+    await connectDB();
+
+    console.log(APLICAR ? "Aplicando cambios..." : "Modo simulación: no se modifica nada (usá --aplicar).");
+
+    // Incluimos los eliminados: así el dueño también puede restaurarlos
+    const servicios = await Service.find({ owner: { $exists: false } })
+        .setOptions({ incluirEliminados: true })
+        .select("nombre telefono")
+        .lean();
+
+    const sinUsuario = [];
+    let asignados = 0;
+
+    for (const servicio of servicios) {
+        const usuario = await User.findOne({ telefono: servicio.telefono }).select("_id").lean();
+
+        if (!usuario) {
+            sinUsuario.push(servicio);
+            continue;
+        }
+
+        console.log(`Servicio ${servicio._id} (${servicio.nombre}) → usuario ${usuario._id}`);
+        asignados++;
+
+        if (APLICAR) {
+            await Service.updateOne({ _id: servicio._id }, { $set: { owner: usuario._id } });
+            await User.updateOne({ _id: usuario._id }, { $addToSet: { roles: "provider" } });
+        }
+    }
+
+    console.log("\nResumen");
+    console.log(`- Servicios ${APLICAR ? "asignados" : "a asignar"}: ${asignados}`);
+    console.log(`- Servicios sin usuario registrado: ${sinUsuario.length}`);
+    sinUsuario.forEach(s => console.log(`  - ${s._id} (${s.nombre}): ${s.telefono}`));
+
+    await mongoose.disconnect();
+}
+
+main().catch(err => {
+    console.error("Error al asignar dueños:", err);
+    process.exit(1);
+});
@@ -0,0 +1,67 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// scripts/asignarPrestadorResenas.js
+//
+// Qué hace este script:
+// Completa el campo "prestador" (dueño del servicio) en las reseñas creadas antes de
+// la regla de una reseña por prestador y por usuario (ver models/review.js).
+//
+// Si un usuario ya tenía varias reseñas de servicios del mismo prestador, solo la más
+// vieja queda con "prestador" (el índice único no admite más); las demás se conservan
+// como estaban y se listan al final para que un moderador las revise.
+//
+// Uso:
+//   npm run migrar:resenas
+///////////////////////////////////////////////////////////////////////////////////////
+
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../db");
+const Service = require("../models/service");
+const Review = require("../models/review");
+
+async function main() {
+    await connectDB();
+
+    // El índice único { prestador, autor } tiene que existir antes de asignar:
+    // Mongoose lo crea al conectar, esperamos a que termine
+    await Review.init();
+
+    const cursor = Review.find({ prestador: null }).sort({ createdAt: 1 }).select("servicio autor").lean().cursor();
+
+    let asignadas = 0;
+    let sinDuenio = 0;
+    const repetidas = [];
+
+    for await (const resena of cursor) {
+        const servicio = await Service.findById(resena.servicio)
+            .setOptions({ incluirEliminados: true })
+            .select("owner")
+            .lean();
+
+        if (!servicio || !servicio.owner) {
+            sinDuenio++;
+            continue;
+        }
+
+        try {
+            await Review.updateOne({ _id: resena._id }, { $set: { prestador: servicio.owner } });
+            asignadas++;
+        } catch (err) {
+            if (err.code !== 11000) throw err;
+            repetidas.push(resena._id);
+        }
+    }
+
+    console.log(`Reseñas con prestador asignado: ${asignadas}`);
+    console.log(`Reseñas de servicios sin dueño (quedan por servicio): ${sinDuenio}`);
+    console.log(`Reseñas repetidas del mismo usuario al mismo prestador: ${repetidas.length}`);
+    repetidas.forEach(id => console.log(`  - ${id}`));
+
+    await mongoose.disconnect();
+}
+
+main().catch(err => {
+    console.error("Error al asignar el prestador de las reseñas:", err);
+    process.exit(1);
+});
@@ -0,0 +1,79 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// scripts/cargarCategorias.js
+//
+// Qué hace este script:
+// Carga (o completa) el catálogo de categorías desde un archivo JSON.
+// Por defecto usa data/categorias.json, que trae las categorías que antes estaban
+// escritas a mano en el modelo y en las rutas, ya agrupadas.
+//
+// Formato del archivo:
+// [
+//   {
+//     "nombre": "Hogar", "icono": "home",
+//     "categorias": ["Plomería", { "nombre": "Huevos de Gallina", "activa": false }]
+//   }
+// ]
+// Cada categoría puede ser solo el nombre o un objeto con nombre, icono y activa.
+// El orden del archivo es el orden en que se muestran.
+//
+// Se puede correr varias veces: las categorías que ya existen (mismo slug) no se
+// tocan, para no pisar los cambios hechos desde PUT /categorias/:slug.
+//
+// Uso:
+//   npm run seed:categorias
+//   npm run seed:categorias -- otro-archivo.json
+///////////////////////////////////////////////////////////////////////////////////////
+
+require("dotenv").config();
+
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const connectDB = require("../db");
+const Category = require("../models/category");
+const { slugificar } = require("../utils/texto");
+
+/**
+ * Crea la categoría si todavía no existe.
+ *
+ * @returns {Promise<boolean>} - true si la creó
+ */
+async function crearSiNoExiste(datos) {
+    if (await Category.exists({ slug: slugificar(datos.nombre) })) return false;
+
+    await new Category(datos).save();
+    return true;
+}
+
+async function main() {
+    const archivo = process.argv[2] || path.join(__dirname, "..", "data", "categorias.json");
+    const grupos = JSON.parse(fs.readFileSync(archivo, "utf8"));
+
+    await connectDB();
+
+    let total = 0;
+    let creadas = 0;
+
+    for (const [ordenGrupo, grupo] of grupos.entries()) {
+        const slugGrupo = slugificar(grupo.nombre);
+
+        total++;
+        if (await crearSiNoExiste({ nombre: grupo.nombre, icono: grupo.icono, orden: ordenGrupo })) creadas++;
+
+        for (const [orden, item] of (grupo.categorias || []).entries()) {
+            const categoria = typeof item === "string" ? { nombre: item } : item;
+
+            total++;
+            if (await crearSiNoExiste({ ...categoria, grupo: slugGrupo, orden })) creadas++;
+        }
+    }
+
+    console.log(`Categorías en el archivo (grupos incluidos): ${total}. Nuevas: ${creadas}.`);
+
+    await mongoose.disconnect();
+}
+
+main().catch(err => {
+    console.error("Error al cargar categorías:", err);
+    process.exit(1);
+});
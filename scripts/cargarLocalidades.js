@@ -0,0 +1,72 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// scripts/cargarLocalidades.js
+//
+// Qué hace este script:
+// Carga (o actualiza) el catálogo de localidades desde un archivo JSON.
+// Por defecto usa data/localidades.json, que trae un catálogo inicial de ejemplo.
+//
+// Formato del archivo:
+// [
+//   { "nombre": "Funes", "provincia": "Santa Fe", "vecinos": ["Rosario", "Roldán"] }
+// ]
+// Los vecinos se indican por nombre y tienen que ser de la misma provincia
+// (para vecinas de otra provincia, usar PUT /localidades/:slug/vecinos).
+//
+// Se puede correr varias veces: las localidades existentes no se duplican y los
+// vecinos se suman a los que ya tenían (la relación queda simétrica).
+//
+// Uso:
+//   npm run seed:localidades
+//   npm run seed:localidades -- otro-archivo.json
+///////////////////////////////////////////////////////////////////////////////////////
+
+require("dotenv").config();
+
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const connectDB = require("../db");
+const Locality = require("../models/locality");
+const { slugificar } = require("../utils/texto");
+
+async function main() {
+    const archivo = process.argv[2] || path.join(__dirname, "..", "data", "localidades.json");
+    const datos = JSON.parse(fs.readFileSync(archivo, "utf8"));
+
+    await connectDB();
+
+    let creadas = 0;
+
+    // 1. Altas (sin vecinos todavía)
+    for (const item of datos) {
+        const slug = slugificar(item.nombre, item.provincia);
+
+        if (!(await Locality.exists({ slug }))) {
+            await new Locality({ nombre: item.nombre, provincia: item.provincia }).save();
+            creadas++;
+        }
+    }
+
+    // 2. Vecinos, en los dos sentidos
+    for (const item of datos) {
+        const slug = slugificar(item.nombre, item.provincia);
+        const vecinos = (item.vecinos || []).map(nombre => slugificar(nombre, item.provincia));
+
+        const existentes = await Locality.find({ slug: { $in: vecinos } }).distinct("slug");
+        vecinos.filter(v => !existentes.includes(v)).forEach(v => {
+            console.log(`Aviso: la vecina "${v}" de "${slug}" no está en el archivo ni en la base; se ignora.`);
+        });
+
+        await Locality.updateOne({ slug }, { $addToSet: { vecinos: { $each: existentes } } });
+        await Locality.updateMany({ slug: { $in: existentes } }, { $addToSet: { vecinos: slug } });
+    }
+
+    console.log(`Localidades en el archivo: ${datos.length}. Nuevas: ${creadas}.`);
+
+    await mongoose.disconnect();
+}
+
+main().catch(err => {
+    console.error("Error al cargar localidades:", err);
+    process.exit(1);
+});
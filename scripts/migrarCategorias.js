@@ -0,0 +1,74 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// scripts/migrarCategorias.js
+//
+// Qué hace este script:
+// Vincula los servicios cargados antes del catálogo de categorías con una
+// categoría del catálogo: completa "categoriaSlug" (el dato que usan los filtros)
+// y deja "categoria" con el nombre del catálogo.
+//
+// Por defecto NO modifica nada: solo muestra qué cambiaría (modo simulación).
+// Para aplicar los cambios hay que pasar --aplicar.
+//
+// Uso:
+//   npm run migrar:categorias              → simulación
+//   npm run migrar:categorias -- --aplicar → aplica los cambios
+//
+// Conviene correr antes "npm run seed:categorias". Los servicios con una categoría
+// inactiva (p. ej. "Huevos de Gallina") se vinculan igual: la conservan hasta que
+// el prestador la cambie. Los que no tienen una categoría del catálogo se informan.
+///////////////////////////////////////////////////////////////////////////////////////
+
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../db");
+const Service = require("../models/service");
+const { obtenerCategorias, buscarCategoria } = require("../utils/categorias");
+
+const APLICAR = process.argv.includes("--aplicar");
+
+async function main() {
+    await connectDB();
+
+    console.log(APLICAR ? "Aplicando cambios..." : "Modo simulación: no se modifica nada (usá --aplicar).");
+
+    const categorias = await obtenerCategorias();
+
+    const servicios = await Service.find({ categoriaSlug: { $exists: false } })
+        .setOptions({ incluirEliminados: true })
+        .select("nombre categoria")
+        .lean();
+
+    const pendientes = [];
+    let vinculados = 0;
+
+    for (const servicio of servicios) {
+        const categoria = buscarCategoria(categorias, servicio.categoria);
+
+        if (!categoria || !categoria.grupo) {
+            pendientes.push(servicio);
+            continue;
+        }
+
+        vinculados++;
+
+        if (APLICAR) {
+            await Service.collection.updateOne(
+                { _id: servicio._id },
+                { $set: { categoria: categoria.nombre, categoriaSlug: categoria.slug } }
+            );
+        }
+    }
+
+    console.log("\nResumen");
+    console.log(`- Servicios ${APLICAR ? "vinculados" : "a vincular"}: ${vinculados}`);
+    console.log(`- Servicios a revisar a mano: ${pendientes.length}`);
+    pendientes.forEach(s => console.log(`  - ${s._id} (${s.nombre}): categoría "${s.categoria}" fuera del catálogo`));
+
+    await mongoose.disconnect();
+}
+
+main().catch(err => {
+    console.error("Error en la migración de categorías:", err);
+    process.exit(1);
+});
@@ -0,0 +1,87 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// scripts/migrarHorarios.js
+//
+// Qué hace este script:
+// Pasa los servicios del formato viejo de horario (horaDesde / horaHasta, un solo
+// rango para todos los días) al formato de horarios semanales (ver utils/horarios.js):
+// - el mismo rango para los 7 días de la semana (el filtro viejo no distinguía días),
+// - zona horaria ZONA_HORARIA_DEFECTO,
+// - y borra horaDesde / horaHasta.
+//
+// Ejemplo: { horaDesde: 8, horaHasta: 18 } →
+//   { horarios: { zonaHoraria: "America/Argentina/Buenos_Aires",
+//                 dias: { lunes: [{ desde: "08:00", hasta: "18:00" }], ..., domingo: [...] } } }
+//
+// Por defecto NO modifica nada: solo muestra qué cambiaría (modo simulación).
+// Para aplicar los cambios hay que pasar --aplicar.
+//
+// Uso:
+//   npm run migrar:horarios              → simulación
+//   npm run migrar:horarios -- --aplicar → aplica los cambios
+///////////////////////////////////////////////////////////////////////////////////////
+
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../db");
+const Service = require("../models/service");
+const { DIAS, ZONA_HORARIA_DEFECTO, calcularFranjas } = require("../utils/horarios");
+
+const APLICAR = process.argv.includes("--aplicar");
+
+/**
+ * Convierte una hora entera (0 a 23) en "HH:00".
+ */
+function aTexto(hora) {
+    return `${String(hora).padStart(2, "0")}:00`;
+}
+
+async function main() {
+    await connectDB();
+
+    console.log(APLICAR ? "Aplicando cambios..." : "Modo simulación: no se modifica nada (usá --aplicar).");
+
+    // Leemos directo de la colección: horaDesde y horaHasta ya no están en el modelo
+    const servicios = await Service.collection
+        .find({ horarios: { $exists: false }, horaDesde: { $exists: true } })
+        .project({ nombre: 1, horaDesde: 1, horaHasta: 1 })
+        .toArray();
+
+    const pendientes = [];
+    let migrados = 0;
+
+    for (const servicio of servicios) {
+        const { horaDesde, horaHasta } = servicio;
+
+        if (!Number.isInteger(horaDesde) || !Number.isInteger(horaHasta) || horaDesde === horaHasta) {
+            pendientes.push(servicio);
+            continue;
+        }
+
+        const intervalo = { desde: aTexto(horaDesde), hasta: aTexto(horaHasta) };
+        const dias = Object.fromEntries(DIAS.map(dia => [dia, [intervalo]]));
+
+        const horarios = { zonaHoraria: ZONA_HORARIA_DEFECTO, dias, franjas: calcularFranjas(dias) };
+
+        migrados++;
+
+        if (APLICAR) {
+            await Service.collection.updateOne(
+                { _id: servicio._id },
+                { $set: { horarios }, $unset: { horaDesde: "", horaHasta: "" } }
+            );
+        }
+    }
+
+    console.log("\nResumen");
+    console.log(`- Servicios ${APLICAR ? "migrados" : "a migrar"}: ${migrados}`);
+    console.log(`- Servicios a revisar a mano: ${pendientes.length}`);
+    pendientes.forEach(s => console.log(`  - ${s._id} (${s.nombre}): horaDesde=${s.horaDesde}, horaHasta=${s.horaHasta}`));
+
+    await mongoose.disconnect();
+}
+
+main().catch(err => {
+    console.error("Error en la migración de horarios:", err);
+    process.exit(1);
+});
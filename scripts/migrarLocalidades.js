@@ -0,0 +1,78 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// scripts/migrarLocalidades.js
+//
+// Qué hace este script:
+// Vincula los servicios cargados antes del catálogo de localidades (cuya
+// "localidad" era texto libre) con una localidad del catálogo:
+// - completa "localidadSlug" y deja "localidad" con el nombre del catálogo.
+// - si tenían localidadesCercanas: true, les asigna como cobertura las vecinas
+//   de su localidad.
+//
+// Por defecto NO modifica nada: solo muestra qué cambiaría (modo simulación).
+// Para aplicar los cambios hay que pasar --aplicar.
+//
+// Uso:
+//   npm run migrar:localidades              → simulación
+//   npm run migrar:localidades -- --aplicar → aplica los cambios
+//
+// Conviene correr antes "npm run seed:localidades". Los servicios cuya localidad
+// no está en el catálogo, o existe en varias provincias, se informan para
+// corregirlos a mano (o desde /profile).
+///////////////////////////////////////////////////////////////////////////////////////
+
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../db");
+const Service = require("../models/service");
+const { resolverLocalidad } = require("../utils/localidades");
+
+const APLICAR = process.argv.includes("--aplicar");
+
+async function main() {
+    await connectDB();
+
+    console.log(APLICAR ? "Aplicando cambios..." : "Modo simulación: no se modifica nada (usá --aplicar).");
+
+    const servicios = await Service.find({ localidadSlug: { $exists: false } })
+        .setOptions({ incluirEliminados: true })
+        .select("nombre localidad localidadesCercanas")
+        .lean();
+
+    const pendientes = [];
+    let vinculados = 0;
+
+    for (const servicio of servicios) {
+        const { localidad, error } = await resolverLocalidad(servicio.localidad);
+
+        if (error) {
+            pendientes.push({ servicio, error });
+            continue;
+        }
+
+        const cambios = {
+            localidad: localidad.nombre,
+            localidadSlug: localidad.slug,
+            localidadesCobertura: servicio.localidadesCercanas ? localidad.vecinos : []
+        };
+
+        console.log(`Servicio ${servicio._id} (${servicio.nombre}): "${servicio.localidad}" → ${localidad.slug}`);
+        vinculados++;
+
+        if (APLICAR) {
+            await Service.collection.updateOne({ _id: servicio._id }, { $set: cambios });
+        }
+    }
+
+    console.log("\nResumen");
+    console.log(`- Servicios ${APLICAR ? "vinculados" : "a vincular"}: ${vinculados}`);
+    console.log(`- Servicios a revisar a mano: ${pendientes.length}`);
+    pendientes.forEach(p => console.log(`  - ${p.servicio._id} (${p.servicio.nombre}): ${p.error}`));
+
+    await mongoose.disconnect();
+}
+
+main().catch(err => {
+    console.error("Error en la migración de localidades:", err);
+    process.exit(1);
+});
@@ -0,0 +1,59 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// scripts/migrarModeracion.js
+//
+// Qué hace este script:
+// Aprueba los servicios publicados antes de existir la moderación (los que no tienen
+// estadoModeracion). Ya eran públicos: sin esto dejarían de aparecer en GET /serv,
+// porque ahora solo se muestran los aprobados.
+//
+// En el historial queda anotado como aprobación automática (sin moderador).
+//
+// Por defecto NO modifica nada: solo muestra qué cambiaría (modo simulación).
+// Para aplicar los cambios hay que pasar --aplicar.
+//
+// Uso:
+//   npm run migrar:moderacion              → simulación
+//   npm run migrar:moderacion -- --aplicar → aplica los cambios
+///////////////////////////////////////////////////////////////////////////////////////
+
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../db");
+const Service = require("../models/service");
+
+const APLICAR = process.argv.includes("--aplicar");
+
+const DETALLE = "Publicado antes de la moderación";
+
+async function main() {
+    await connectDB();
+
+    console.log(APLICAR ? "Aplicando cambios..." : "Modo simulación: no se modifica nada (usá --aplicar).");
+
+    // Directo sobre la colección: incluye los eliminados (por si se restauran)
+    const filtro = { estadoModeracion: { $exists: false } };
+    const cantidad = await Service.collection.countDocuments(filtro);
+
+    if (APLICAR && cantidad > 0) {
+        const fecha = new Date();
+
+        await Service.collection.updateMany(filtro, {
+            $set: {
+                estadoModeracion: "aprobado",
+                moderacion: { detalle: DETALLE, por: null, fecha },
+                historialModeracion: [{ estado: "aprobado", detalle: DETALLE, por: null, fecha }]
+            }
+        });
+    }
+
+    console.log("\nResumen");
+    console.log(`- Servicios ${APLICAR ? "aprobados" : "a aprobar"}: ${cantidad}`);
+
+    await mongoose.disconnect();
+}
+
+main().catch(err => {
+    console.error("Error en la migración de moderación:", err);
+    process.exit(1);
+});
@@ -0,0 +1,61 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// scripts/migrarPerfiles.js
+//
+// Qué hace este script:
+// Completa el tipo de perfil (tipoPerfil) de los usuarios registrados antes de que
+// existiera. Hasta entonces todos los usuarios eran prestadores:
+// - los que tienen servicios (aunque estén borrados) o el rol "provider" → "prestador"
+// - el resto (se registraron pero nunca publicaron) → "cliente"
+//
+// Por defecto NO modifica nada: solo muestra qué cambiaría (modo simulación).
+// Para aplicar los cambios hay que pasar --aplicar.
+//
+// Uso:
+//   npm run migrar:perfiles              → simulación
+//   npm run migrar:perfiles -- --aplicar → aplica los cambios
+///////////////////////////////////////////////////////////////////////////////////////
+
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../db");
+const User = require("../models/user");
+const Service = require("../models/service");
+
+const APLICAR = process.argv.includes("--aplicar");
+
+async function main() {
+    await connectDB();
+
+    console.log(APLICAR ? "Aplicando cambios..." : "Modo simulación: no se modifica nada (usá --aplicar).");
+
+    // Directo sobre la colección: incluye los servicios eliminados
+    const duenios = await Service.collection.distinct("owner", { owner: { $ne: null } });
+
+    const sinTipo = { tipoPerfil: { $exists: false } };
+    const prestadores = { ...sinTipo, $or: [{ _id: { $in: duenios } }, { roles: "provider" }] };
+
+    const cantidadPrestadores = await User.collection.countDocuments(prestadores);
+
+    if (APLICAR) {
+        await User.collection.updateMany(prestadores, { $set: { tipoPerfil: "prestador" } });
+    }
+
+    // Sin aplicar, los prestadores todavía figuran sin tipo: se descuentan
+    const cantidadClientes = await User.collection.countDocuments(sinTipo) - (APLICAR ? 0 : cantidadPrestadores);
+
+    if (APLICAR) {
+        await User.collection.updateMany(sinTipo, { $set: { tipoPerfil: "cliente" } });
+    }
+
+    console.log("\nResumen");
+    console.log(`- Usuarios ${APLICAR ? "marcados" : "a marcar"} como prestador: ${cantidadPrestadores}`);
+    console.log(`- Usuarios ${APLICAR ? "marcados" : "a marcar"} como cliente: ${cantidadClientes}`);
+
+    await mongoose.disconnect();
+}
+
+main().catch(err => {
+    console.error("Error en la migración de perfiles:", err);
+    process.exit(1);
+});
@@ -0,0 +1,146 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// scripts/migrarTelefonos.js
+//
+// Qué hace este script:
+// Pasa a formato E.164 los teléfonos que ya están guardados en la base
+// (usuarios y servicios), usando las mismas reglas que utils/phone.js.
+//
+// Por defecto NO modifica nada: solo muestra qué cambiaría (modo simulación).
+// Para aplicar los cambios hay que pasar --aplicar.
+//
+// Uso:
+//   npm run migrar:telefonos              → simulación
+//   npm run migrar:telefonos -- --aplicar → aplica los cambios
+//
+// Casos que NO se migran solos (se informan para revisarlos a mano):
+// - Teléfonos que no se pueden normalizar (números incompletos o mal cargados).
+// - Usuarios duplicados: dos usuarios que, normalizados, son el mismo número.
+//   Hay que decidir cuál se conserva antes de volver a correr el script.
+///////////////////////////////////////////////////////////////////////////////////////
+
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../db");
+const User = require("../models/user");
+const Service = require("../models/service");
+const { normalizarTelefono } = require("../utils/phone");
+
+const APLICAR = process.argv.includes("--aplicar");
+
+/**
+ * Migra los teléfonos de los usuarios, salvo los inválidos y los duplicados.
+ *
+ * @returns {Promise<{ cambiados: number, invalidos: object[], duplicados: object[] }>}
+ */
+async function migrarUsuarios() {
+    // Leemos los valores crudos de la colección (sin pasar por los setters del modelo)
+    const usuarios = await User.collection.find({}, { projection: { telefono: 1 } }).toArray();
+
+    const porNumero = new Map();
+    const invalidos = [];
+
+    for (const usuario of usuarios) {
+        const normalizado = normalizarTelefono(usuario.telefono);
+
+        if (!normalizado) {
+            invalidos.push({ id: String(usuario._id), telefono: usuario.telefono });
+            continue;
+        }
+
+        if (!porNumero.has(normalizado)) porNumero.set(normalizado, []);
+        porNumero.get(normalizado).push(usuario);
+    }
+
+    const duplicados = [];
+    let cambiados = 0;
+
+    for (const [normalizado, grupo] of porNumero) {
+        if (grupo.length > 1) {
+            duplicados.push({
+                telefono: normalizado,
+                usuarios: grupo.map(u => ({ id: String(u._id), telefono: u.telefono }))
+            });
+            continue;
+        }
+
+        const [usuario] = grupo;
+        if (usuario.telefono === normalizado) continue;
+
+        console.log(`Usuario ${usuario._id}: ${usuario.telefono} → ${normalizado}`);
+        cambiados++;
+
+        if (APLICAR) {
+            await User.collection.updateOne({ _id: usuario._id }, { $set: { telefono: normalizado } });
+        }
+    }
+
+    return { cambiados, invalidos, duplicados };
+}
+
+/**
+ * Migra los teléfonos de contacto de los servicios.
+ * Varios servicios pueden compartir teléfono, así que acá no hay duplicados que resolver.
+ *
+ * @returns {Promise<{ cambiados: number, invalidos: object[] }>}
+ */
+async function migrarServicios() {
+    const servicios = await Service.collection.find({}, { projection: { telefono: 1 } }).toArray();
+
+    const invalidos = [];
+    let cambiados = 0;
+
+    for (const servicio of servicios) {
+        const normalizado = normalizarTelefono(servicio.telefono);
+
+        if (!normalizado) {
+            invalidos.push({ id: String(servicio._id), telefono: servicio.telefono });
+            continue;
+        }
+
+        if (servicio.telefono === normalizado) continue;
+
+        console.log(`Servicio ${servicio._id}: ${servicio.telefono} → ${normalizado}`);
+        cambiados++;
+
+        if (APLICAR) {
+            await Service.collection.updateOne({ _id: servicio._id }, { $set: { telefono: normalizado } });
+        }
+    }
+
+    return { cambiados, invalidos };
+}
+
+async function main() {
+    await connectDB();
+
+    console.log(APLICAR ? "Aplicando cambios..." : "Modo simulación: no se modifica nada (usá --aplicar).");
+
+    const usuarios = await migrarUsuarios();
+    const servicios = await migrarServicios();
+
+    console.log("\nResumen");
+    console.log(`- Usuarios ${APLICAR ? "actualizados" : "a actualizar"}: ${usuarios.cambiados}`);
+    console.log(`- Servicios ${APLICAR ? "actualizados" : "a actualizar"}: ${servicios.cambiados}`);
+
+    if (usuarios.invalidos.length || servicios.invalidos.length) {
+        console.log("\nTeléfonos que no se pudieron normalizar (revisar a mano):");
+        usuarios.invalidos.forEach(u => console.log(`- Usuario ${u.id}: ${u.telefono}`));
+        servicios.invalidos.forEach(s => console.log(`- Servicio ${s.id}: ${s.telefono}`));
+    }
+
+    if (usuarios.duplicados.length) {
+        console.log("\nUsuarios duplicados (no se migraron; hay que unificarlos a mano):");
+        usuarios.duplicados.forEach(d => {
+            console.log(`- ${d.telefono}: ${d.usuarios.map(u => `${u.id} (${u.telefono})`).join(", ")}`);
+        });
+        process.exitCode = 1;
+    }
+
+    await mongoose.disconnect();
+}
+
+main().catch(err => {
+    console.error("Error en la migración de teléfonos:", err);
+    process.exit(1);
+});
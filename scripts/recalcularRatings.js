@@ -0,0 +1,49 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// scripts/recalcularRatings.js
+//
+// Qué hace este script:
+// Recalcula el promedio de estrellas (rating) y la cantidad de reseñas
+// (cantidadResenas) de todos los servicios, a partir de las reseñas visibles.
+//
+// Cuándo correrlo:
+// - Una vez, para que los servicios cargados antes de las reseñas tengan rating 0
+//   (sin ese campo no se pueden ordenar con sort=rating).
+// - Si se editaron reseñas directo en la base.
+// Las reseñas nuevas, editadas u ocultadas ya actualizan su servicio solas.
+//
+// Uso:
+//   npm run recalcular:ratings
+///////////////////////////////////////////////////////////////////////////////////////
+
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../db");
+const Service = require("../models/service");
+const Review = require("../models/review");
+
+async function main() {
+    await connectDB();
+
+    const conResenas = await Review.distinct("servicio", { oculta: false });
+
+    for (const servicioId of conResenas) {
+        await Review.recalcularRating(servicioId);
+    }
+
+    // Los que no tienen reseñas visibles quedan en 0 (incluidos los eliminados)
+    const { modifiedCount: sinResenas } = await Service.collection.updateMany(
+        { _id: { $nin: conResenas } },
+        { $set: { rating: 0, cantidadResenas: 0 } }
+    );
+
+    console.log(`Servicios con reseñas: ${conResenas.length}`);
+    console.log(`Servicios sin reseñas actualizados: ${sinResenas}`);
+
+    await mongoose.disconnect();
+}
+
+main().catch(err => {
+    console.error("Error al recalcular los ratings:", err);
+    process.exit(1);
+});
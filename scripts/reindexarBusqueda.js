@@ -0,0 +1,48 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// scripts/reindexarBusqueda.js
+//
+// Qué hace este script:
+// Recalcula el índice de búsqueda (campo "busqueda") de todos los servicios,
+// incluidos los eliminados.
+//
+// Cuándo correrlo:
+// - Una vez, para los servicios cargados antes de que existiera GET /serv/search.
+// - Si cambian las reglas de normalización de utils/texto.js.
+// Los servicios nuevos o editados ya se indexan solos al guardarse.
+//
+// Uso:
+//   npm run reindexar:busqueda
+///////////////////////////////////////////////////////////////////////////////////////
+
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../db");
+const Service = require("../models/service");
+
+async function main() {
+    await connectDB();
+
+    const campos = Service.CAMPOS_BUSQUEDA.join(" ");
+    const cursor = Service.find().setOptions({ incluirEliminados: true }).select(campos).lean().cursor();
+
+    let actualizados = 0;
+
+    for await (const servicio of cursor) {
+        // Escribimos directo en la colección: no hace falta volver a validar el servicio entero
+        await Service.collection.updateOne(
+            { _id: servicio._id },
+            { $set: { busqueda: Service.construirIndiceBusqueda(servicio) } }
+        );
+        actualizados++;
+    }
+
+    console.log(`Servicios reindexados: ${actualizados}`);
+
+    await mongoose.disconnect();
+}
+
+main().catch(err => {
+    console.error("Error al reindexar la búsqueda:", err);
+    process.exit(1);
+});
@@ -0,0 +1,158 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// utils/almacenamiento.js
+//
+// Qué hace este archivo:
+// Guarda y borra los archivos subidos (las fotos de los servicios) sin que las rutas
+// sepan dónde terminan. Cada archivo se identifica por una "clave" relativa, e.g.
+// "servicios/64f1c0.../3b2e...jpg", y urlPublica(clave) da la URL para mostrarlo.
+//
+// Backends (variable ALMACENAMIENTO):
+// - "local" (por defecto): carpeta en disco (ALMACENAMIENTO_DIR), servida por el propio
+//   backend en /archivos (ver index.js). Sirve para desarrollo o un solo servidor con disco.
+// - "s3": un bucket de Amazon S3 o compatible (Cloudflare R2, MinIO, DigitalOcean
+//   Spaces...). Las credenciales se leen de AWS_ACCESS_KEY_ID y AWS_SECRET_ACCESS_KEY.
+//
+// Variables de entorno:
+// - ALMACENAMIENTO             → "local" o "s3" (por defecto "local")
+// - ALMACENAMIENTO_DIR         → carpeta local (por defecto "uploads", en la raíz del proyecto)
+// - ALMACENAMIENTO_URL_PUBLICA → URL base de los archivos (por defecto "/archivos" en local;
+//                                en S3, la del bucket o la de un CDN delante del bucket)
+// - S3_BUCKET, S3_REGION       → bucket y región
+// - S3_ENDPOINT                → solo para servicios compatibles (e.g. https://<cuenta>.r2.cloudflarestorage.com)
+///////////////////////////////////////////////////////////////////////////////////////
+
+const fs = require("fs/promises");
+const path = require("path");
+const logger = require("./logger");
+
+// Los nombres de archivo son únicos (nunca se sobrescriben): se pueden cachear para siempre
+const CACHE_CONTROL = "public, max-age=31536000, immutable";
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Backend en disco
+///////////////////////////////////////////////////////////////////////////////////////
+
+function crearAlmacenamientoLocal() {
+    const directorio = path.resolve(__dirname, "..", process.env.ALMACENAMIENTO_DIR || "uploads");
+    const urlBase = (process.env.ALMACENAMIENTO_URL_PUBLICA || "/archivos").replace(/\/$/, "");
+
+    // La clave nunca puede salir de la carpeta (e.g. "../../index.js")
+    function rutaDe(clave) {
+        const ruta = path.resolve(directorio, clave);
+        if (!ruta.startsWith(directorio + path.sep)) throw new Error(`Clave de archivo inválida: ${clave}`);
+        return ruta;
+    }
+
+    return {
+        nombre: "local",
+        directorio,
+
+        async guardar(clave, buffer) {
+            const ruta = rutaDe(clave);
+            await fs.mkdir(path.dirname(ruta), { recursive: true });
+            await fs.writeFile(ruta, buffer);
+        },
+
+        async borrar(clave) {
+            await fs.rm(rutaDe(clave), { force: true });
+        },
+
+        url(clave) {
+            return `${urlBase}/${clave}`;
+        }
+    };
+}
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Backend S3 (o compatible)
+///////////////////////////////////////////////////////////////////////////////////////
+
+function crearAlmacenamientoS3() {
+    // Se carga solo si se usa este backend
+    const { S3Client, PutObjectCommand, DeleteObjectCommand } = require("@aws-sdk/client-s3");
+
+    const bucket = process.env.S3_BUCKET;
+    const region = process.env.S3_REGION || "us-east-1";
+    const endpoint = process.env.S3_ENDPOINT;
+
+    if (!bucket) throw new Error("ALMACENAMIENTO=s3 requiere S3_BUCKET.");
+
+    // Los servicios compatibles suelen usar URLs del tipo <endpoint>/<bucket>/<clave>
+    const cliente = new S3Client({ region, endpoint, forcePathStyle: Boolean(endpoint) });
+
+    const urlBase = (
+        process.env.ALMACENAMIENTO_URL_PUBLICA
+        || (endpoint ? `${endpoint}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`)
+    ).replace(/\/$/, "");
+
+    return {
+        nombre: "s3",
+
+        async guardar(clave, buffer, tipo) {
+            await cliente.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: clave,
+                Body: buffer,
+                ContentType: tipo,
+                CacheControl: CACHE_CONTROL
+            }));
+        },
+
+        async borrar(clave) {
+            await cliente.send(new DeleteObjectCommand({ Bucket: bucket, Key: clave }));
+        },
+
+        url(clave) {
+            return `${urlBase}/${clave}`;
+        }
+    };
+}
+
+const backend = process.env.ALMACENAMIENTO === "s3" ? crearAlmacenamientoS3() : crearAlmacenamientoLocal();
+
+/**
+ * Guarda un archivo.
+ *
+ * @param {string} clave - Ruta relativa única (e.g. "servicios/<id>/<uuid>.jpg")
+ * @param {Buffer} buffer - Contenido
+ * @param {string} tipo - MIME type (e.g. "image/jpeg")
+ */
+function guardar(clave, buffer, tipo) {
+    return backend.guardar(clave, buffer, tipo);
+}
+
+/**
+ * Borra archivos. Nunca falla: si alguno no se puede borrar se loguea y se sigue
+ * (un archivo huérfano no rompe nada; un error acá sí rompería la acción del usuario).
+ *
+ * @param {...string} claves
+ */
+async function borrar(...claves) {
+    for (const clave of claves.filter(Boolean)) {
+        try {
+            await backend.borrar(clave);
+        } catch (err) {
+            logger.error(`No se pudo borrar el archivo "${clave}": ${err.message}`);
+        }
+    }
+}
+
+/**
+ * URL pública de un archivo.
+ *
+ * @param {string} clave
+ * @returns {string}
+ */
+function urlPublica(clave) {
+    return backend.url(clave);
+}
+
+module.exports = {
+    CACHE_CONTROL,
+    backend: backend.nombre,
+    // Carpeta que index.js sirve en /archivos (solo con el backend local)
+    directorioLocal: backend.directorio || null,
+    guardar,
+    borrar,
+    urlPublica
+};
@@ -0,0 +1,177 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// utils/busquedaServicios.js
+//
+// Qué hace este archivo:
+// Implementa la búsqueda de texto libre de GET /serv/search?q=...
+//
+// Cómo funciona:
+// 1. El texto buscado se separa en palabras normalizadas (sin tildes, en minúsculas).
+// 2. Cada palabra se compara contra el vocabulario de palabras que existen en los
+//    servicios publicados, y se aceptan:
+//    - coincidencias exactas          ("plomeria" → "plomeria")
+//    - palabras que empiezan igual    ("plom"     → "plomeria", "plomero")
+//    - palabras con errores de tipeo  ("gaz"      → "gas", "plomeira" → "plomeria")
+//      1 letra de diferencia en palabras de 3 a 7 letras, 2 letras desde 8.
+// 3. MongoDB busca los servicios que tienen alguna de esas palabras (campo indexado
+//    busqueda.tokens) y les calcula un puntaje de relevancia:
+//    - cada palabra suma según el campo donde aparece (nombre > categoría > tipo > localidad)
+//    - una coincidencia exacta suma más que una por prefijo, y esta más que una con errores
+//    - primero van los servicios que coinciden con MÁS palabras de la búsqueda.
+//
+// Por qué no usamos el índice $text de MongoDB:
+// No tolera errores de tipeo ni busca por prefijo, y con palabras cortas ("gas")
+// el stemming en español da resultados raros.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const Service = require("../models/service");
+const cache = require("./cache");
+const { tokenizar, distanciaEdicion } = require("./texto");
+
+// Peso de cada campo en la relevancia
+const PESOS = {
+    nombre: 3,
+    categoria: 2.5,
+    tipoServicio: 2,
+    localidad: 1
+};
+
+// Cuánto vale una coincidencia por prefijo o aproximada, respecto de una exacta
+const FACTOR_PREFIJO = 0.7;
+const FACTOR_APROXIMADO = 0.5;
+
+// Máximo de variantes por palabra, para que una búsqueda como "a" no traiga todo el vocabulario
+const MAX_VARIANTES = 30;
+
+/**
+ * Devuelve todas las palabras que aparecen en los servicios publicados.
+ *
+ * @returns {Promise<string[]>}
+ */
+async function obtenerVocabulario() {
+    // Cambia poco: se recalcula cada 5 minutos o cuando cambia algún servicio
+    return cache.recordar("busqueda:vocabulario", { ttl: 300, etiquetas: ["servicios"] }, () =>
+        Service.distinct("busqueda.tokens", { estadoModeracion: "aprobado" })
+    );
+}
+
+/**
+ * Cuántas letras de diferencia toleramos según el largo de la palabra.
+ *
+ * @param {string} palabra
+ * @returns {number}
+ */
+function erroresPermitidos(palabra) {
+    if (palabra.length < 3) return 0;
+    if (palabra.length < 8) return 1;
+    return 2;
+}
+
+/**
+ * Busca en el vocabulario las variantes de una palabra.
+ *
+ * @param {string} termino - Palabra normalizada
+ * @param {string[]} vocabulario
+ * @returns {{ exactas: string[], prefijo: string[], aproximadas: string[] }}
+ */
+function expandirTermino(termino, vocabulario) {
+    const maximo = erroresPermitidos(termino);
+    const prefijo = [];
+    const aproximadas = [];
+
+    for (const palabra of vocabulario) {
+        if (palabra === termino) continue;
+
+        if (termino.length >= 3 && palabra.startsWith(termino)) {
+            if (prefijo.length < MAX_VARIANTES) prefijo.push(palabra);
+        } else if (maximo > 0 && aproximadas.length < MAX_VARIANTES &&
+            distanciaEdicion(termino, palabra, maximo) <= maximo) {
+            aproximadas.push(palabra);
+        }
+    }
+
+    return { exactas: [termino], prefijo, aproximadas };
+}
+
+/**
+ * Expresión de aggregate: true si el campo del índice tiene alguna de las palabras.
+ */
+function contieneAlguna(campo, palabras) {
+    return {
+        $gt: [{ $size: { $setIntersection: [{ $ifNull: [`$busqueda.${campo}`, []] }, palabras] } }, 0]
+    };
+}
+
+/**
+ * Expresión de aggregate: puntaje de una palabra en un campo (0 si no aparece).
+ */
+function puntajeEnCampo(campo, variantes) {
+    const peso = PESOS[campo];
+    let expresion = 0;
+
+    // Armamos de la coincidencia más débil a la más fuerte: la exacta queda afuera
+    if (variantes.aproximadas.length) {
+        expresion = { $cond: [contieneAlguna(campo, variantes.aproximadas), peso * FACTOR_APROXIMADO, expresion] };
+    }
+    if (variantes.prefijo.length) {
+        expresion = { $cond: [contieneAlguna(campo, variantes.prefijo), peso * FACTOR_PREFIJO, expresion] };
+    }
+
+    return { $cond: [contieneAlguna(campo, variantes.exactas), peso, expresion] };
+}
+
+/**
+ * Busca servicios por texto libre, ordenados por relevancia.
+ *
+ * @param {string} texto - Lo que escribió el usuario (e.g. "plomeria urgente")
+ * @param {object} [filtro={}] - Filtros adicionales (de utils/serviceFilters.js)
+ * @param {object} [opciones]
+ * @param {number} [opciones.limit=20]
+ * @param {number} [opciones.skip=0]
+ * @returns {Promise<object[]>} - Servicios con el campo extra "relevancia"
+ */
+async function buscarServicios(texto, filtro = {}, opciones = {}) {
+    const terminos = tokenizar(texto);
+    if (!terminos.length) return [];
+
+    const vocabulario = await obtenerVocabulario();
+    const variantesPorTermino = terminos.map(termino => expandirTermino(termino, vocabulario));
+
+    const todas = [...new Set(variantesPorTermino.flatMap(v => [...v.exactas, ...v.prefijo, ...v.aproximadas]))];
+
+    const campos = Object.keys(PESOS);
+
+    // Puntaje total: suma de cada palabra en cada campo
+    const relevancia = {
+        $add: variantesPorTermino.flatMap(variantes => campos.map(campo => puntajeEnCampo(campo, variantes)))
+    };
+
+    // Cantidad de palabras de la búsqueda que aparecen en el servicio
+    const coincidencias = {
+        $add: variantesPorTermino.map(variantes => {
+            const palabras = [...variantes.exactas, ...variantes.prefijo, ...variantes.aproximadas];
+            return { $cond: [contieneAlguna("tokens", palabras), 1, 0] };
+        })
+    };
+
+    const resultados = await Service.aggregate([
+        { $match: { ...filtro, "busqueda.tokens": { $in: todas } } },
+        { $addFields: { relevancia, coincidencias } },
+        { $sort: { coincidencias: -1, relevancia: -1, nombre: 1 } },
+        { $skip: opciones.skip || 0 },
+        { $limit: opciones.limit || 20 },
+        {
+            $project: {
+                busqueda: 0, coincidencias: 0, "horarios.franjas": 0, historialModeracion: 0,
+                reportes: 0, reportesPendientes: 0, reportesRevisadosHasta: 0
+            }
+        }
+    ]);
+
+    // El aggregate no pasa por toJSON: completamos las URLs de las imágenes acá
+    return resultados.map(Service.agregarUrlsImagenes);
+}
+
+module.exports = {
+    buscarServicios,
+    expandirTermino
+};
@@ -0,0 +1,392 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// utils/cache.js
+//
+// Qué hace este archivo:
+// Es el cache del backend. Guarda respuestas ya calculadas (listados de /serv,
+// detalle de un servicio, facetas, catálogo de categorías...) y las invalida por
+// etiquetas cuando cambian los datos.
+//
+// Cómo se usa:
+//   const cache = require("../utils/cache");
+//
+//   // Devuelve lo cacheado, o ejecuta la función y guarda el resultado
+//   const pagina = await cache.recordar(clave, { etiquetas: ["servicios"] }, () => calcular());
+//
+//   // Después de modificar un servicio
+//   await cache.invalidarServicio(servicio._id);
+//
+// Etiquetas:
+// Cada entrada se guarda con una o más etiquetas. invalidar(["servicios"]) borra
+// todas las entradas con esa etiqueta, sin importar su clave. Las de servicios son:
+// - "servicios"       → listados, búsquedas y facetas (cambian con cualquier servicio)
+// - "servicio:<id>"   → el detalle de ese servicio (GET /serv/:id)
+//
+// Backends (variable CACHE_BACKEND):
+// - "memoria" (por defecto): en el proceso. Cada instancia tiene su propia copia,
+//   así que las invalidaciones solo alcanzan a la instancia que hizo el cambio.
+// - "redis": cualquier servidor que hable el protocolo de Redis (Redis, Valkey,
+//   KeyDB, Upstash...) en CACHE_REDIS_URL. Compartido entre instancias.
+//   Si Redis no responde, el cache se saltea (cuenta como "miss") y la API sigue andando.
+//
+// Los valores se guardan como JSON: lo que sale del cache es un objeto plano, igual
+// a lo que la ruta habría enviado con res.json().
+//
+// Variables de entorno:
+// - CACHE_BACKEND      → "memoria" o "redis" (por defecto "memoria")
+// - CACHE_REDIS_URL    → URL del servidor (e.g. redis://localhost:6379)
+// - CACHE_TTL_SEGUNDOS → duración por defecto de cada entrada (por defecto 60)
+// - CACHE_PREFIJO      → prefijo de las claves en Redis (por defecto "app-servicios:")
+///////////////////////////////////////////////////////////////////////////////////////
+
+const logger = require("./logger");
+
+const TTL_DEFECTO = Number(process.env.CACHE_TTL_SEGUNDOS) || 60;
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Backend en memoria
+///////////////////////////////////////////////////////////////////////////////////////
+
+// Cada cuántos guardados se limpian las entradas vencidas que nadie volvió a pedir
+const LIMPIAR_CADA = 200;
+
+function crearBackendMemoria() {
+    const entradas = new Map();  // clave → { valor, vence }
+    const etiquetas = new Map(); // etiqueta → Set de claves
+    let guardados = 0;
+
+    function borrar(clave) {
+        entradas.delete(clave);
+    }
+
+    function limpiarVencidas() {
+        const ahora = Date.now();
+
+        entradas.forEach((entrada, clave) => {
+            if (entrada.vence <= ahora) borrar(clave);
+        });
+
+        etiquetas.forEach((claves, etiqueta) => {
+            claves.forEach(clave => {
+                if (!entradas.has(clave)) claves.delete(clave);
+            });
+            if (claves.size === 0) etiquetas.delete(etiqueta);
+        });
+    }
+
+    return {
+        nombre: "memoria",
+
+        async obtener(clave) {
+            const entrada = entradas.get(clave);
+            if (!entrada) return undefined;
+
+            if (entrada.vence <= Date.now()) {
+                borrar(clave);
+                return undefined;
+            }
+
+            return entrada.valor;
+        },
+
+        async guardar(clave, valor, ttl, etiquetasEntrada) {
+            if (++guardados % LIMPIAR_CADA === 0) limpiarVencidas();
+
+            entradas.set(clave, { valor, vence: Date.now() + ttl * 1000 });
+
+            etiquetasEntrada.forEach(etiqueta => {
+                if (!etiquetas.has(etiqueta)) etiquetas.set(etiqueta, new Set());
+                etiquetas.get(etiqueta).add(clave);
+            });
+        },
+
+        async invalidar(etiquetasABorrar) {
+            let borradas = 0;
+
+            etiquetasABorrar.forEach(etiqueta => {
+                const claves = etiquetas.get(etiqueta);
+                if (!claves) return;
+
+                claves.forEach(clave => {
+                    if (entradas.has(clave)) borradas++;
+                    borrar(clave);
+                });
+                etiquetas.delete(etiqueta);
+            });
+
+            return borradas;
+        },
+
+        async vaciar() {
+            entradas.clear();
+            etiquetas.clear();
+        },
+
+        async cantidad() {
+            return entradas.size;
+        }
+    };
+}
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Backend Redis (o compatible)
+//
+// - Cada entrada es un string JSON con vencimiento (PX).
+// - Cada etiqueta es un SET con las claves que la tienen. Vence junto con la entrada
+//   que más dura de las que se le agregaron, para no acumular basura. Su vencimiento
+//   solo se alarga: si se acortara, una entrada corta haría vencer el SET antes que
+//   otra más larga, y esa entrada ya no se borraría al invalidar la etiqueta.
+///////////////////////////////////////////////////////////////////////////////////////
+
+// Alarga el vencimiento de KEYS[1] a ARGV[1] milisegundos, pero nunca lo acorta.
+// Es un script (y no PEXPIRE ... GT) para que funcione también en Redis anteriores a 7.
+const SCRIPT_ALARGAR_VENCIMIENTO = `
+local restante = redis.call("PTTL", KEYS[1])
+if restante < tonumber(ARGV[1]) then
+    return redis.call("PEXPIRE", KEYS[1], ARGV[1])
+end
+return 0
+`;
+
+function crearBackendRedis(url) {
+    // Se carga solo si se usa este backend
+    const { createClient } = require("redis");
+
+    const prefijo = process.env.CACHE_PREFIJO || "app-servicios:";
+
+    // Sin cola de comandos: si Redis se cae, los pedidos fallan enseguida (y se
+    // responden sin cache) en vez de quedar esperando la reconexión.
+    const cliente = createClient({
+        url,
+        disableOfflineQueue: true,
+        socket: {
+            connectTimeout: 2000,
+            reconnectStrategy: intentos => Math.min(intentos * 500, 5000)
+        }
+    });
+
+    cliente.on("error", err => logger.error(`Cache Redis: ${err.message}`));
+    cliente.connect().catch(err => logger.error(`Cache Redis: no se pudo conectar: ${err.message}`));
+
+    function verificarConexion() {
+        if (!cliente.isReady) throw new Error("Redis no está disponible");
+    }
+
+    const claveEtiqueta = etiqueta => `${prefijo}etiqueta:${etiqueta}`;
+
+    return {
+        nombre: "redis",
+
+        async obtener(clave) {
+            verificarConexion();
+            const texto = await cliente.get(prefijo + clave);
+            return texto === null ? undefined : JSON.parse(texto);
+        },
+
+        async guardar(clave, valor, ttl, etiquetasEntrada) {
+            verificarConexion();
+
+            const multi = cliente.multi().set(prefijo + clave, JSON.stringify(valor), { PX: ttl * 1000 });
+            etiquetasEntrada.forEach(etiqueta => {
+                multi.sAdd(claveEtiqueta(etiqueta), prefijo + clave);
+                multi.eval(SCRIPT_ALARGAR_VENCIMIENTO, {
+                    keys: [claveEtiqueta(etiqueta)],
+                    arguments: [String(ttl * 1000)]
+                });
+            });
+
+            await multi.exec();
+        },
+
+        async invalidar(etiquetasABorrar) {
+            verificarConexion();
+            let borradas = 0;
+
+            for (const etiqueta of etiquetasABorrar) {
+                const claves = await cliente.sMembers(claveEtiqueta(etiqueta));
+                if (claves.length) borradas += await cliente.del(claves);
+                await cliente.del(claveEtiqueta(etiqueta));
+            }
+
+            return borradas;
+        },
+
+        async vaciar() {
+            verificarConexion();
+
+            // Solo las claves de esta app (el servidor puede ser compartido)
+            for await (const clave of cliente.scanIterator({ MATCH: `${prefijo}*`, COUNT: 500 })) {
+                await cliente.del(clave);
+            }
+        },
+
+        async cantidad() {
+            verificarConexion();
+
+            let total = 0;
+            for await (const clave of cliente.scanIterator({ MATCH: `${prefijo}*`, COUNT: 500 })) {
+                if (!clave.startsWith(`${prefijo}etiqueta:`)) total++;
+            }
+            return total;
+        }
+    };
+}
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Cache con estadísticas
+///////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Crea el backend según CACHE_BACKEND. Si piden Redis sin URL, se usa memoria.
+ */
+function crearBackend() {
+    if (process.env.CACHE_BACKEND === "redis") {
+        if (process.env.CACHE_REDIS_URL) return crearBackendRedis(process.env.CACHE_REDIS_URL);
+        logger.warn("CACHE_BACKEND=redis sin CACHE_REDIS_URL: se usa el cache en memoria.");
+    }
+
+    return crearBackendMemoria();
+}
+
+const backend = crearBackend();
+
+const estadisticas = {
+    aciertos: 0,       // "hits": respuestas servidas desde el cache
+    fallos: 0,         // "misses": hubo que calcularlas
+    guardados: 0,
+    invalidaciones: 0, // llamadas a invalidar()
+    entradasInvalidadas: 0,
+    errores: 0,        // fallas del backend (el pedido siguió sin cache)
+    desde: new Date()
+};
+
+/**
+ * Devuelve el valor cacheado o undefined. Si el backend falla, cuenta como "miss".
+ *
+ * @param {string} clave
+ * @returns {Promise<any>}
+ */
+async function obtener(clave) {
+    try {
+        const valor = await backend.obtener(clave);
+
+        if (valor === undefined) estadisticas.fallos++;
+        else estadisticas.aciertos++;
+
+        return valor;
+    } catch (err) {
+        estadisticas.errores++;
+        estadisticas.fallos++;
+        logger.error(`Cache: no se pudo leer "${clave}": ${err.message}`);
+        return undefined;
+    }
+}
+
+/**
+ * Guarda un valor (como JSON) con sus etiquetas.
+ *
+ * @param {string} clave
+ * @param {any} valor
+ * @param {object} [opciones]
+ * @param {number} [opciones.ttl=CACHE_TTL_SEGUNDOS] - Segundos
+ * @param {string[]} [opciones.etiquetas=[]]
+ */
+async function guardar(clave, valor, { ttl = TTL_DEFECTO, etiquetas = [] } = {}) {
+    try {
+        await backend.guardar(clave, JSON.parse(JSON.stringify(valor)), ttl, etiquetas);
+        estadisticas.guardados++;
+    } catch (err) {
+        estadisticas.errores++;
+        logger.error(`Cache: no se pudo guardar "${clave}": ${err.message}`);
+    }
+}
+
+/**
+ * Devuelve lo cacheado en "clave", o ejecuta "calcular", lo guarda y lo devuelve.
+ * Lo que devuelve siempre es JSON plano (también la primera vez), para que la
+ * respuesta sea igual con o sin cache.
+ *
+ * @param {string} clave
+ * @param {object} opciones - { ttl, etiquetas } (ver guardar)
+ * @param {Function} calcular - Función async que arma el valor
+ * @returns {Promise<any>}
+ */
+async function recordar(clave, opciones, calcular) {
+    const cacheado = await obtener(clave);
+    if (cacheado !== undefined) return cacheado;
+
+    const valor = JSON.parse(JSON.stringify(await calcular()));
+    await guardar(clave, valor, opciones);
+
+    return valor;
+}
+
+/**
+ * Borra todas las entradas que tienen alguna de las etiquetas.
+ *
+ * @param {string[]} etiquetas
+ */
+async function invalidar(etiquetas) {
+    try {
+        estadisticas.invalidaciones++;
+        estadisticas.entradasInvalidadas += await backend.invalidar(etiquetas);
+    } catch (err) {
+        estadisticas.errores++;
+        logger.error(`Cache: no se pudo invalidar ${etiquetas.join(", ")}: ${err.message}`);
+    }
+}
+
+/**
+ * Invalida lo cacheado de servicios después de una escritura: los listados y, si
+ * se indican, el detalle de esos servicios.
+ *
+ * @param {...(string|object)} ids - IDs de los servicios modificados
+ */
+function invalidarServicio(...ids) {
+    return invalidar(["servicios", ...ids.filter(Boolean).map(id => `servicio:${id}`)]);
+}
+
+/**
+ * Borra todo el cache.
+ */
+async function vaciar() {
+    try {
+        await backend.vaciar();
+    } catch (err) {
+        estadisticas.errores++;
+        logger.error(`Cache: no se pudo vaciar: ${err.message}`);
+    }
+}
+
+/**
+ * Estadísticas de uso de este proceso (para GET /admin/cache).
+ *
+ * @returns {Promise<object>} - { backend, aciertos, fallos, tasaAciertos, entradas, ... }
+ */
+async function obtenerEstadisticas() {
+    const consultas = estadisticas.aciertos + estadisticas.fallos;
+
+    let entradas = null;
+    try {
+        entradas = await backend.cantidad();
+    } catch (err) {
+        estadisticas.errores++;
+    }
+
+    return {
+        backend: backend.nombre,
+        ttlSegundos: TTL_DEFECTO,
+        ...estadisticas,
+        tasaAciertos: consultas ? Math.round((estadisticas.aciertos / consultas) * 1000) / 1000 : null,
+        entradas
+    };
+}
+
+module.exports = {
+    obtener,
+    guardar,
+    recordar,
+    invalidar,
+    invalidarServicio,
+    vaciar,
+    obtenerEstadisticas
+};
@@ -0,0 +1,168 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// utils/categorias.js
+//
+// Qué hace este archivo:
+// Es la ÚNICA fuente de categorías para el resto del backend (models/category.js):
+// - obtenerCategorias    → todas las categorías, cacheadas en memoria.
+// - armarArbol           → las agrupa como árbol (grupos con sus categorías) para GET /categorias.
+// - resolverCategoria    → una categoría elegible para un servicio (existe, activa y no es grupo).
+// - resolverSlugsCategoria → slugs que abarca un texto, para filtros (un grupo abarca sus categorías).
+// - prepararCategoria    → aplica lo anterior a los datos de un alta o edición de servicio.
+// - invalidarCategorias  → invalida el cache (después de crear o editar categorías).
+//
+// Se aceptan tanto slugs ("plomeria") como nombres ("Plomería", "plomeria").
+//
+// Por qué el cache:
+// La categoría se valida en cada alta/edición de servicio y en cada filtro de GET /serv,
+// y el catálogo cambia muy poco. Se relee como mucho cada 5 minutos (utils/cache.js,
+// etiqueta "categorias").
+///////////////////////////////////////////////////////////////////////////////////////
+
+const Category = require("../models/category");
+const cache = require("./cache");
+const { normalizarTexto } = require("./texto");
+
+const CLAVE_CACHE = "categorias";
+const TTL_CACHE = 300; // 5 minutos
+
+/**
+ * Devuelve todas las categorías (activas e inactivas, grupos incluidos),
+ * ordenadas por orden y nombre.
+ *
+ * @returns {Promise<object[]>}
+ */
+async function obtenerCategorias() {
+    return cache.recordar(CLAVE_CACHE, { ttl: TTL_CACHE, etiquetas: ["categorias"] }, () =>
+        Category.find()
+            .select("nombre slug nombreNormalizado grupo icono activa orden")
+            .sort({ orden: 1, nombreNormalizado: 1 })
+            .lean()
+    );
+}
+
+/**
+ * Invalida el catálogo cacheado y los listados de servicios (que filtran y agrupan
+ * por categoría). Llamar después de cualquier cambio en el catálogo.
+ */
+function invalidarCategorias() {
+    return cache.invalidar(["categorias", "servicios"]);
+}
+
+/**
+ * Busca una categoría (o grupo) por slug o por nombre.
+ *
+ * @param {object[]} categorias - Resultado de obtenerCategorias()
+ * @param {string} texto - Slug o nombre
+ * @returns {object|undefined}
+ */
+function buscarCategoria(categorias, texto) {
+    const slug = String(texto).trim().toLowerCase();
+    const nombre = normalizarTexto(texto);
+
+    return categorias.find(c => c.slug === slug) || categorias.find(c => c.nombreNormalizado === nombre);
+}
+
+/**
+ * Arma el árbol de categorías: grupos con sus categorías adentro.
+ *
+ * @param {object[]} categorias - Resultado de obtenerCategorias()
+ * @param {object} [opciones]
+ * @param {boolean} [opciones.incluirInactivas=false] - Si se devuelven también las inactivas
+ * @returns {object[]} - [{ nombre, slug, icono, categorias: [{ nombre, slug, icono }] }]
+ */
+function armarArbol(categorias, { incluirInactivas = false } = {}) {
+    const visibles = categorias.filter(c => incluirInactivas || c.activa);
+
+    const publica = c => {
+        const datos = { nombre: c.nombre, slug: c.slug, icono: c.icono || null };
+        if (incluirInactivas) datos.activa = c.activa;
+        return datos;
+    };
+
+    return visibles
+        .filter(c => !c.grupo)
+        .map(grupo => ({
+            ...publica(grupo),
+            categorias: visibles.filter(c => c.grupo === grupo.slug).map(publica)
+        }));
+}
+
+/**
+ * Resuelve la categoría de un servicio.
+ * Tiene que existir, estar activa (ella y su grupo) y no ser un grupo.
+ *
+ * @param {string} texto - Slug o nombre
+ * @returns {Promise<{ categoria: object|null, error: string|null }>}
+ *
+ * Ejemplo:
+ * const { categoria, error } = await resolverCategoria("plomeria");
+ * categoria.nombre → "Plomería"
+ */
+async function resolverCategoria(texto) {
+    const categorias = await obtenerCategorias();
+    const categoria = buscarCategoria(categorias, texto);
+
+    if (!categoria) {
+        return { categoria: null, error: `La categoría "${texto}" no existe. Consultá GET /categorias.` };
+    }
+
+    if (!categoria.grupo) {
+        return { categoria: null, error: `"${categoria.nombre}" es un grupo: elegí una de sus categorías.` };
+    }
+
+    const grupo = categorias.find(c => c.slug === categoria.grupo);
+
+    if (!categoria.activa || (grupo && !grupo.activa)) {
+        return { categoria: null, error: `La categoría "${categoria.nombre}" no está disponible.` };
+    }
+
+    return { categoria, error: null };
+}
+
+/**
+ * Devuelve los slugs de categoría que abarca un texto, para filtros.
+ * Un grupo abarca todas sus categorías. Incluye las inactivas: los servicios
+ * que ya las tenían siguen apareciendo.
+ *
+ * @param {string} texto - Slug o nombre de una categoría o de un grupo
+ * @returns {Promise<string[]>} - Vacío si no existe
+ */
+async function resolverSlugsCategoria(texto) {
+    const categorias = await obtenerCategorias();
+    const categoria = buscarCategoria(categorias, texto);
+
+    if (!categoria) return [];
+    if (categoria.grupo) return [categoria.slug];
+
+    return categorias.filter(c => c.grupo === categoria.slug).map(c => c.slug);
+}
+
+/**
+ * Prepara la categoría de un servicio antes de guardarlo (POST /serv, PUT /serv/:id
+ * y las rutas de /profile): "categoria" se reemplaza por el nombre del catálogo y
+ * se completa "categoriaSlug".
+ *
+ * @param {object} datos - Valores ya validados por Joi (solo los campos enviados)
+ * @returns {Promise<{ datos: object, error: string|null }>} - Datos listos para asignar al servicio
+ */
+async function prepararCategoria(datos) {
+    if (datos.categoria === undefined) return { datos, error: null };
+
+    const { categoria, error } = await resolverCategoria(datos.categoria);
+    if (error) return { datos: null, error };
+
+    return {
+        datos: { ...datos, categoria: categoria.nombre, categoriaSlug: categoria.slug },
+        error: null
+    };
+}
+
+module.exports = {
+    obtenerCategorias,
+    invalidarCategorias,
+    buscarCategoria,
+    armarArbol,
+    resolverCategoria,
+    resolverSlugsCategoria,
+    prepararCategoria
+};
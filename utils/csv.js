@@ -0,0 +1,144 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// utils/csv.js
+//
+// Qué hace este archivo:
+// Lee y escribe CSV (RFC 4180) para la importación y exportación de servicios
+// (ver utils/importacionServicios.js):
+// - Campos entre comillas dobles, con comillas escapadas ("") y saltos de línea adentro.
+// - Fin de línea \n o \r\n. Se ignora el BOM que agrega Excel al principio.
+// - Separador "," o ";" (Excel en español exporta con ";"): se detecta en el encabezado.
+// - Fórmulas: al escribir, un campo que empieza con =, +, -, @, ;, tabulación o retorno
+//   de carro va precedido de un apóstrofo ('), para que Excel o Sheets lo muestren como
+//   texto y no lo ejecuten (inyección de fórmulas). Los números negativos (-32.95)
+//   quedan como están. Al leer, ese apóstrofo se quita: lo exportado se vuelve a
+//   importar igual.
+//
+// Ejemplo:
+//   const { leerCsv, filaCsv } = require("../utils/csv");
+//   leerCsv('nombre,telefono\n"López, Pedro",+5493411234567\n');
+//   // → { registros: [{ linea: 2, campos: ["López, Pedro", "+5493411234567"] }], ... }
+//   filaCsv(["López, Pedro", "+5493411234567"]); // → '"López, Pedro",\'+5493411234567\r\n'
+///////////////////////////////////////////////////////////////////////////////////////
+
+// Primeros caracteres con los que una planilla interpreta el campo como fórmula
+const INICIO_FORMULA = /^[=+\-@;\t\r]/;
+const NUMERO = /^-?\d+(\.\d+)?$/;
+const FORMULA_PROTEGIDA = /^'(?=[=+\-@;\t\r])/;
+
+/**
+ * Detecta el separador mirando la primera línea (fuera de comillas).
+ *
+ * @param {string} texto
+ * @returns {"," | ";"}
+ */
+function detectarSeparador(texto) {
+    let comas = 0;
+    let puntoYComa = 0;
+    let entreComillas = false;
+
+    for (const caracter of texto) {
+        if (caracter === "\"") entreComillas = !entreComillas;
+        else if (!entreComillas && (caracter === "\n" || caracter === "\r")) break;
+        else if (!entreComillas && caracter === ",") comas++;
+        else if (!entreComillas && caracter === ";") puntoYComa++;
+    }
+
+    return puntoYComa > comas ? ";" : ",";
+}
+
+/**
+ * Lee un CSV completo.
+ *
+ * @param {string} texto
+ * @returns {{ encabezado: string[], registros: Array<{ linea: number, campos: string[] }>, error: string|null }}
+ *          - "linea" es la línea del archivo donde empieza cada registro (el encabezado es la 1)
+ */
+function leerCsv(texto) {
+    const contenido = texto.replace(/^\uFEFF/, "");
+    const separador = detectarSeparador(contenido);
+
+    const filas = [];
+    let campos = [];
+    let campo = "";
+    let entreComillas = false;
+    let linea = 1;
+    let inicio = 1; // línea donde empezó el registro actual
+
+    const cerrarCampo = () => {
+        campos.push(campo);
+        campo = "";
+    };
+
+    const cerrarRegistro = () => {
+        cerrarCampo();
+        // Las líneas vacías no son registros
+        if (campos.length > 1 || campos[0] !== "") {
+            filas.push({ linea: inicio, campos: campos.map(valor => valor.replace(FORMULA_PROTEGIDA, "")) });
+        }
+        campos = [];
+    };
+
+    for (let i = 0; i < contenido.length; i++) {
+        const caracter = contenido[i];
+
+        if (entreComillas) {
+            if (caracter === "\"" && contenido[i + 1] === "\"") {
+                campo += "\"";
+                i++;
+            } else if (caracter === "\"") {
+                entreComillas = false;
+            } else {
+                if (caracter === "\n") linea++;
+                campo += caracter;
+            }
+        } else if (caracter === "\"" && campo === "") {
+            entreComillas = true;
+        } else if (caracter === separador) {
+            cerrarCampo();
+        } else if (caracter === "\n" || caracter === "\r") {
+            if (caracter === "\r" && contenido[i + 1] === "\n") i++;
+            cerrarRegistro();
+            linea++;
+            inicio = linea;
+        } else {
+            campo += caracter;
+        }
+    }
+
+    if (entreComillas) {
+        return { encabezado: [], registros: [], error: `Hay comillas sin cerrar en el registro que empieza en la línea ${inicio}.` };
+    }
+
+    if (campo !== "" || campos.length > 0) cerrarRegistro();
+
+    if (filas.length === 0) {
+        return { encabezado: [], registros: [], error: "El archivo está vacío." };
+    }
+
+    const [encabezado, ...registros] = filas;
+
+    return { encabezado: encabezado.campos.map(nombre => nombre.trim()), registros, error: null };
+}
+
+/**
+ * Arma una línea de CSV (con \r\n al final), poniendo entre comillas los campos que lo
+ * necesitan y protegiendo los que una planilla tomaría como fórmula.
+ *
+ * @param {Array<string|number|boolean|null|undefined>} valores
+ * @returns {string}
+ */
+function filaCsv(valores) {
+    const campos = valores.map(valor => {
+        let texto = valor === null || valor === undefined ? "" : String(valor);
+        if (INICIO_FORMULA.test(texto) && !NUMERO.test(texto)) texto = `'${texto}`;
+
+        return /[",;\r\n]/.test(texto) ? `"${texto.replace(/"/g, "\"\"")}"` : texto;
+    });
+
+    return `${campos.join(",")}\r\n`;
+}
+
+module.exports = {
+    leerCsv,
+    filaCsv
+};
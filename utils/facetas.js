@@ -0,0 +1,164 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// utils/facetas.js
+//
+// Qué hace este archivo:
+// Cuenta cuántos servicios hay por cada valor de los filtros principales, para que
+// la pantalla de filtros de la app muestre "Plomería (34)" sin descargar el listado:
+// - categoria           → por categoría del catálogo
+// - localidad           → por localidad (cuenta la propia y las que cubre, igual que el filtro)
+// - urgencias24hs       → cuántos sí y cuántos no
+// - localidadesCercanas → cuántos sí y cuántos no
+//
+// Cómo se cuenta cada faceta:
+// Con todos los filtros pedidos MENOS el de la propia faceta. Así, si el usuario ya
+// eligió "Plomería", la faceta de categorías sigue mostrando cuántos hay en "Gas"
+// (lo que vería si cambia de categoría), mientras las demás facetas cuentan solo plomeros.
+//
+// Cada faceta es un aggregate: se cuentan en la base, sin traer los servicios.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const Service = require("../models/service");
+const Locality = require("../models/locality");
+const { construirFiltro } = require("./serviceFilters");
+const { etapasDistancia } = require("./geo");
+
+// Filtros que se ignoran al contar cada faceta (los de la propia faceta)
+const FACETAS = {
+    categoria: ["categoria", "categorias"],
+    localidad: ["localidad"],
+    urgencias24hs: ["urgencias24hs"],
+    localidadesCercanas: ["localidadesCercanas"]
+};
+
+/**
+ * Arma el comienzo del aggregate: el filtro (y la búsqueda por cercanía, si se pidió).
+ *
+ * @param {object} valores - Query validada, sin los filtros de la faceta
+ * @returns {Promise<object[]>}
+ */
+async function etapasFiltro(valores) {
+    const filtro = await construirFiltro(valores);
+
+    // $geoNear tiene que ser la primera etapa
+    if (valores.lat !== undefined) return etapasDistancia(valores, filtro);
+
+    return [{ $match: filtro }];
+}
+
+/**
+ * Devuelve una copia de la query sin los filtros indicados.
+ */
+function sinFiltros(valores, campos) {
+    const copia = { ...valores };
+    campos.forEach(campo => delete copia[campo]);
+    return copia;
+}
+
+/**
+ * Cuenta los servicios que cumplen todos los filtros.
+ */
+async function contarTotal(valores) {
+    const pipeline = await etapasFiltro(valores);
+    const resultado = await Service.aggregate([...pipeline, { $count: "total" }]);
+
+    return resultado.length ? resultado[0].total : 0;
+}
+
+/**
+ * Cuenta por categoría: [{ valor: "plomeria", nombre: "Plomería", cantidad: 34 }]
+ */
+async function contarCategorias(valores) {
+    const pipeline = await etapasFiltro(valores);
+
+    const grupos = await Service.aggregate([
+        ...pipeline,
+        // Los servicios sin categoriaSlug (anteriores al catálogo) se agrupan por nombre
+        {
+            $group: {
+                _id: { $ifNull: ["$categoriaSlug", "$categoria"] },
+                nombre: { $first: "$categoria" },
+                cantidad: { $sum: 1 }
+            }
+        },
+        { $sort: { cantidad: -1, nombre: 1 } }
+    ]);
+
+    return grupos.map(g => ({ valor: g._id, nombre: g.nombre, cantidad: g.cantidad }));
+}
+
+/**
+ * Cuenta por localidad, contando cada servicio en su localidad y en las que cubre
+ * (así la cantidad coincide con lo que devuelve GET /serv?localidad=X).
+ */
+async function contarLocalidades(valores) {
+    const pipeline = await etapasFiltro(valores);
+
+    const grupos = await Service.aggregate([
+        ...pipeline,
+        {
+            $project: {
+                localidades: {
+                    $setUnion: [
+                        [{ $ifNull: ["$localidadSlug", "$localidad"] }],
+                        { $ifNull: ["$localidadesCobertura", []] }
+                    ]
+                }
+            }
+        },
+        { $unwind: "$localidades" },
+        { $group: { _id: "$localidades", cantidad: { $sum: 1 } } },
+        { $sort: { cantidad: -1, _id: 1 } }
+    ]);
+
+    // Completamos el nombre desde el catálogo (los que no están quedan con el texto guardado)
+    const localidades = await Locality.find({ slug: { $in: grupos.map(g => g._id) } }).select("slug nombre").lean();
+    const nombres = new Map(localidades.map(l => [l.slug, l.nombre]));
+
+    return grupos.map(g => ({ valor: g._id, nombre: nombres.get(g._id) || g._id, cantidad: g.cantidad }));
+}
+
+/**
+ * Cuenta un campo booleano: { true: 40, false: 80 }
+ */
+async function contarBooleano(valores, campo) {
+    const pipeline = await etapasFiltro(valores);
+
+    const grupos = await Service.aggregate([
+        ...pipeline,
+        { $group: { _id: { $eq: [`$${campo}`, true] }, cantidad: { $sum: 1 } } }
+    ]);
+
+    const conteo = { true: 0, false: 0 };
+    grupos.forEach(g => {
+        conteo[g._id] = g.cantidad;
+    });
+
+    return conteo;
+}
+
+/**
+ * Calcula todas las facetas para una combinación de filtros.
+ *
+ * @param {object} valores - Query validada con filtrosSchema (y geoFiltrosSchema)
+ * @returns {Promise<object>} - { total, categoria, localidad, urgencias24hs, localidadesCercanas }
+ *
+ * Ejemplo:
+ * await contarFacetas({ localidad: "funes", urgencias24hs: "true" })
+ * → { total: 12, categoria: [{ valor: "gas", nombre: "Gas", cantidad: 5 }, ...],
+ *     localidad: [...], urgencias24hs: { true: 12, false: 30 }, localidadesCercanas: { true: 7, false: 5 } }
+ */
+async function contarFacetas(valores) {
+    const [total, categoria, localidad, urgencias24hs, localidadesCercanas] = await Promise.all([
+        contarTotal(valores),
+        contarCategorias(sinFiltros(valores, FACETAS.categoria)),
+        contarLocalidades(sinFiltros(valores, FACETAS.localidad)),
+        contarBooleano(sinFiltros(valores, FACETAS.urgencias24hs), "urgencias24hs"),
+        contarBooleano(sinFiltros(valores, FACETAS.localidadesCercanas), "localidadesCercanas")
+    ]);
+
+    return { total, categoria, localidad, urgencias24hs, localidadesCercanas };
+}
+
+module.exports = {
+    contarFacetas
+};
@@ -0,0 +1,84 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// utils/geo.js
+//
+// Qué hace este archivo:
+// Reúne todo lo relacionado con la ubicación de los servicios:
+// - ubicacionJoi       → valida { lat, lng } y lo convierte al formato GeoJSON del modelo.
+// - geoFiltrosSchema   → reglas Joi de lat, lng y radioKm para GET /serv.
+// - etapasDistancia    → etapas de aggregate que buscan por cercanía ($geoNear),
+//                        respetan el radio de cobertura de cada prestador y
+//                        agregan la distancia en km a cada resultado.
+//
+// Recordatorio: GeoJSON guarda [longitud, latitud]; en la API siempre usamos lat y lng
+// con nombre para no confundirlas.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const Joi = require("joi");
+
+/**
+ * Esquema Joi para la ubicación de un servicio.
+ * Recibe { lat, lng } y devuelve { type: "Point", coordinates: [lng, lat] }.
+ * Acepta null para borrar la ubicación.
+ *
+ * @returns {Joi.ObjectSchema}
+ */
+function ubicacionJoi() {
+    return Joi.object({
+        lat: Joi.number().min(-90).max(90).required(),
+        lng: Joi.number().min(-180).max(180).required()
+    })
+        .custom(v => ({ type: "Point", coordinates: [v.lng, v.lat] }))
+        .allow(null);
+}
+
+// Reglas Joi de la búsqueda por distancia (lat y lng van juntas; radioKm las necesita)
+const geoFiltrosSchema = {
+    lat: Joi.number().min(-90).max(90),
+    lng: Joi.number().min(-180).max(180),
+    radioKm: Joi.number().min(0.1).max(500)
+};
+
+/**
+ * Arma las etapas de aggregate para buscar servicios por cercanía.
+ * Deja en cada resultado "distanciaKm" (redondeada a 2 decimales) y "distanciaMetros"
+ * (para ordenar; conviene quitarla en la proyección final).
+ *
+ * @param {object} valores - { lat, lng, radioKm } ya validados
+ * @param {object} [filtro={}] - Filtro adicional (de utils/serviceFilters.js)
+ * @returns {object[]} - Etapas para Service.aggregate(); $geoNear queda primera
+ *
+ * Ejemplo:
+ * etapasDistancia({ lat: -32.95, lng: -60.65, radioKm: 5 }, { categoria: "Gas" })
+ */
+function etapasDistancia({ lat, lng, radioKm }, filtro = {}) {
+    const geoNear = {
+        near: { type: "Point", coordinates: [lng, lat] },
+        distanceField: "distanciaMetros",
+        spherical: true,
+        query: filtro
+    };
+
+    if (radioKm) geoNear.maxDistance = radioKm * 1000;
+
+    return [
+        { $geoNear: geoNear },
+        // Si el prestador definió un radio de cobertura, el cliente tiene que estar dentro
+        {
+            $match: {
+                $expr: {
+                    $or: [
+                        { $eq: [{ $ifNull: ["$radioCoberturaKm", null] }, null] },
+                        { $lte: ["$distanciaMetros", { $multiply: ["$radioCoberturaKm", 1000] }] }
+                    ]
+                }
+            }
+        },
+        { $addFields: { distanciaKm: { $round: [{ $divide: ["$distanciaMetros", 1000] }, 2] } } }
+    ];
+}
+
+module.exports = {
+    ubicacionJoi,
+    geoFiltrosSchema,
+    etapasDistancia
+};
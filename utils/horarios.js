@@ -0,0 +1,250 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// utils/horarios.js
+//
+// Qué hace este archivo:
+// Maneja los horarios semanales de los servicios:
+// - horariosJoi      → valida los horarios que manda la app.
+// - calcularFranjas  → los convierte en "minutos de la semana" para poder filtrar en MongoDB.
+// - filtroHorario    → arma el filtro "abierto ahora" / "abierto el día X a la hora Y".
+//
+// Formato de los horarios (hora local del prestador):
+// {
+//   "zonaHoraria": "America/Argentina/Buenos_Aires",
+//   "dias": {
+//     "lunes":   [{ "desde": "08:00", "hasta": "13:00" }, { "desde": "16:00", "hasta": "20:00" }],
+//     "viernes": [{ "desde": "22:00", "hasta": "06:00" }],   ← turno noche: termina el sábado a las 6
+//     "sabado":  [{ "desde": "09:00", "hasta": "12:00" }]
+//   }
+// }
+// - Los días van sin tilde (miercoles, sabado). Un día que no figura está cerrado.
+// - "hasta" menor que "desde" significa que el intervalo pasa la medianoche.
+// - "24:00" cierra a la medianoche; "00:00" a "24:00" es el día completo.
+//
+// Minutos de la semana:
+// Cada intervalo se guarda también como { desde, hasta } en minutos desde el lunes
+// a las 00:00 (hora local), de 0 a 10080. Así "abierto el martes a las 10" es
+// simplemente buscar una franja que contenga 1 * 1440 + 10 * 60 = 2040.
+//
+// Variables de entorno:
+// - ZONA_HORARIA_DEFECTO → zona horaria de los servicios que no indican una
+//   (por defecto America/Argentina/Buenos_Aires).
+///////////////////////////////////////////////////////////////////////////////////////
+
+const Joi = require("joi");
+const { normalizarTexto } = require("./texto");
+
+// Días de la semana, empezando por el lunes (índice 0)
+const DIAS = ["lunes", "martes", "miercoles", "jueves", "viernes", "sabado", "domingo"];
+
+const MINUTOS_DIA = 24 * 60;
+const MINUTOS_SEMANA = 7 * MINUTOS_DIA;
+
+const ZONA_HORARIA_DEFECTO = process.env.ZONA_HORARIA_DEFECTO || "America/Argentina/Buenos_Aires";
+
+// "HH:MM" de 00:00 a 23:59, más "24:00" (solo para "hasta")
+const PATRON_HORA = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+/**
+ * Indica si el texto es una zona horaria IANA válida (e.g. "America/Argentina/Cordoba").
+ */
+function esZonaHoraria(zona) {
+    try {
+        new Intl.DateTimeFormat("es-AR", { timeZone: zona });
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Convierte "HH:MM" en minutos desde la medianoche ("08:30" → 510).
+ */
+function horaAMinutos(hora) {
+    const [h, m] = hora.split(":").map(Number);
+    return h * 60 + m;
+}
+
+/**
+ * Devuelve el índice del día (lunes = 0) a partir de su nombre, con o sin tilde.
+ *
+ * @param {string} nombre - e.g. "Sábado"
+ * @returns {number} - 0 a 6, o -1 si no es un día
+ */
+function indiceDia(nombre) {
+    return DIAS.indexOf(normalizarTexto(nombre).trim());
+}
+
+/**
+ * Convierte los horarios por día en franjas de minutos de la semana.
+ * Los intervalos que pasan la medianoche siguen en el día siguiente, y el del
+ * domingo a la noche sigue el lunes (se parte en dos franjas).
+ *
+ * @param {object} dias - { lunes: [{ desde, hasta }], ... }
+ * @returns {{ desde: number, hasta: number }[]} - Ordenadas por "desde"
+ *
+ * Ejemplo:
+ * calcularFranjas({ domingo: [{ desde: "22:00", hasta: "06:00" }] })
+ * → [{ desde: 0, hasta: 360 }, { desde: 9960, hasta: 10080 }]
+ */
+function calcularFranjas(dias = {}) {
+    const franjas = [];
+
+    DIAS.forEach((dia, indice) => {
+        (dias[dia] || []).forEach(({ desde, hasta }) => {
+            const inicio = indice * MINUTOS_DIA + horaAMinutos(desde);
+            let fin = indice * MINUTOS_DIA + horaAMinutos(hasta);
+
+            // Pasa la medianoche: termina al día siguiente
+            if (fin <= inicio) fin += MINUTOS_DIA;
+
+            if (fin <= MINUTOS_SEMANA) {
+                franjas.push({ desde: inicio, hasta: fin });
+            } else {
+                // Domingo a la noche: lo que sobra sigue el lunes
+                franjas.push({ desde: inicio, hasta: MINUTOS_SEMANA });
+                franjas.push({ desde: 0, hasta: fin - MINUTOS_SEMANA });
+            }
+        });
+    });
+
+    return franjas.sort((a, b) => a.desde - b.desde);
+}
+
+/**
+ * Devuelve el día y la hora local de un instante en una zona horaria, en minutos
+ * de la semana (lunes 00:00 = 0).
+ *
+ * @param {Date} fecha
+ * @param {string} zona - Zona horaria IANA
+ * @returns {number}
+ */
+function minutoDeLaSemana(fecha, zona) {
+    const partes = new Intl.DateTimeFormat("en-US", {
+        timeZone: zona,
+        weekday: "short",
+        hour: "2-digit",
+        minute: "2-digit",
+        hourCycle: "h23"
+    }).formatToParts(fecha);
+
+    const valor = tipo => partes.find(p => p.type === tipo).value;
+    const dia = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"].indexOf(valor("weekday"));
+
+    return dia * MINUTOS_DIA + Number(valor("hour")) * 60 + Number(valor("minute"));
+}
+
+/**
+ * Condición "tiene una franja que contiene este minuto" (o que se superpone con el rango).
+ */
+function franjaQueCubre(desde, hasta = desde + 1) {
+    return { "horarios.franjas": { $elemMatch: { desde: { $lt: hasta }, hasta: { $gt: desde } } } };
+}
+
+/**
+ * Arma el filtro de MongoDB para "abierto ahora" o "abierto el día X a la hora Y".
+ * Día y hora siempre son la hora LOCAL de cada servicio (según su zona horaria).
+ *
+ * - abiertoAhora: compara con el día y la hora actuales en la zona de cada servicio.
+ * - dia + hora:   abierto ese día a esa hora.
+ * - solo dia:     abre en algún momento de ese día.
+ * - solo hora:    abierto hoy (en la zona de cada servicio) a esa hora.
+ *
+ * @param {object} valores - { abiertoAhora, dia, hora } (dia: índice 0-6; hora: "HH:MM")
+ * @param {string[]} zonas - Zonas horarias en uso (Service.distinct("horarios.zonaHoraria"))
+ * @param {Date} [ahora=new Date()]
+ * @returns {object|null} - Condición, o null si no se pidió ningún filtro de horario
+ *
+ * Ejemplo:
+ * filtroHorario({ dia: 1, hora: "10:00" }, zonas)
+ * → { "horarios.franjas": { $elemMatch: { desde: { $lt: 2041 }, hasta: { $gt: 2040 } } } }
+ */
+function filtroHorario({ abiertoAhora, dia, hora }, zonas, ahora = new Date()) {
+    if (abiertoAhora) {
+        return porZona(zonas, zona => franjaQueCubre(minutoDeLaSemana(ahora, zona)));
+    }
+
+    if (dia !== undefined && hora !== undefined) {
+        return franjaQueCubre(dia * MINUTOS_DIA + horaAMinutos(hora));
+    }
+
+    if (dia !== undefined) {
+        return franjaQueCubre(dia * MINUTOS_DIA, (dia + 1) * MINUTOS_DIA);
+    }
+
+    if (hora !== undefined) {
+        return porZona(zonas, zona => {
+            const hoy = Math.floor(minutoDeLaSemana(ahora, zona) / MINUTOS_DIA);
+            return franjaQueCubre(hoy * MINUTOS_DIA + horaAMinutos(hora));
+        });
+    }
+
+    return null;
+}
+
+/**
+ * Arma una condición por zona horaria, porque "ahora" es un día y una hora distintos
+ * en cada una.
+ */
+function porZona(zonas, condicionDeZona) {
+    const lista = zonas.length ? zonas : [ZONA_HORARIA_DEFECTO];
+
+    return {
+        $or: lista.map(zona => ({ "horarios.zonaHoraria": zona, ...condicionDeZona(zona) }))
+    };
+}
+
+/**
+ * Esquema Joi de los horarios que manda la app (ver formato arriba).
+ * Rechaza intervalos vacíos ("desde" igual a "hasta") y superpuestos.
+ *
+ * @returns {Joi.ObjectSchema}
+ */
+function horariosJoi() {
+    const intervalo = Joi.object({
+        desde: Joi.string().pattern(PATRON_HORA).required(),
+        hasta: Joi.string().pattern(PATRON_HORA).required()
+    });
+
+    const dias = {};
+    DIAS.forEach(dia => {
+        dias[dia] = Joi.array().items(intervalo).max(6);
+    });
+
+    return Joi.object({
+        zonaHoraria: Joi.string()
+            .default(ZONA_HORARIA_DEFECTO)
+            .custom((valor, helpers) => (esZonaHoraria(valor) ? valor : helpers.error("any.invalid")))
+            .messages({ "any.invalid": "\"zonaHoraria\" no es una zona horaria válida (e.g. America/Argentina/Cordoba)." }),
+        dias: Joi.object(dias).required()
+    }).custom((valor, helpers) => {
+        const intervalos = DIAS.flatMap(dia => valor.dias[dia] || []);
+
+        if (intervalos.length === 0) {
+            return helpers.message("Los horarios deben tener al menos un intervalo.");
+        }
+
+        if (intervalos.some(({ desde, hasta }) => desde === hasta || desde === "24:00")) {
+            return helpers.message("Cada intervalo debe durar al menos un minuto (\"desde\" distinto de \"hasta\").");
+        }
+
+        const franjas = calcularFranjas(valor.dias);
+        const superpuestas = franjas.some((franja, i) => i > 0 && franja.desde < franjas[i - 1].hasta);
+
+        if (superpuestas) {
+            return helpers.message("Hay intervalos que se superponen.");
+        }
+
+        return valor;
+    });
+}
+
+module.exports = {
+    DIAS,
+    ZONA_HORARIA_DEFECTO,
+    esZonaHoraria,
+    indiceDia,
+    calcularFranjas,
+    minutoDeLaSemana,
+    filtroHorario,
+    horariosJoi
+};
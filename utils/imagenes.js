@@ -0,0 +1,451 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// utils/imagenes.js
+//
+// Qué hace este archivo:
+// Prepara las fotos que suben los prestadores (logo y galería, ver routes/profile.js):
+// - recibirImagenes → middleware que recibe el multipart/form-data (multer, en memoria)
+//                     con límites de tamaño y cantidad.
+// - procesarImagen  → detecta el tipo REAL del archivo por su contenido ("MIME sniffing")
+//                     y le borra los metadatos (EXIF, XMP, comentarios).
+//
+// Por qué no confiamos en el Content-Type ni en la extensión:
+// Los manda el cliente y se pueden falsear. Miramos los primeros bytes del archivo
+// ("magic numbers"): solo se aceptan JPEG, PNG y WebP.
+//
+// Por qué borramos los metadatos:
+// Las fotos del celular traen en el EXIF la ubicación GPS donde se sacaron (muchas
+// veces, la casa del prestador o del cliente), el modelo del teléfono y la fecha.
+// Se borran sin volver a comprimir la imagen. De un JPEG solo se conserva la
+// orientación (si no, las fotos sacadas "paradas" se verían giradas).
+//
+// Variables de entorno:
+// - IMAGENES_MAX_MB      → tamaño máximo de cada imagen (por defecto 5)
+// - IMAGENES_MAX_GALERIA → cantidad máxima de fotos en la galería de un servicio (por defecto 12)
+///////////////////////////////////////////////////////////////////////////////////////
+
+const multer = require("multer");
+
+const MAX_BYTES = (Number(process.env.IMAGENES_MAX_MB) || 5) * 1024 * 1024;
+const MAX_GALERIA = Number(process.env.IMAGENES_MAX_GALERIA) || 12;
+
+// Tipos aceptados
+const TIPOS = {
+    jpeg: { tipo: "image/jpeg", extension: "jpg" },
+    png: { tipo: "image/png", extension: "png" },
+    webp: { tipo: "image/webp", extension: "webp" }
+};
+
+/**
+ * Error de una imagen inválida (tipo no soportado, archivo dañado...).
+ * Las rutas lo responden con 400.
+ */
+class ErrorImagen extends Error {
+    constructor(mensaje) {
+        super(mensaje);
+        this.name = "ErrorImagen";
+    }
+}
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Detección del tipo
+///////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Detecta el tipo de imagen por sus primeros bytes.
+ *
+ * @param {Buffer} buffer
+ * @returns {{ tipo: string, extension: string }|null} - null si no es JPEG, PNG ni WebP
+ */
+function detectarTipo(buffer) {
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        return TIPOS.jpeg;
+    }
+
+    if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+        return TIPOS.png;
+    }
+
+    if (buffer.length >= 12 && buffer.toString("latin1", 0, 4) === "RIFF" && buffer.toString("latin1", 8, 12) === "WEBP") {
+        return TIPOS.webp;
+    }
+
+    return null;
+}
+
+///////////////////////////////////////////////////////////////////////////////////////
+// JPEG
+//
+// Un JPEG es una lista de segmentos (marcador 0xFF + tipo + largo + datos). Cada SOS
+// va seguido de los datos comprimidos de la imagen (un JPEG progresivo tiene varios),
+// y EOI marca el final. Los metadatos viajan en segmentos propios: APP1 (EXIF y XMP),
+// APP2 con MPF (índice de imágenes extra), APP13 (IPTC de Photoshop) y COM (comentarios).
+//
+// Lo que venga después del EOI se descarta: ahí los celulares agregan imágenes extra
+// (MPF) y cualquiera puede pegar otro bloque EXIF con la ubicación.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const APP0 = 0xe0;
+const APP1 = 0xe1;
+const APP2 = 0xe2;
+const APP13 = 0xed;
+const COM = 0xfe;
+const SOS = 0xda;
+const EOI = 0xd9;
+
+/**
+ * Busca dónde terminan los datos comprimidos que siguen a un SOS: en el primer
+ * marcador que no sea de relleno (0xFF00) ni de reinicio (RSTn).
+ *
+ * @param {Buffer} buffer
+ * @param {number} pos - Primer byte después del encabezado del SOS
+ * @returns {number} - Posición del marcador siguiente (o el final del archivo)
+ */
+function finDatosComprimidos(buffer, pos) {
+    for (let i = pos; i < buffer.length - 1; i++) {
+        if (buffer[i] !== 0xff) continue;
+
+        const siguiente = buffer[i + 1];
+        if (siguiente === 0x00 || siguiente === 0xff || (siguiente >= 0xd0 && siguiente <= 0xd7)) continue;
+
+        return i;
+    }
+
+    return buffer.length;
+}
+
+/**
+ * Lee la orientación (tag 0x0112) del EXIF de un segmento APP1.
+ *
+ * @param {Buffer} datos - Contenido del segmento (sin marcador ni largo)
+ * @returns {number|null} - 1 a 8, o null si no tiene
+ */
+function leerOrientacion(datos) {
+    if (datos.length < 14 || datos.toString("latin1", 0, 6) !== "Exif\0\0") return null;
+
+    const tiff = datos.subarray(6);
+    const bigEndian = tiff.toString("latin1", 0, 2) === "MM";
+    const u16 = pos => (bigEndian ? tiff.readUInt16BE(pos) : tiff.readUInt16LE(pos));
+    const u32 = pos => (bigEndian ? tiff.readUInt32BE(pos) : tiff.readUInt32LE(pos));
+
+    const ifd = u32(4);
+    if (ifd + 2 > tiff.length) return null;
+
+    const entradas = u16(ifd);
+
+    for (let i = 0; i < entradas; i++) {
+        const pos = ifd + 2 + i * 12;
+        if (pos + 12 > tiff.length) return null;
+
+        if (u16(pos) === 0x0112) {
+            const valor = u16(pos + 8);
+            return valor >= 1 && valor <= 8 ? valor : null;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Arma un segmento APP1 con un EXIF mínimo: solo la orientación.
+ */
+function segmentoOrientacion(orientacion) {
+    const datos = Buffer.alloc(32);
+
+    datos.write("Exif\0\0", 0, "latin1");
+    datos.write("MM", 6, "latin1");    // TIFF big endian
+    datos.writeUInt16BE(42, 8);
+    datos.writeUInt32BE(8, 10);         // el IFD0 empieza justo después del encabezado
+    datos.writeUInt16BE(1, 14);         // una sola entrada
+    datos.writeUInt16BE(0x0112, 16);    // Orientation
+    datos.writeUInt16BE(3, 18);         // tipo SHORT
+    datos.writeUInt32BE(1, 20);         // un valor
+    datos.writeUInt16BE(orientacion, 24);
+    datos.writeUInt32BE(0, 28);         // no hay más IFDs
+
+    const encabezado = Buffer.from([0xff, APP1, 0, 0]);
+    encabezado.writeUInt16BE(datos.length + 2, 2);
+
+    return Buffer.concat([encabezado, datos]);
+}
+
+/**
+ * Borra los metadatos de un JPEG (conserva la orientación).
+ */
+function limpiarJpeg(buffer) {
+    const partes = [buffer.subarray(0, 2)]; // SOI
+    let orientacion = null;
+    let despuesDeApp0 = 1; // dónde va el EXIF mínimo: después de SOI y de APP0 (JFIF)
+    let pos = 2;
+
+    while (pos < buffer.length) {
+        if (buffer[pos] !== 0xff) throw new ErrorImagen("El archivo JPEG está dañado.");
+
+        // Bytes de relleno (0xFF repetidos) antes del marcador
+        while (buffer[pos + 1] === 0xff) pos++;
+
+        const marcador = buffer[pos + 1];
+
+        // Fin de la imagen: lo que haya después no se copia
+        if (marcador === EOI) {
+            partes.push(buffer.subarray(pos, pos + 2));
+            break;
+        }
+
+        // Marcadores sin datos (RSTn, TEM)
+        if ((marcador >= 0xd0 && marcador <= 0xd7) || marcador === 0x01) {
+            partes.push(buffer.subarray(pos, pos + 2));
+            pos += 2;
+            continue;
+        }
+
+        if (pos + 4 > buffer.length) throw new ErrorImagen("El archivo JPEG está dañado.");
+
+        const largo = buffer.readUInt16BE(pos + 2);
+        const fin = pos + 2 + largo;
+        if (largo < 2 || fin > buffer.length) throw new ErrorImagen("El archivo JPEG está dañado.");
+
+        // SOS: su encabezado y los datos comprimidos se copian tal cual
+        if (marcador === SOS) {
+            const finDatos = finDatosComprimidos(buffer, fin);
+            partes.push(buffer.subarray(pos, finDatos));
+            pos = finDatos;
+            continue;
+        }
+
+        const esMpf = marcador === APP2 && buffer.toString("latin1", pos + 4, pos + 8) === "MPF\0";
+
+        if (marcador === APP1) {
+            orientacion = orientacion || leerOrientacion(buffer.subarray(pos + 4, fin));
+        } else if (marcador !== APP13 && marcador !== COM && !esMpf) {
+            partes.push(buffer.subarray(pos, fin));
+            if (marcador === APP0 && partes.length === 2) despuesDeApp0 = 2;
+        }
+
+        pos = fin;
+    }
+
+    // 1 es la orientación normal: no hace falta guardarla
+    if (orientacion && orientacion !== 1) {
+        partes.splice(despuesDeApp0, 0, segmentoOrientacion(orientacion));
+    }
+
+    return Buffer.concat(partes);
+}
+
+///////////////////////////////////////////////////////////////////////////////////////
+// PNG
+//
+// Un PNG es una lista de "chunks" (largo + tipo + datos + CRC). Los de metadatos se
+// descartan enteros; los demás se copian tal cual (su CRC sigue siendo válido).
+///////////////////////////////////////////////////////////////////////////////////////
+
+const CHUNKS_METADATOS_PNG = ["eXIf", "tEXt", "zTXt", "iTXt", "tIME"];
+
+/**
+ * Borra los metadatos de un PNG.
+ */
+function limpiarPng(buffer) {
+    const partes = [buffer.subarray(0, 8)]; // firma
+    let pos = 8;
+
+    while (pos < buffer.length) {
+        if (pos + 12 > buffer.length) throw new ErrorImagen("El archivo PNG está dañado.");
+
+        const largo = buffer.readUInt32BE(pos);
+        const tipo = buffer.toString("latin1", pos + 4, pos + 8);
+        const fin = pos + 12 + largo;
+        if (fin > buffer.length) throw new ErrorImagen("El archivo PNG está dañado.");
+
+        if (!CHUNKS_METADATOS_PNG.includes(tipo)) partes.push(buffer.subarray(pos, fin));
+
+        pos = fin;
+        if (tipo === "IEND") break;
+    }
+
+    return Buffer.concat(partes);
+}
+
+///////////////////////////////////////////////////////////////////////////////////////
+// WebP
+//
+// Un WebP es un contenedor RIFF: "RIFF" + largo + "WEBP" + chunks (tipo + largo +
+// datos, con relleno a largo par). Los metadatos van en los chunks "EXIF" y "XMP ",
+// y el chunk VP8X tiene flags que avisan si existen (hay que apagarlos).
+///////////////////////////////////////////////////////////////////////////////////////
+
+const FLAG_EXIF_WEBP = 0x08;
+const FLAG_XMP_WEBP = 0x04;
+
+/**
+ * Borra los metadatos de un WebP.
+ */
+function limpiarWebp(buffer) {
+    const partes = [];
+    let pos = 12;
+
+    // Lo que venga después del largo declarado en RIFF no es parte de la imagen
+    const finRiff = Math.min(buffer.length, 8 + buffer.readUInt32LE(4));
+
+    while (pos < finRiff) {
+        if (pos + 8 > finRiff) throw new ErrorImagen("El archivo WebP está dañado.");
+
+        const tipo = buffer.toString("latin1", pos, pos + 4);
+        const largo = buffer.readUInt32LE(pos + 4);
+        const fin = pos + 8 + largo + (largo % 2);
+        if (pos + 8 + largo > finRiff) throw new ErrorImagen("El archivo WebP está dañado.");
+
+        if (tipo === "VP8X") {
+            const chunk = Buffer.from(buffer.subarray(pos, Math.min(fin, finRiff)));
+            chunk[8] &= ~(FLAG_EXIF_WEBP | FLAG_XMP_WEBP);
+            partes.push(chunk);
+        } else if (tipo !== "EXIF" && tipo !== "XMP ") {
+            partes.push(buffer.subarray(pos, Math.min(fin, finRiff)));
+        }
+
+        pos = fin;
+    }
+
+    const cuerpo = Buffer.concat(partes);
+    const encabezado = Buffer.from(buffer.subarray(0, 12));
+    encabezado.writeUInt32LE(cuerpo.length + 4, 4); // el largo RIFF incluye "WEBP"
+
+    return Buffer.concat([encabezado, cuerpo]);
+}
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Procesamiento
+///////////////////////////////////////////////////////////////////////////////////////
+
+// Rastros de ubicación que no pueden quedar en una imagen ya limpia: el tag GPSInfo
+// de un EXIF y las propiedades GPS de un XMP
+const TAG_GPS = 0x8825;
+const MARCAS_GPS_XMP = ["exif:GPS", "GPSLatitude", "GPSLongitude"];
+
+/**
+ * Indica si un bloque EXIF ("Exif\0\0" + TIFF) tiene el tag GPSInfo en su IFD0.
+ *
+ * @param {Buffer} datos - Desde "Exif\0\0"
+ * @returns {boolean}
+ */
+function exifTieneGps(datos) {
+    if (datos.length < 14) return false;
+
+    const tiff = datos.subarray(6);
+    const bigEndian = tiff.toString("latin1", 0, 2) === "MM";
+    const u16 = pos => (bigEndian ? tiff.readUInt16BE(pos) : tiff.readUInt16LE(pos));
+    const u32 = pos => (bigEndian ? tiff.readUInt32BE(pos) : tiff.readUInt32LE(pos));
+
+    const ifd = u32(4);
+    if (ifd + 2 > tiff.length) return false;
+
+    for (let i = 0; i < u16(ifd); i++) {
+        const pos = ifd + 2 + i * 12;
+        if (pos + 12 > tiff.length) return false;
+        if (u16(pos) === TAG_GPS) return true;
+    }
+
+    return false;
+}
+
+/**
+ * Control final: revisa que en la imagen ya limpia no quede ninguna ubicación
+ * (EXIF con GPS o XMP con coordenadas), esté donde esté dentro del archivo.
+ *
+ * @param {Buffer} buffer
+ * @throws {ErrorImagen} - Si queda alguna
+ */
+function verificarSinUbicacion(buffer) {
+    const texto = buffer.toString("latin1");
+
+    let pos = texto.indexOf("Exif\0\0");
+    while (pos !== -1) {
+        if (exifTieneGps(buffer.subarray(pos))) {
+            throw new ErrorImagen("No se pudo borrar la ubicación de la imagen. Probá con otra foto.");
+        }
+        pos = texto.indexOf("Exif\0\0", pos + 1);
+    }
+
+    if (MARCAS_GPS_XMP.some(marca => texto.includes(marca))) {
+        throw new ErrorImagen("No se pudo borrar la ubicación de la imagen. Probá con otra foto.");
+    }
+}
+
+const LIMPIADORES = {
+    "image/jpeg": limpiarJpeg,
+    "image/png": limpiarPng,
+    "image/webp": limpiarWebp
+};
+
+/**
+ * Valida una imagen subida y le borra los metadatos. Después revisa que no haya
+ * quedado ninguna ubicación (si quedara, la rechaza).
+ *
+ * @param {Buffer} buffer - Contenido del archivo
+ * @returns {{ buffer: Buffer, tipo: string, extension: string }}
+ * @throws {ErrorImagen} - Si no es JPEG, PNG o WebP, o está dañada
+ *
+ * Ejemplo:
+ * const imagen = procesarImagen(req.file.buffer);
+ * imagen.tipo → "image/jpeg"
+ */
+function procesarImagen(buffer) {
+    const detectado = detectarTipo(buffer);
+
+    if (!detectado) {
+        throw new ErrorImagen("Formato no soportado: solo se aceptan imágenes JPEG, PNG o WebP.");
+    }
+
+    const limpia = LIMPIADORES[detectado.tipo](buffer);
+    verificarSinUbicacion(limpia);
+
+    return { ...detectado, buffer: limpia };
+}
+
+/**
+ * Middleware que recibe las imágenes de un multipart/form-data (en memoria).
+ * Responde 413 si una imagen supera IMAGENES_MAX_MB, y 400 si vienen más archivos
+ * de los permitidos o en otro campo. Deja los archivos en req.files.
+ *
+ * @param {string} campo - Nombre del campo del formulario (e.g. "imagenes")
+ * @param {number} [maxArchivos=1]
+ * @returns {Function} - Middleware de Express
+ *
+ * Ejemplo:
+ * router.post("/galeria", authMiddleware, recibirImagenes("imagenes", 12), (req, res) => { ... req.files ... });
+ */
+function recibirImagenes(campo, maxArchivos = 1) {
+    const subir = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: MAX_BYTES, files: maxArchivos, fields: 10 }
+    }).array(campo, maxArchivos);
+
+    return function (req, res, next) {
+        subir(req, res, err => {
+            if (!err) {
+                if (!req.files || req.files.length === 0) {
+                    return res.status(400).json({ error: `Falta la imagen (campo "${campo}" de un multipart/form-data).` });
+                }
+                return next();
+            }
+
+            if (err.code === "LIMIT_FILE_SIZE") {
+                return res.status(413).json({ error: `Cada imagen puede pesar hasta ${MAX_BYTES / 1024 / 1024} MB.` });
+            }
+
+            if (err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE") {
+                return res.status(400).json({ error: `Se aceptan hasta ${maxArchivos} imagen(es) en el campo "${campo}".` });
+            }
+
+            return res.status(400).json({ error: `No se pudo leer el formulario: ${err.message}` });
+        });
+    };
+}
+
+module.exports = {
+    MAX_BYTES,
+    MAX_GALERIA,
+    ErrorImagen,
+    detectarTipo,
+    procesarImagen,
+    recibirImagenes
+};
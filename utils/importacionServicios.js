@@ -0,0 +1,274 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// utils/importacionServicios.js
+//
+// Qué hace este archivo:
+// Convierte servicios desde y hacia CSV o NDJSON (un objeto JSON por línea), para la
+// importación y exportación masiva (POST /admin/servicios/importar y
+// GET /admin/servicios/exportar, ver routes/admin.js):
+// - leerFilas          → archivo → filas con los datos de cada servicio, en el mismo
+//                        formato que el body de POST /serv.
+// - servicioComoObjeto → servicio → línea de NDJSON.
+// - servicioComoCsv    → servicio → línea de CSV.
+//
+// Lo que se exporta se puede volver a importar tal cual: las columnas que agrega la
+// exportación (COLUMNAS_SOLO_EXPORTACION) se ignoran al importar.
+//
+// Columnas del CSV (el orden no importa; solo nombre, telefono, categoria,
+// tipoServicio, localidad, urgencias24hs, localidadesCercanas y algún día son obligatorias):
+//   nombre, telefono, categoria, tipoServicio, localidad, zonaHoraria,
+//   lunes, martes, miercoles, jueves, viernes, sabado, domingo,
+//   urgencias24hs, localidadesCercanas, localidadesCobertura, lat, lng, radioCoberturaKm
+// - Días: intervalos "08:00-13:00", varios separados por "|" ("08:00-13:00|16:00-20:00").
+//   Vacío: cerrado ese día.
+// - urgencias24hs y localidadesCercanas: si/no (también true/false o 1/0).
+// - localidadesCobertura: slugs o nombres separados por "|".
+// - lat y lng: con punto o coma decimal; van las dos o ninguna.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const { DIAS } = require("./horarios");
+const { leerCsv, filaCsv } = require("./csv");
+
+// Filas por archivo (cada una se valida contra la base)
+const MAX_FILAS = 2000;
+
+const COLUMNAS = [
+    "nombre", "telefono", "categoria", "tipoServicio", "localidad", "zonaHoraria",
+    ...DIAS,
+    "urgencias24hs", "localidadesCercanas", "localidadesCobertura", "lat", "lng", "radioCoberturaKm"
+];
+
+// Las agrega la exportación como referencia; al importar se ignoran
+const COLUMNAS_SOLO_EXPORTACION = ["_id", "estadoModeracion", "rating", "cantidadResenas", "createdAt", "updatedAt"];
+
+const FORMATOS = ["csv", "ndjson"];
+
+const SI = /^(si|sí|true|1)$/i;
+const NO = /^(no|false|0)$/i;
+const INTERVALO = /^(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/;
+
+/**
+ * "si"/"no" de la planilla → boolean. Lo que no se entiende se deja como está, para
+ * que Joi lo rechace con su mensaje.
+ */
+function leerBooleano(texto) {
+    if (SI.test(texto)) return true;
+    if (NO.test(texto)) return false;
+    return texto;
+}
+
+/**
+ * Acepta coma decimal ("-32,9167"), como la escriben las planillas en español.
+ */
+function leerNumero(texto) {
+    return /^-?\d+,\d+$/.test(texto) ? texto.replace(",", ".") : texto;
+}
+
+/**
+ * Separa una lista de la planilla ("a|b|c").
+ */
+function leerLista(texto) {
+    return texto.split("|").map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Convierte un registro del CSV en los datos de un servicio (formato de POST /serv).
+ *
+ * @param {string[]} encabezado
+ * @param {string[]} campos
+ * @returns {{ datos: object|null, error: string|null }}
+ */
+function datosDesdeCsv(encabezado, campos) {
+    const celdas = {};
+    encabezado.forEach((columna, i) => {
+        const valor = (campos[i] || "").trim();
+        if (valor !== "" && COLUMNAS.includes(columna)) celdas[columna] = valor;
+    });
+
+    const dias = {};
+    for (const dia of DIAS) {
+        if (!celdas[dia]) continue;
+
+        const intervalos = [];
+        for (const texto of leerLista(celdas[dia])) {
+            const partes = texto.match(INTERVALO);
+            if (!partes) {
+                return { datos: null, error: `"${dia}": "${texto}" no es un horario (formato 08:00-13:00, varios separados por |).` };
+            }
+            intervalos.push({ desde: partes[1].padStart(5, "0"), hasta: partes[2].padStart(5, "0") });
+        }
+        dias[dia] = intervalos;
+    }
+
+    const datos = {
+        nombre: celdas.nombre,
+        telefono: celdas.telefono,
+        categoria: celdas.categoria,
+        tipoServicio: celdas.tipoServicio,
+        localidad: celdas.localidad,
+        horarios: { dias },
+        urgencias24hs: celdas.urgencias24hs !== undefined ? leerBooleano(celdas.urgencias24hs) : undefined,
+        localidadesCercanas: celdas.localidadesCercanas !== undefined ? leerBooleano(celdas.localidadesCercanas) : undefined,
+        localidadesCobertura: celdas.localidadesCobertura !== undefined ? leerLista(celdas.localidadesCobertura) : undefined,
+        radioCoberturaKm: celdas.radioCoberturaKm !== undefined ? leerNumero(celdas.radioCoberturaKm) : undefined
+    };
+
+    if (celdas.zonaHoraria) datos.horarios.zonaHoraria = celdas.zonaHoraria;
+
+    if (celdas.lat !== undefined || celdas.lng !== undefined) {
+        datos.ubicacion = { lat: leerNumero(celdas.lat || ""), lng: leerNumero(celdas.lng || "") };
+    }
+
+    // Sin las claves vacías: Joi las trata como "no vino"
+    Object.keys(datos).forEach(clave => datos[clave] === undefined && delete datos[clave]);
+
+    return { datos, error: null };
+}
+
+/**
+ * Lee un archivo de servicios.
+ *
+ * @param {string} texto - Contenido del archivo
+ * @param {"csv"|"ndjson"} formato
+ * @returns {{ filas: Array<{ fila: number, datos: object|null, error: string|null }>, error: string|null }}
+ *          - "fila" es la línea del archivo; "error" (de la fila) si no se pudo leer.
+ *          - "error" general si el archivo entero no sirve (sin encabezado, demasiadas filas...).
+ */
+function leerFilas(texto, formato) {
+    let filas;
+
+    if (formato === "csv") {
+        const { encabezado, registros, error } = leerCsv(texto);
+        if (error) return { filas: [], error };
+
+        const desconocidas = encabezado.filter(columna => !COLUMNAS.includes(columna) && !COLUMNAS_SOLO_EXPORTACION.includes(columna));
+        if (desconocidas.length > 0) {
+            return { filas: [], error: `Columnas desconocidas: ${desconocidas.join(", ")}. Las válidas son: ${COLUMNAS.join(", ")}.` };
+        }
+
+        if (!encabezado.includes("nombre") || !encabezado.includes("telefono")) {
+            return { filas: [], error: "El CSV tiene que tener encabezado, con al menos las columnas nombre y telefono." };
+        }
+
+        filas = registros.map(({ linea, campos }) => ({ fila: linea, ...datosDesdeCsv(encabezado, campos) }));
+    } else {
+        filas = [];
+        texto.split(/\r?\n/).forEach((linea, i) => {
+            if (linea.trim() === "") return;
+
+            try {
+                const objeto = JSON.parse(linea);
+                if (!objeto || typeof objeto !== "object" || Array.isArray(objeto)) throw new Error("no es un objeto");
+
+                COLUMNAS_SOLO_EXPORTACION.forEach(clave => delete objeto[clave]);
+                filas.push({ fila: i + 1, datos: objeto, error: null });
+            } catch (err) {
+                filas.push({ fila: i + 1, datos: null, error: `JSON inválido: ${err.message}` });
+            }
+        });
+    }
+
+    if (filas.length === 0) return { filas: [], error: "El archivo no tiene servicios." };
+    if (filas.length > MAX_FILAS) return { filas: [], error: `Se pueden importar hasta ${MAX_FILAS} servicios por archivo.` };
+
+    return { filas, error: null };
+}
+
+/**
+ * Convierte un servicio en un objeto con el formato de POST /serv (más las columnas
+ * de referencia de la exportación). Es cada línea del NDJSON exportado.
+ *
+ * @param {object} servicio - Objeto plano (lean)
+ * @returns {object}
+ */
+function servicioComoObjeto(servicio) {
+    const coordenadas = servicio.ubicacion && servicio.ubicacion.coordinates;
+
+    const objeto = {
+        _id: servicio._id,
+        nombre: servicio.nombre,
+        telefono: servicio.telefono,
+        categoria: servicio.categoriaSlug || servicio.categoria,
+        tipoServicio: servicio.tipoServicio,
+        localidad: servicio.localidadSlug || servicio.localidad,
+        horarios: {
+            zonaHoraria: servicio.horarios && servicio.horarios.zonaHoraria,
+            dias: (servicio.horarios && servicio.horarios.dias) || {}
+        },
+        urgencias24hs: servicio.urgencias24hs,
+        localidadesCercanas: servicio.localidadesCercanas,
+        localidadesCobertura: servicio.localidadesCobertura || [],
+        ubicacion: coordenadas ? { lat: coordenadas[1], lng: coordenadas[0] } : null,
+        radioCoberturaKm: servicio.radioCoberturaKm,
+        estadoModeracion: servicio.estadoModeracion,
+        rating: servicio.rating,
+        cantidadResenas: servicio.cantidadResenas,
+        createdAt: servicio.createdAt,
+        updatedAt: servicio.updatedAt
+    };
+
+    // Los días sin intervalos no se exportan (cerrado)
+    DIAS.forEach(dia => {
+        if (objeto.horarios.dias[dia] && objeto.horarios.dias[dia].length === 0) delete objeto.horarios.dias[dia];
+    });
+
+    if (objeto.radioCoberturaKm === undefined || objeto.radioCoberturaKm === null) delete objeto.radioCoberturaKm;
+
+    return objeto;
+}
+
+/**
+ * Encabezado del CSV exportado.
+ *
+ * @returns {string}
+ */
+function encabezadoCsv() {
+    return filaCsv([...COLUMNAS, ...COLUMNAS_SOLO_EXPORTACION]);
+}
+
+/**
+ * Convierte un servicio en una línea del CSV exportado (columnas de encabezadoCsv()).
+ *
+ * @param {object} servicio - Objeto plano (lean)
+ * @returns {string}
+ */
+function servicioComoCsv(servicio) {
+    const objeto = servicioComoObjeto(servicio);
+    const siNo = valor => (valor ? "si" : "no");
+    const fecha = valor => (valor ? new Date(valor).toISOString() : "");
+
+    const dias = DIAS.map(dia => (objeto.horarios.dias[dia] || [])
+        .map(({ desde, hasta }) => `${desde}-${hasta}`)
+        .join("|"));
+
+    return filaCsv([
+        objeto.nombre,
+        objeto.telefono,
+        objeto.categoria,
+        objeto.tipoServicio,
+        objeto.localidad,
+        objeto.horarios.zonaHoraria,
+        ...dias,
+        siNo(objeto.urgencias24hs),
+        siNo(objeto.localidadesCercanas),
+        objeto.localidadesCobertura.join("|"),
+        objeto.ubicacion ? objeto.ubicacion.lat : "",
+        objeto.ubicacion ? objeto.ubicacion.lng : "",
+        objeto.radioCoberturaKm,
+        objeto._id,
+        objeto.estadoModeracion,
+        objeto.rating,
+        objeto.cantidadResenas,
+        fecha(objeto.createdAt),
+        fecha(objeto.updatedAt)
+    ]);
+}
+
+module.exports = {
+    MAX_FILAS,
+    COLUMNAS,
+    FORMATOS,
+    leerFilas,
+    servicioComoObjeto,
+    encabezadoCsv,
+    servicioComoCsv
+};
@@ -0,0 +1,138 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// utils/localidades.js
+//
+// Qué hace este archivo:
+// Traduce lo que manda el cliente (un slug o un nombre de localidad) a localidades
+// del catálogo (models/locality.js):
+// - resolverLocalidad → una sola localidad, para el campo "localidad" de un servicio.
+// - resolverSlugs     → todas las localidades que coinciden con un texto, para filtros.
+// - validarCobertura  → controla que existan las localidades que un servicio dice cubrir.
+// - prepararLocalidades → aplica todo lo anterior a los datos de un alta o edición de servicio.
+//
+// Se aceptan tanto slugs ("san-lorenzo-santa-fe") como nombres ("San Lorenzo",
+// "san lorenzo"). Si un nombre existe en varias provincias hay que usar el slug.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const Locality = require("../models/locality");
+const { normalizarTexto } = require("./texto");
+
+/**
+ * Busca las localidades que coinciden con un slug o un nombre.
+ *
+ * @param {string} texto - Slug o nombre
+ * @returns {Promise<object[]>} - Localidades encontradas (vacío si ninguna)
+ */
+async function buscarPorSlugONombre(texto) {
+    const porSlug = await Locality.findOne({ slug: String(texto).trim().toLowerCase() });
+    if (porSlug) return [porSlug];
+
+    return Locality.find({ nombreNormalizado: normalizarTexto(texto) });
+}
+
+/**
+ * Resuelve UNA localidad del catálogo.
+ *
+ * @param {string} texto - Slug o nombre
+ * @returns {Promise<{ localidad: object|null, error: string|null }>}
+ *
+ * Ejemplo:
+ * const { localidad, error } = await resolverLocalidad("Funes");
+ * localidad.slug → "funes-santa-fe"
+ */
+async function resolverLocalidad(texto) {
+    const encontradas = await buscarPorSlugONombre(texto);
+
+    if (encontradas.length === 0) {
+        return { localidad: null, error: `La localidad "${texto}" no existe en el catálogo. Consultá GET /localidades.` };
+    }
+
+    if (encontradas.length > 1) {
+        const opciones = encontradas.map(l => l.slug).join(", ");
+        return { localidad: null, error: `Hay varias localidades llamadas "${texto}". Usá el slug: ${opciones}.` };
+    }
+
+    return { localidad: encontradas[0], error: null };
+}
+
+/**
+ * Devuelve los slugs de todas las localidades que coinciden con un texto.
+ * Para filtros: si el nombre existe en varias provincias, se incluyen todas.
+ *
+ * @param {string} texto - Slug o nombre
+ * @returns {Promise<string[]>}
+ */
+async function resolverSlugs(texto) {
+    const encontradas = await buscarPorSlugONombre(texto);
+    return encontradas.map(l => l.slug);
+}
+
+/**
+ * Controla que todas las localidades de cobertura existan en el catálogo.
+ *
+ * @param {string[]} slugs
+ * @returns {Promise<string|null>} - Mensaje de error, o null si están todas
+ */
+async function validarCobertura(slugs) {
+    const unicos = [...new Set(slugs)];
+    const existentes = await Locality.find({ slug: { $in: unicos } }).distinct("slug");
+    const faltantes = unicos.filter(slug => !existentes.includes(slug));
+
+    if (faltantes.length) {
+        return `Estas localidades no existen en el catálogo: ${faltantes.join(", ")}.`;
+    }
+
+    return null;
+}
+
+/**
+ * Prepara los datos de localidad de un servicio antes de guardarlo (POST /serv,
+ * PUT /serv/:id y las rutas de /profile):
+ * - "localidad" se reemplaza por el nombre del catálogo y se completa "localidadSlug".
+ * - "localidadesCobertura" se valida contra el catálogo (sin repetir la propia localidad)
+ *   y "localidadesCercanas" pasa a indicar si la lista tiene alguna.
+ * - Si marca localidadesCercanas: true sin mandar la lista (y no tenía una), cubre las
+ *   localidades vecinas de la suya.
+ *
+ * @param {object} datos - Valores ya validados por Joi (solo los campos enviados)
+ * @param {object} [actual={}] - Servicio actual, en las ediciones
+ * @returns {Promise<{ datos: object, error: string|null }>} - Datos listos para asignar al servicio
+ */
+async function prepararLocalidades(datos, actual = {}) {
+    const resultado = { ...datos };
+    let localidad = null;
+
+    if (datos.localidad !== undefined) {
+        const resuelta = await resolverLocalidad(datos.localidad);
+        if (resuelta.error) return { datos: null, error: resuelta.error };
+
+        localidad = resuelta.localidad;
+        resultado.localidad = localidad.nombre;
+        resultado.localidadSlug = localidad.slug;
+    }
+
+    const slugPropio = resultado.localidadSlug || actual.localidadSlug;
+
+    if (datos.localidadesCobertura !== undefined) {
+        const cobertura = [...new Set(datos.localidadesCobertura)].filter(slug => slug !== slugPropio);
+
+        const error = await validarCobertura(cobertura);
+        if (error) return { datos: null, error };
+
+        resultado.localidadesCobertura = cobertura;
+        resultado.localidadesCercanas = cobertura.length > 0;
+    } else if (datos.localidadesCercanas === true && !(actual.localidadesCobertura || []).length && slugPropio) {
+        if (!localidad) localidad = await Locality.findOne({ slug: slugPropio });
+        resultado.localidadesCobertura = localidad ? localidad.vecinos : [];
+    } else if (datos.localidadesCercanas === false) {
+        resultado.localidadesCobertura = [];
+    }
+
+    return { datos: resultado, error: null };
+}
+
+module.exports = {
+    resolverLocalidad,
+    resolverSlugs,
+    validarCobertura,
+    prepararLocalidades
+};
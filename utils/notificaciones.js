@@ -0,0 +1,130 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// utils/notificaciones.js
+//
+// Qué hace este archivo:
+// Avisa a los usuarios de cosas que pasan con sus servicios, por SMS (con el mismo
+// proveedor que los códigos de verificación, ver utils/sendSMS.js):
+// - notificarModeracion → al dueño, cuando un moderador aprueba, rechaza o suspende su servicio,
+//                         o cuando se oculta solo por reportes de abuso.
+// - notificarSolicitud  → a la otra parte, en cada paso de una solicitud de trabajo
+//                         (ver models/jobRequest.js).
+//
+// Una notificación que no se puede enviar NUNCA hace fallar la acción que la originó:
+// el error se loguea y se sigue.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const User = require("../models/user");
+const sendSMS = require("./sendSMS");
+const logger = require("./logger");
+
+// Texto de cada decisión ("detalle" es el texto libre del moderador).
+// "pendiente" solo se avisa cuando el servicio se oculta por reportes (POST /serv/:id/reportes).
+const MENSAJES_MODERACION = {
+    pendiente: nombre => `SERVIPRO: tu servicio "${nombre}" recibió varios reportes y quedó oculto hasta que lo revise un moderador.`,
+    aprobado: nombre => `SERVIPRO: tu servicio "${nombre}" fue aprobado y ya está publicado.`,
+    rechazado: (nombre, motivo) => `SERVIPRO: tu servicio "${nombre}" no fue aprobado (${motivo}). Podés corregirlo desde tu perfil y se revisa de nuevo.`,
+    suspendido: (nombre, motivo) => `SERVIPRO: tu servicio "${nombre}" fue suspendido (${motivo}). Ya no aparece en las búsquedas.`
+};
+
+// Texto de cada paso de una solicitud, según quién lo dio (se le avisa a la otra parte)
+const MENSAJES_SOLICITUD = {
+    pendiente: {
+        cliente: nombre => `SERVIPRO: recibiste una solicitud de trabajo para "${nombre}". Respondela desde la app.`
+    },
+    cotizada: {
+        prestador: nombre => `SERVIPRO: "${nombre}" te envió un presupuesto. Revisalo desde la app.`
+    },
+    aceptada: {
+        prestador: nombre => `SERVIPRO: "${nombre}" aceptó tu solicitud de trabajo.`,
+        cliente: nombre => `SERVIPRO: el cliente aceptó tu presupuesto para "${nombre}".`
+    },
+    rechazada: {
+        prestador: nombre => `SERVIPRO: "${nombre}" no puede tomar tu solicitud de trabajo.`,
+        cliente: nombre => `SERVIPRO: el cliente rechazó tu presupuesto para "${nombre}".`
+    },
+    cancelada: {
+        cliente: nombre => `SERVIPRO: el cliente canceló su solicitud de trabajo para "${nombre}".`
+    }
+};
+
+/**
+ * Devuelve el teléfono al que avisarle al dueño de un servicio: el de su cuenta o,
+ * si el servicio no tiene dueño (cargado antes de existir owner), el de contacto.
+ *
+ * @param {object} servicio - Documento Service
+ * @returns {Promise<string|null>}
+ */
+async function telefonoDelDuenio(servicio) {
+    if (servicio.owner) {
+        const duenio = await User.findById(servicio.owner).select("telefono").lean();
+        if (duenio) return duenio.telefono;
+    }
+
+    return servicio.telefono || null;
+}
+
+/**
+ * Avisa al dueño la decisión de moderación que se acaba de tomar sobre su servicio.
+ * Solo llamarla tras una decisión de un moderador o al ocultarse por reportes: las
+ * ediciones del dueño que lo vuelven a "pendiente" no se notifican.
+ *
+ * @param {object} servicio - Documento Service, ya con el estado nuevo
+ * @returns {Promise<boolean>} - true si se envió
+ *
+ * Ejemplo:
+ * servicio.cambiarEstadoModeracion("rechazado", { motivo: "datos_falsos", por: req.user.userId });
+ * await servicio.save();
+ * await notificarModeracion(servicio);
+ */
+async function notificarModeracion(servicio) {
+    const mensaje = MENSAJES_MODERACION[servicio.estadoModeracion];
+    if (!mensaje) return false;
+
+    try {
+        const telefono = await telefonoDelDuenio(servicio);
+        if (!telefono) return false;
+
+        const { motivo, detalle } = servicio.moderacion || {};
+        const razon = [motivo && motivo.replace(/_/g, " "), detalle].filter(Boolean).join(": ") || "sin motivo";
+
+        await sendSMS(telefono, mensaje(servicio.nombre, razon));
+        return true;
+
+    } catch (err) {
+        logger.error(`No se pudo notificar la moderación del servicio ${servicio._id}: ${err.message}`);
+        return false;
+    }
+}
+
+/**
+ * Avisa a la otra parte el último paso de una solicitud de trabajo: al prestador cuando
+ * el cliente la envía, acepta, rechaza o cancela, y al cliente cuando el prestador cotiza,
+ * acepta o rechaza.
+ *
+ * @param {object} solicitud - Documento JobRequest, ya con el cambio en el historial
+ * @param {string} nombreServicio - Nombre del servicio (para el texto)
+ * @returns {Promise<boolean>} - true si se envió
+ */
+async function notificarSolicitud(solicitud, nombreServicio) {
+    const ultimo = solicitud.historial[solicitud.historial.length - 1];
+    const mensaje = ultimo && (MENSAJES_SOLICITUD[ultimo.estado] || {})[ultimo.por];
+    if (!mensaje) return false;
+
+    try {
+        const destinatario = ultimo.por === "cliente" ? solicitud.prestador : solicitud.cliente;
+        const usuario = await User.findById(destinatario).select("telefono").lean();
+        if (!usuario) return false;
+
+        await sendSMS(usuario.telefono, mensaje(nombreServicio));
+        return true;
+
+    } catch (err) {
+        logger.error(`No se pudo notificar la solicitud ${solicitud._id}: ${err.message}`);
+        return false;
+    }
+}
+
+module.exports = {
+    notificarModeracion,
+    notificarSolicitud
+};
@@ -0,0 +1,81 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// utils/otp.js
+//
+// Qué hace este archivo:
+// Centraliza todo lo relacionado con los códigos de verificación (OTP):
+// - Generar códigos aleatorios de 6 dígitos con una fuente criptográfica.
+// - Guardarlos hasheados (HMAC-SHA256), nunca en texto plano.
+// - Compararlos en tiempo constante para no filtrar información por timing.
+//
+// Por qué es importante:
+// Si alguien accede a la base de datos no puede leer los códigos vigentes,
+// y la comparación no da pistas sobre cuántos dígitos acertó un atacante.
+//
+// Variables de entorno:
+// - OTP_SECRET → clave del HMAC (si no está, usamos JWT_SECRET).
+///////////////////////////////////////////////////////////////////////////////////////
+
+const crypto = require("crypto");
+
+// Cantidad máxima de intentos fallidos por código antes de bloquearlo
+const MAX_INTENTOS = Number(process.env.OTP_MAX_INTENTOS) || 5;
+
+// Minutos de validez de cada código
+const MINUTOS_VALIDEZ = 10;
+
+/**
+ * Genera un código numérico aleatorio de 6 dígitos (ej: "426731").
+ *
+ * @returns {string} - Código de verificación
+ */
+function generarCodigo() {
+    return crypto.randomInt(100000, 1000000).toString();
+}
+
+/**
+ * Calcula el hash de un código, atado al teléfono al que se envió.
+ * Incluir el teléfono evita que el mismo hash sirva para dos usuarios distintos.
+ *
+ * @param {string} telefono - Teléfono del usuario
+ * @param {string} codigo - Código en texto plano
+ * @returns {string} - Hash en hexadecimal
+ */
+function hashCodigo(telefono, codigo) {
+    const secreto = process.env.OTP_SECRET || process.env.JWT_SECRET;
+    if (!secreto) {
+        throw new Error("Falta OTP_SECRET o JWT_SECRET para hashear códigos.");
+    }
+
+    return crypto
+        .createHmac("sha256", secreto)
+        .update(`${telefono}:${codigo}`)
+        .digest("hex");
+}
+
+/**
+ * Compara en tiempo constante un código ingresado contra el hash guardado.
+ *
+ * @param {string} hashGuardado - Hash guardado en el usuario
+ * @param {string} telefono - Teléfono del usuario
+ * @param {string} codigo - Código ingresado
+ * @returns {boolean} - true si el código es correcto
+ */
+function compararCodigo(hashGuardado, telefono, codigo) {
+    if (!hashGuardado) return false;
+
+    const esperado = Buffer.from(hashGuardado, "hex");
+    const recibido = Buffer.from(hashCodigo(telefono, codigo), "hex");
+
+    // timingSafeEqual exige buffers del mismo largo
+    if (esperado.length !== recibido.length) return false;
+
+    return crypto.timingSafeEqual(esperado, recibido);
+}
+
+module.exports = {
+    MAX_INTENTOS,
+    MINUTOS_VALIDEZ,
+    generarCodigo,
+    hashCodigo,
+    compararCodigo
+};
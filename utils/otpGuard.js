@@ -0,0 +1,221 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// utils/otpGuard.js
+//
+// Qué hace este archivo:
+// Decide si se puede enviar un código de verificación a un número, ANTES de
+// llamar a sendSMS. Es la protección contra el fraude por SMS a números premium
+// (toll fraud), que el rate limit por IP no frena si el atacante rota IPs.
+//
+// Controles, en este orden:
+// 1. Lista de prefijos permitidos (si está configurada, solo se aceptan esos).
+// 2. Lista de prefijos bloqueados.
+// 3. Espera mínima entre códigos para el mismo número (cooldown).
+// 4. Tope diario de códigos por número.
+// 5. Tope diario de códigos por código de país.
+//
+// Variables de entorno:
+// - OTP_PREFIJOS_PERMITIDOS → p. ej. "+54,+34" (vacío = todos)
+// - OTP_PREFIJOS_BLOQUEADOS → p. ej. "+881,+882,+4470"
+// - OTP_COOLDOWN_SEGUNDOS   → por defecto 60
+// - OTP_MAX_DIARIO_NUMERO   → por defecto 5
+// - OTP_MAX_DIARIO_PREFIJO  → por defecto 500
+//
+// Los límites diarios son "últimas 24 horas" (ventana móvil).
+//
+// Pedidos simultáneos (reservarEnvio):
+// Revisar y después registrar no alcanza: varios pedidos a la vez pasarían todos el
+// control antes de que ninguno quede registrado. Por eso cada pedido primero reserva
+// su envío y recién después vuelve a controlar:
+// - La reserva lleva un turno de cooldown único por número (el tiempo dividido en
+//   tramos de OTP_COOLDOWN_SEGUNDOS): de varios pedidos simultáneos al mismo número,
+//   solo uno consigue el turno; los demás quedan bloqueados por cooldown.
+// - El segundo control cuenta solo los envíos de OTROS pedidos. Como cada uno controla
+//   después de reservar, el último en controlar ve a todos los anteriores: nunca pasan
+//   más envíos que los permitidos (p. ej. con muchos números del mismo país a la vez).
+//   Si falla, la reserva pasa a "bloqueado" y libera el turno.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const OtpRequest = require("../models/otpRequest");
+const { obtenerCodigoPais } = require("./phone");
+
+const UN_DIA_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Lee una lista de prefijos separada por coma desde una variable de entorno.
+ *
+ * @param {string} nombre - Nombre de la variable
+ * @returns {string[]} - Prefijos normalizados (siempre con "+")
+ */
+function leerPrefijos(nombre) {
+    return (process.env[nombre] || "")
+        .split(",")
+        .map(p => p.trim())
+        .filter(Boolean)
+        .map(p => (p.startsWith("+") ? p : `+${p}`));
+}
+
+/**
+ * Lee la configuración vigente (se lee en cada llamada para respetar cambios de entorno).
+ */
+function leerConfiguracion() {
+    return {
+        permitidos: leerPrefijos("OTP_PREFIJOS_PERMITIDOS"),
+        bloqueados: leerPrefijos("OTP_PREFIJOS_BLOQUEADOS"),
+        cooldownSegundos: Number(process.env.OTP_COOLDOWN_SEGUNDOS) || 60,
+        maxDiarioNumero: Number(process.env.OTP_MAX_DIARIO_NUMERO) || 5,
+        maxDiarioPrefijo: Number(process.env.OTP_MAX_DIARIO_PREFIJO) || 500
+    };
+}
+
+/**
+ * Calcula cuántos segundos faltan para que el envío más viejo de la ventana
+ * de 24 horas salga de ella (y se libere un cupo).
+ */
+async function segundosHastaLiberarCupo(filtro) {
+    const masViejo = await OtpRequest.findOne({ ...filtro, estado: "enviado", fecha: { $gt: new Date(Date.now() - UN_DIA_MS) } })
+        .sort({ fecha: 1 })
+        .select("fecha");
+
+    if (!masViejo) return 0;
+
+    return Math.max(1, Math.ceil((masViejo.fecha.getTime() + UN_DIA_MS - Date.now()) / 1000));
+}
+
+/**
+ * Evalúa si se puede enviar un código al teléfono indicado.
+ *
+ * @param {string} telefono - Teléfono en formato internacional
+ * @param {import("mongoose").Types.ObjectId} [excluir] - Pedido propio ya reservado, que no cuenta
+ * @returns {Promise<{ permitido: boolean, motivo?: string, reintentarEn?: number }>}
+ *          reintentarEn está en segundos (solo para bloqueos temporales)
+ */
+async function evaluarEnvio(telefono, excluir) {
+    const config = leerConfiguracion();
+    const prefijo = obtenerCodigoPais(telefono);
+    const otros = excluir ? { _id: { $ne: excluir } } : {};
+
+    // 1 y 2. Listas de prefijos (comparamos contra el número completo, así se
+    // pueden bloquear rangos más finos que un país, p. ej. "+4470")
+    if (config.permitidos.length > 0 && !config.permitidos.some(p => telefono.startsWith(p))) {
+        return { permitido: false, motivo: "prefijo_no_permitido" };
+    }
+
+    if (config.bloqueados.some(p => telefono.startsWith(p))) {
+        return { permitido: false, motivo: "prefijo_bloqueado" };
+    }
+
+    // 3. Cooldown entre códigos para el mismo número
+    const ultimo = await OtpRequest.findOne({ telefono, estado: "enviado", ...otros })
+        .sort({ fecha: -1 })
+        .select("fecha");
+
+    if (ultimo) {
+        const transcurridos = (Date.now() - ultimo.fecha.getTime()) / 1000;
+        if (transcurridos < config.cooldownSegundos) {
+            return {
+                permitido: false,
+                motivo: "cooldown",
+                reintentarEn: Math.ceil(config.cooldownSegundos - transcurridos)
+            };
+        }
+    }
+
+    const desde = new Date(Date.now() - UN_DIA_MS);
+
+    // 4. Tope diario por número
+    const enviadosNumero = await OtpRequest.countDocuments({ telefono, estado: "enviado", fecha: { $gt: desde }, ...otros });
+    if (enviadosNumero >= config.maxDiarioNumero) {
+        return {
+            permitido: false,
+            motivo: "limite_numero",
+            reintentarEn: await segundosHastaLiberarCupo({ telefono })
+        };
+    }
+
+    // 5. Tope diario por código de país
+    if (prefijo) {
+        const enviadosPrefijo = await OtpRequest.countDocuments({ prefijo, estado: "enviado", fecha: { $gt: desde }, ...otros });
+        if (enviadosPrefijo >= config.maxDiarioPrefijo) {
+            return {
+                permitido: false,
+                motivo: "limite_prefijo",
+                reintentarEn: await segundosHastaLiberarCupo({ prefijo })
+            };
+        }
+    }
+
+    return { permitido: true };
+}
+
+/**
+ * Registra un pedido de código (enviado o bloqueado).
+ *
+ * @param {string} telefono - Teléfono en formato internacional
+ * @param {string} ip - IP del request
+ * @param {string} [motivo] - Motivo del bloqueo (si no se pasa, se registra como enviado)
+ * @param {string} [turno] - Turno de cooldown que reserva (solo los enviados)
+ * @returns {Promise<object>} - Documento OtpRequest creado
+ */
+function registrarPedido(telefono, ip, motivo, turno) {
+    return OtpRequest.create({
+        telefono,
+        prefijo: obtenerCodigoPais(telefono),
+        ip,
+        estado: motivo ? "bloqueado" : "enviado",
+        motivo: motivo || null,
+        turno: turno || null
+    });
+}
+
+/**
+ * Controla y reserva el envío de un código (ver "Pedidos simultáneos" arriba).
+ * Registra el pedido en cualquier caso: como enviado si se puede mandar el código,
+ * o como bloqueado con su motivo. El SMS se manda solo si devuelve permitido.
+ *
+ * @param {string} telefono - Teléfono en formato internacional
+ * @param {string} ip - IP del request
+ * @returns {Promise<{ permitido: boolean, motivo?: string, reintentarEn?: number }>}
+ */
+async function reservarEnvio(telefono, ip) {
+    // Primer control: frena lo evidente sin reservar nada
+    const previo = await evaluarEnvio(telefono);
+    if (!previo.permitido) {
+        await registrarPedido(telefono, ip, previo.motivo);
+        return previo;
+    }
+
+    const { cooldownSegundos } = leerConfiguracion();
+    const tramo = cooldownSegundos * 1000;
+    const turno = `${telefono}:${Math.floor(Date.now() / tramo)}`;
+
+    let pedido;
+    try {
+        pedido = await registrarPedido(telefono, ip, null, turno);
+    } catch (err) {
+        if (err.code !== 11000) throw err;
+
+        // Otro pedido simultáneo se quedó con el turno
+        const control = {
+            permitido: false,
+            motivo: "cooldown",
+            reintentarEn: Math.max(1, Math.ceil((tramo - (Date.now() % tramo)) / 1000))
+        };
+        await registrarPedido(telefono, ip, control.motivo);
+        return control;
+    }
+
+    // Segundo control, ya con la reserva hecha y sin contarla
+    const control = await evaluarEnvio(telefono, pedido._id);
+    if (!control.permitido) {
+        await OtpRequest.updateOne(
+            { _id: pedido._id },
+            { $set: { estado: "bloqueado", motivo: control.motivo, turno: null } }
+        );
+    }
+
+    return control;
+}
+
+module.exports = {
+    reservarEnvio
+};
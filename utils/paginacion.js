@@ -0,0 +1,228 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// utils/paginacion.js
+//
+// Qué hace este archivo:
+// Pagina los listados (GET /serv, GET /clic) con cursores, y arma la respuesta común:
+//   { data: [...], total: 123, nextCursor: "eyJ2Ijpb..." }
+// más el header Link (RFC 8288) con las URLs de la primera y la siguiente página.
+//
+// Cómo funciona (paginación por cursor o "keyset"):
+// - Cada página se ordena por los campos pedidos y, al final, por _id (que es único).
+//   Así el orden es total: nunca hay dos documentos "empatados".
+// - nextCursor guarda los valores de esos campos en el ÚLTIMO documento de la página.
+// - La página siguiente pide "los que vienen después de esos valores".
+//
+// Por qué no limit/skip:
+// Con skip, si entre una página y otra se agrega o borra un servicio, la app ve
+// resultados repetidos o se saltea alguno. Con el cursor, cada página arranca
+// exactamente después del último que ya vio el usuario (ideal para scroll infinito).
+//
+// El cursor es opaco para la app: se devuelve tal cual en ?cursor=.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const Joi = require("joi");
+const mongoose = require("mongoose");
+
+// EJSON conserva los tipos (fechas, ObjectId) al pasar el cursor a texto
+const { EJSON } = mongoose.mongo.BSON;
+
+// Reglas Joi de la paginación (para sumarlas al esquema de cada ruta)
+const paginacionSchema = {
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    cursor: Joi.string().max(1000)
+};
+
+/**
+ * Agrega _id como último criterio de orden, para que el orden sea total.
+ *
+ * @param {object} orden - e.g. { nombre: 1 }
+ * @returns {object} - e.g. { nombre: 1, _id: 1 }
+ */
+function ordenConDesempate(orden) {
+    if (orden._id) return orden;
+
+    // _id sigue la dirección del último campo (así { fecha: -1 } → del más nuevo al más viejo)
+    const direcciones = Object.values(orden);
+    const direccion = direcciones.length ? direcciones[direcciones.length - 1] : 1;
+
+    return { ...orden, _id: direccion };
+}
+
+/**
+ * Convierte los valores del último documento en un cursor (texto base64url).
+ *
+ * @param {object} documento - Documento de Mongoose u objeto plano
+ * @param {object} orden - Orden con desempate
+ * @returns {string}
+ */
+function codificarCursor(documento, orden) {
+    const campos = Object.keys(orden);
+    const valores = campos.map(campo => (documento.get ? documento.get(campo) : documento[campo]));
+
+    return Buffer.from(EJSON.stringify({ c: campos, v: valores })).toString("base64url");
+}
+
+/**
+ * Indica si un valor del cursor es uno de los que puede guardar codificarCursor():
+ * un valor simple, una fecha o un ObjectId. Cualquier otra cosa (e.g. { "$ne": null })
+ * se convertiría en un operador de MongoDB o en un CastError al armar la condición.
+ *
+ * @param {any} valor
+ * @returns {boolean}
+ */
+function esValorDeCursor(valor) {
+    if (valor === null || typeof valor === "string" || typeof valor === "boolean") return true;
+    if (typeof valor === "number") return Number.isFinite(valor);
+    if (valor instanceof Date) return !Number.isNaN(valor.getTime());
+
+    return valor instanceof mongoose.mongo.BSON.ObjectId;
+}
+
+/**
+ * Lee un cursor recibido en ?cursor=.
+ *
+ * @param {string} cursor
+ * @param {object} orden - Orden con desempate de la consulta actual
+ * @returns {{ valores: any[]|null, error: string|null }}
+ */
+function decodificarCursor(cursor, orden) {
+    let datos;
+
+    try {
+        datos = EJSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    } catch (err) {
+        return { valores: null, error: "Cursor inválido." };
+    }
+
+    const campos = Object.keys(orden);
+
+    // El cursor solo sirve para el mismo orden con el que se generó
+    if (!datos || !Array.isArray(datos.v) || JSON.stringify(datos.c) !== JSON.stringify(campos)) {
+        return { valores: null, error: "El cursor no corresponde a este orden; volvé a pedir la primera página." };
+    }
+
+    // Un valor por campo del orden, y solo valores que puede haber generado la API
+    if (datos.v.length !== campos.length || !datos.v.every(esValorDeCursor)) {
+        return { valores: null, error: "Cursor inválido." };
+    }
+
+    return { valores: datos.v, error: null };
+}
+
+/**
+ * Arma la condición "documentos que vienen después del cursor".
+ *
+ * Para el orden { a: 1, b: -1, _id: 1 } y los valores [A, B, ID]:
+ *   a > A  ó  (a = A y b < B)  ó  (a = A y b = B y _id > ID)
+ *
+ * @param {object} orden - Orden con desempate
+ * @param {any[]} valores - Valores decodificados del cursor
+ * @returns {object} - Condición para find() o para un $match
+ */
+function condicionCursor(orden, valores) {
+    const campos = Object.keys(orden);
+
+    return {
+        $or: campos.map((campo, i) => {
+            const condicion = {};
+
+            campos.slice(0, i).forEach((anterior, j) => {
+                condicion[anterior] = valores[j];
+            });
+            condicion[campo] = { [orden[campo] === -1 ? "$lt" : "$gt"]: valores[i] };
+
+            return condicion;
+        })
+    };
+}
+
+/**
+ * Prepara la paginación de una consulta.
+ *
+ * @param {object} valores - Query validada (con limit y cursor)
+ * @param {object} orden - Orden pedido (sin desempate)
+ * @returns {{ orden: object, condicion: object|null, limit: number, error: string|null }}
+ *   - orden: el orden final, con _id al final
+ *   - condicion: filtro extra para traer solo lo posterior al cursor (null en la primera página)
+ *
+ * Ejemplo:
+ * const pagina = prepararPaginacion(value, { fecha: -1 });
+ * Click.find({ $and: [filtro, pagina.condicion] }).sort(pagina.orden).limit(pagina.limit + 1)
+ */
+function prepararPaginacion(valores, orden) {
+    const ordenFinal = ordenConDesempate(orden);
+    let condicion = null;
+
+    if (valores.cursor) {
+        const { valores: datosCursor, error } = decodificarCursor(valores.cursor, ordenFinal);
+        if (error) return { orden: ordenFinal, condicion: null, limit: valores.limit, error };
+
+        condicion = condicionCursor(ordenFinal, datosCursor);
+    }
+
+    return { orden: ordenFinal, condicion, limit: valores.limit, error: null };
+}
+
+/**
+ * Arma la respuesta paginada. La consulta tiene que haber pedido limit + 1 documentos:
+ * si vino uno de más, hay página siguiente.
+ *
+ * @param {object[]} documentos - Resultado de la consulta (hasta limit + 1)
+ * @param {object} paginacion - Resultado de prepararPaginacion()
+ * @param {number} total - Total de documentos que cumplen el filtro (sin paginar)
+ * @returns {{ data: object[], total: number, nextCursor: string|null }}
+ */
+function armarPagina(documentos, paginacion, total) {
+    const hayMas = documentos.length > paginacion.limit;
+    const data = hayMas ? documentos.slice(0, paginacion.limit) : documentos;
+
+    return {
+        data,
+        total,
+        nextCursor: hayMas ? codificarCursor(data[data.length - 1], paginacion.orden) : null
+    };
+}
+
+/**
+ * Arma el header Link (RFC 8288) con la primera página y la siguiente.
+ * Las URLs son relativas a la del pedido y conservan sus filtros.
+ *
+ * @param {object} req - Request de Express
+ * @param {string|null} nextCursor
+ * @returns {string} - e.g. '</serv?limit=20>; rel="first", </serv?limit=20&cursor=...>; rel="next"'
+ */
+function armarLink(req, nextCursor) {
+    const ruta = req.originalUrl.split("?")[0];
+    const url = cursor => {
+        const params = new URLSearchParams(req.query);
+        params.delete("cursor");
+        if (cursor) params.set("cursor", cursor);
+
+        const query = params.toString();
+        return `<${ruta}${query ? `?${query}` : ""}>`;
+    };
+
+    const enlaces = [`${url(null)}; rel="first"`];
+    if (nextCursor) enlaces.push(`${url(nextCursor)}; rel="next"`);
+
+    return enlaces.join(", ");
+}
+
+/**
+ * Responde con la página y su header Link.
+ *
+ * @param {object} req - Request de Express
+ * @param {object} res - Response de Express
+ * @param {object} pagina - Resultado de armarPagina()
+ */
+function enviarPagina(req, res, pagina) {
+    res.set("Link", armarLink(req, pagina.nextCursor));
+    return res.json(pagina);
+}
+
+module.exports = {
+    paginacionSchema,
+    prepararPaginacion,
+    armarPagina,
+    enviarPagina
+};
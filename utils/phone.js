@@ -0,0 +1,205 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// utils/phone.js
+//
+// Qué hace este archivo:
+// Es el ÚNICO lugar donde se decide qué es un teléfono válido y cómo se guarda.
+// Todos los esquemas (Joi y Mongoose) de auth, servicios y usuarios lo usan.
+//
+// Reúne:
+// - normalizarTelefono → convierte cualquier formato habitual a E.164 (+5491122334455).
+// - esE164             → valida que un valor ya esté en E.164.
+// - telefonoJoi        → esquema Joi que valida Y normaliza.
+// - obtenerCodigoPais  → devuelve el código de país (+54, +34, ...).
+//
+// Por qué es importante:
+// Antes cada archivo tenía su propia regex (con y sin "+", 7 u 8 dígitos mínimos),
+// y la misma persona podía quedar guardada como dos números distintos. Ahora
+// "011 15 2233-4455", "+54 9 11 2233 4455" y "0054 11 15 22334455" son el mismo número.
+//
+// Reglas por país (además de las generales):
+// - Argentina (+54): los celulares llevan un "9" después del 54 y NO llevan el "15"
+//   local ni el "0" de larga distancia. Si el número viene sin "9" asumimos que
+//   es celular (el uso de la app es por SMS / WhatsApp).
+// - México (+52): se quita el "1" que antes llevaban los celulares.
+// - Resto: se quita el "0" de larga distancia en los países que lo usan (+44 (0)20...).
+//
+// Variables de entorno:
+// - TELEFONO_PAIS_DEFECTO → código de país para números sin "+" (por defecto 54).
+///////////////////////////////////////////////////////////////////////////////////////
+
+const Joi = require("joi");
+
+// Códigos de país de 2 dígitos según el plan de numeración de la UIT (E.164).
+// Los códigos de país no se pisan entre sí (ninguno es prefijo de otro):
+// - Zona 1 (Norteamérica) y zona 7 (Rusia/Kazajistán) usan 1 dígito.
+// - Los de esta lista usan 2 dígitos.
+// - Todos los demás usan 3 dígitos.
+const CODIGOS_DOS_DIGITOS = new Set([
+    "20", "27", "30", "31", "32", "33", "34", "36", "39", "40", "41", "43", "44", "45",
+    "46", "47", "48", "49", "51", "52", "53", "54", "55", "56", "57", "58", "60", "61",
+    "62", "63", "64", "65", "66", "81", "82", "84", "86", "90", "91", "92", "93", "94",
+    "95", "98"
+]);
+
+// Países donde el "0" inicial es prefijo de larga distancia y no se marca desde el exterior
+const PAISES_CON_CERO_TRONCAL = new Set([
+    "33", "44", "49", "31", "32", "41", "43", "61", "64", "51", "55", "56", "57", "58",
+    "591", "593", "595", "598"
+]);
+
+// Largo del número nacional (sin código de país) para los países que validamos en detalle
+const LARGOS_NACIONALES = {
+    "1": [10],        // EE.UU. / Canadá
+    "34": [9],        // España
+    "52": [10],       // México
+    "54": [11],       // Argentina (con el 9 de celular)
+    "55": [10, 11],   // Brasil
+    "56": [9],        // Chile
+    "598": [8]        // Uruguay
+};
+
+/**
+ * Devuelve el código de país de un teléfono en formato internacional.
+ *
+ * @param {string} telefono - Teléfono con "+" (e.g. "+5491122334455")
+ * @returns {string|null} - Código con "+" (e.g. "+54") o null si no se puede determinar
+ *
+ * Ejemplo:
+ * obtenerCodigoPais("+34624001234") → "+34"
+ */
+function obtenerCodigoPais(telefono) {
+    const digitos = String(telefono || "").replace(/^\+/, "");
+
+    if (!/^\d{4,}$/.test(digitos)) return null;
+
+    if (digitos[0] === "1" || digitos[0] === "7") return `+${digitos[0]}`;
+    if (CODIGOS_DOS_DIGITOS.has(digitos.slice(0, 2))) return `+${digitos.slice(0, 2)}`;
+
+    return `+${digitos.slice(0, 3)}`;
+}
+
+/**
+ * Normaliza la parte nacional de un número argentino.
+ * Quita el "0" de larga distancia y el "15" de celular, y agrega el "9" de celular.
+ *
+ * @param {string} nacional - Dígitos después del 54
+ * @returns {string|null} - Parte nacional normalizada (11 dígitos, empieza con 9) o null
+ */
+function normalizarArgentina(nacional) {
+    let resto = nacional.replace(/^0/, "");
+
+    // Si ya trae el 9 de celular, lo sacamos para trabajar solo con área + número
+    if (resto.length === 11 && resto.startsWith("9")) {
+        resto = resto.slice(1);
+    }
+
+    // Formato local de celular: área + "15" + número (12 dígitos en total).
+    // El área de Buenos Aires (11) tiene 2 dígitos; el resto, 3 o 4.
+    if (resto.length === 12) {
+        const largosArea = resto.startsWith("11") ? [2] : [3, 4];
+        const area = largosArea.find(largo => resto.slice(largo, largo + 2) === "15");
+
+        if (!area) return null;
+
+        resto = resto.slice(0, area) + resto.slice(area + 2);
+    }
+
+    if (resto.length !== 10) return null;
+
+    return `9${resto}`;
+}
+
+/**
+ * Normaliza un teléfono a formato E.164 ("+" + código de país + número nacional).
+ *
+ * @param {string} entrada - Teléfono en cualquier formato habitual
+ * @param {object} [opciones]
+ * @param {string} [opciones.paisPorDefecto] - Código de país para números sin "+" (sin "+", e.g. "34")
+ * @returns {string|null} - Teléfono en E.164 o null si no es válido
+ *
+ * Ejemplos:
+ * normalizarTelefono("011 15 2233-4455")       → "+5491122334455"
+ * normalizarTelefono("+54 11 2233 4455")       → "+5491122334455"
+ * normalizarTelefono("0034 624 00 12 34")      → "+34624001234"
+ * normalizarTelefono("624001234", { paisPorDefecto: "34" }) → "+34624001234"
+ */
+function normalizarTelefono(entrada, opciones = {}) {
+    if (entrada === null || entrada === undefined) return null;
+
+    // Sacamos separadores habituales: espacios, guiones, puntos, paréntesis y barras
+    let limpio = String(entrada).trim().replace(/[\s\-.()/]/g, "");
+
+    // "00" es el prefijo internacional desde la mayoría de los países
+    if (limpio.startsWith("00")) limpio = `+${limpio.slice(2)}`;
+
+    if (!/^\+?\d+$/.test(limpio)) return null;
+
+    let codigoPais;
+    let nacional;
+
+    if (limpio.startsWith("+")) {
+        const cc = obtenerCodigoPais(limpio);
+        if (!cc) return null;
+
+        codigoPais = cc.slice(1);
+        nacional = limpio.slice(cc.length);
+    } else {
+        codigoPais = String(opciones.paisPorDefecto || process.env.TELEFONO_PAIS_DEFECTO || "54").replace(/^\+/, "");
+        // En formato nacional el 0 inicial es siempre el prefijo de larga distancia
+        nacional = limpio.replace(/^0/, "");
+    }
+
+    // Reglas particulares por país
+    if (codigoPais === "54") {
+        nacional = normalizarArgentina(nacional);
+        if (!nacional) return null;
+    } else if (codigoPais === "52" && nacional.length === 11 && nacional.startsWith("1")) {
+        nacional = nacional.slice(1);
+    } else if (PAISES_CON_CERO_TRONCAL.has(codigoPais)) {
+        nacional = nacional.replace(/^0/, "");
+    }
+
+    const largos = LARGOS_NACIONALES[codigoPais];
+    if (largos && !largos.includes(nacional.length)) return null;
+
+    const resultado = `+${codigoPais}${nacional}`;
+
+    return esE164(resultado) ? resultado : null;
+}
+
+/**
+ * Indica si un valor ya está en formato E.164.
+ * E.164 permite hasta 15 dígitos; exigimos al menos 8 para descartar números cortos.
+ *
+ * @param {string} valor
+ * @returns {boolean}
+ */
+function esE164(valor) {
+    return /^\+[1-9]\d{7,14}$/.test(String(valor || ""));
+}
+
+/**
+ * Esquema Joi para teléfonos: valida y devuelve el número ya normalizado a E.164.
+ * Ojo: para obtener el valor normalizado hay que usar el "value" que devuelve validate().
+ *
+ * @returns {Joi.StringSchema}
+ *
+ * Ejemplo:
+ * const schema = Joi.object({ telefono: telefonoJoi().required() });
+ * const { value } = schema.validate({ telefono: "011 15 2233-4455" });
+ * value.telefono → "+5491122334455"
+ */
+function telefonoJoi() {
+    return Joi.string()
+        .custom((valor, helpers) => normalizarTelefono(valor) || helpers.error("any.invalid"))
+        .messages({
+            "any.invalid": "El número de teléfono no es válido. Usá el formato internacional, por ejemplo +5491122334455."
+        });
+}
+
+module.exports = {
+    normalizarTelefono,
+    esE164,
+    telefonoJoi,
+    obtenerCodigoPais
+};
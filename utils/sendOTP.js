@@ -0,0 +1,89 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// utils/sendOTP.js
+//
+// Qué hace este archivo:
+// Envía el código de verificación por el canal que prefiere el usuario:
+// - "sms"      → SMS común.
+// - "whatsapp" → mensaje de WhatsApp.
+// - "voz"      → llamada que lee el código en voz alta.
+//
+// Si el canal elegido falla (p. ej. el número no tiene WhatsApp), reintenta
+// automáticamente por SMS. Devuelve qué canal se usó al final, para guardarlo
+// en el usuario y que soporte pueda investigar problemas de entrega.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const { enviarPorCanal } = require("./sendSMS");
+const logger = require("./logger");
+
+// Canales soportados para enviar códigos
+const CANALES = ["sms", "whatsapp", "voz"];
+
+/**
+ * Arma el texto del mensaje según el canal.
+ * En voz separamos los dígitos para que se lean de a uno, y repetimos el código.
+ *
+ * @param {string} canal - "sms", "whatsapp" o "voz"
+ * @param {string} codigo - Código de verificación
+ * @returns {string}
+ */
+function armarMensaje(canal, codigo) {
+    if (canal === "voz") {
+        const digitos = codigo.split("").join(", ");
+        return `Tu código de verificación de SERVIPRO es: ${digitos}. Repito: ${digitos}.`;
+    }
+
+    return `Tu código de verificación en SERVIPRO es: ${codigo}`;
+}
+
+/**
+ * Envía un código de verificación con fallback automático a SMS.
+ *
+ * @param {string} telefono - Teléfono en formato internacional
+ * @param {string} codigo - Código de verificación
+ * @param {string} [canalPreferido="sms"] - Canal pedido por el usuario
+ * @returns {Promise<{ canalSolicitado: string, canalUsado: string, fallback: boolean,
+ *                     proveedor: string, mensajeId: string, errorCanal: string|null }>}
+ * @throws {Error} - Si falla también el envío por SMS
+ */
+async function sendOTP(telefono, codigo, canalPreferido = "sms") {
+    const canalSolicitado = CANALES.includes(canalPreferido) ? canalPreferido : "sms";
+    let errorCanal = null;
+
+    try {
+        const result = await enviarPorCanal(telefono, armarMensaje(canalSolicitado, codigo), {
+            canal: canalSolicitado,
+            codigo
+        });
+
+        return {
+            canalSolicitado,
+            canalUsado: canalSolicitado,
+            fallback: false,
+            proveedor: result.proveedor,
+            mensajeId: result.id,
+            errorCanal
+        };
+
+    } catch (err) {
+        // Si ya era SMS no hay a dónde caer: propagamos el error
+        if (canalSolicitado === "sms") throw err;
+
+        // Guardamos el error original del proveedor (más útil para soporte que el genérico)
+        errorCanal = err.cause ? err.cause.message : err.message;
+        logger.warn(`Falló el envío por ${canalSolicitado} a ${telefono}. Reintentando por SMS.`);
+    }
+
+    const result = await enviarPorCanal(telefono, armarMensaje("sms", codigo), { canal: "sms", codigo });
+
+    return {
+        canalSolicitado,
+        canalUsado: "sms",
+        fallback: true,
+        proveedor: result.proveedor,
+        mensajeId: result.id,
+        errorCanal
+    };
+}
+
+module.exports = sendOTP;
+module.exports.CANALES = CANALES;
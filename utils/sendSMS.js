@@ -3,9 +3,12 @@
 // Basicamente es la pieza clave para hacer nuestro login con SMS.
 
 // Este archivo define una función de utilidad llamada sendSMS que se encarga de:
-// Conectarse con Twilio usando sus credenciales.
-// Enviar un SMS real a cualquier número válido.
+// Elegir el proveedor de SMS configurado (Twilio, consola o stub HTTP).
+// Enviar el SMS a través de ese proveedor.
 // Manejar errores y loguear problemas.
+//
+// También exporta enviarPorCanal, que usa el mismo proveedor para mandar el
+// mensaje por WhatsApp o por llamada de voz (ver utils/sendOTP.js).
 
 // Es un módulo totalmente independiente y reutilizable en:
 // - Registro de prestadores.
@@ -13,66 +16,102 @@
 // - Envío de alertas o notificaciones futuras.
 
 // Gracias a este archivo, cualquier parte de nuestra app puede enviar SMS
-// de forma profesional y segura.
+// sin saber qué proveedor hay detrás.
 
-// ➡ Variables sensibles como SID, token y número de Twilio se cargan desde .env
-// para mantener la seguridad y poder cambiarlas sin tocar código.
+// ➡ El proveedor se elige con la variable de entorno SMS_PROVIDER:
+//   - "twilio"  → envío real con Twilio (producción).
+//   - "console" → solo loguea el SMS (desarrollo).
+//   - "http"    → envía el SMS a un stub HTTP local (staging / pruebas).
+// Si no se define, usamos "twilio" en producción y "console" en cualquier otro entorno.
 ///////////////////////////////////////////////////////////////////////////////////////
 
-// Importamos el SDK oficial de Twilio para Node.js
-const twilio = require("twilio");
-
 // Importamos dotenv para asegurarnos de tener las variables de entorno cargadas.
 // Aunque probablemente ya se cargaron en index.js, lo dejamos acá por seguridad
 // en caso de que se use este módulo de forma independiente.
 require("dotenv").config();
 
+const logger = require("./logger");
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Proveedores disponibles
+// Cada proveedor expone { nombre, send(to, message, { canal, codigo }) } y devuelve { id }.
+// Los canales posibles son "sms", "whatsapp" y "voz".
 ///////////////////////////////////////////////////////////////////////////////////////
-// Configuración de Twilio
-// Creamos el cliente Twilio usando credenciales secretas.
-// Estos valores se obtienen de nuestro archivo .env, por seguridad.
-const client = twilio(
-    process.env.TWILIO_ACCOUNT_SID,   // SID de cuenta Twilio
-    process.env.TWILIO_AUTH_TOKEN     // Token de autenticación Twilio
-);
+
+const PROVIDERS = {
+    twilio: require("./smsProviders/twilioProvider"),
+    console: require("./smsProviders/consoleProvider"),
+    http: require("./smsProviders/httpStubProvider")
+};
+
+/**
+ * Devuelve el proveedor de SMS configurado.
+ *
+ * Se resuelve en cada llamada (no al cargar el módulo) para respetar el orden
+ * en que index.js carga las variables de entorno.
+ *
+ * @returns {{ nombre: string, send: Function }} - Proveedor de SMS
+ */
+function getProvider() {
+    const porDefecto = process.env.NODE_ENV === "production" ? "twilio" : "console";
+    const nombre = (process.env.SMS_PROVIDER || porDefecto).toLowerCase();
+
+    const provider = PROVIDERS[nombre];
+    if (!provider) {
+        throw new Error(`Proveedor de SMS desconocido: "${nombre}"`);
+    }
+
+    return provider;
+}
 
 ///////////////////////////////////////////////////////////////////////////////////////
 // Definimos la función sendSMS
 ///////////////////////////////////////////////////////////////////////////////////////
 
 /**
- * Envía un SMS a un número de teléfono usando Twilio.
+ * Envía un SMS a un número de teléfono usando el proveedor configurado.
  *
  * @param {string} to - Número de teléfono destinatario en formato internacional (e.g. +34123456789)
  * @param {string} message - Texto que queremos enviar por SMS
- * @returns {Promise<object>} - Retorna el objeto de respuesta de Twilio si todo sale bien
+ * @returns {Promise<{ id: string, proveedor: string }>} - ID del mensaje y proveedor usado
  *
  * Ejemplo de uso:
  * await sendSMS("+34123456789", "Tu código es 123456");
  */
 async function sendSMS(to, message) {
+    return enviarPorCanal(to, message, { canal: "sms" });
+}
+
+/**
+ * Envía un mensaje por el canal indicado usando el proveedor configurado.
+ *
+ * @param {string} to - Número de teléfono destinatario en formato internacional
+ * @param {string} message - Texto del mensaje (en voz, el texto que se lee)
+ * @param {object} [opciones]
+ * @param {string} [opciones.canal="sms"] - "sms", "whatsapp" o "voz"
+ * @param {string} [opciones.codigo] - Código de verificación (para plantillas de WhatsApp)
+ * @returns {Promise<{ id: string, proveedor: string }>} - ID del mensaje y proveedor usado
+ */
+async function enviarPorCanal(to, message, opciones = {}) {
+    const canal = opciones.canal || "sms";
+    const provider = getProvider();
+
     try {
-        // Creamos el mensaje SMS usando la API de Twilio
-        const result = await client.messages.create({
-            body: message,                   // Texto del SMS
-            from: process.env.TWILIO_PHONE_NUMBER, // Número verificado en Twilio desde el cual se envía el SMS
-            to                                // Número de destino
-        });
+        const result = await provider.send(to, message, { ...opciones, canal });
 
-        // Mostramos en consola que el mensaje se envió correctamente
-        console.log(`SMS enviado a ${to}. SID del mensaje: ${result.sid}`);
+        // Nunca logueamos el texto del mensaje acá: puede contener el código de verificación
+        logger.info(`${canal.toUpperCase()} enviado a ${to} vía ${provider.nombre}. ID del mensaje: ${result.id}`);
 
-        // Devolvemos el objeto completo devuelto por Twilio (puede ser útil para logs)
-        return result;
+        return { id: result.id, proveedor: provider.nombre };
 
     } catch (error) {
-        // Si ocurre algún error, lo mostramos de forma profesional
-        console.error("Error al enviar SMS con Twilio:", error);
+        // Si ocurre algún error, lo registramos con el proveedor y el canal que fallaron
+        logger.error(`Error al enviar ${canal.toUpperCase()} con ${provider.nombre}: ${error.message}`);
 
-        // Podríamos decidir si lanzamos el error para que lo maneje el caller,
-        // o simplemente devolver un valor falso. En producción suele ser mejor
-        // propagar el error para saber que algo falló.
-        throw new Error("No se pudo enviar el SMS.");
+        // Propagamos el error para que el caller sepa que algo falló.
+        // El error original del proveedor queda en "cause" (útil para soporte).
+        const mensaje = canal === "sms" ? "No se pudo enviar el SMS." : `No se pudo enviar el mensaje por ${canal}.`;
+        throw new Error(mensaje, { cause: error });
     }
 }
 
@@ -81,11 +120,13 @@ async function sendSMS(to, message) {
 ///////////////////////////////////////////////////////////////////////////////////////
 
 module.exports = sendSMS;
+module.exports.enviarPorCanal = enviarPorCanal;
+module.exports.getProvider = getProvider;
 
 ///////////////////////////////////////////////////////////////////////////////////////
-// Gracias a este archivo: 
-// Tenemos integración real con Twilio.
-// Podés enviar SMS a cualquier prestador de forma segura.
+// Gracias a este archivo:
+// El mismo código de /auth/register funciona en desarrollo, staging y producción.
+// Cambiar de proveedor es solo cambiar una variable de entorno.
 // El backend queda desacoplado de Twilio → solo llamamos a sendSMS.
 // Está listo para producción, con manejo profesional de errores.
 ///////////////////////////////////////////////////////////////////////////////////////
@@ -0,0 +1,154 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// utils/serviceFilters.js
+//
+// Qué hace este archivo:
+// Define los filtros de servicios que comparten GET /serv y GET /serv/search:
+// - filtrosSchema   → las reglas Joi de cada filtro (para sumarlas al esquema de cada ruta).
+// - construirFiltro → arma el filtro de MongoDB a partir de los valores ya validados
+//                     (siempre solo con los servicios aprobados por moderación).
+// - ordenarPor      → convierte el parámetro "sort" ("nombre,-createdAt") en un orden de MongoDB.
+//
+// Por qué es importante:
+// Un filtro nuevo se agrega UNA vez acá y queda disponible en el listado y en la búsqueda.
+// Los valores salen ya convertidos por Joi (números, booleanos), así que el filtro
+// sirve tanto para find() como para aggregate() (que no convierte tipos).
+///////////////////////////////////////////////////////////////////////////////////////
+
+const Joi = require("joi");
+const { resolverSlugs } = require("./localidades");
+const { resolverSlugsCategoria } = require("./categorias");
+const { indiceDia, filtroHorario } = require("./horarios");
+const { escaparRegex } = require("./texto");
+const Service = require("../models/service");
+
+// Reglas Joi de los filtros
+const filtrosSchema = {
+    categoria: Joi.string(), // slug o nombre; un grupo ("hogar") incluye todas sus categorías
+    categorias: Joi.string(), // lista separada por coma
+    tipoServicio: Joi.string(),
+    tipoServicioLike: Joi.string().max(150), // texto parcial (literal, no una RegExp)
+    nombre: Joi.string().max(100), // texto parcial (literal, no una RegExp)
+    urgencias24hs: Joi.string().valid("true", "false"),
+    localidadesCercanas: Joi.string().valid("true", "false"),
+    localidad: Joi.string(), // slug o nombre de la localidad (incluye a quienes la cubren)
+    // Horarios (en la hora local de cada servicio, ver utils/horarios.js)
+    abiertoAhora: Joi.string().valid("true", "false"),
+    dia: Joi.string().custom((valor, helpers) => {
+        const indice = indiceDia(valor);
+        return indice === -1 ? helpers.error("any.invalid") : indice;
+    }).messages({ "any.invalid": "\"dia\" debe ser un día de la semana (lunes ... domingo)." }),
+    hora: Joi.string().pattern(/^([01]?\d|2[0-3])(:[0-5]\d)?$/), // "10" o "10:30"
+    // Promedio mínimo de estrellas (los servicios sin reseñas tienen rating 0)
+    ratingMin: Joi.number().min(0).max(5)
+};
+
+/**
+ * Arma el filtro de MongoDB para los servicios.
+ * Es asíncrona porque los filtros de categoría y localidad consultan sus catálogos,
+ * y los de horario las zonas horarias en uso.
+ *
+ * @param {object} valores - Query ya validada con filtrosSchema (el "value" de Joi)
+ * @returns {Promise<object>} - Filtro para Service.find() o para un $match
+ *
+ * Ejemplo:
+ * await construirFiltro({ categoria: "Gas", dia: 1, hora: "10" })
+ * → { estadoModeracion: "aprobado", categoriaSlug: { $in: ["gas"] }, "horarios.franjas": { $elemMatch: { desde: { $lt: 2041 }, hasta: { $gt: 2040 } } } }
+ */
+async function construirFiltro(valores) {
+    // Solo los servicios aprobados por moderación son públicos
+    const filtro = { estadoModeracion: "aprobado" };
+
+    // "categorias" (varias, separadas por coma) tiene prioridad sobre "categoria"
+    const categorias = valores.categorias
+        ? valores.categorias.split(",").map(c => c.trim()).filter(Boolean)
+        : valores.categoria ? [valores.categoria] : [];
+
+    if (categorias.length) {
+        // Cada valor puede ser una categoría o un grupo (que abarca todas sus categorías).
+        // Si ninguno está en el catálogo, comparamos el texto exacto (como antes del catálogo).
+        const slugs = (await Promise.all(categorias.map(resolverSlugsCategoria))).flat();
+
+        if (slugs.length) filtro.categoriaSlug = { $in: [...new Set(slugs)] };
+        else filtro.categoria = { $in: categorias };
+    }
+
+    if (valores.tipoServicio) filtro.tipoServicio = valores.tipoServicio;
+
+    if (valores.tipoServicioLike) {
+        filtro.tipoServicio = new RegExp(escaparRegex(valores.tipoServicioLike), "i");
+    }
+
+    if (valores.nombre) filtro.nombre = new RegExp(escaparRegex(valores.nombre), "i");
+
+    if (valores.urgencias24hs === "true") filtro.urgencias24hs = true;
+    if (valores.urgencias24hs === "false") filtro.urgencias24hs = false;
+
+    if (valores.localidadesCercanas === "true") filtro.localidadesCercanas = true;
+    if (valores.localidadesCercanas === "false") filtro.localidadesCercanas = false;
+
+    if (valores.localidad) {
+        // Servicios de la localidad o que la cubren. Si el nombre existe en varias
+        // provincias, entran todas. Si no está en el catálogo, comparamos el texto
+        // exacto (servicios cargados antes del catálogo).
+        const slugs = await resolverSlugs(valores.localidad);
+
+        filtro.$or = slugs.length
+            ? [{ localidadSlug: { $in: slugs } }, { localidadesCobertura: { $in: slugs } }]
+            : [{ localidad: valores.localidad }];
+    }
+
+    if (valores.ratingMin !== undefined) filtro.rating = { $gte: valores.ratingMin };
+
+    // "abiertoAhora" tiene prioridad sobre "dia" y "hora"
+    const horario = {
+        abiertoAhora: valores.abiertoAhora === "true",
+        dia: valores.dia,
+        hora: valores.hora !== undefined ? normalizarHora(valores.hora) : undefined
+    };
+
+    if (horario.abiertoAhora || horario.dia !== undefined || horario.hora !== undefined) {
+        // "Ahora" es un día y una hora distintos en cada zona horaria
+        const zonas = await Service.distinct("horarios.zonaHoraria");
+        filtro.$and = [filtroHorario(horario, zonas)];
+    }
+
+    return filtro;
+}
+
+/**
+ * Completa la hora del filtro a "HH:MM" ("9" → "09:00", "9:30" → "09:30").
+ */
+function normalizarHora(hora) {
+    const [h, m = "00"] = hora.split(":");
+    return `${h.padStart(2, "0")}:${m}`;
+}
+
+/**
+ * Convierte el parámetro "sort" de la API en un objeto de orden de MongoDB.
+ * Un "-" adelante indica orden descendente.
+ *
+ * @param {string} sort - Campos separados por coma (e.g. "nombre,-createdAt")
+ * @param {object} [alias={}] - Nombres de la API que en la base se llaman distinto
+ * @returns {object} - e.g. { nombre: 1, createdAt: -1 }
+ *
+ * Ejemplo:
+ * ordenarPor("-distancia,nombre", { distancia: "distanciaMetros" })
+ * → { distanciaMetros: -1, nombre: 1 }
+ */
+function ordenarPor(sort, alias = {}) {
+    const orden = {};
+
+    sort.split(",").map(c => c.trim()).filter(Boolean).forEach(campo => {
+        const descendente = campo.startsWith("-");
+        const nombre = campo.replace(/^-/, "");
+        orden[alias[nombre] || nombre] = descendente ? -1 : 1;
+    });
+
+    return orden;
+}
+
+module.exports = {
+    filtrosSchema,
+    construirFiltro,
+    ordenarPor
+};
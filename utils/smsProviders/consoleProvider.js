@@ -0,0 +1,45 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// utils/smsProviders/consoleProvider.js
+//
+// Qué hace este archivo:
+// Implementa un proveedor de SMS "falso" para desarrollo (SMS_PROVIDER=console).
+//
+// No envía nada: escribe el mensaje (SMS, WhatsApp o voz) en el logger y, si está
+// definida la variable SMS_LOG_FILE, además lo agrega como una línea JSON en ese archivo.
+//
+// Por qué es importante:
+// - Permite registrar usuarios sin límite y sin depender del Trial de Twilio.
+// - El archivo sirve para que tests o scripts lean el último código enviado.
+///////////////////////////////////////////////////////////////////////////////////////
+
+const fs = require("fs");
+const crypto = require("crypto");
+const logger = require("../logger");
+
+/**
+ * "Envía" un mensaje escribiéndolo en consola (y opcionalmente en un archivo).
+ *
+ * @param {string} to - Número de destino
+ * @param {string} message - Texto del mensaje
+ * @param {object} [opciones]
+ * @param {string} [opciones.canal="sms"] - "sms", "whatsapp" o "voz"
+ * @returns {Promise<{ id: string }>} - ID generado localmente
+ */
+async function send(to, message, opciones = {}) {
+    const canal = opciones.canal || "sms";
+    const id = `console-${crypto.randomUUID()}`;
+
+    logger.info(`(SIMULACIÓN) ${canal.toUpperCase()} a ${to}: ${message}`);
+
+    if (process.env.SMS_LOG_FILE) {
+        const linea = JSON.stringify({ id, canal, to, message, fecha: new Date().toISOString() });
+        await fs.promises.appendFile(process.env.SMS_LOG_FILE, linea + "\n");
+    }
+
+    return { id };
+}
+
+module.exports = {
+    nombre: "console",
+    send
+};
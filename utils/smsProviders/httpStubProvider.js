@@ -0,0 +1,49 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// utils/smsProviders/httpStubProvider.js
+//
+// Qué hace este archivo:
+// Implementa un proveedor que envía el SMS a un stub HTTP local (SMS_PROVIDER=http).
+//
+// Pensado para staging o para pruebas end-to-end: un servidor simulado recibe
+// un POST con { canal, to, message } y puede mostrar o guardar los mensajes "enviados".
+// El stub puede responder con error para simular que un canal falla (y probar el fallback).
+//
+// Variables de entorno:
+// - SMS_STUB_URL        → URL del stub (por defecto http://localhost:4010/sms)
+// - SMS_STUB_TIMEOUT_MS → tiempo máximo de espera (por defecto 5000 ms)
+///////////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * Envía el mensaje al stub HTTP configurado.
+ *
+ * @param {string} to - Número de destino
+ * @param {string} message - Texto del mensaje
+ * @param {object} [opciones]
+ * @param {string} [opciones.canal="sms"] - "sms", "whatsapp" o "voz"
+ * @returns {Promise<{ id: string }>} - ID devuelto por el stub (si lo devuelve)
+ */
+async function send(to, message, opciones = {}) {
+    const url = process.env.SMS_STUB_URL || "http://localhost:4010/sms";
+    const timeout = Number(process.env.SMS_STUB_TIMEOUT_MS) || 5000;
+
+    const respuesta = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ canal: opciones.canal || "sms", to, message }),
+        signal: AbortSignal.timeout(timeout)
+    });
+
+    if (!respuesta.ok) {
+        throw new Error(`El stub de mensajes respondió con estado ${respuesta.status}`);
+    }
+
+    // El stub puede devolver un JSON con { id }, pero no es obligatorio
+    const data = await respuesta.json().catch(() => ({}));
+
+    return { id: data.id || `http-${Date.now()}` };
+}
+
+module.exports = {
+    nombre: "http",
+    send
+};
@@ -0,0 +1,99 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// utils/smsProviders/twilioProvider.js
+//
+// Qué hace este archivo:
+// Implementa el proveedor de mensajes real usando Twilio.
+// Soporta tres canales: SMS, WhatsApp y llamada de voz.
+//
+// Es el proveedor que se usa en producción (SMS_PROVIDER=twilio).
+// El cliente de Twilio se crea recién la primera vez que se envía un SMS, así
+// en desarrollo no hace falta tener credenciales cargadas para levantar el backend.
+//
+// Variables de entorno necesarias:
+// - TWILIO_ACCOUNT_SID
+// - TWILIO_AUTH_TOKEN
+// - TWILIO_PHONE_NUMBER         → remitente de SMS y llamadas
+// - TWILIO_WHATSAPP_NUMBER      → remitente de WhatsApp (por defecto TWILIO_PHONE_NUMBER)
+// - TWILIO_WHATSAPP_CONTENT_SID → opcional: plantilla aprobada de WhatsApp para el código
+//                                 (la variable {{1}} de la plantilla recibe el código)
+///////////////////////////////////////////////////////////////////////////////////////
+
+const twilio = require("twilio"); // SDK oficial de Twilio para Node.js
+
+// Cliente de Twilio (se inicializa de forma perezosa)
+let client = null;
+
+/**
+ * Devuelve el cliente de Twilio, creándolo si todavía no existe.
+ *
+ * @returns {object} - Cliente de Twilio
+ */
+function getClient() {
+    if (!client) {
+        client = twilio(
+            process.env.TWILIO_ACCOUNT_SID,   // SID de cuenta Twilio
+            process.env.TWILIO_AUTH_TOKEN     // Token de autenticación Twilio
+        );
+    }
+    return client;
+}
+
+/**
+ * Envía un mensaje real usando la API de Twilio, por el canal indicado.
+ *
+ * @param {string} to - Número de destino en formato internacional (e.g. +34123456789)
+ * @param {string} message - Texto del mensaje (en voz, el texto que se lee en la llamada)
+ * @param {object} [opciones]
+ * @param {string} [opciones.canal="sms"] - "sms", "whatsapp" o "voz"
+ * @param {string} [opciones.codigo] - Código de verificación (para la plantilla de WhatsApp)
+ * @returns {Promise<{ id: string }>} - ID del mensaje o llamada devuelto por Twilio
+ */
+async function send(to, message, opciones = {}) {
+    const canal = opciones.canal || "sms";
+
+    if (canal === "whatsapp") {
+        const remitente = process.env.TWILIO_WHATSAPP_NUMBER || process.env.TWILIO_PHONE_NUMBER;
+        const datos = {
+            from: `whatsapp:${remitente}`,
+            to: `whatsapp:${to}`
+        };
+
+        // WhatsApp exige plantillas aprobadas para iniciar conversaciones:
+        // si hay una configurada la usamos, si no mandamos el texto libre.
+        if (process.env.TWILIO_WHATSAPP_CONTENT_SID && opciones.codigo) {
+            datos.contentSid = process.env.TWILIO_WHATSAPP_CONTENT_SID;
+            datos.contentVariables = JSON.stringify({ 1: opciones.codigo });
+        } else {
+            datos.body = message;
+        }
+
+        const result = await getClient().messages.create(datos);
+        return { id: result.sid };
+    }
+
+    if (canal === "voz") {
+        // Armamos el TwiML de la llamada: Twilio lee el mensaje en español
+        const twiml = new twilio.twiml.VoiceResponse();
+        twiml.say({ language: "es-MX" }, message);
+
+        const result = await getClient().calls.create({
+            twiml: twiml.toString(),
+            from: process.env.TWILIO_PHONE_NUMBER,
+            to
+        });
+        return { id: result.sid };
+    }
+
+    const result = await getClient().messages.create({
+        body: message,                          // Texto del SMS
+        from: process.env.TWILIO_PHONE_NUMBER,  // Número verificado en Twilio
+        to                                      // Número de destino
+    });
+
+    return { id: result.sid };
+}
+
+module.exports = {
+    nombre: "twilio",
+    send
+};
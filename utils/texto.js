@@ -0,0 +1,122 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// utils/texto.js
+//
+// Qué hace este archivo:
+// Reúne las funciones para comparar textos "como los compara una persona":
+// - normalizarTexto  → minúsculas y sin tildes ("Plomería" → "plomeria").
+// - tokenizar        → separa un texto en palabras normalizadas, sin palabras vacías.
+// - slugificar       → arma un identificador legible para URLs ("San Nicolás" → "san-nicolas").
+// - distanciaEdicion → cuántas letras hay que cambiar para pasar de una palabra a otra
+//                      (distancia de Levenshtein), para tolerar errores de tipeo.
+//
+// Se usa para el índice de búsqueda de servicios (models/service.js) y para
+// interpretar lo que escribe el usuario en GET /serv/search.
+///////////////////////////////////////////////////////////////////////////////////////
+
+// Palabras muy comunes que no aportan a la búsqueda
+const PALABRAS_VACIAS = new Set([
+    "a", "al", "con", "de", "del", "el", "en", "la", "las", "lo", "los",
+    "o", "para", "por", "que", "un", "una", "y"
+]);
+
+/**
+ * Pasa un texto a minúsculas, sin tildes ni signos.
+ *
+ * @param {string} texto
+ * @returns {string}
+ *
+ * Ejemplo:
+ * normalizarTexto("Climatización (aires, calefacción)") → "climatizacion aires calefaccion"
+ */
+function normalizarTexto(texto) {
+    return String(texto || "")
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "") // quitamos tildes y diéresis (la ñ queda como n)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, " ")
+        .trim();
+}
+
+/**
+ * Separa un texto en palabras normalizadas, sin repetidas ni palabras vacías.
+ *
+ * @param {string} texto
+ * @returns {string[]}
+ *
+ * Ejemplo:
+ * tokenizar("Reparación de aires") → ["reparacion", "aires"]
+ */
+function tokenizar(texto) {
+    const palabras = normalizarTexto(texto)
+        .split(" ")
+        .filter(palabra => palabra.length > 1 && !PALABRAS_VACIAS.has(palabra));
+
+    return [...new Set(palabras)];
+}
+
+/**
+ * Arma un "slug": texto normalizado con guiones, apto para URLs y claves.
+ *
+ * @param {...string} partes - Textos a unir (e.g. nombre y provincia)
+ * @returns {string}
+ *
+ * Ejemplo:
+ * slugificar("San Nicolás de los Arroyos", "Buenos Aires") → "san-nicolas-de-los-arroyos-buenos-aires"
+ */
+function slugificar(...partes) {
+    return normalizarTexto(partes.join(" ")).replace(/ /g, "-");
+}
+
+/**
+ * Calcula la distancia de Levenshtein entre dos palabras.
+ * Corta antes si la distancia supera "maximo" (no nos interesa el valor exacto).
+ *
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [maximo=Infinity] - Distancia a partir de la cual se deja de calcular
+ * @returns {number} - La distancia, o maximo + 1 si la supera
+ *
+ * Ejemplo:
+ * distanciaEdicion("plomero", "plomeor") → 2
+ */
+function distanciaEdicion(a, b, maximo = Infinity) {
+    if (Math.abs(a.length - b.length) > maximo) return maximo + 1;
+
+    let anterior = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const actual = [i];
+        let minimoFila = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const costo = a[i - 1] === b[j - 1] ? 0 : 1;
+            actual[j] = Math.min(anterior[j] + 1, actual[j - 1] + 1, anterior[j - 1] + costo);
+            minimoFila = Math.min(minimoFila, actual[j]);
+        }
+
+        if (minimoFila > maximo) return maximo + 1;
+        anterior = actual;
+    }
+
+    return anterior[b.length];
+}
+
+/**
+ * Escapa un texto para usarlo dentro de una RegExp (como texto literal).
+ * Siempre que una RegExp se arme con lo que escribe el usuario: si no, "(a+)+$" o
+ * similares cuelgan la consulta (ReDoS) y "." o "*" cambian lo que se busca.
+ *
+ * @param {string} texto
+ * @returns {string}
+ */
+function escaparRegex(texto) {
+    return String(texto).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+module.exports = {
+    normalizarTexto,
+    tokenizar,
+    slugificar,
+    distanciaEdicion,
+    escaparRegex
+};
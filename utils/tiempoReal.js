@@ -0,0 +1,146 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// utils/tiempoReal.js
+//
+// Qué hace este archivo:
+// Reparte eventos en tiempo real a los usuarios conectados (e.g. "llegó un mensaje
+// nuevo"). Las rutas publican sin saber por dónde está conectado cada usuario; el
+// stream de GET /conversaciones/eventos (SSE) se suscribe por usuario.
+//
+// Cómo se usa:
+//   const tiempoReal = require("../utils/tiempoReal");
+//
+//   // Publicar a uno o más usuarios
+//   tiempoReal.publicar([usuarioId], "mensaje", { conversacion, mensaje });
+//
+//   // Recibir los eventos de un usuario (devuelve la función para desuscribirse)
+//   const desuscribir = tiempoReal.suscribir(usuarioId, (tipo, datos) => { ... });
+//
+// Backends (variable TIEMPO_REAL_BACKEND):
+// - "memoria" (por defecto): en el proceso. Con varias instancias, un usuario solo
+//   recibe los eventos publicados por la instancia a la que está conectado.
+// - "redis": publica por un canal pub/sub de Redis (o compatible) y cada instancia se
+//   los entrega a sus usuarios conectados. URL: TIEMPO_REAL_REDIS_URL, o si no, la del
+//   cache (CACHE_REDIS_URL).
+//
+// Publicar NUNCA falla: si Redis no responde se loguea y se sigue (el mensaje ya quedó
+// guardado; el usuario lo ve al recargar).
+///////////////////////////////////////////////////////////////////////////////////////
+
+const { EventEmitter } = require("events");
+const logger = require("./logger");
+
+// Reparto local: un evento por usuario ("usuario:<id>")
+const local = new EventEmitter();
+local.setMaxListeners(0); // un listener por conexión abierta
+
+function entregarLocal(usuarios, tipo, datos) {
+    usuarios.forEach(usuario => local.emit(`usuario:${usuario}`, tipo, datos));
+}
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Backend en memoria
+///////////////////////////////////////////////////////////////////////////////////////
+
+function crearBackendMemoria() {
+    return {
+        nombre: "memoria",
+
+        async publicar(usuarios, tipo, datos) {
+            entregarLocal(usuarios, tipo, datos);
+        }
+    };
+}
+
+///////////////////////////////////////////////////////////////////////////////////////
+// Backend Redis (o compatible)
+//
+// Un solo canal para toda la app. Cada instancia se suscribe una vez y entrega a sus
+// conexiones los eventos de los usuarios que tenga conectados.
+///////////////////////////////////////////////////////////////////////////////////////
+
+function crearBackendRedis(url) {
+    // Se carga solo si se usa este backend
+    const { createClient } = require("redis");
+
+    const canal = `${process.env.CACHE_PREFIJO || "app-servicios:"}eventos`;
+
+    const publicador = createClient({ url, disableOfflineQueue: true });
+    const suscriptor = publicador.duplicate();
+
+    publicador.on("error", err => logger.error(`Tiempo real Redis: ${err.message}`));
+    suscriptor.on("error", err => logger.error(`Tiempo real Redis: ${err.message}`));
+
+    publicador.connect().catch(err => logger.error(`Tiempo real Redis: no se pudo conectar: ${err.message}`));
+    suscriptor.connect()
+        .then(() => suscriptor.subscribe(canal, texto => {
+            try {
+                const { usuarios, tipo, datos } = JSON.parse(texto);
+                entregarLocal(usuarios, tipo, datos);
+            } catch (err) {
+                logger.error(`Tiempo real Redis: evento inválido: ${err.message}`);
+            }
+        }))
+        .catch(err => logger.error(`Tiempo real Redis: no se pudo suscribir: ${err.message}`));
+
+    return {
+        nombre: "redis",
+
+        async publicar(usuarios, tipo, datos) {
+            if (!publicador.isReady) throw new Error("Redis no está disponible");
+            await publicador.publish(canal, JSON.stringify({ usuarios, tipo, datos }));
+        }
+    };
+}
+
+/**
+ * Crea el backend según TIEMPO_REAL_BACKEND. Si piden Redis sin URL, se usa memoria.
+ */
+function crearBackend() {
+    if (process.env.TIEMPO_REAL_BACKEND === "redis") {
+        const url = process.env.TIEMPO_REAL_REDIS_URL || process.env.CACHE_REDIS_URL;
+        if (url) return crearBackendRedis(url);
+        logger.warn("TIEMPO_REAL_BACKEND=redis sin TIEMPO_REAL_REDIS_URL ni CACHE_REDIS_URL: se usa memoria.");
+    }
+
+    return crearBackendMemoria();
+}
+
+const backend = crearBackend();
+
+/**
+ * Publica un evento a uno o más usuarios (a todas sus conexiones abiertas).
+ *
+ * @param {Array<string|object>} usuarios - IDs de usuario
+ * @param {string} tipo - Nombre del evento (e.g. "mensaje", "leido")
+ * @param {object} datos - Se envía como JSON
+ */
+async function publicar(usuarios, tipo, datos) {
+    const ids = [...new Set(usuarios.filter(Boolean).map(String))];
+    if (ids.length === 0) return;
+
+    try {
+        // Se pasa por JSON igual que con Redis: los suscriptores siempre reciben objetos planos
+        await backend.publicar(ids, tipo, JSON.parse(JSON.stringify(datos)));
+    } catch (err) {
+        logger.error(`No se pudo publicar el evento "${tipo}": ${err.message}`);
+    }
+}
+
+/**
+ * Recibe los eventos de un usuario.
+ *
+ * @param {string|object} usuarioId
+ * @param {function} fn - (tipo, datos) => void
+ * @returns {function} - Llamarla para dejar de recibir (al cerrarse la conexión)
+ */
+function suscribir(usuarioId, fn) {
+    const evento = `usuario:${usuarioId}`;
+    local.on(evento, fn);
+    return () => local.off(evento, fn);
+}
+
+module.exports = {
+    backend: backend.nombre,
+    publicar,
+    suscribir
+};
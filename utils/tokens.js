@@ -0,0 +1,101 @@
+///////////////////////////////////////////////////////////////////////////////////////
+// utils/tokens.js
+//
+// Qué hace este archivo:
+// Centraliza la emisión de tokens de autenticación:
+// - Access token: JWT de corta duración que lleva el ID de la sesión (sid).
+// - Refresh token: valor aleatorio con formato "<sid>.<secreto>", que se guarda
+//   hasheado en la sesión y rota en cada uso.
+//
+// Variables de entorno:
+// - JWT_SECRET          → clave para firmar los JWT.
+// - JWT_EXPIRES_IN      → duración del access token (por defecto 15m).
+// - REFRESH_TOKEN_DIAS  → duración del refresh token en días (por defecto 30).
+///////////////////////////////////////////////////////////////////////////////////////
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+/**
+ * Calcula el hash SHA-256 de un refresh token.
+ * No hace falta HMAC: el secreto tiene 256 bits aleatorios.
+ *
+ * @param {string} valor - Refresh token (o su parte secreta)
+ * @returns {string} - Hash en hexadecimal
+ */
+function hashToken(valor) {
+    return crypto.createHash("sha256").update(valor).digest("hex");
+}
+
+/**
+ * Genera un refresh token nuevo para una sesión.
+ *
+ * @param {string} sesionId - ID de la sesión
+ * @returns {{ refreshToken: string, refreshTokenHash: string }}
+ */
+function generarRefreshToken(sesionId) {
+    const secreto = crypto.randomBytes(32).toString("base64url");
+
+    return {
+        refreshToken: `${sesionId}.${secreto}`,
+        refreshTokenHash: hashToken(secreto)
+    };
+}
+
+/**
+ * Separa un refresh token en su ID de sesión y su parte secreta.
+ *
+ * @param {string} refreshToken - Refresh token recibido del cliente
+ * @returns {{ sesionId: string, hash: string } | null} - null si el formato es inválido
+ */
+function leerRefreshToken(refreshToken) {
+    const [sesionId, secreto] = String(refreshToken).split(".");
+
+    if (!sesionId || !secreto || !/^[0-9a-fA-F]{24}$/.test(sesionId)) {
+        return null;
+    }
+
+    return { sesionId, hash: hashToken(secreto) };
+}
+
+/**
+ * Firma el access token (JWT) de un usuario para una sesión.
+ *
+ * @param {object} user - Documento User
+ * @param {string} sesionId - ID de la sesión
+ * @returns {string} - JWT firmado
+ */
+function firmarAccessToken(user, sesionId) {
+    // Creamos el payload para el JWT
+    const payload = {
+        userId: user._id,
+        telefono: user.telefono,
+        verificado: user.verificado,
+        roles: user.roles, // Informativo para el frontend: los permisos reales se leen de la base
+        sid: sesionId
+    };
+
+    return jwt.sign(
+        payload,
+        process.env.JWT_SECRET,
+        { expiresIn: process.env.JWT_EXPIRES_IN || "15m" }
+    );
+}
+
+/**
+ * Calcula la fecha de expiración de un refresh token emitido ahora.
+ *
+ * @returns {Date}
+ */
+function calcularExpiracionRefresh() {
+    const dias = Number(process.env.REFRESH_TOKEN_DIAS) || 30;
+    return new Date(Date.now() + dias * 24 * 60 * 60 * 1000);
+}
+
+module.exports = {
+    hashToken,
+    generarRefreshToken,
+    leerRefreshToken,
+    firmarAccessToken,
+    calcularExpiracionRefresh
+};